@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+
+// =================================================================
+// === Local Server Access Control                               ===
+// =================================================================
+// The API can run shell commands, so a web page the developer happens to visit
+// must not be able to call it. Three checks apply:
+//
+//   1. Host header: only localhost names (plus ALLOWED_HOSTS) are served, which
+//      defeats DNS-rebinding pages that would otherwise read the token.
+//   2. Origin header: cross-origin requests (plus ALLOWED_ORIGINS) are refused.
+//   3. Token: every /api/* call needs the per-launch token, which is printed
+//      on startup and injected into the HTML pages the server serves.
+//
+// AI_EDITOR_TOKEN pins the token (e.g. for scripts); otherwise a random one is
+// generated on every launch.
+
+const TOKEN_HEADER = 'x-ai-editor-token';
+const TOKEN_META_NAME = 'ai-editor-token';
+const LOCAL_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];
+
+function splitList(value) {
+  return String(value || '').split(',').map(v => v.trim()).filter(Boolean);
+}
+
+function tokensMatch(provided, expected) {
+  const a = Buffer.from(String(provided || ''));
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+class ServerAuth {
+  /**
+   * @param {object} options - { port, bindHost }
+   */
+  constructor({ port, bindHost }) {
+    this.port = port;
+    this.token = process.env.AI_EDITOR_TOKEN || crypto.randomBytes(32).toString('hex');
+
+    const hostnames = new Set([...LOCAL_HOSTNAMES, ...splitList(process.env.ALLOWED_HOSTS)]);
+    if (bindHost && !['0.0.0.0', '::'].includes(bindHost)) {
+      hostnames.add(bindHost.includes(':') ? `[${bindHost}]` : bindHost);
+    }
+    this.allowedHostnames = hostnames;
+    this.allowedOrigins = new Set([
+      ...Array.from(hostnames, h => `http://${h}:${port}`),
+      ...splitList(process.env.ALLOWED_ORIGINS),
+    ]);
+  }
+
+  isAllowedHost(hostHeader) {
+    if (!hostHeader) return false;
+    const match = String(hostHeader).toLowerCase().match(/^(\[[^\]]+\]|[^:]+)(?::(\d+))?$/);
+    return !!match && this.allowedHostnames.has(match[1]);
+  }
+
+  /**
+   * Refuses requests addressed to an unexpected Host or sent from another origin.
+   */
+  requestGuard() {
+    return (req, res, next) => {
+      if (!this.isAllowedHost(req.headers.host)) {
+        console.warn(`[AUTH] Rejected request for host '${req.headers.host}'`);
+        return res.status(403).json({ status: 'Error', code: 'HOST_NOT_ALLOWED', message: `Host '${req.headers.host}' is not allowed. Add it to ALLOWED_HOSTS to serve it.` });
+      }
+      const origin = req.headers.origin;
+      if (origin && !this.allowedOrigins.has(origin)) {
+        console.warn(`[AUTH] Rejected ${req.method} ${req.path} from origin '${origin}'`);
+        return res.status(403).json({ status: 'Error', code: 'ORIGIN_NOT_ALLOWED', message: `Origin '${origin}' is not allowed.` });
+      }
+      next();
+    };
+  }
+
+  /**
+   * Requires the launch token on every request it is mounted for (/api).
+   */
+  tokenGuard() {
+    return (req, res, next) => {
+      const bearer = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+      if (tokensMatch(req.headers[TOKEN_HEADER], this.token) || tokensMatch(bearer, this.token)) {
+        return next();
+      }
+      res.status(401).json({ status: 'Error', code: 'UNAUTHORIZED', message: 'Missing or invalid API token. Reload the editor page served by the backend.' });
+    };
+  }
+
+  /**
+   * Serves the HTML pages under rootDir with the token in a <meta> tag, so the
+   * frontend can send it. Other files fall through to express.static.
+   */
+  htmlWithToken(rootDir) {
+    const root = path.resolve(rootDir);
+    return async (req, res, next) => {
+      if (req.method !== 'GET' && req.method !== 'HEAD') return next();
+      let relative;
+      try {
+        relative = decodeURIComponent(req.path);
+      } catch (_) {
+        return next(); // Malformed escape; express.static answers it with a 400
+      }
+      if (relative.endsWith('/')) relative += 'index.html';
+      if (!relative.endsWith('.html')) return next();
+
+      const filePath = path.join(root, relative);
+      if (!filePath.startsWith(root + path.sep)) return next();
+
+      let html;
+      try {
+        html = await fs.readFile(filePath, 'utf8');
+      } catch (_) {
+        return next();
+      }
+      const meta = `<meta name="${TOKEN_META_NAME}" content="${this.token}">`;
+      html = /<head[^>]*>/i.test(html) ? html.replace(/<head[^>]*>/i, m => `${m}\n    ${meta}`) : meta + html;
+      // The token changes on every launch, so the page must not be cached
+      res.set('Cache-Control', 'no-store');
+      res.type('html').send(html);
+    };
+  }
+}
+
+module.exports = { ServerAuth, TOKEN_HEADER, TOKEN_META_NAME };
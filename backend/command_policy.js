@@ -0,0 +1,180 @@
+const path = require('path');
+const fsSync = require('fs');
+
+// =================================================================
+// === Shell Command Policy                                      ===
+// =================================================================
+// Decides whether a command from the model may run. The policy lives in a
+// project-level file (.ai-editor/command-policy.json) and is re-read whenever
+// the file changes on disk:
+//
+//   {
+//     "defaultAction": "approve",           // allow | approve | deny, for unmatched commands
+//     "allow": ["npm test", "git status"],   // command prefixes that run without asking
+//     "deny": ["rm\\s+-rf\\s+/(\\s|$)"],     // regular expressions that are always refused
+//     "requireApproval": ["git push"]        // prefixes that always need a user click
+//   }
+//
+// Deny rules win over everything; approval rules win over allow rules. A
+// chained command (`a && b | c`) is only allowed if every segment is allowed.
+
+const POLICY_RELATIVE_PATH = path.join('.ai-editor', 'command-policy.json');
+
+const DEFAULT_POLICY = {
+  defaultAction: 'approve',
+  // Generic script runners (npm run, make, just) are left out: the agent can
+  // write the script itself, so they would run anything without a prompt
+  allow: [
+    'ls', 'pwd', 'cat', 'head', 'tail', 'wc', 'grep', 'rg', 'find', 'echo', 'which',
+    'node --version', 'npm --version', 'npm test', 'npm ls', 'npx tsc', 'npx eslint', 'npx jest',
+    'yarn test', 'pnpm test',
+    'git status', 'git diff', 'git log', 'git show', 'git branch', 'git rev-parse',
+  ],
+  deny: [
+    'rm\\s+(-[a-zA-Z]*\\s+)*-[a-zA-Z]*[rR][a-zA-Z]*\\s+(-[a-zA-Z]*\\s+)*(/|~|\\$HOME|\\*)(\\s|$)',
+    '(curl|wget)\\b[^|]*\\|\\s*(sudo\\s+)?(ba|z|da|k)?sh\\b',
+    '\\bmkfs(\\.\\w+)?\\b',
+    '\\bdd\\b[^|]*\\bof=/dev/',
+    ':\\(\\)\\s*\\{\\s*:\\|:&\\s*\\};:',
+    '>\\s*/dev/sd[a-z]',
+    '\\b(shutdown|reboot|halt|poweroff)\\b',
+    '\\bchmod\\s+(-R\\s+)?777\\s+/(\\s|$)',
+  ],
+  requireApproval: [
+    'rm', 'sudo', 'git push', 'git reset --hard', 'git clean', 'npm publish', 'npm install', 'npm uninstall',
+    'yarn add', 'pnpm add', 'pip install', 'docker', 'kill',
+    'git branch -d', 'git branch -D', 'git branch --delete', 'git branch -m', 'git branch -M', 'git branch --move',
+    'git branch -c', 'git branch -C', 'git branch --copy', 'git branch -f', 'git branch --force',
+  ],
+};
+
+const VALID_ACTIONS = ['allow', 'approve', 'deny'];
+
+function normalizeCommand(command) {
+  return String(command || '').trim().replace(/\s+/g, ' ');
+}
+
+// Splits on shell control operators, background `&` and command/process
+// substitution. Quotes are not parsed, so quoted operators also split, which
+// only adds segments to check. The `&` of redirections (`2>&1`, `&>`) is not a
+// separator; redirections are handled in evaluate().
+function splitSegments(command) {
+  return command
+    .split(/&&|\|\||;|\||\n|`|\$\(|[<>]\(|(?<![<>&])&(?![>&])/)
+    .map(segment => segment.replace(/^[\s()]+|[\s()]+$/g, ''))
+    .filter(Boolean);
+}
+
+// Arguments that make otherwise harmless allow-listed commands delete, run or
+// write files (`find . -delete`, `find -exec`, `rg --pre ./script`, `git diff --output=...`)
+const DESTRUCTIVE_ARGUMENT = /(^|\s)(-delete|-exec|-execdir|-ok|-okdir|-fprint0?|-fprintf|-fls|--output|--pre|--pre-glob)(=|\s|$)/;
+
+// Redirections that cannot write a file
+const HARMLESS_REDIRECTION = /\d*>&\d+|\d*>\s*\/dev\/null(?=\s|$)/g;
+
+function matchesPrefix(segment, prefix) {
+  const p = normalizeCommand(prefix);
+  return segment === p || segment.startsWith(p + ' ');
+}
+
+class CommandPolicy {
+  constructor(projectRoot) {
+    this.projectRoot = projectRoot;
+    this.policyPath = process.env.COMMAND_POLICY_FILE || path.join(projectRoot, POLICY_RELATIVE_PATH);
+    this._cached = null;
+    this._cachedMtime = null;
+  }
+
+  /**
+   * Returns the effective policy, reloading the file if it changed.
+   * A malformed file falls back to the built-in defaults with a warning.
+   */
+  load() {
+    let stat = null;
+    try {
+      stat = fsSync.statSync(this.policyPath);
+    } catch (_) {
+      this._cached = { ...DEFAULT_POLICY, source: 'default' };
+      this._cachedMtime = null;
+      return this._cached;
+    }
+
+    if (this._cached && this._cachedMtime === stat.mtimeMs) {
+      return this._cached;
+    }
+
+    try {
+      const raw = JSON.parse(fsSync.readFileSync(this.policyPath, 'utf8'));
+      this._cached = {
+        defaultAction: VALID_ACTIONS.includes(raw.defaultAction) ? raw.defaultAction : DEFAULT_POLICY.defaultAction,
+        allow: Array.isArray(raw.allow) ? raw.allow : DEFAULT_POLICY.allow,
+        deny: Array.isArray(raw.deny) ? raw.deny : DEFAULT_POLICY.deny,
+        requireApproval: Array.isArray(raw.requireApproval) ? raw.requireApproval : DEFAULT_POLICY.requireApproval,
+        source: this.policyPath,
+      };
+    } catch (error) {
+      console.warn(`[POLICY] Could not parse ${this.policyPath}: ${error.message}. Using defaults.`);
+      this._cached = { ...DEFAULT_POLICY, source: 'default' };
+    }
+    this._cachedMtime = stat.mtimeMs;
+    return this._cached;
+  }
+
+  /**
+   * Evaluates a command against the policy.
+   * @param {string} command
+   * @returns {{ action: 'allow'|'approve'|'deny', reason: string, rule: string|null }}
+   */
+  evaluate(command) {
+    const policy = this.load();
+    const normalized = normalizeCommand(command);
+    if (!normalized) {
+      return { action: 'deny', reason: 'Empty command.', rule: null };
+    }
+
+    for (const pattern of policy.deny) {
+      let regex;
+      try {
+        regex = new RegExp(pattern, 'i');
+      } catch (error) {
+        console.warn(`[POLICY] Ignoring invalid deny pattern '${pattern}': ${error.message}`);
+        continue;
+      }
+      if (regex.test(normalized)) {
+        return { action: 'deny', reason: `Command matches denied pattern '${pattern}'.`, rule: pattern };
+      }
+    }
+
+    const segments = splitSegments(normalized);
+
+    for (const segment of segments) {
+      const rule = policy.requireApproval.find(prefix => matchesPrefix(segment, prefix));
+      if (rule) {
+        return { action: 'approve', reason: `'${segment}' requires approval (rule '${rule}').`, rule };
+      }
+    }
+
+    for (const segment of segments) {
+      if (DESTRUCTIVE_ARGUMENT.test(segment)) {
+        return { action: 'approve', reason: `'${segment}' uses an argument that can change files.`, rule: null };
+      }
+    }
+
+    // Output redirection can overwrite files, so it never counts as allow-listed;
+    // only duplicating a descriptor (`2>&1`) or discarding to /dev/null does.
+    const unlisted = segments.filter(segment =>
+      segment.replace(HARMLESS_REDIRECTION, '').includes('>')
+        || !policy.allow.some(prefix => matchesPrefix(segment, prefix)));
+    if (unlisted.length === 0) {
+      return { action: 'allow', reason: 'All parts of the command are on the allow list.', rule: null };
+    }
+
+    return {
+      action: policy.defaultAction,
+      reason: `'${unlisted[0]}' is not on the allow list (default action: ${policy.defaultAction}).`,
+      rule: null,
+    };
+  }
+}
+
+module.exports = { CommandPolicy, DEFAULT_POLICY, POLICY_RELATIVE_PATH };
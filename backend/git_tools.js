@@ -0,0 +1,379 @@
+const { execFile } = require('child_process');
+const path = require('path');
+const { getExecutionEnv } = require('./job_registry');
+
+// =================================================================
+// === Git Integration                                           ===
+// =================================================================
+// Runs git against the project root with execFile (no shell), and turns its
+// porcelain output into JSON so the agent and the UI don't parse raw text.
+
+const GIT_TIMEOUT_MS = 30000;
+const GIT_MAX_BUFFER = 20 * 1024 * 1024;
+const MAX_DIFF_CHARS = 200000;
+
+class GitError extends Error {
+  constructor(message, code = 'GIT_ERROR', stderr = '') {
+    super(message);
+    this.name = 'GitError';
+    this.code = code;
+    this.stderr = stderr;
+  }
+}
+
+function classifyGitError(stderr, fallback) {
+  const text = (stderr || '').toLowerCase();
+  if (text.includes('not a git repository')) {
+    return new GitError("The project is not a Git repository. Initialize it with 'git init'.", 'NOT_A_REPO', stderr);
+  }
+  if (text.includes('please tell me who you are') || text.includes('unable to auto-detect email')) {
+    return new GitError('Git author identity is not configured (user.name / user.email).', 'NO_IDENTITY', stderr);
+  }
+  if (text.includes('nothing to commit') || text.includes('no changes added to commit')) {
+    return new GitError('Nothing to commit. Stage changes with git_add first.', 'NOTHING_TO_COMMIT', stderr);
+  }
+  if (text.includes('unknown revision') || text.includes('bad revision') || text.includes('invalid object name')) {
+    return new GitError(`Unknown revision: ${stderr.trim()}`, 'BAD_REVISION', stderr);
+  }
+  if (text.includes('does not have any commits yet') || text.includes("ambiguous argument 'head'")) {
+    return new GitError('The repository has no commits yet.', 'NO_COMMITS', stderr);
+  }
+  return new GitError((stderr || '').trim() || fallback, 'GIT_ERROR', stderr);
+}
+
+function toArray(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// Refs and branch names come from the model, so keep them from being read as options.
+function assertSafeRef(ref, label = 'ref') {
+  if (typeof ref !== 'string' || !ref.trim() || ref.startsWith('-') || /[\s~^:?*\[\\]|\.\.\.|@\{/.test(ref.replace(/[~^]\d*$/, ''))) {
+    throw new GitError(`Invalid ${label}: '${ref}'`, 'INVALID_ARGUMENT');
+  }
+  return ref.trim();
+}
+
+/**
+ * Parses `git diff` output into files and hunks.
+ * @returns {Array<{path, oldPath, status, binary, additions, deletions, hunks: Array<{header, oldStart, oldLines, newStart, newLines, lines: string[]}>}>}
+ */
+function parseUnifiedDiff(text) {
+  const files = [];
+  let file = null;
+  let hunk = null;
+
+  for (const line of text.split('\n')) {
+    if (line.startsWith('diff --git ')) {
+      const match = line.match(/^diff --git a\/(.+) b\/(.+)$/);
+      file = {
+        path: match ? match[2] : line.slice(11),
+        oldPath: match ? match[1] : null,
+        status: 'modified',
+        binary: false,
+        additions: 0,
+        deletions: 0,
+        hunks: [],
+      };
+      hunk = null;
+      files.push(file);
+      continue;
+    }
+    if (!file) continue;
+
+    if (!hunk) {
+      if (line.startsWith('new file mode')) file.status = 'added';
+      else if (line.startsWith('deleted file mode')) file.status = 'deleted';
+      else if (line.startsWith('rename from ')) { file.status = 'renamed'; file.oldPath = line.slice(12); }
+      else if (line.startsWith('rename to ')) file.path = line.slice(10);
+      else if (line.startsWith('Binary files ')) file.binary = true;
+    }
+
+    const hunkMatch = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+    if (hunkMatch) {
+      hunk = {
+        header: line,
+        oldStart: parseInt(hunkMatch[1], 10),
+        oldLines: hunkMatch[2] === undefined ? 1 : parseInt(hunkMatch[2], 10),
+        newStart: parseInt(hunkMatch[3], 10),
+        newLines: hunkMatch[4] === undefined ? 1 : parseInt(hunkMatch[4], 10),
+        lines: [],
+      };
+      file.hunks.push(hunk);
+      continue;
+    }
+
+    if (hunk && (line.startsWith('+') || line.startsWith('-') || line.startsWith(' ') || line.startsWith('\\'))) {
+      hunk.lines.push(line);
+      if (line.startsWith('+')) file.additions++;
+      else if (line.startsWith('-')) file.deletions++;
+    }
+  }
+
+  for (const f of files) {
+    if (f.status !== 'renamed' && f.oldPath === f.path) f.oldPath = null;
+  }
+  return files;
+}
+
+const STATUS_NAMES = { M: 'modified', A: 'added', D: 'deleted', R: 'renamed', C: 'copied', T: 'type_changed', U: 'unmerged', '.': null };
+
+class GitTools {
+  constructor(projectRoot) {
+    this.projectRoot = projectRoot;
+  }
+
+  run(args, { allowFailure = false, input = null } = {}) {
+    return new Promise((resolve, reject) => {
+      const child = execFile('git', args, {
+        cwd: this.projectRoot,
+        env: { ...getExecutionEnv(), GIT_TERMINAL_PROMPT: '0', GIT_PAGER: 'cat' },
+        timeout: GIT_TIMEOUT_MS,
+        maxBuffer: GIT_MAX_BUFFER,
+      }, (error, stdout, stderr) => {
+        if (error && !allowFailure) {
+          if (error.code === 'ENOENT') {
+            return reject(new GitError('git is not installed or not on PATH.', 'GIT_NOT_FOUND'));
+          }
+          // Some failures (e.g. "nothing to commit") are reported on stdout
+          return reject(classifyGitError(stderr.trim() ? stderr : stdout, error.message));
+        }
+        resolve({ stdout, stderr, exitCode: error ? error.code : 0 });
+      });
+      if (input !== null) {
+        child.stdin.end(input);
+      }
+    });
+  }
+
+  // Paths are relative to the project root and may not escape it.
+  safePaths(paths) {
+    return toArray(paths).map(p => {
+      const normalized = path.normalize(String(p)).replace(/^(\.\.[\/\\])+/, '');
+      const full = path.join(this.projectRoot, normalized);
+      if (!full.startsWith(this.projectRoot)) {
+        throw new GitError(`Path outside the project: '${p}'`, 'INVALID_ARGUMENT');
+      }
+      return path.relative(this.projectRoot, full) || '.';
+    });
+  }
+
+  async status() {
+    const { stdout } = await this.run(['status', '--porcelain=v2', '--branch', '-z', '--untracked-files=all']);
+    const result = { branch: null, upstream: null, ahead: 0, behind: 0, detached: false, files: [] };
+    const entries = stdout.split('\0');
+
+    for (let i = 0; i < entries.length; i++) {
+      const entry = entries[i];
+      if (!entry) continue;
+
+      if (entry.startsWith('# branch.head ')) {
+        const head = entry.slice(14);
+        result.detached = head === '(detached)';
+        result.branch = result.detached ? null : head;
+      } else if (entry.startsWith('# branch.upstream ')) {
+        result.upstream = entry.slice(18);
+      } else if (entry.startsWith('# branch.ab ')) {
+        const match = entry.match(/\+(\d+) -(\d+)/);
+        if (match) { result.ahead = +match[1]; result.behind = +match[2]; }
+      } else if (entry.startsWith('1 ') || entry.startsWith('2 ')) {
+        const parts = entry.split(' ');
+        const xy = parts[1];
+        const isRename = entry.startsWith('2 ');
+        const filePath = parts.slice(isRename ? 9 : 8).join(' ');
+        const file = {
+          path: filePath,
+          origPath: isRename ? entries[++i] : null,
+          index: STATUS_NAMES[xy[0]] || null,
+          worktree: STATUS_NAMES[xy[1]] || null,
+        };
+        file.staged = file.index !== null;
+        file.unstaged = file.worktree !== null;
+        file.untracked = false;
+        file.conflicted = false;
+        result.files.push(file);
+      } else if (entry.startsWith('u ')) {
+        const parts = entry.split(' ');
+        result.files.push({ path: parts.slice(10).join(' '), origPath: null, index: 'unmerged', worktree: 'unmerged', staged: false, unstaged: true, untracked: false, conflicted: true });
+      } else if (entry.startsWith('? ')) {
+        result.files.push({ path: entry.slice(2), origPath: null, index: null, worktree: 'untracked', staged: false, unstaged: true, untracked: true, conflicted: false });
+      }
+    }
+
+    result.clean = result.files.length === 0;
+    return result;
+  }
+
+  /**
+   * @param {object} params - { path|paths, staged, ref, context }
+   */
+  async diff(params = {}) {
+    const args = ['diff', '--no-color', '--no-ext-diff', '-M'];
+    const context = parseInt(params.context, 10);
+    if (Number.isFinite(context) && context >= 0) args.push(`-U${Math.min(context, 50)}`);
+    if (params.staged) args.push('--cached');
+    if (params.ref) args.push(assertSafeRef(params.ref));
+    const paths = this.safePaths(params.paths || params.path);
+    args.push('--', ...paths);
+
+    const { stdout } = await this.run(args);
+    const truncated = stdout.length > MAX_DIFF_CHARS;
+    const files = parseUnifiedDiff(truncated ? stdout.slice(0, MAX_DIFF_CHARS) : stdout);
+    return {
+      staged: !!params.staged,
+      ref: params.ref || null,
+      files,
+      totalAdditions: files.reduce((n, f) => n + f.additions, 0),
+      totalDeletions: files.reduce((n, f) => n + f.deletions, 0),
+      truncated,
+    };
+  }
+
+  async add(params = {}) {
+    const paths = params.all ? ['.'] : this.safePaths(params.paths || params.path);
+    if (paths.length === 0) {
+      throw new GitError("Provide 'paths' to stage, or set 'all' to true.", 'INVALID_ARGUMENT');
+    }
+    await this.run(['add', '--', ...paths]);
+    return { staged: paths, status: await this.status() };
+  }
+
+  async unstage(params = {}) {
+    const paths = this.safePaths(params.paths || params.path);
+    if (paths.length === 0) {
+      throw new GitError("Provide 'paths' to unstage.", 'INVALID_ARGUMENT');
+    }
+    // `git reset` also works before the first commit, unlike `git restore --staged`
+    await this.run(['reset', '-q', '--', ...paths]);
+    return { unstaged: paths, status: await this.status() };
+  }
+
+  /**
+   * Stages (or with reverse=true, unstages) a single hunk by applying it to the index.
+   * @param {object} params - { path, hunk: { header, lines }, reverse }
+   */
+  async applyHunk(params = {}) {
+    const [relPath] = this.safePaths(params.path);
+    const hunk = params.hunk;
+    if (!relPath || !hunk || !hunk.header || !Array.isArray(hunk.lines)) {
+      throw new GitError("Parameters 'path' and 'hunk' ({ header, lines }) are required.", 'INVALID_ARGUMENT');
+    }
+    const gitPath = relPath.split(path.sep).join('/');
+    const patch = [
+      `diff --git a/${gitPath} b/${gitPath}`,
+      `--- a/${gitPath}`,
+      `+++ b/${gitPath}`,
+      hunk.header,
+      ...hunk.lines,
+      '',
+    ].join('\n');
+
+    const args = ['apply', '--cached', '--recount', '--whitespace=nowarn'];
+    if (params.reverse) args.push('--reverse');
+    args.push('-');
+    await this.run(args, { input: patch });
+    return { path: relPath, reverse: !!params.reverse, status: await this.status() };
+  }
+
+  async commit(params = {}) {
+    const message = (params.message || '').trim();
+    if (!message) {
+      throw new GitError("A commit 'message' is required.", 'INVALID_ARGUMENT');
+    }
+    const args = ['commit', '-m', message];
+    if (params.all) args.push('-a');
+    await this.run(args);
+    const [commit] = (await this.log({ limit: 1 })).commits;
+    return { commit };
+  }
+
+  /**
+   * Paths whose working tree content differs from 'ref', i.e. the files that
+   * checking out 'ref' would rewrite, create or delete.
+   * @param {object} params - { ref }
+   */
+  async changedFiles(params = {}) {
+    const ref = assertSafeRef(params.ref);
+    const { stdout } = await this.run(['diff', '--name-only', '--no-renames', '-z', ref, '--']);
+    return { ref, paths: stdout.split('\0').filter(Boolean) };
+  }
+
+  async checkoutBranch(params = {}) {
+    const branch = assertSafeRef(params.branch, 'branch name');
+    const args = ['checkout'];
+    if (params.create) args.push('-b');
+    args.push(branch);
+    if (params.create && params.start_point) args.push(assertSafeRef(params.start_point, 'start point'));
+    await this.run(args);
+    const status = await this.status();
+    return { branch: status.branch, created: !!params.create, status };
+  }
+
+  async log(params = {}) {
+    const limit = Math.min(Math.max(parseInt(params.limit, 10) || 20, 1), 200);
+    const sep = '\x1f';
+    const args = ['log', `-n${limit}`, `--pretty=format:%H${sep}%h${sep}%an${sep}%ae${sep}%aI${sep}%P${sep}%s\x1e`];
+    if (params.ref) args.push(assertSafeRef(params.ref));
+    const paths = this.safePaths(params.paths || params.path);
+    // git only follows renames for a single path
+    if (paths.length === 1) args.push('--follow');
+    if (paths.length) args.push('--', ...paths);
+
+    const { stdout } = await this.run(args);
+    const commits = stdout.split('\x1e').map(s => s.trim()).filter(Boolean).map(record => {
+      const [hash, shortHash, author, email, date, parents, subject] = record.split(sep);
+      return { hash, shortHash, author, email, date, parents: parents ? parents.split(' ') : [], subject };
+    });
+    return { commits };
+  }
+
+  /**
+   * Shows a commit (metadata + parsed diff), or a file's content at a revision when 'path' is given.
+   */
+  async show(params = {}) {
+    const ref = assertSafeRef(params.ref || 'HEAD');
+
+    if (params.path) {
+      const [relPath] = this.safePaths(params.path);
+      const { stdout, exitCode } = await this.run(['show', `${ref}:${relPath.split(path.sep).join('/')}`], { allowFailure: true });
+      if (exitCode !== 0) {
+        return { ref, path: relPath, exists: false, content: '' };
+      }
+      return { ref, path: relPath, exists: true, content: stdout };
+    }
+
+    const sep = '\x1f';
+    const { stdout } = await this.run(['show', '--no-color', '--no-ext-diff', '-M', `--pretty=format:%H${sep}%an${sep}%ae${sep}%aI${sep}%P${sep}%B\x1e`, ref]);
+    const [meta, diffText = ''] = stdout.split('\x1e');
+    const [hash, author, email, date, parents, body] = meta.split(sep);
+    const truncated = diffText.length > MAX_DIFF_CHARS;
+    return {
+      hash,
+      author,
+      email,
+      date,
+      parents: parents ? parents.split(' ') : [],
+      message: (body || '').trim(),
+      files: parseUnifiedDiff(truncated ? diffText.slice(0, MAX_DIFF_CHARS) : diffText),
+      truncated,
+    };
+  }
+}
+
+// Maps agent tool names to GitTools methods.
+const GIT_TOOL_METHODS = {
+  git_status: 'status',
+  git_diff: 'diff',
+  git_add: 'add',
+  git_commit: 'commit',
+  git_checkout_branch: 'checkoutBranch',
+  git_log: 'log',
+  git_show: 'show',
+  // Used by the Source Control panel; not declared to the model
+  git_unstage: 'unstage',
+  git_apply_hunk: 'applyHunk',
+  // Used for checkpoints before a checkout
+  git_changed_files: 'changedFiles',
+};
+
+module.exports = { GitTools, GitError, GIT_TOOL_METHODS, parseUnifiedDiff };
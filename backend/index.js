@@ -1,179 +1,83 @@
 const express = require('express');
 const path = require('path');
-const os = require('os');
-const { exec } = require('child_process');
-const axios = require('axios');
-const cheerio = require('cheerio');
-const { URL } = require('url');
 const fs = require('fs').promises;
 const prettier = require('prettier');
-
-const USER_AGENTS = [
-  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/108.0.0.0 Safari/537.36",
-  "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/108.0.0.0 Safari/537.36",
-  "Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/108.0.0.0 Safari/537.36",
-  "Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:107.0) Gecko/20100101 Firefox/107.0",
-  "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/16.1 Safari/605.1.15",
-  "Mozilla/5.0 (iPhone; CPU iPhone OS 16_1_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/16.1 Mobile/15E148 Safari/604.1",
-  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/107.0.0.0 Safari/537.36 Edg/107.0.1418.62",
-  "Mozilla/5.0 (Windows NT 10.0; WOW64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/108.0.0.0 Safari/537.36",
-  "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/107.0.0.0 Safari/537.36",
-  "Mozilla/5.0 (X11; Linux x86_64; rv:102.0) Gecko/20100101 Firefox/102.0",
-  "Mozilla/5.0 (Linux; Android 13; SM-A536U) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/108.0.0.0 Mobile Safari/537.36",
-  "Mozilla/5.0 (Linux; Android 13; Pixel 6) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/108.0.0.0 Mobile Safari/537.36",
-  "Mozilla/5.0 (Windows NT 6.1; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/108.0.0.0 Safari/537.36",
-  "Mozilla/5.0 (iPad; CPU OS 16_1_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) CriOS/108.0.5359.112 Mobile/15E148 Safari/604.1",
-  "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_14_6) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/108.0.0.0 Safari/537.36",
-  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/108.0.0.0 Safari/537.36 Vivaldi/5.5.2805.50",
-  "Mozilla/5.0 (X11; Ubuntu; Linux x86_64; rv:107.0) Gecko/20100101 Firefox/107.0",
-  "Mozilla/5.0 (iPhone; CPU iPhone OS 15_7_1 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/15.6.3 Mobile/15E148 Safari/604.1",
-  "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_13_6) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/108.0.0.0 Safari/537.36",
-  "Mozilla/5.0 (Linux; Android 12; SM-G991U) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/108.0.0.0 Mobile Safari/537.36"
-];
-
-class RateLimiter {
-  constructor(requestsPerMinute = 30) {
-    this.requestsPerMinute = requestsPerMinute;
-    this.requests = [];
-  }
-
-  async acquire() {
-    const now = new Date();
-    this.requests = this.requests.filter(req => now - req < 60 * 1000);
-    if (this.requests.length >= this.requestsPerMinute) {
-      const waitTime = 60 - (now - this.requests[0]) / 1000;
-      if (waitTime > 0) {
-        await new Promise(resolve => setTimeout(resolve, waitTime * 1000));
-      }
-    }
-    this.requests.push(now);
-  }
-}
-
-class SearchResult {
-  constructor(title, link, snippet, position) {
-    this.title = title;
-    this.link = link;
-    this.snippet = snippet;
-    this.position = position;
-  }
-}
-
-class DuckDuckGoSearcher {
-  constructor() {
-    this.BASE_URL = "https://html.duckduckgo.com/html";
-    this.rateLimiter = new RateLimiter();
-  }
-
-  async search(query, maxResults = 10, maxRetries = 5) {
-    for (let i = 0; i < maxRetries; i++) {
-      try {
-        await this.rateLimiter.acquire();
-        console.log(`[BACKEND] Searching DuckDuckGo for: ${query} (Attempt ${i + 1})`);
-
-        const data = new URLSearchParams({ q: query, b: "", kl: "" });
-        const response = await axios.post(this.BASE_URL, data.toString(), {
-          headers: {
-            "User-Agent": USER_AGENTS[Math.floor(Math.random() * USER_AGENTS.length)],
-            'Content-Type': 'application/x-www-form-urlencoded'
-          },
-          timeout: 30000
-        });
-
-        const $ = cheerio.load(response.data);
-        if (!$) {
-            console.error("[BACKEND] Failed to parse HTML response");
-            continue;
-        }
-
-        const results = [];
-        $('.result').each((idx, element) => {
-          if (results.length >= maxResults) return false;
-
-          const titleElem = $(element).find('.result__title a');
-          const snippetElem = $(element).find('.result__snippet');
-          if (!titleElem.length) return true;
-
-          const title = titleElem.text().trim();
-          let link = titleElem.attr('href');
-          
-          if (link && link.includes('y.js')) return true;
-
-          if (link && link.startsWith('//duckduckgo.com/l/?uddg=')) {
-            link = decodeURIComponent(link.split('uddg=')[1].split('&')[0]);
-          }
-
-          const snippet = snippetElem.length ? snippetElem.text().trim() : "";
-          results.push(new SearchResult(title, link, snippet, results.length + 1));
-        });
-
-        if (results.length > 0) {
-            console.log(`[BACKEND] Successfully found ${results.length} results on attempt ${i + 1}`);
-            return results;
-        }
-        console.log(`[BACKEND] Attempt ${i + 1} returned no results, retrying...`);
-      } catch (error) {
-        if (error.code === 'ECONNABORTED') {
-            console.error(`[BACKEND] Search request timed out on attempt ${i + 1}`);
-        } else if (error.response) {
-            console.error(`[BACKEND] HTTP error on attempt ${i + 1}: ${error.message}`);
-        } else {
-            console.error(`[BACKEND] Unexpected error on attempt ${i + 1}: ${error.message}`);
-        }
-        if (i === maxRetries - 1) {
-            console.error("[BACKEND] Max retries reached. Search failed.");
-            throw new Error("Failed to fetch search results after multiple retries.");
-        }
-      }
-    }
-    return [];
-  }
-}
+const { JobRegistry } = require('./job_registry');
+const { CommandPolicy } = require('./command_policy');
+const { GitTools, GIT_TOOL_METHODS } = require('./git_tools');
+const { SearchService } = require('./search_providers');
+const { UrlReader } = require('./url_reader');
+const { ServerAuth } = require('./auth');
 
 const app = express();
 const port = 3333;
-
+// Set BIND_HOST=127.0.0.1 to accept connections from this machine only
+const bindHost = process.env.BIND_HOST || undefined;
+const serverAuth = new ServerAuth({ port, bindHost });
+const frontendDir = path.join(__dirname, '../frontend');
+const jobRegistry = new JobRegistry();
+const commandPolicy = new CommandPolicy(path.join(__dirname, '..'));
+const gitTools = new GitTools(path.join(__dirname, '..'));
+const searchService = new SearchService(path.join(__dirname, '..'));
+const urlReader = new UrlReader();
+
+app.use(serverAuth.requestGuard());
 app.use(express.json());
-app.use(express.static(path.join(__dirname, '../frontend')));
-
+app.use('/api', serverAuth.tokenGuard());
+app.use(serverAuth.htmlWithToken(frontendDir));
+app.use(express.static(frontendDir));
+
+const READ_URL_ERROR_STATUS = {
+  INVALID_URL: 400,
+  BLOCKED_ADDRESS: 403,
+  TOO_LARGE: 413,
+  UNSUPPORTED_CONTENT_TYPE: 415,
+  TOO_MANY_REDIRECTS: 502,
+  FETCH_FAILED: 502,
+};
+
+// Accepts { url, page, pageSize, allowPrivateNetwork } and returns one page of
+// the content as Markdown. Private network addresses are refused unless the
+// request (Settings) or READ_URL_ALLOW_PRIVATE=1 allows them.
 app.post('/api/read-url', async (req, res) => {
-  const { url } = req.body;
+  const { url, page, pageSize, allowPrivateNetwork } = req.body;
   if (!url) return res.status(400).json({ error: 'URL is required' });
 
   try {
-    const response = await axios.get(url, {
-      headers: { 
-        'User-Agent': USER_AGENTS[Math.floor(Math.random() * USER_AGENTS.length)],
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-        'Accept-Language': 'en-US,en;q=0.5',
-        'Referer': 'https://www.google.com/',
-        'DNT': '1',
-        'Connection': 'keep-alive',
-        'Upgrade-Insecure-Requests': '1'
-      }
-    });
-    const $ = cheerio.load(response.data);
-    $('script, style, header, footer, nav, aside').remove();
-    let content = $('body').text().replace(/\s\s+/g, ' ').trim();
-    const links = Array.from($('a')).map(el => $(el).attr('href')).filter(Boolean);
-    res.json({ content, links });
+    res.json(await urlReader.read(url, { page, pageSize, allowPrivate: allowPrivateNetwork }));
   } catch (error) {
     console.error(`[BACKEND] Error fetching URL ${url}:`, error.message);
-    res.status(500).json({ message: `Failed to process URL: ${error.message}` });
+    res.status(READ_URL_ERROR_STATUS[error.code] || 500).json({ message: `Failed to process URL: ${error.message}`, code: error.code });
   }
 });
 
-const searcher = new DuckDuckGoSearcher();
-app.post('/api/duckduckgo-search', async (req, res) => {
-  const { query } = req.body;
+// Accepts { query, maxResults, searchConfig } where searchConfig carries the
+// provider and credentials chosen in the Settings panel.
+async function handleWebSearch(req, res) {
+  const { query, maxResults, searchConfig } = req.body;
   if (!query) return res.status(400).json({ error: 'Query is required' });
 
   try {
-    const results = await searcher.search(query);
-    res.json({ results });
+    const limit = Math.min(Math.max(parseInt(maxResults, 10) || 10, 1), 50);
+    const { results, provider, cached } = await searchService.search(query, { maxResults: limit, config: searchConfig });
+    res.json({ results, provider, cached });
   } catch (error) {
-    console.error(`[BACKEND] Error searching DuckDuckGo for "${query}":`, error.message);
-    res.status(500).json({ message: `Failed to perform search: ${error.message}` });
+    console.error(`[BACKEND] Error searching for "${query}":`, error.message);
+    const clientError = ['NOT_CONFIGURED', 'UNKNOWN_PROVIDER'].includes(error.code);
+    res.status(clientError ? 400 : 500).json({ message: `Failed to perform search: ${error.message}`, code: error.code });
+  }
+}
+
+app.post('/api/web-search', handleWebSearch);
+// Kept for older clients; uses the configured provider like /api/web-search
+app.post('/api/duckduckgo-search', handleWebSearch);
+
+app.post('/api/web-search/clear-cache', async (req, res) => {
+  try {
+    await searchService.cache.clear();
+    res.json({ status: 'Success', message: 'Search cache cleared.' });
+  } catch (error) {
+    res.status(500).json({ status: 'Error', message: error.message });
   }
 });
 
@@ -183,6 +87,33 @@ app.post('/api/duckduckgo-search', async (req, res) => {
 
 
 
+// =================================================================
+// === Command Policy Endpoints                                  ===
+// =================================================================
+
+// Returns an error payload if the policy blocks the command, or null if it may run.
+function checkCommandPolicy(command, approved) {
+  const decision = commandPolicy.evaluate(command);
+  if (decision.action === 'deny') {
+    console.warn(`[POLICY] Denied '${command}': ${decision.reason}`);
+    return { status: 'Error', code: 'COMMAND_DENIED', message: `Command denied by policy: ${decision.reason}`, rule: decision.rule };
+  }
+  if (decision.action === 'approve' && !approved) {
+    return { status: 'Error', code: 'APPROVAL_REQUIRED', message: `Command requires user approval: ${decision.reason}`, rule: decision.rule };
+  }
+  return null;
+}
+
+app.get('/api/command-policy', (req, res) => {
+  res.json({ status: 'Success', policy: commandPolicy.load() });
+});
+
+app.post('/api/command-policy/evaluate', (req, res) => {
+  const { command } = req.body || {};
+  if (!command) return res.status(400).json({ status: 'Error', message: "A 'command' parameter is required." });
+  res.json({ status: 'Success', decision: commandPolicy.evaluate(command) });
+});
+
 // =================================================================
 // === Backend Terminal Tool Execution Endpoint                  ===
 // =================================================================
@@ -191,7 +122,7 @@ app.post('/api/execute-tool', async (req, res) => {
 
   const validBackendTools = [
     'run_terminal_command',
-    'get_file_history',
+    ...Object.keys(GIT_TOOL_METHODS),
     // Added filesystem tools
     'create_folder',
     'rename_folder',
@@ -285,75 +216,67 @@ app.post('/api/execute-tool', async (req, res) => {
     }
   }
 
-  let command;
-  if (toolName === 'get_file_history') {
-    // Accept both 'filename' and 'path' for flexibility
-    const fileParam = (parameters && (parameters.filename || parameters.path)) || null;
-    if (!fileParam) {
-      return res.status(400).json({ status: 'Error', message: "A 'filename' or 'path' parameter is required for get_file_history." });
-    }
-    // Sanitize filename to prevent command injection
-    const sanitizedFilename = JSON.stringify(fileParam);
-    command = `git log --pretty=format:'%H|%an|%ad|%s' -- ${sanitizedFilename}`;
-  } else { // run_terminal_command
-    if (!parameters.command) {
-      return res.status(400).json({ status: 'Error', message: "A 'command' parameter is required for run_terminal_command." });
+  // Git tools run git directly (no shell) and return structured JSON
+  if (GIT_TOOL_METHODS[toolName]) {
+    try {
+      const result = await gitTools[GIT_TOOL_METHODS[toolName]](parameters || {});
+      return res.json({ status: 'Success', result });
+    } catch (e) {
+      console.error(`[BACKEND] ${toolName} failed: ${e.message}`);
+      const httpStatus = e.code === 'INVALID_ARGUMENT' ? 400 : 500;
+      return res.status(httpStatus).json({ status: 'Error', code: e.code || 'GIT_ERROR', message: e.message, stderr: e.stderr });
     }
-    command = parameters.command;
   }
 
-  const isWindows = os.platform() === 'win32';
-  
+  // run_terminal_command
+  if (!parameters || !parameters.command) {
+    return res.status(400).json({ status: 'Error', message: "A 'command' parameter is required for run_terminal_command." });
+  }
+  const command = parameters.command;
+
+  const policyError = checkCommandPolicy(command, parameters.approved === true);
+  if (policyError) {
+    return res.status(403).json(policyError);
+  }
+
   // Set the working directory to the project root, which is one level above the backend directory.
   // This ensures commands like 'git' execute in the correct context.
   const executionCwd = path.join(__dirname, '..');
 
-  // Create a robust environment, ensuring a sane PATH for command execution.
-  const executionEnv = {
-    ...process.env,
-    PATH: isWindows
-      ? process.env.PATH
-      : `${process.env.PATH}:/usr/bin:/bin:/usr/sbin:/sbin:/usr/local/bin`,
-  };
-
-  const execOptions = {
-    // The 'cwd' option can be unreliable with explicit shell invocation.
-    // Instead, we'll 'cd' as part of the command itself.
-    env: executionEnv,
-    shell: isWindows ? 'powershell.exe' : '/bin/bash',
-  };
+  console.log(`[BACKEND] Executing command: '${command}' in '${executionCwd}'`);
 
-  // Force execution in the project root by prepending 'cd' to the command.
-  const finalCommand = isWindows
-    ? `cd "${executionCwd}"; ${command}`
-    : `cd "${executionCwd}" && ${command}`;
-
-  console.log(`[BACKEND] Executing command: '${finalCommand}' in '${executionCwd}'`);
+  let job;
+  try {
+    job = jobRegistry.start(command, {
+      cwd: executionCwd,
+      turnId: parameters.turnId,
+      timeoutMs: parameters.timeoutMs,
+      maxOutputBytes: parameters.maxOutputBytes,
+    });
+  } catch (error) {
+    return res.status(500).json({ status: 'Error', message: `Failed to start command: ${error.message}` });
+  }
 
-  // The command is now wrapped to ensure it runs in the correct directory.
-  const shellCommand = isWindows
-    ? `powershell.exe -Command "& {${finalCommand}}"`
-    : `/bin/bash -c "${finalCommand.replace(/"/g, '\\"')}"`;
+  job.once('exit', ({ code, status }) => {
+    const { stdout, stderr } = job;
 
-  exec(shellCommand, execOptions, (error, stdout, stderr) => {
-    if (error) {
-      console.error(`[BACKEND] Execution error for '${toolName}': ${error.message}`);
+    if (status !== 'completed') {
+      console.error(`[BACKEND] Execution error for '${toolName}': ${status} (exit code ${code})`);
       console.error(`[BACKEND] Stderr: ${stderr}`);
-      
-      let specificMessage = `Command failed with exit code ${error.code}.`;
-      if (toolName === 'get_file_history') {
-          if (stderr.toLowerCase().includes('not a git repository')) {
-              specificMessage = "Error: The current project is not a Git repository. Please initialize it with 'git init'.";
-          } else if (stderr.toLowerCase().includes("does not have any commits") || stderr.toLowerCase().includes("exists on disk, but not in 'head'")) {
-              specificMessage = "Error: The specified file is not tracked by Git or has no commit history.";
-          } else {
-              specificMessage = "An unknown Git error occurred. Check the backend logs for more details.";
-          }
+
+      let specificMessage = `Command failed with exit code ${code}.`;
+      if (status === 'timed_out') {
+        specificMessage = `Command timed out after ${job.timeoutMs}ms and was terminated.`;
+      } else if (status === 'killed' || status === 'cancelled') {
+        specificMessage = `Command was ${status} before it finished.`;
+      } else if (job.error) {
+        specificMessage = `Command could not be started: ${job.error}`;
       }
 
       return res.status(500).json({
         status: 'Error',
         message: specificMessage,
+        jobId: job.id,
         output: `stdout: ${stdout}\nstderr: ${stderr}`,
       });
     }
@@ -363,10 +286,104 @@ app.post('/api/execute-tool', async (req, res) => {
       console.warn(`[TERMINAL] stderr: ${stderr}`);
     }
 
-    res.json({ status: 'Success', output: stdout });
+    res.json({ status: 'Success', jobId: job.id, output: stdout, outputTruncated: job.outputTruncated });
   });
 });
 
+// =================================================================
+// === Streaming Terminal Execution Endpoint (SSE)               ===
+// =================================================================
+// Streams stdout/stderr chunks as Server-Sent Events while the command runs:
+//   event: start      data: { jobId, pid, timeoutMs, maxOutputBytes }
+//   event: stdout     data: { chunk }
+//   event: stderr     data: { chunk }
+//   event: truncated  data: { maxOutputBytes }
+//   event: exit       data: { code, signal, status }
+//   event: error      data: { message }
+// The request is a POST (EventSource cannot send a body), so clients read the
+// response with fetch() and parse the event stream themselves.
+app.post('/api/execute-command-stream', (req, res) => {
+  const { command, turnId, timeoutMs, maxOutputBytes, approved } = req.body || {};
+  if (!command || typeof command !== 'string') {
+    return res.status(400).json({ status: 'Error', message: "A 'command' parameter is required." });
+  }
+
+  const policyError = checkCommandPolicy(command, approved === true);
+  if (policyError) {
+    return res.status(403).json(policyError);
+  }
+
+  const executionCwd = path.join(__dirname, '..');
+  console.log(`[BACKEND] Streaming command: '${command}' in '${executionCwd}'`);
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  const sendEvent = (event, data) => {
+    if (res.writableEnded) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  let job;
+  try {
+    job = jobRegistry.start(command, { cwd: executionCwd, turnId, timeoutMs, maxOutputBytes });
+  } catch (error) {
+    sendEvent('error', { message: error.message });
+    return res.end();
+  }
+
+  sendEvent('start', { jobId: job.id, pid: job.pid, timeoutMs: job.timeoutMs, maxOutputBytes: job.maxOutputBytes });
+
+  job.on('output', ({ stream, chunk }) => sendEvent(stream, { chunk }));
+  job.once('truncated', (data) => sendEvent('truncated', data));
+  job.once('exit', ({ code, signal, status }) => {
+    if (job.error) sendEvent('error', { message: job.error });
+    sendEvent('exit', { code, signal, status });
+    res.end();
+  });
+
+  // Stop the process if the client goes away before it finishes.
+  res.on('close', () => {
+    if (job.status === 'running') {
+      console.warn(`[BACKEND] Client disconnected, terminating job ${job.id}`);
+      job.kill('cancelled');
+    }
+  });
+});
+
+// =================================================================
+// === Command Job Routes                                        ===
+// =================================================================
+app.get('/api/jobs', (req, res) => {
+  res.json({ status: 'Success', jobs: jobRegistry.list() });
+});
+
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobRegistry.get(req.params.id);
+  if (!job) return res.status(404).json({ status: 'Error', message: `Job '${req.params.id}' not found.` });
+  const includeOutput = req.query.output === '1' || req.query.output === 'true';
+  res.json({ status: 'Success', job: job.toJSON({ includeOutput }) });
+});
+
+app.post('/api/jobs/:id/kill', (req, res) => {
+  const job = jobRegistry.kill(req.params.id);
+  if (!job) return res.status(404).json({ status: 'Error', message: `Job '${req.params.id}' not found.` });
+  res.json({ status: 'Success', job: job.toJSON() });
+});
+
+// Kills every running job started for a chat turn (used by the chat Cancel button).
+app.post('/api/jobs/kill-turn', (req, res) => {
+  const { turnId } = req.body || {};
+  if (!turnId) return res.status(400).json({ status: 'Error', message: "A 'turnId' is required." });
+  const killed = jobRegistry.killByTurn(turnId);
+  res.json({ status: 'Success', killed });
+});
+
 // =================================================================
 // === Code Formatting Endpoint                                  ===
 // =================================================================
@@ -420,10 +437,19 @@ app.post('/api/format-code', async (req, res) => {
 
 
 async function initializeApp() {
-  app.listen(port, () => {
-    console.log(`Backend server listening at http://localhost:${port}`);
-    console.log('Navigate to http://localhost:3333 to open the editor.');
+  app.listen(port, bindHost, () => {
+    console.log(`Backend server listening at http://${bindHost || 'localhost'}:${port}${bindHost ? '' : ' (all interfaces)'}`);
+    console.log(`Navigate to http://localhost:${port} to open the editor.`);
+    console.log(`API token for this launch: ${serverAuth.token}`);
   });
+
+  // Don't leave spawned commands running when the server stops.
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.once(signal, async () => {
+      await jobRegistry.shutdown();
+      process.exit(0);
+    });
+  }
 }
 
 initializeApp();
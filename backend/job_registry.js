@@ -0,0 +1,277 @@
+const { spawn } = require('child_process');
+const { EventEmitter } = require('events');
+const os = require('os');
+
+// =================================================================
+// === Backend Command Job Registry                              ===
+// =================================================================
+// Every shell command started by the backend is tracked as a job with an id,
+// a timeout and an output cap, so it can be listed, inspected and killed.
+
+const DEFAULT_TIMEOUT_MS = parseInt(process.env.COMMAND_TIMEOUT_MS, 10) || 5 * 60 * 1000;
+const MAX_TIMEOUT_MS = parseInt(process.env.COMMAND_MAX_TIMEOUT_MS, 10) || 60 * 60 * 1000;
+const DEFAULT_MAX_OUTPUT_BYTES = parseInt(process.env.COMMAND_MAX_OUTPUT_BYTES, 10) || 1024 * 1024;
+const MAX_OUTPUT_BYTES_LIMIT = 50 * 1024 * 1024;
+const FINISHED_JOB_TTL_MS = 10 * 60 * 1000;
+const KILL_GRACE_MS = 3000;
+
+// Create a robust environment, ensuring a sane PATH for command execution.
+function getExecutionEnv() {
+  const isWindows = os.platform() === 'win32';
+  return {
+    ...process.env,
+    PATH: isWindows
+      ? process.env.PATH
+      : `${process.env.PATH}:/usr/bin:/bin:/usr/sbin:/sbin:/usr/local/bin`,
+  };
+}
+
+// Spawns a shell command. Arguments are passed to the shell as-is, so no quote
+// escaping is needed. On POSIX the shell leads its own process group so that
+// killing the job also stops anything it started (e.g. `npm test` -> jest).
+function spawnShellCommand(command, cwd) {
+  const isWindows = os.platform() === 'win32';
+  const shell = isWindows ? 'powershell.exe' : '/bin/bash';
+  const args = isWindows ? ['-NoProfile', '-Command', command] : ['-c', command];
+  return spawn(shell, args, { cwd, env: getExecutionEnv(), windowsHide: true, detached: !isWindows });
+}
+
+function clampNumber(value, fallback, max) {
+  const n = parseInt(value, 10);
+  if (!Number.isFinite(n) || n <= 0) return fallback;
+  return Math.min(n, max);
+}
+
+/**
+ * A single running (or finished) command.
+ * Emits 'output' ({ stream, chunk }), 'truncated' and 'exit' ({ code, signal, status }).
+ */
+class CommandJob extends EventEmitter {
+  constructor({ id, command, cwd, turnId, timeoutMs, maxOutputBytes }) {
+    super();
+    this.id = id;
+    this.command = command;
+    this.cwd = cwd;
+    this.turnId = turnId || null;
+    this.timeoutMs = timeoutMs;
+    this.maxOutputBytes = maxOutputBytes;
+    this.status = 'running';
+    this.pid = null;
+    this.exitCode = null;
+    this.signal = null;
+    this.startedAt = Date.now();
+    this.endedAt = null;
+    this.stdout = '';
+    this.stderr = '';
+    this.outputBytes = 0;
+    this.outputTruncated = false;
+    this.error = null;
+    this._child = null;
+    this._timer = null;
+    this._killTimer = null;
+    this._stopReason = null;
+  }
+
+  start() {
+    const child = spawnShellCommand(this.command, this.cwd);
+    this._child = child;
+    this.pid = child.pid;
+
+    child.stdout.setEncoding('utf8');
+    child.stderr.setEncoding('utf8');
+    child.stdout.on('data', (chunk) => this._onOutput('stdout', chunk));
+    child.stderr.on('data', (chunk) => this._onOutput('stderr', chunk));
+
+    child.on('error', (error) => {
+      this.error = error.message;
+      // 'close' does not always follow a spawn failure
+      if (this.pid === undefined) this._finish(null, null);
+    });
+    child.on('close', (code, signal) => this._finish(code, signal));
+
+    this._timer = setTimeout(() => {
+      console.warn(`[JOBS] Job ${this.id} exceeded ${this.timeoutMs}ms, terminating`);
+      this.kill('timeout');
+    }, this.timeoutMs);
+  }
+
+  _onOutput(stream, chunk) {
+    if (this.outputTruncated) return;
+    const size = Buffer.byteLength(chunk);
+    if (this.outputBytes + size > this.maxOutputBytes) {
+      const remaining = Math.max(0, this.maxOutputBytes - this.outputBytes);
+      chunk = Buffer.from(chunk).subarray(0, remaining).toString('utf8');
+      this.outputTruncated = true;
+    }
+    this.outputBytes += Buffer.byteLength(chunk);
+    if (chunk) {
+      this[stream] += chunk;
+      this.emit('output', { stream, chunk });
+    }
+    if (this.outputTruncated) {
+      this.emit('truncated', { maxOutputBytes: this.maxOutputBytes });
+    }
+  }
+
+  /**
+   * Stops the job: SIGTERM first, SIGKILL if it is still alive after a grace period.
+   * @param {string} reason - 'killed' | 'timeout' | 'cancelled'
+   */
+  kill(reason = 'killed') {
+    if (this.status !== 'running' || !this._child) return false;
+    this._stopReason = reason;
+    this._signal('SIGTERM');
+    this._killTimer = setTimeout(() => this._signal('SIGKILL'), KILL_GRACE_MS);
+    return true;
+  }
+
+  _signal(signal) {
+    try {
+      if (os.platform() !== 'win32' && this.pid) {
+        process.kill(-this.pid, signal);
+      } else {
+        this._child?.kill(signal);
+      }
+    } catch (error) {
+      if (error.code !== 'ESRCH') {
+        console.error(`[JOBS] Failed to send ${signal} to job ${this.id}: ${error.message}`);
+      }
+    }
+  }
+
+  _finish(code, signal) {
+    if (this.status !== 'running') return;
+    clearTimeout(this._timer);
+    clearTimeout(this._killTimer);
+    this.exitCode = code;
+    this.signal = signal;
+    this.endedAt = Date.now();
+    if (this._stopReason === 'timeout') this.status = 'timed_out';
+    else if (this._stopReason) this.status = this._stopReason;
+    else if (this.error && code === null) this.status = 'failed';
+    else this.status = code === 0 ? 'completed' : 'failed';
+    this._child = null;
+    this.emit('exit', { code, signal, status: this.status });
+  }
+
+  toJSON({ includeOutput = false } = {}) {
+    const summary = {
+      id: this.id,
+      command: this.command,
+      turnId: this.turnId,
+      status: this.status,
+      pid: this.pid,
+      exitCode: this.exitCode,
+      signal: this.signal,
+      startedAt: this.startedAt,
+      endedAt: this.endedAt,
+      durationMs: (this.endedAt || Date.now()) - this.startedAt,
+      timeoutMs: this.timeoutMs,
+      maxOutputBytes: this.maxOutputBytes,
+      outputBytes: this.outputBytes,
+      outputTruncated: this.outputTruncated,
+      error: this.error,
+    };
+    if (includeOutput) {
+      summary.stdout = this.stdout;
+      summary.stderr = this.stderr;
+    }
+    return summary;
+  }
+}
+
+class JobRegistry {
+  constructor() {
+    this.jobs = new Map();
+    this.counter = 0;
+  }
+
+  /**
+   * Starts a command and registers it.
+   * @param {string} command - Shell command to run
+   * @param {object} options - { cwd, turnId, timeoutMs, maxOutputBytes }
+   * @returns {CommandJob}
+   */
+  start(command, options = {}) {
+    this._prune();
+    const id = `job_${Date.now().toString(36)}_${(++this.counter).toString(36)}`;
+    const job = new CommandJob({
+      id,
+      command,
+      cwd: options.cwd,
+      turnId: options.turnId,
+      timeoutMs: clampNumber(options.timeoutMs, DEFAULT_TIMEOUT_MS, MAX_TIMEOUT_MS),
+      maxOutputBytes: clampNumber(options.maxOutputBytes, DEFAULT_MAX_OUTPUT_BYTES, MAX_OUTPUT_BYTES_LIMIT),
+    });
+    this.jobs.set(id, job);
+    job.start();
+    console.log(`[JOBS] Started ${id} (pid ${job.pid}): '${command}'`);
+    job.on('exit', ({ code, status }) => {
+      console.log(`[JOBS] ${id} finished with status '${status}' (exit code ${code})`);
+    });
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  list() {
+    return Array.from(this.jobs.values()).map(job => job.toJSON());
+  }
+
+  kill(id, reason = 'killed') {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+    job.kill(reason);
+    return job;
+  }
+
+  /**
+   * Kills every running job that was started for the given chat turn.
+   * @returns {string[]} ids of the jobs that were signalled
+   */
+  killByTurn(turnId, reason = 'cancelled') {
+    const killed = [];
+    for (const job of this.jobs.values()) {
+      if (job.turnId === turnId && job.kill(reason)) {
+        killed.push(job.id);
+      }
+    }
+    return killed;
+  }
+
+  killAll(reason = 'killed') {
+    for (const job of this.jobs.values()) {
+      job.kill(reason);
+    }
+  }
+
+  /**
+   * Stops every running job before the server exits. Waits for the jobs to exit
+   * or for the grace period, then sends SIGKILL to their process groups so
+   * nothing they started outlives the server.
+   */
+  async shutdown() {
+    const running = Array.from(this.jobs.values()).filter(job => job.status === 'running');
+    if (running.length === 0) return;
+    const exited = Promise.all(running.map(job => new Promise(resolve => job.once('exit', resolve))));
+    running.forEach(job => job.kill('killed'));
+    let graceTimer;
+    await Promise.race([exited, new Promise(resolve => { graceTimer = setTimeout(resolve, KILL_GRACE_MS); })]);
+    clearTimeout(graceTimer);
+    running.forEach(job => job._signal('SIGKILL'));
+  }
+
+  // Finished jobs are kept for a while so their status can still be queried.
+  _prune() {
+    const cutoff = Date.now() - FINISHED_JOB_TTL_MS;
+    for (const [id, job] of this.jobs) {
+      if (job.status !== 'running' && job.endedAt < cutoff) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+}
+
+module.exports = { JobRegistry, CommandJob, getExecutionEnv, DEFAULT_TIMEOUT_MS, DEFAULT_MAX_OUTPUT_BYTES };
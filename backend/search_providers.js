@@ -0,0 +1,446 @@
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const axios = require('axios');
+const cheerio = require('cheerio');
+
+// =================================================================
+// === Web Search Providers                                      ===
+// =================================================================
+// Every provider implements `search(query, { maxResults })` and resolves to an
+// array of SearchResult. The provider and its credentials come from the
+// request (Settings panel) and fall back to environment variables:
+//
+//   SEARCH_PROVIDER=duckduckgo|searxng|brave|bing|stub
+//   SEARXNG_URL, BRAVE_SEARCH_API_KEY, BING_SEARCH_API_KEY, BING_SEARCH_ENDPOINT
+//
+// Responses are cached on disk under .ai-editor/search-cache/, keyed by
+// provider, endpoint, query and result count.
+
+const USER_AGENTS = [
+  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/108.0.0.0 Safari/537.36",
+  "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/108.0.0.0 Safari/537.36",
+  "Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/108.0.0.0 Safari/537.36",
+  "Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:107.0) Gecko/20100101 Firefox/107.0",
+  "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/16.1 Safari/605.1.15",
+  "Mozilla/5.0 (iPhone; CPU iPhone OS 16_1_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/16.1 Mobile/15E148 Safari/604.1",
+  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/107.0.0.0 Safari/537.36 Edg/107.0.1418.62",
+  "Mozilla/5.0 (Windows NT 10.0; WOW64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/108.0.0.0 Safari/537.36",
+  "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/107.0.0.0 Safari/537.36",
+  "Mozilla/5.0 (X11; Linux x86_64; rv:102.0) Gecko/20100101 Firefox/102.0",
+  "Mozilla/5.0 (Linux; Android 13; SM-A536U) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/108.0.0.0 Mobile Safari/537.36",
+  "Mozilla/5.0 (Linux; Android 13; Pixel 6) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/108.0.0.0 Mobile Safari/537.36",
+  "Mozilla/5.0 (Windows NT 6.1; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/108.0.0.0 Safari/537.36",
+  "Mozilla/5.0 (iPad; CPU OS 16_1_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) CriOS/108.0.5359.112 Mobile/15E148 Safari/604.1",
+  "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_14_6) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/108.0.0.0 Safari/537.36",
+  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/108.0.0.0 Safari/537.36 Vivaldi/5.5.2805.50",
+  "Mozilla/5.0 (X11; Ubuntu; Linux x86_64; rv:107.0) Gecko/20100101 Firefox/107.0",
+  "Mozilla/5.0 (iPhone; CPU iPhone OS 15_7_1 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/15.6.3 Mobile/15E148 Safari/604.1",
+  "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_13_6) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/108.0.0.0 Safari/537.36",
+  "Mozilla/5.0 (Linux; Android 12; SM-G991U) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/108.0.0.0 Mobile Safari/537.36"
+];
+
+const DEFAULT_PROVIDER = 'duckduckgo';
+const DEFAULT_CACHE_TTL_MINUTES = parseInt(process.env.SEARCH_CACHE_TTL_MINUTES, 10) || 60;
+const MAX_CACHE_ENTRIES = 500;
+const API_TIMEOUT_MS = 15000;
+
+function randomUserAgent() {
+  return USER_AGENTS[Math.floor(Math.random() * USER_AGENTS.length)];
+}
+
+class SearchProviderError extends Error {
+  constructor(message, code = 'PROVIDER_ERROR') {
+    super(message);
+    this.name = 'SearchProviderError';
+    this.code = code;
+  }
+}
+
+class RateLimiter {
+  constructor(requestsPerMinute = 30) {
+    this.requestsPerMinute = requestsPerMinute;
+    this.requests = [];
+  }
+
+  async acquire() {
+    const now = new Date();
+    this.requests = this.requests.filter(req => now - req < 60 * 1000);
+    if (this.requests.length >= this.requestsPerMinute) {
+      const waitTime = 60 - (now - this.requests[0]) / 1000;
+      if (waitTime > 0) {
+        await new Promise(resolve => setTimeout(resolve, waitTime * 1000));
+      }
+    }
+    this.requests.push(now);
+  }
+}
+
+class SearchResult {
+  constructor(title, link, snippet, position) {
+    this.title = title;
+    this.link = link;
+    this.snippet = snippet;
+    this.position = position;
+  }
+}
+
+// Converts an axios error into a message that says which provider failed and why.
+function describeHttpError(providerName, error) {
+  if (error.response) {
+    const status = error.response.status;
+    if (status === 401 || status === 403) {
+      return new SearchProviderError(`${providerName} rejected the API key (HTTP ${status}).`, 'AUTH_FAILED');
+    }
+    if (status === 429) {
+      return new SearchProviderError(`${providerName} rate limit exceeded (HTTP 429).`, 'RATE_LIMITED');
+    }
+    return new SearchProviderError(`${providerName} returned HTTP ${status}.`);
+  }
+  if (error.code === 'ECONNABORTED') {
+    return new SearchProviderError(`${providerName} request timed out.`, 'TIMEOUT');
+  }
+  return new SearchProviderError(`${providerName} request failed: ${error.message}`);
+}
+
+class DuckDuckGoProvider {
+  constructor() {
+    this.name = 'duckduckgo';
+    this.BASE_URL = "https://html.duckduckgo.com/html";
+    this.rateLimiter = new RateLimiter();
+  }
+
+  cacheScope() {
+    return this.BASE_URL;
+  }
+
+  async search(query, { maxResults = 10, maxRetries = 5 } = {}) {
+    for (let i = 0; i < maxRetries; i++) {
+      try {
+        await this.rateLimiter.acquire();
+        console.log(`[BACKEND] Searching DuckDuckGo for: ${query} (Attempt ${i + 1})`);
+
+        const data = new URLSearchParams({ q: query, b: "", kl: "" });
+        const response = await axios.post(this.BASE_URL, data.toString(), {
+          headers: {
+            "User-Agent": randomUserAgent(),
+            'Content-Type': 'application/x-www-form-urlencoded'
+          },
+          timeout: 30000
+        });
+
+        const $ = cheerio.load(response.data);
+        if (!$) {
+            console.error("[BACKEND] Failed to parse HTML response");
+            continue;
+        }
+
+        const results = [];
+        $('.result').each((idx, element) => {
+          if (results.length >= maxResults) return false;
+
+          const titleElem = $(element).find('.result__title a');
+          const snippetElem = $(element).find('.result__snippet');
+          if (!titleElem.length) return true;
+
+          const title = titleElem.text().trim();
+          let link = titleElem.attr('href');
+
+          if (link && link.includes('y.js')) return true;
+
+          if (link && link.startsWith('//duckduckgo.com/l/?uddg=')) {
+            link = decodeURIComponent(link.split('uddg=')[1].split('&')[0]);
+          }
+
+          const snippet = snippetElem.length ? snippetElem.text().trim() : "";
+          results.push(new SearchResult(title, link, snippet, results.length + 1));
+        });
+
+        if (results.length > 0) {
+            console.log(`[BACKEND] Successfully found ${results.length} results on attempt ${i + 1}`);
+            return results;
+        }
+        console.log(`[BACKEND] Attempt ${i + 1} returned no results, retrying...`);
+      } catch (error) {
+        if (error.code === 'ECONNABORTED') {
+            console.error(`[BACKEND] Search request timed out on attempt ${i + 1}`);
+        } else if (error.response) {
+            console.error(`[BACKEND] HTTP error on attempt ${i + 1}: ${error.message}`);
+        } else {
+            console.error(`[BACKEND] Unexpected error on attempt ${i + 1}: ${error.message}`);
+        }
+        if (i === maxRetries - 1) {
+            console.error("[BACKEND] Max retries reached. Search failed.");
+            throw new SearchProviderError("Failed to fetch search results after multiple retries.");
+        }
+      }
+    }
+    return [];
+  }
+}
+
+class SearxngProvider {
+  constructor({ baseUrl }) {
+    if (!baseUrl) {
+      throw new SearchProviderError('SearXNG needs a base URL (Settings → General → Web Search, or SEARXNG_URL).', 'NOT_CONFIGURED');
+    }
+    this.name = 'searxng';
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+  }
+
+  cacheScope() {
+    return this.baseUrl;
+  }
+
+  async search(query, { maxResults = 10 } = {}) {
+    let response;
+    try {
+      // The instance must have the json format enabled in its settings.yml
+      response = await axios.get(`${this.baseUrl}/search`, {
+        params: { q: query, format: 'json' },
+        headers: { 'Accept': 'application/json' },
+        timeout: API_TIMEOUT_MS,
+      });
+    } catch (error) {
+      throw describeHttpError('SearXNG', error);
+    }
+    if (!response.data || !Array.isArray(response.data.results)) {
+      throw new SearchProviderError('SearXNG did not return JSON. Enable the "json" format on the instance.');
+    }
+    return response.data.results
+      .slice(0, maxResults)
+      .map((r, i) => new SearchResult(r.title || r.url, r.url, r.content || '', i + 1));
+  }
+}
+
+class BraveProvider {
+  constructor({ apiKey }) {
+    if (!apiKey) {
+      throw new SearchProviderError('Brave Search needs an API key (Settings → General → Web Search, or BRAVE_SEARCH_API_KEY).', 'NOT_CONFIGURED');
+    }
+    this.name = 'brave';
+    this.apiKey = apiKey;
+    this.BASE_URL = 'https://api.search.brave.com/res/v1/web/search';
+  }
+
+  cacheScope() {
+    return this.BASE_URL;
+  }
+
+  async search(query, { maxResults = 10 } = {}) {
+    let response;
+    try {
+      response = await axios.get(this.BASE_URL, {
+        params: { q: query, count: Math.min(maxResults, 20) },
+        headers: { 'Accept': 'application/json', 'X-Subscription-Token': this.apiKey },
+        timeout: API_TIMEOUT_MS,
+      });
+    } catch (error) {
+      throw describeHttpError('Brave Search', error);
+    }
+    const results = (response.data && response.data.web && response.data.web.results) || [];
+    return results
+      .slice(0, maxResults)
+      .map((r, i) => new SearchResult(r.title, r.url, cheerio.load(r.description || '').text(), i + 1));
+  }
+}
+
+class BingProvider {
+  constructor({ apiKey, endpoint }) {
+    if (!apiKey) {
+      throw new SearchProviderError('Bing Web Search needs an API key (Settings → General → Web Search, or BING_SEARCH_API_KEY).', 'NOT_CONFIGURED');
+    }
+    this.name = 'bing';
+    this.apiKey = apiKey;
+    this.endpoint = endpoint || 'https://api.bing.microsoft.com/v7.0/search';
+  }
+
+  cacheScope() {
+    return this.endpoint;
+  }
+
+  async search(query, { maxResults = 10 } = {}) {
+    let response;
+    try {
+      response = await axios.get(this.endpoint, {
+        params: { q: query, count: Math.min(maxResults, 50), textFormat: 'Raw' },
+        headers: { 'Ocp-Apim-Subscription-Key': this.apiKey },
+        timeout: API_TIMEOUT_MS,
+      });
+    } catch (error) {
+      throw describeHttpError('Bing Web Search', error);
+    }
+    const results = (response.data && response.data.webPages && response.data.webPages.value) || [];
+    return results
+      .slice(0, maxResults)
+      .map((r, i) => new SearchResult(r.name, r.url, r.snippet || '', i + 1));
+  }
+}
+
+/**
+ * Offline provider with deterministic results, for tests and air-gapped use.
+ * Queries listed in .ai-editor/search-fixtures.json ({ "query": [{ title, link, snippet }] })
+ * return those results; any other query gets generated placeholder results.
+ */
+class StubProvider {
+  constructor({ projectRoot }) {
+    this.name = 'stub';
+    this.fixturesPath = path.join(projectRoot, '.ai-editor', 'search-fixtures.json');
+  }
+
+  cacheScope() {
+    return null; // Never cached, so fixture edits apply immediately
+  }
+
+  async search(query, { maxResults = 10 } = {}) {
+    let fixtures = {};
+    try {
+      fixtures = JSON.parse(await fs.readFile(this.fixturesPath, 'utf8'));
+    } catch (_) {
+      // No fixtures file
+    }
+    const key = Object.keys(fixtures).find(k => k.toLowerCase() === query.trim().toLowerCase());
+    if (key) {
+      return fixtures[key]
+        .slice(0, maxResults)
+        .map((r, i) => new SearchResult(r.title, r.link || r.url, r.snippet || '', i + 1));
+    }
+
+    const slug = query.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'query';
+    return Array.from({ length: Math.min(maxResults, 3) }, (_, i) => new SearchResult(
+      `Stub result ${i + 1} for "${query}"`,
+      `https://example.com/${slug}/${i + 1}`,
+      `Deterministic placeholder result ${i + 1} for the query "${query}".`,
+      i + 1
+    ));
+  }
+}
+
+class SearchCache {
+  constructor(cacheDir) {
+    this.cacheDir = cacheDir;
+    this.writes = 0;
+  }
+
+  keyFor(parts) {
+    return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+  }
+
+  async get(key, ttlMs) {
+    try {
+      const entry = JSON.parse(await fs.readFile(path.join(this.cacheDir, `${key}.json`), 'utf8'));
+      if (Date.now() - entry.createdAt <= ttlMs) {
+        return entry;
+      }
+    } catch (_) {
+      // Missing or unreadable entry counts as a miss
+    }
+    return null;
+  }
+
+  async set(key, entry) {
+    try {
+      await fs.mkdir(this.cacheDir, { recursive: true });
+      await fs.writeFile(path.join(this.cacheDir, `${key}.json`), JSON.stringify(entry));
+      if (++this.writes % 50 === 0) await this.prune();
+    } catch (error) {
+      console.warn(`[SEARCH] Could not write search cache: ${error.message}`);
+    }
+  }
+
+  // Keeps the newest MAX_CACHE_ENTRIES entries.
+  async prune() {
+    const names = (await fs.readdir(this.cacheDir)).filter(n => n.endsWith('.json'));
+    if (names.length <= MAX_CACHE_ENTRIES) return;
+    const stats = await Promise.all(names.map(async name => {
+      const stat = await fs.stat(path.join(this.cacheDir, name));
+      return { name, mtime: stat.mtimeMs };
+    }));
+    stats.sort((a, b) => b.mtime - a.mtime);
+    await Promise.all(stats.slice(MAX_CACHE_ENTRIES).map(s => fs.unlink(path.join(this.cacheDir, s.name)).catch(() => {})));
+  }
+
+  async clear() {
+    await fs.rm(this.cacheDir, { recursive: true, force: true });
+  }
+}
+
+const PROVIDERS = ['duckduckgo', 'searxng', 'brave', 'bing', 'stub'];
+
+class SearchService {
+  constructor(projectRoot) {
+    this.projectRoot = projectRoot;
+    this.cache = new SearchCache(path.join(projectRoot, '.ai-editor', 'search-cache'));
+    // DuckDuckGo keeps its rate limiter across requests, so it is created once
+    this.duckduckgo = new DuckDuckGoProvider();
+  }
+
+  /**
+   * Merges the per-request config (from the Settings panel) with environment defaults.
+   */
+  resolveConfig(config = {}) {
+    const ttl = parseInt(config.cacheTtlMinutes, 10);
+    return {
+      provider: config.provider || process.env.SEARCH_PROVIDER || DEFAULT_PROVIDER,
+      searxngUrl: config.searxngUrl || process.env.SEARXNG_URL || '',
+      braveApiKey: config.braveApiKey || process.env.BRAVE_SEARCH_API_KEY || '',
+      bingApiKey: config.bingApiKey || process.env.BING_SEARCH_API_KEY || '',
+      bingEndpoint: config.bingEndpoint || process.env.BING_SEARCH_ENDPOINT || '',
+      cacheTtlMinutes: Number.isFinite(ttl) && ttl >= 0 ? ttl : DEFAULT_CACHE_TTL_MINUTES,
+    };
+  }
+
+  createProvider(config) {
+    switch (config.provider) {
+      case 'duckduckgo': return this.duckduckgo;
+      case 'searxng': return new SearxngProvider({ baseUrl: config.searxngUrl });
+      case 'brave': return new BraveProvider({ apiKey: config.braveApiKey });
+      case 'bing': return new BingProvider({ apiKey: config.bingApiKey, endpoint: config.bingEndpoint });
+      case 'stub': return new StubProvider({ projectRoot: this.projectRoot });
+      default:
+        throw new SearchProviderError(`Unknown search provider '${config.provider}'. Expected one of: ${PROVIDERS.join(', ')}.`, 'UNKNOWN_PROVIDER');
+    }
+  }
+
+  /**
+   * @param {string} query
+   * @param {object} options - { maxResults, config: { provider, searxngUrl, braveApiKey, bingApiKey, bingEndpoint, cacheTtlMinutes } }
+   * @returns {Promise<{ results: SearchResult[], provider: string, cached: boolean }>}
+   */
+  async search(query, { maxResults = 10, config } = {}) {
+    const resolved = this.resolveConfig(config);
+    const provider = this.createProvider(resolved);
+    const scope = provider.cacheScope();
+    const ttlMs = resolved.cacheTtlMinutes * 60 * 1000;
+    const useCache = scope !== null && ttlMs > 0;
+    const key = this.cache.keyFor([provider.name, scope, query.trim().toLowerCase(), maxResults]);
+
+    if (useCache) {
+      const hit = await this.cache.get(key, ttlMs);
+      if (hit) {
+        console.log(`[SEARCH] Cache hit (${provider.name}) for: ${query}`);
+        return { results: hit.results, provider: provider.name, cached: true };
+      }
+    }
+
+    const results = await provider.search(query, { maxResults });
+    if (useCache && results.length > 0) {
+      await this.cache.set(key, { createdAt: Date.now(), provider: provider.name, query, results });
+    }
+    return { results, provider: provider.name, cached: false };
+  }
+}
+
+module.exports = {
+  SearchService,
+  SearchResult,
+  SearchProviderError,
+  DuckDuckGoProvider,
+  SearxngProvider,
+  BraveProvider,
+  BingProvider,
+  StubProvider,
+  PROVIDERS,
+  USER_AGENTS,
+  randomUserAgent,
+};
@@ -0,0 +1,60 @@
+// Checks for the local server access control (backend/auth.js).
+// Run with `npm test` in backend/.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const { ServerAuth, TOKEN_HEADER } = require('../auth.js');
+
+// Runs a middleware against a fake request; resolves with what it did
+function run(middleware, req) {
+  return new Promise((resolve) => {
+    const res = {
+      statusCode: 200,
+      headers: {},
+      status(code) { this.statusCode = code; return this; },
+      json(body) { resolve({ next: false, status: this.statusCode, body }); },
+      set(name, value) { this.headers[name] = value; return this; },
+      type() { return this; },
+      send(body) { resolve({ next: false, status: this.statusCode, body }); },
+    };
+    Promise.resolve(middleware({ method: 'GET', headers: {}, ...req }, res, () => resolve({ next: true }))).catch(resolve);
+  });
+}
+
+function quietly(t) {
+  t.mock.method(console, 'warn', () => {});
+}
+
+test('requests for other hosts or from other origins are refused', async (t) => {
+  quietly(t);
+  const guard = new ServerAuth({ port: 3333 }).requestGuard();
+  assert.equal((await run(guard, { headers: { host: 'localhost:3333' } })).next, true);
+  assert.equal((await run(guard, { headers: { host: 'evil.example:3333' } })).body.code, 'HOST_NOT_ALLOWED');
+  const crossOrigin = await run(guard, { path: '/api/x', headers: { host: 'localhost:3333', origin: 'https://evil.example' } });
+  assert.equal(crossOrigin.body.code, 'ORIGIN_NOT_ALLOWED');
+});
+
+test('API calls need the launch token', async () => {
+  const auth = new ServerAuth({ port: 3333 });
+  const guard = auth.tokenGuard();
+  assert.equal((await run(guard, {})).status, 401);
+  assert.equal((await run(guard, { headers: { [TOKEN_HEADER]: 'wrong' } })).status, 401);
+  assert.equal((await run(guard, { headers: { [TOKEN_HEADER]: auth.token } })).next, true);
+  assert.equal((await run(guard, { headers: { authorization: `Bearer ${auth.token}` } })).next, true);
+});
+
+test('HTML pages get the token and malformed paths fall through', async (t) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-test-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(root, 'index.html'), '<html><head></head><body></body></html>');
+
+  const auth = new ServerAuth({ port: 3333 });
+  const serve = auth.htmlWithToken(root);
+  const page = await run(serve, { path: '/' });
+  assert.match(page.body, new RegExp(`content="${auth.token}"`));
+  assert.equal((await run(serve, { path: '/%E0%A4%A' })).next, true);
+  assert.equal((await run(serve, { path: '/../secret.html' })).next, true);
+});
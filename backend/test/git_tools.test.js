@@ -0,0 +1,149 @@
+// Checks for the backend git tools (backend/git_tools.js). Run with `npm test`
+// in backend/; the checks on a repository need git on the PATH.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const { GitTools, parseUnifiedDiff } = require('../git_tools.js');
+
+const SAMPLE_DIFF = `diff --git a/src/app.js b/src/app.js
+index 1111111..2222222 100644
+--- a/src/app.js
++++ b/src/app.js
+@@ -1,3 +1,4 @@
+ const a = 1;
+-const b = 2;
++const b = 3;
++const c = 4;
+ module.exports = { a, b };
+@@ -10 +11 @@ function x() {
+-old
++new
+diff --git a/old.txt b/new.txt
+similarity index 100%
+rename from old.txt
+rename to new.txt
+diff --git a/added.md b/added.md
+new file mode 100644
+--- /dev/null
++++ b/added.md
+@@ -0,0 +1 @@
++hello
+\\ No newline at end of file
+diff --git a/logo.png b/logo.png
+Binary files a/logo.png and b/logo.png differ
+`;
+
+test('parseUnifiedDiff reads files, statuses and hunks', () => {
+  const files = parseUnifiedDiff(SAMPLE_DIFF);
+  assert.deepEqual(files.map(f => [f.path, f.status]), [
+    ['src/app.js', 'modified'], ['new.txt', 'renamed'], ['added.md', 'added'], ['logo.png', 'modified'],
+  ]);
+
+  const [app, renamed, added, binary] = files;
+  assert.equal(app.oldPath, null);
+  assert.equal(app.additions, 3);
+  assert.equal(app.deletions, 2);
+  assert.equal(app.hunks.length, 2);
+  assert.deepEqual(
+    [app.hunks[0].oldStart, app.hunks[0].oldLines, app.hunks[0].newStart, app.hunks[0].newLines],
+    [1, 3, 1, 4]);
+  // Omitted line counts default to 1
+  assert.deepEqual([app.hunks[1].oldLines, app.hunks[1].newLines], [1, 1]);
+  assert.equal(app.hunks[0].lines.length, 5);
+
+  assert.equal(renamed.oldPath, 'old.txt');
+  assert.equal(renamed.hunks.length, 0);
+  assert.deepEqual(added.hunks[0].lines, ['+hello', '\\ No newline at end of file']);
+  assert.equal(binary.binary, true);
+});
+
+test('parseUnifiedDiff returns no files for empty output', () => {
+  assert.deepEqual(parseUnifiedDiff(''), []);
+});
+
+function git(cwd, ...args) {
+  return execFileSync('git', args, {
+    cwd,
+    encoding: 'utf8',
+    env: { ...process.env, GIT_AUTHOR_NAME: 't', GIT_AUTHOR_EMAIL: 't@t', GIT_COMMITTER_NAME: 't', GIT_COMMITTER_EMAIL: 't@t' },
+  });
+}
+
+test('applyHunk stages and unstages a single hunk', async (t) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'git-tools-test-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  const lines = Array.from({ length: 30 }, (_, i) => `line ${i + 1}`);
+  fs.writeFileSync(path.join(root, 'file.txt'), lines.join('\n') + '\n');
+  git(root, 'init', '-q');
+  git(root, 'add', 'file.txt');
+  git(root, 'commit', '-q', '-m', 'initial');
+
+  // Two changes far enough apart to be separate hunks
+  lines[1] = 'changed 2';
+  lines[27] = 'changed 28';
+  fs.writeFileSync(path.join(root, 'file.txt'), lines.join('\n') + '\n');
+
+  const tools = new GitTools(root);
+  const { files } = await tools.diff({ path: 'file.txt' });
+  assert.equal(files[0].hunks.length, 2);
+
+  await tools.applyHunk({ path: 'file.txt', hunk: files[0].hunks[0] });
+  const staged = parseUnifiedDiff(git(root, 'diff', '--cached'));
+  assert.equal(staged[0].hunks.length, 1);
+  assert.ok(staged[0].hunks[0].lines.includes('+changed 2'));
+  assert.ok(!git(root, 'diff', '--cached').includes('changed 28'));
+
+  await tools.applyHunk({ path: 'file.txt', hunk: staged[0].hunks[0], reverse: true });
+  assert.equal(git(root, 'diff', '--cached'), '');
+});
+
+test('applyHunk rejects a missing hunk', async () => {
+  const tools = new GitTools(os.tmpdir());
+  await assert.rejects(tools.applyHunk({ path: 'file.txt' }), { code: 'INVALID_ARGUMENT' });
+});
+
+test('log follows renames of one path and accepts several paths', async (t) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'git-tools-test-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  git(root, 'init', '-q');
+  fs.writeFileSync(path.join(root, 'old.txt'), 'a\nb\nc\n');
+  fs.writeFileSync(path.join(root, 'other.txt'), 'x\n');
+  git(root, 'add', '.');
+  git(root, 'commit', '-q', '-m', 'add files');
+  git(root, 'mv', 'old.txt', 'new.txt');
+  git(root, 'commit', '-q', '-m', 'rename');
+
+  const tools = new GitTools(root);
+  const followed = await tools.log({ paths: ['new.txt'] });
+  assert.deepEqual(followed.commits.map(c => c.subject), ['rename', 'add files']);
+  const several = await tools.log({ paths: ['new.txt', 'other.txt'] });
+  assert.deepEqual(several.commits.map(c => c.subject), ['rename', 'add files']);
+});
+
+test('changedFiles lists the files a checkout of the ref would rewrite', async (t) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'git-tools-test-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  git(root, 'init', '-q');
+  fs.writeFileSync(path.join(root, 'same.txt'), 'same\n');
+  fs.writeFileSync(path.join(root, 'edited.txt'), 'one\n');
+  git(root, 'add', '.');
+  git(root, 'commit', '-q', '-m', 'initial');
+  git(root, 'checkout', '-q', '-b', 'topic');
+  fs.writeFileSync(path.join(root, 'edited.txt'), 'two\n');
+  fs.writeFileSync(path.join(root, 'added.txt'), 'new\n');
+  git(root, 'add', '.');
+  git(root, 'commit', '-q', '-m', 'topic work');
+  git(root, 'checkout', '-q', '-');
+
+  const tools = new GitTools(root);
+  const { paths } = await tools.changedFiles({ ref: 'topic' });
+  assert.deepEqual(paths.sort(), ['added.txt', 'edited.txt']);
+  await assert.rejects(tools.changedFiles({ ref: '--output=x' }), { code: 'INVALID_ARGUMENT' });
+});
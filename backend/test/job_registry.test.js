@@ -0,0 +1,48 @@
+// Checks for stopping backend command jobs on shutdown (backend/job_registry.js).
+// Run with `npm test` in backend/; POSIX only, since jobs run in process groups there.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('node:os');
+
+const { JobRegistry } = require('../job_registry.js');
+
+const skip = os.platform() === 'win32' && 'jobs have no process group on Windows';
+
+function groupAlive(pid) {
+  try {
+    process.kill(-pid, 0);
+    return true;
+  } catch (error) {
+    return error.code !== 'ESRCH';
+  }
+}
+
+function quietly(t) {
+  t.mock.method(console, 'log', () => {});
+}
+
+test('shutdown returns as soon as the jobs exit on SIGTERM', { skip }, async (t) => {
+  quietly(t);
+  const registry = new JobRegistry();
+  const job = registry.start('sleep 30', { cwd: os.tmpdir() });
+  const startedAt = Date.now();
+  await registry.shutdown();
+  assert.ok(Date.now() - startedAt < 2000);
+  assert.equal(job.status, 'killed');
+});
+
+test('shutdown kills jobs that ignore SIGTERM, including their children', { skip }, async (t) => {
+  quietly(t);
+  const registry = new JobRegistry();
+  const job = registry.start("trap '' TERM; sleep 30; true", { cwd: os.tmpdir() });
+  const exited = new Promise(resolve => job.once('exit', resolve));
+  await new Promise(resolve => setTimeout(resolve, 200)); // let the trap be set
+  await registry.shutdown();
+  await exited;
+  assert.equal(groupAlive(job.pid), false);
+  assert.equal(job.status, 'killed');
+});
+
+test('shutdown without running jobs resolves at once', async () => {
+  await new JobRegistry().shutdown();
+});
@@ -0,0 +1,808 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const zlib = require('zlib');
+const { URL } = require('url');
+const { randomUserAgent } = require('./search_providers');
+
+// =================================================================
+// === URL Reader                                                ===
+// =================================================================
+// Fetches a page, picks its main content the way reader modes do (semantic
+// containers first, then paragraph-density scoring) and converts it to
+// Markdown with fenced code blocks, lists and tables. JSON, plain text and
+// PDF responses are converted to text. Long documents are split into pages so
+// the agent can ask for page N.
+
+const DEFAULT_PAGE_CHARS = parseInt(process.env.READ_URL_PAGE_CHARS, 10) || 20000;
+const MIN_PAGE_CHARS = 2000;
+const MAX_PAGE_CHARS = 100000;
+const MAX_LINKS = 200;
+const DOCUMENT_CACHE_SIZE = 20;
+const DOCUMENT_CACHE_TTL_MS = 10 * 60 * 1000;
+const MAX_REDIRECTS = 5;
+const MAX_RESPONSE_BYTES = (parseInt(process.env.READ_URL_MAX_MB, 10) || 10) * 1024 * 1024;
+const ALLOW_PRIVATE_BY_DEFAULT = process.env.READ_URL_ALLOW_PRIVATE === '1';
+
+const JUNK_SELECTOR = [
+  'script', 'style', 'noscript', 'template', 'svg', 'canvas', 'iframe', 'object', 'embed',
+  'form', 'button', 'input', 'select', 'textarea',
+  'nav', 'header', 'footer', 'aside',
+  '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[role="complementary"]',
+  '[hidden]', '[aria-hidden="true"]',
+].join(', ');
+
+const UNLIKELY_CANDIDATE = /comment|sidebar|footer|masthead|\bnav|menu|share|social|advert|\bads?\b|sponsor|promo|cookie|consent|banner|related|recommend|subscribe|newsletter|popup|modal|breadcrumb|skip-link|toolbar|pagination/i;
+const LIKELY_CANDIDATE = /article|content|main|post|entry|body|text|blog|story|markdown|prose|docs?\b/i;
+
+const BLOCK_TAGS = new Set([
+  'p', 'div', 'section', 'article', 'main', 'header', 'figure', 'figcaption', 'address',
+  'details', 'summary', 'center', 'dl', 'dt', 'dd', 'body', 'html',
+]);
+
+// Indentation marker that survives the whitespace cleanup pass
+const INDENT = '\u0001';
+
+function resolveUrl(href, baseUrl) {
+  if (!href) return null;
+  try {
+    return new URL(href.trim(), baseUrl).href;
+  } catch (_) {
+    return null;
+  }
+}
+
+function collapseWhitespace(text) {
+  return text.replace(/\s+/g, ' ');
+}
+
+function textLength($, el) {
+  return collapseWhitespace($(el).text()).trim().length;
+}
+
+function linkDensity($, el) {
+  const total = textLength($, el);
+  if (total === 0) return 1;
+  let linked = 0;
+  $(el).find('a').each((_, a) => { linked += textLength($, a); });
+  return linked / total;
+}
+
+function removeClutter($) {
+  $(JUNK_SELECTOR).remove();
+  $('[style]').each((_, el) => {
+    if (/display\s*:\s*none|visibility\s*:\s*hidden/i.test($(el).attr('style'))) $(el).remove();
+  });
+  $('div, section, span, ul, table').each((_, el) => {
+    const signature = `${$(el).attr('class') || ''} ${$(el).attr('id') || ''}`;
+    if (UNLIKELY_CANDIDATE.test(signature) && !LIKELY_CANDIDATE.test(signature)) {
+      $(el).remove();
+    }
+  });
+}
+
+/**
+ * Returns the element most likely to hold the article body.
+ */
+function findMainContent($) {
+  const semantic = $('article, main, [role="main"], [itemprop="articleBody"]').toArray()
+    .map(el => ({ el, length: textLength($, el) }))
+    .sort((a, b) => b.length - a.length);
+  if (semantic.length > 0 && semantic[0].length >= 500) {
+    return semantic[0].el;
+  }
+
+  // Paragraph scoring: each substantial paragraph credits its parent and grandparent.
+  const scores = new Map();
+  $('p, pre, td, blockquote').each((_, el) => {
+    const text = collapseWhitespace($(el).text()).trim();
+    if (text.length < 25) return;
+    const score = 1 + (text.match(/,/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+    const parent = el.parent;
+    const grandparent = parent && parent.parent;
+    if (parent && parent.type === 'tag') scores.set(parent, (scores.get(parent) || 0) + score);
+    if (grandparent && grandparent.type === 'tag') scores.set(grandparent, (scores.get(grandparent) || 0) + score / 2);
+  });
+
+  let best = null;
+  let bestScore = 0;
+  for (const [el, score] of scores) {
+    const adjusted = score * (1 - linkDensity($, el));
+    if (adjusted > bestScore) {
+      best = el;
+      bestScore = adjusted;
+    }
+  }
+
+  if (!best || textLength($, best) < 200) {
+    return $('body').get(0) || $.root().get(0);
+  }
+  return best;
+}
+
+// =================================================================
+// === HTML → Markdown                                           ===
+// =================================================================
+
+class MarkdownConverter {
+  constructor($, baseUrl) {
+    this.$ = $;
+    this.baseUrl = baseUrl;
+    this.preBlocks = [];
+    this.links = new Set();
+  }
+
+  convert(root) {
+    const raw = this.renderChildren(root);
+    let markdown = raw
+      .replace(/[ \t]+\n/g, '\n')
+      .replace(/\n[ \t]+/g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim()
+      .replace(new RegExp(INDENT, 'g'), ' ');
+    // Code blocks are inserted last so the cleanup above never touches them
+    markdown = markdown.replace(/\u0000PRE(\d+)\u0000/g, (_, i) => this.preBlocks[+i]);
+    return markdown;
+  }
+
+  renderChildren(node) {
+    return (node.children || []).map(child => this.render(child)).join('');
+  }
+
+  renderInline(node) {
+    return collapseWhitespace(this.renderChildren(node)).trim();
+  }
+
+  block(content) {
+    const trimmed = content.trim();
+    return trimmed ? `\n\n${trimmed}\n\n` : '';
+  }
+
+  render(node) {
+    if (node.type === 'text') {
+      return collapseWhitespace(node.data || '');
+    }
+    if (node.type !== 'tag' && node.type !== 'root') {
+      return '';
+    }
+
+    const name = node.name;
+    const $node = this.$(node);
+
+    if (/^h[1-6]$/.test(name)) {
+      const text = this.renderInline(node);
+      return text ? `\n\n${'#'.repeat(+name[1])} ${text}\n\n` : '';
+    }
+
+    switch (name) {
+      case 'br':
+        return '\n';
+      case 'hr':
+        return '\n\n---\n\n';
+      case 'pre':
+        return this.renderPre(node);
+      case 'code': {
+        const text = $node.text();
+        if (!text.trim()) return '';
+        const fence = text.includes('`') ? '``' : '`';
+        return `${fence}${text}${fence}`;
+      }
+      case 'strong':
+      case 'b': {
+        const text = this.renderInline(node);
+        return text ? `**${text}**` : '';
+      }
+      case 'em':
+      case 'i': {
+        const text = this.renderInline(node);
+        return text ? `_${text}_` : '';
+      }
+      case 'del':
+      case 's':
+        return `~~${this.renderInline(node)}~~`;
+      case 'a': {
+        const text = this.renderInline(node);
+        const href = $node.attr('href');
+        const url = href && !/^(javascript|mailto):/i.test(href) ? resolveUrl(href, this.baseUrl) : null;
+        if (url && /^https?:/i.test(url)) this.links.add(url);
+        if (!text) return '';
+        return url && !href.startsWith('#') ? `[${text}](${url})` : text;
+      }
+      case 'img': {
+        const src = resolveUrl($node.attr('src') || $node.attr('data-src'), this.baseUrl);
+        if (!src || src.startsWith('data:')) return '';
+        return `![${collapseWhitespace($node.attr('alt') || '').trim()}](${src})`;
+      }
+      case 'ul':
+      case 'ol':
+        return this.renderList(node, name === 'ol');
+      case 'li':
+        // Stray <li> outside a list
+        return this.block(`- ${this.renderChildren(node).trim()}`);
+      case 'blockquote': {
+        const inner = this.renderChildren(node).replace(/\n{3,}/g, '\n\n').trim();
+        return inner ? this.block(inner.split('\n').map(line => `> ${line}`).join('\n')) : '';
+      }
+      case 'table':
+        return this.renderTable(node);
+      default:
+        if (BLOCK_TAGS.has(name)) {
+          return this.block(this.renderChildren(node));
+        }
+        return this.renderChildren(node);
+    }
+  }
+
+  renderPre(node) {
+    const $node = this.$(node);
+    const text = $node.text().replace(/\n+$/, '');
+    if (!text.trim()) return '';
+    const classes = `${$node.attr('class') || ''} ${$node.find('code').attr('class') || ''}`;
+    const language = (classes.match(/(?:lang|language)-([\w+#-]+)/) || [])[1] || '';
+    const fence = text.includes('```') ? '````' : '```';
+    this.preBlocks.push(`${fence}${language}\n${text}\n${fence}`);
+    return `\n\n\u0000PRE${this.preBlocks.length - 1}\u0000\n\n`;
+  }
+
+  renderList(node, ordered) {
+    const items = (node.children || []).filter(child => child.type === 'tag' && child.name === 'li');
+    const start = parseInt(this.$(node).attr('start'), 10) || 1;
+    const lines = items.map((item, index) => {
+      const marker = ordered ? `${start + index}. ` : '- ';
+      const content = this.renderChildren(item).replace(/\n{2,}/g, '\n').trim();
+      if (!content) return null;
+      const indent = INDENT.repeat(marker.length);
+      return marker + content.split('\n').map((line, i) => (i === 0 ? line : indent + line)).join('\n');
+    }).filter(Boolean);
+    return lines.length > 0 ? this.block(lines.join('\n')) : '';
+  }
+
+  renderTable(node) {
+    const $ = this.$;
+    const rows = $(node).find('tr').toArray()
+      // Skip rows that belong to a nested table
+      .filter(tr => $(tr).closest('table').get(0) === node)
+      .map(tr => $(tr).children('th, td').toArray().map(cell =>
+        this.renderInline(cell).replace(/\u0000PRE\d+\u0000/g, '').replace(/\|/g, '\\|')));
+    const nonEmpty = rows.filter(row => row.length > 0);
+    if (nonEmpty.length === 0) return '';
+
+    // A single-column table is usually layout, not data
+    const columns = Math.max(...nonEmpty.map(row => row.length));
+    if (columns === 1) {
+      return this.block(nonEmpty.map(row => row[0]).join('\n\n'));
+    }
+
+    const pad = row => [...row, ...Array(columns - row.length).fill('')];
+    const [header, ...body] = nonEmpty.map(pad);
+    const lines = [
+      `| ${header.join(' | ')} |`,
+      `| ${header.map(() => '---').join(' | ')} |`,
+      ...body.map(row => `| ${row.join(' | ')} |`),
+    ];
+    return this.block(lines.join('\n'));
+  }
+}
+
+/**
+ * Extracts the main content of an HTML document as Markdown.
+ * @returns {{ title: string, canonicalUrl: string, markdown: string, links: string[] }}
+ */
+function extractArticle(html, pageUrl) {
+  const $ = cheerio.load(html);
+  const baseUrl = resolveUrl($('base[href]').attr('href'), pageUrl) || pageUrl;
+  const title = collapseWhitespace(
+    $('meta[property="og:title"]').attr('content') || $('title').first().text() || $('h1').first().text() || ''
+  ).trim();
+  const canonicalUrl = resolveUrl($('link[rel="canonical"]').attr('href'), baseUrl) || pageUrl;
+
+  removeClutter($);
+  const main = findMainContent($);
+  const converter = new MarkdownConverter($, baseUrl);
+  const markdown = converter.convert(main);
+
+  return { title, canonicalUrl, markdown, links: Array.from(converter.links).slice(0, MAX_LINKS) };
+}
+
+/**
+ * Splits Markdown into pages of at most pageSize characters, breaking between
+ * blocks and never inside a fenced code block unless the block alone is too big.
+ */
+function paginateMarkdown(markdown, pageSize) {
+  const blocks = [];
+  let fence = null;
+  for (const part of markdown.split(/\n\n/)) {
+    if (fence) {
+      blocks[blocks.length - 1] += `\n\n${part}`;
+    } else {
+      blocks.push(part);
+    }
+    // Track whether this part leaves a code fence open
+    for (const match of part.matchAll(/^(`{3,})/gm)) {
+      if (!fence) fence = match[1];
+      else if (match[1] === fence) fence = null;
+    }
+  }
+
+  const pages = [];
+  let current = '';
+  for (const block of blocks) {
+    if (current && current.length + block.length + 2 > pageSize) {
+      pages.push(current);
+      current = '';
+    }
+    if (block.length > pageSize) {
+      for (let i = 0; i < block.length; i += pageSize) pages.push(block.slice(i, i + pageSize));
+      continue;
+    }
+    current = current ? `${current}\n\n${block}` : block;
+  }
+  if (current || pages.length === 0) pages.push(current);
+  return pages;
+}
+
+// =================================================================
+// === Network Guard                                             ===
+// =================================================================
+// The model chooses which URLs to read, so requests to loopback, link-local
+// (including cloud metadata at 169.254.169.254) and private ranges are refused
+// unless explicitly allowed. Every redirect hop is re-checked, and the socket
+// lookup re-validates the address so DNS rebinding can't slip past the check.
+
+class UrlReaderError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'UrlReaderError';
+    this.code = code;
+  }
+}
+
+const BLOCKED_IPV4_RANGES = [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['224.0.0.0', 4], ['240.0.0.0', 4],
+];
+
+function ipv4ToInt(address) {
+  return address.split('.').reduce((n, octet) => (n << 8) + parseInt(octet, 10), 0) >>> 0;
+}
+
+function isBlockedIPv4(address) {
+  const value = ipv4ToInt(address);
+  return BLOCKED_IPV4_RANGES.some(([base, bits]) => {
+    const mask = bits === 0 ? 0 : (~0 << (32 - bits)) >>> 0;
+    return (value & mask) === (ipv4ToInt(base) & mask);
+  });
+}
+
+// Parses an IPv6 address (without brackets or zone) into its eight 16-bit groups,
+// including a trailing dotted IPv4 part. Returns null when it is not valid.
+function ipv6ToGroups(address) {
+  let text = address;
+  const dotted = text.match(/^(.*:)(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) {
+    if (!net.isIPv4(dotted[2])) return null;
+    const value = ipv4ToInt(dotted[2]);
+    text = `${dotted[1]}${(value >>> 16).toString(16)}:${(value & 0xffff).toString(16)}`;
+  }
+  const halves = text.split('::');
+  if (halves.length > 2) return null;
+  const parse = part => (part ? part.split(':').map(group => parseInt(group, 16)) : []);
+  const head = parse(halves[0]);
+  const tail = halves.length === 2 ? parse(halves[1]) : [];
+  const missing = 8 - head.length - tail.length;
+  if (halves.length === 2 ? missing < 1 : missing !== 0) return null;
+  const groups = [...head, ...new Array(missing).fill(0), ...tail];
+  return groups.every(group => Number.isInteger(group) && group >= 0 && group <= 0xffff) ? groups : null;
+}
+
+function groupsToIPv4(high, low) {
+  return [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.');
+}
+
+function isBlockedIPv6(address) {
+  const groups = ipv6ToGroups(address.toLowerCase().replace(/^\[|\]$/g, '').split('%')[0]);
+  if (!groups) return true;
+  const [g0, g1, g2, g3, g4, g5, g6, g7] = groups;
+  const zeroUpTo = count => groups.slice(0, count).every(group => group === 0);
+
+  // Addresses that embed an IPv4 address are judged by it: IPv4-compatible
+  // (::/96, which covers :: and ::1), IPv4-mapped (::ffff:0:0/96),
+  // IPv4-translated (::ffff:0:0:0/96), NAT64 (64:ff9b::/96) and 6to4 (2002::/16)
+  if (zeroUpTo(6)) return isBlockedIPv4(groupsToIPv4(g6, g7));
+  if (zeroUpTo(5) && g5 === 0xffff) return isBlockedIPv4(groupsToIPv4(g6, g7));
+  if (zeroUpTo(4) && g4 === 0xffff && g5 === 0) return isBlockedIPv4(groupsToIPv4(g6, g7));
+  if (g0 === 0x64 && g1 === 0xff9b && g2 === 0 && g3 === 0 && g4 === 0 && g5 === 0) {
+    return isBlockedIPv4(groupsToIPv4(g6, g7));
+  }
+  if (g0 === 0x2002) return isBlockedIPv4(groupsToIPv4(g1, g2));
+
+  return (g0 & 0xfe00) === 0xfc00   // fc00::/7 unique local
+    || (g0 & 0xffc0) === 0xfe80     // fe80::/10 link-local
+    || (g0 & 0xffc0) === 0xfec0     // fec0::/10 site-local (deprecated)
+    || (g0 & 0xff00) === 0xff00;    // ff00::/8 multicast
+}
+
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) return isBlockedIPv4(address);
+  if (family === 6) return isBlockedIPv6(address);
+  return true;
+}
+
+function blockedError(hostname, address) {
+  return new UrlReaderError(
+    `Refusing to fetch ${hostname}${address && address !== hostname ? ` (${address})` : ''}: loopback, link-local and private network addresses are blocked. Enable "Allow private network URLs" in Settings to read them.`,
+    'BLOCKED_ADDRESS'
+  );
+}
+
+// dns.lookup replacement for the HTTP agents; fails the connection for blocked addresses.
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    const blocked = addresses.find(a => isBlockedAddress(a.address));
+    if (blocked) return callback(blockedError(hostname, blocked.address));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const guardedAgents = {
+  httpAgent: new http.Agent({ lookup: guardedLookup }),
+  httpsAgent: new https.Agent({ lookup: guardedLookup }),
+};
+
+/**
+ * Checks a URL before it is requested: http(s) only, and a host that does not
+ * resolve to a blocked address (unless allowPrivate).
+ */
+async function validateUrl(rawUrl, { allowPrivate = false } = {}) {
+  let parsed;
+  try {
+    parsed = new URL(rawUrl);
+  } catch (_) {
+    throw new UrlReaderError(`Invalid URL: ${rawUrl}`, 'INVALID_URL');
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw new UrlReaderError(`Unsupported URL scheme '${parsed.protocol}'. Only http and https can be read.`, 'INVALID_URL');
+  }
+  if (parsed.username || parsed.password) {
+    throw new UrlReaderError('URLs with embedded credentials are not allowed.', 'INVALID_URL');
+  }
+  if (allowPrivate) return parsed;
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname)) {
+    if (isBlockedAddress(hostname)) throw blockedError(hostname);
+    return parsed;
+  }
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true });
+  } catch (error) {
+    throw new UrlReaderError(`Could not resolve host '${hostname}': ${error.code || error.message}`, 'FETCH_FAILED');
+  }
+  const blocked = addresses.find(a => isBlockedAddress(a.address));
+  if (blocked) throw blockedError(hostname, blocked.address);
+  return parsed;
+}
+
+// =================================================================
+// === Non-HTML Content                                          ===
+// =================================================================
+
+function parseContentType(header) {
+  const [type, ...params] = String(header || '').split(';');
+  const charsetParam = params.find(p => /^\s*charset=/i.test(p));
+  return {
+    mimeType: type.trim().toLowerCase() || 'application/octet-stream',
+    charset: charsetParam ? charsetParam.split('=')[1].trim().replace(/^["']|["']$/g, '') : null,
+  };
+}
+
+function decodeText(buffer, charset) {
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(buffer);
+  } catch (_) {
+    return new TextDecoder('utf-8').decode(buffer);
+  }
+}
+
+// Charset declared in <meta> when the Content-Type header doesn't give one.
+function sniffHtmlCharset(buffer) {
+  const head = buffer.subarray(0, 2048).toString('latin1');
+  const match = head.match(/<meta[^>]+charset\s*=\s*["']?([\w-]+)/i);
+  return match ? match[1] : null;
+}
+
+function classifyContent(mimeType, buffer) {
+  if (mimeType === 'text/html' || mimeType === 'application/xhtml+xml') return 'html';
+  if (mimeType === 'application/json' || mimeType.endsWith('+json')) return 'json';
+  if (mimeType === 'application/pdf') return 'pdf';
+  if (mimeType.startsWith('text/') || mimeType === 'application/xml' || mimeType.endsWith('+xml')
+    || mimeType === 'application/javascript' || mimeType === 'application/x-yaml' || mimeType === 'application/yaml') {
+    return 'text';
+  }
+  // Servers often send octet-stream for PDFs and HTML for unknown types
+  if (buffer.subarray(0, 5).toString('latin1') === '%PDF-') return 'pdf';
+  if (mimeType === 'application/octet-stream' && /^\s*<(!doctype html|html)/i.test(buffer.subarray(0, 256).toString('latin1'))) return 'html';
+  return null;
+}
+
+function decodePdfString(bytes) {
+  if (bytes.length >= 2 && bytes[0] === 0xfe && bytes[1] === 0xff) {
+    let text = '';
+    for (let i = 2; i + 1 < bytes.length; i += 2) text += String.fromCharCode((bytes[i] << 8) | bytes[i + 1]);
+    return text;
+  }
+  return Buffer.from(bytes).toString('latin1');
+}
+
+function parsePdfLiteral(token) {
+  const body = token.slice(1, -1);
+  const bytes = [];
+  for (let i = 0; i < body.length; i++) {
+    const ch = body[i];
+    if (ch !== '\\') { bytes.push(body.charCodeAt(i) & 0xff); continue; }
+    const next = body[++i];
+    const escapes = { n: 10, r: 13, t: 9, b: 8, f: 12, '(': 40, ')': 41, '\\': 92 };
+    if (next in escapes) bytes.push(escapes[next]);
+    else if (/[0-7]/.test(next)) {
+      let octal = next;
+      while (octal.length < 3 && /[0-7]/.test(body[i + 1])) octal += body[++i];
+      bytes.push(parseInt(octal, 8) & 0xff);
+    }
+    // A backslash before a line break continues the string
+  }
+  return decodePdfString(bytes);
+}
+
+function parsePdfHex(token) {
+  const hex = token.slice(1, -1).replace(/\s+/g, '');
+  const bytes = [];
+  for (let i = 0; i < hex.length; i += 2) bytes.push(parseInt(hex.slice(i, i + 2).padEnd(2, '0'), 16));
+  return decodePdfString(bytes);
+}
+
+// Collects text shown by Tj/TJ/'/" operators inside BT..ET blocks of a content stream.
+function extractTextFromContentStream(content) {
+  const tokens = content.match(/\((?:\\[\s\S]|[^\\)])*\)|<[0-9A-Fa-f\s]*>|\[|\]|-?\d*\.?\d+|\/[^\s\/\[\]()<>]+|[A-Za-z'"*]+/g) || [];
+  let text = '';
+  let operands = [];
+  let array = null;
+  for (const token of tokens) {
+    if (token === '[') { array = []; continue; }
+    if (token === ']') { operands.push(array || []); array = null; continue; }
+    const value = token.startsWith('(') ? parsePdfLiteral(token)
+      : (token.startsWith('<') ? parsePdfHex(token) : token);
+    if (array) { array.push({ token, value }); continue; }
+    if (!/^[A-Za-z'"*]+$/.test(token)) { operands.push({ token, value }); continue; }
+
+    switch (token) {
+      case 'Tj':
+        text += operands.length ? operands[operands.length - 1].value : '';
+        break;
+      case "'":
+      case '"':
+        text += '\n' + (operands.length ? operands[operands.length - 1].value : '');
+        break;
+      case 'TJ': {
+        const items = operands[operands.length - 1] || [];
+        for (const item of Array.isArray(items) ? items : []) {
+          if (/^[(<]/.test(item.token)) text += item.value;
+          else if (parseFloat(item.token) < -200) text += ' ';
+        }
+        break;
+      }
+      case 'Td':
+      case 'TD': {
+        const ty = parseFloat(operands[operands.length - 1] && operands[operands.length - 1].token);
+        text += ty ? '\n' : ' ';
+        break;
+      }
+      case 'T*':
+      case 'Tm':
+      case 'ET':
+        text += '\n';
+        break;
+    }
+    operands = [];
+  }
+  return text;
+}
+
+/**
+ * Best-effort text extraction for PDFs with uncompressed or Flate-compressed
+ * content streams. Fonts without a Unicode text map produce no usable text.
+ */
+function extractPdfText(buffer) {
+  const raw = buffer.toString('latin1');
+  const title = ((raw.match(/\/Title\s*\(((?:\\[\s\S]|[^\\)])*)\)/) || [])[1]);
+  const chunks = [];
+  const streamPattern = /\d+\s+\d+\s+obj\s*<<([\s\S]*?)>>\s*stream\r?\n/g;
+  let match;
+  while ((match = streamPattern.exec(raw))) {
+    const start = match.index + match[0].length;
+    const end = raw.indexOf('endstream', start);
+    if (end === -1) break;
+    streamPattern.lastIndex = end;
+
+    const dict = match[1];
+    let data = buffer.subarray(start, end);
+    if (/\/FlateDecode/.test(dict)) {
+      try {
+        data = zlib.inflateSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+      } catch (_) {
+        continue;
+      }
+    } else if (/\/Filter/.test(dict)) {
+      continue; // Image or other encoded data
+    }
+    const content = data.toString('latin1');
+    if (/\bBT\b/.test(content)) chunks.push(extractTextFromContentStream(content));
+  }
+
+  const text = chunks.join('\n\n')
+    .replace(/[^\S\n]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+  const printable = (text.match(/[\x20-\x7e\u00a0-\ufffd\n]/g) || []).length;
+  const usable = text.length > 20 && printable / text.length > 0.9;
+  return { title: title ? parsePdfLiteral(`(${title})`) : '', text: usable ? text : '' };
+}
+
+class UrlReader {
+  constructor() {
+    this.cache = new Map(); // Key: allowPrivate + url, Value: { fetchedAt, document }
+  }
+
+  /**
+   * Downloads a URL, following up to MAX_REDIRECTS redirects and validating
+   * every hop. The body is capped at MAX_RESPONSE_BYTES.
+   */
+  async fetchResource(url, { allowPrivate = false } = {}) {
+    let currentUrl = url;
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+      await validateUrl(currentUrl, { allowPrivate });
+      let response;
+      try {
+        response = await axios.get(currentUrl, {
+          headers: {
+            'User-Agent': randomUserAgent(),
+            'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,application/json;q=0.9,application/pdf;q=0.8,text/plain;q=0.8,*/*;q=0.5',
+            'Accept-Language': 'en-US,en;q=0.5',
+            'DNT': '1',
+            'Upgrade-Insecure-Requests': '1'
+          },
+          timeout: 30000,
+          responseType: 'arraybuffer',
+          maxRedirects: 0,
+          maxContentLength: MAX_RESPONSE_BYTES,
+          validateStatus: () => true,
+          // A proxy would resolve hosts itself and bypass the address check
+          proxy: false,
+          ...(allowPrivate ? {} : guardedAgents),
+        });
+      } catch (error) {
+        const cause = error.cause || error;
+        if (cause instanceof UrlReaderError) throw cause;
+        if (/maxContentLength/i.test(error.message)) {
+          throw new UrlReaderError(`Response is larger than ${Math.round(MAX_RESPONSE_BYTES / 1024 / 1024)} MB.`, 'TOO_LARGE');
+        }
+        throw new UrlReaderError(`Request failed: ${error.message}`, 'FETCH_FAILED');
+      }
+
+      if (response.status >= 300 && response.status < 400 && response.headers.location) {
+        currentUrl = new URL(response.headers.location, currentUrl).href;
+        continue;
+      }
+      if (response.status >= 400) {
+        throw new UrlReaderError(`Server returned HTTP ${response.status}.`, 'FETCH_FAILED');
+      }
+      return {
+        finalUrl: currentUrl,
+        contentType: response.headers['content-type'],
+        buffer: Buffer.from(response.data),
+      };
+    }
+    throw new UrlReaderError(`Too many redirects (more than ${MAX_REDIRECTS}).`, 'TOO_MANY_REDIRECTS');
+  }
+
+  async fetchDocument(url, options) {
+    const { finalUrl, contentType, buffer } = await this.fetchResource(url, options);
+    const { mimeType, charset } = parseContentType(contentType);
+    const kind = classifyContent(mimeType, buffer);
+    const base = { finalUrl, canonicalUrl: finalUrl, contentType: mimeType, links: [], title: '' };
+
+    switch (kind) {
+      case 'html': {
+        const html = decodeText(buffer, charset || sniffHtmlCharset(buffer));
+        return { ...base, ...extractArticle(html, finalUrl) };
+      }
+      case 'json': {
+        const text = decodeText(buffer, charset);
+        let markdown = text;
+        try {
+          markdown = JSON.stringify(JSON.parse(text), null, 2);
+        } catch (_) {
+          // Serve malformed JSON as plain text
+        }
+        return { ...base, markdown };
+      }
+      case 'text':
+        return { ...base, markdown: decodeText(buffer, charset) };
+      case 'pdf': {
+        const { title, text } = extractPdfText(buffer);
+        return {
+          ...base,
+          title,
+          markdown: text || '[This PDF has no extractable text. It may be scanned or use fonts without a text map.]',
+        };
+      }
+      default:
+        throw new UrlReaderError(`Unsupported content type '${mimeType}' (${buffer.length} bytes). read_url handles HTML, JSON, text and PDF.`, 'UNSUPPORTED_CONTENT_TYPE');
+    }
+  }
+
+  // Reading page 2 right after page 1 shouldn't fetch the document again.
+  async getDocument(url, options = {}) {
+    const key = `${options.allowPrivate ? 'private' : 'public'} ${url}`;
+    const cached = this.cache.get(key);
+    if (cached && Date.now() - cached.fetchedAt < DOCUMENT_CACHE_TTL_MS) {
+      return cached.document;
+    }
+    const document = await this.fetchDocument(url, options);
+    this.cache.delete(key);
+    this.cache.set(key, { fetchedAt: Date.now(), document });
+    while (this.cache.size > DOCUMENT_CACHE_SIZE) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    return document;
+  }
+
+  /**
+   * @param {string} url
+   * @param {object} options - { page (1-based), pageSize (characters), allowPrivate }
+   */
+  async read(url, { page = 1, pageSize, allowPrivate = false } = {}) {
+    const size = Math.min(Math.max(parseInt(pageSize, 10) || DEFAULT_PAGE_CHARS, MIN_PAGE_CHARS), MAX_PAGE_CHARS);
+    const document = await this.getDocument(url, { allowPrivate: !!allowPrivate || ALLOW_PRIVATE_BY_DEFAULT });
+    const pages = paginateMarkdown(document.markdown, size);
+    const pageNumber = Math.min(Math.max(parseInt(page, 10) || 1, 1), pages.length);
+    const hasMore = pageNumber < pages.length;
+
+    let content = pages[pageNumber - 1];
+    if (pages.length > 1) {
+      content += `\n\n[Page ${pageNumber} of ${pages.length}.${hasMore ? ` Call read_url with page: ${pageNumber + 1} to continue.` : ''}]`;
+    }
+
+    return {
+      url,
+      finalUrl: document.finalUrl,
+      canonicalUrl: document.canonicalUrl,
+      contentType: document.contentType,
+      title: document.title,
+      content,
+      links: document.links,
+      page: pageNumber,
+      totalPages: pages.length,
+      hasMore,
+      totalChars: document.markdown.length,
+    };
+  }
+}
+
+module.exports = {
+  UrlReader,
+  UrlReaderError,
+  extractArticle,
+  extractPdfText,
+  paginateMarkdown,
+  validateUrl,
+  isBlockedAddress,
+};
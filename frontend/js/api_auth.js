@@ -0,0 +1,22 @@
+// Sends the backend's per-launch API token with every same-origin /api/ request.
+// The server injects the token into the page as <meta name="ai-editor-token">.
+// Loaded as a classic script in <head> so it runs before any module makes a request.
+(function () {
+    const meta = document.querySelector('meta[name="ai-editor-token"]');
+    const token = meta ? meta.getAttribute('content') : null;
+    if (!token) {
+        console.warn('[ApiAuth] No API token found. Open the editor from the backend server (http://localhost:3333).');
+        return;
+    }
+
+    const originalFetch = window.fetch.bind(window);
+    window.fetch = function (input, init = {}) {
+        const url = new URL(typeof input === 'string' || input instanceof URL ? input : input.url, window.location.href);
+        if (url.origin !== window.location.origin || !url.pathname.startsWith('/api/')) {
+            return originalFetch(input, init);
+        }
+        const headers = new Headers(init.headers || (input instanceof Request ? input.headers : undefined));
+        headers.set('X-AI-Editor-Token', token);
+        return originalFetch(input, { ...init, headers });
+    };
+})();
@@ -18,6 +18,9 @@ export const ApiKeyManager = {
                 case 'openai':
                     keysString = Settings.get('llm.openai.apiKey') || '';
                     break;
+                case 'anthropic':
+                    keysString = Settings.get('llm.anthropic.apiKey') || '';
+                    break;
                 // Ollama does not use API keys, so it's omitted here.
             }
         }
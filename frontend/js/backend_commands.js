@@ -0,0 +1,206 @@
+// This module is the browser-side client for commands run by the backend.
+// It wraps the SSE execution stream, the job routes, the command policy check
+// and the git tools, so the agent tools and the UI panels share one implementation.
+
+import { Settings } from './settings.js';
+
+/**
+ * Error raised when the backend command policy blocks a command. The details
+ * are merged into tool responses so the model sees a structured reason.
+ */
+export class CommandPolicyError extends Error {
+    constructor(message, details) {
+        super(message);
+        this.name = 'CommandPolicyError';
+        this.details = details;
+    }
+}
+
+/**
+ * Error returned by a backend tool (e.g. git). Carries the backend error code
+ * so tool responses can include it.
+ */
+export class BackendToolError extends Error {
+    constructor(message, details) {
+        super(message);
+        this.name = 'BackendToolError';
+        this.details = details;
+    }
+}
+
+/**
+ * Reads a Server-Sent Events response body and invokes onEvent(event, data)
+ * for every complete event. Resolves when the stream ends.
+ */
+async function readEventStream(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    const dispatch = (rawEvent) => {
+        let event = 'message';
+        const dataLines = [];
+        for (const line of rawEvent.split('\n')) {
+            if (line.startsWith('event:')) event = line.slice(6).trim();
+            else if (line.startsWith('data:')) dataLines.push(line.slice(5).trimStart());
+        }
+        if (dataLines.length === 0) return;
+        let data = dataLines.join('\n');
+        try {
+            data = JSON.parse(data);
+        } catch (_) {
+            // Leave non-JSON payloads as plain text
+        }
+        onEvent(event, data);
+    };
+
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            dispatch(buffer.slice(0, boundary));
+            buffer = buffer.slice(boundary + 2);
+        }
+    }
+    if (buffer.trim()) dispatch(buffer);
+}
+
+async function postJson(url, body) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body || {}),
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(result.message || `Backend returned HTTP ${response.status}`);
+    }
+    return result;
+}
+
+/**
+ * Timeout and output cap from General Settings, in the units the backend expects.
+ */
+export function getConfiguredLimits() {
+    const timeoutSeconds = parseInt(Settings.get('terminal.timeoutSeconds'), 10);
+    const maxOutputKB = parseInt(Settings.get('terminal.maxOutputKB'), 10);
+    return {
+        timeoutMs: timeoutSeconds > 0 ? timeoutSeconds * 1000 : undefined,
+        maxOutputBytes: maxOutputKB > 0 ? maxOutputKB * 1024 : undefined,
+    };
+}
+
+/**
+ * Asks the backend how its command policy treats a command.
+ * @returns {Promise<{action: 'allow'|'approve'|'deny', reason: string, rule: string|null}>}
+ */
+export async function evaluateCommandPolicy(command) {
+    const result = await postJson('/api/command-policy/evaluate', { command });
+    return result.decision;
+}
+
+/**
+ * Runs a command on the backend and streams its output.
+ * @param {string} command - Shell command, run in the backend project root
+ * @param {object} options - { turnId, timeoutMs, maxOutputBytes, approved, onEvent(event, data) }
+ * @returns {Promise<{jobId, status, exitCode, signal, stdout, stderr, outputTruncated, error}>}
+ */
+export async function streamCommand(command, options = {}) {
+    const { onEvent, ...requestOptions } = options;
+    const response = await fetch('/api/execute-command-stream', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...getConfiguredLimits(), ...requestOptions, command }),
+    });
+    if (!response.ok || !response.body) {
+        const errorBody = await response.json().catch(() => ({}));
+        if (errorBody.code) {
+            throw new CommandPolicyError(errorBody.message, { code: errorBody.code, command, rule: errorBody.rule });
+        }
+        throw new Error(errorBody.message || `Backend returned HTTP ${response.status}`);
+    }
+
+    const result = {
+        jobId: null,
+        status: null,
+        exitCode: null,
+        signal: null,
+        stdout: '',
+        stderr: '',
+        outputTruncated: false,
+        error: null,
+    };
+
+    await readEventStream(response, (event, data) => {
+        switch (event) {
+            case 'start':
+                result.jobId = data.jobId;
+                break;
+            case 'stdout':
+                result.stdout += data.chunk;
+                break;
+            case 'stderr':
+                result.stderr += data.chunk;
+                break;
+            case 'truncated':
+                result.outputTruncated = true;
+                break;
+            case 'exit':
+                result.status = data.status;
+                result.exitCode = data.code;
+                result.signal = data.signal;
+                break;
+            case 'error':
+                result.error = data.message;
+                break;
+        }
+        if (onEvent) onEvent(event, data);
+    });
+
+    return result;
+}
+
+export async function listJobs() {
+    const response = await fetch('/api/jobs');
+    const result = await response.json();
+    return result.jobs || [];
+}
+
+export async function killJob(jobId) {
+    const result = await postJson(`/api/jobs/${encodeURIComponent(jobId)}/kill`);
+    return result.job;
+}
+
+/**
+ * Asks the backend to kill every command job started during the given chat turn.
+ */
+export async function killJobsForTurn(turnId) {
+    try {
+        const result = await postJson('/api/jobs/kill-turn', { turnId });
+        if (result.killed && result.killed.length > 0) {
+            console.log(`[BackendCommands] Killed backend jobs for ${turnId}:`, result.killed);
+        }
+        return result.killed || [];
+    } catch (error) {
+        console.warn('[BackendCommands] Failed to cancel backend jobs:', error);
+        return [];
+    }
+}
+
+/**
+ * Runs one of the backend git tools (git_status, git_diff, ...) and returns its JSON result.
+ */
+export async function runGitTool(toolName, parameters = {}) {
+    const response = await fetch('/api/execute-tool', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ toolName, parameters }),
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok || result.status !== 'Success') {
+        throw new BackendToolError(result.message || `${toolName} failed with HTTP ${response.status}`, { code: result.code || 'GIT_ERROR' });
+    }
+    return result.result;
+}
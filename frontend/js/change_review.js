@@ -0,0 +1,191 @@
+/**
+ * Review Mode
+ * While review mode is on, the agent's file tools stage their writes, deletions
+ * and renames here instead of touching the disk. Each staged file is approved
+ * (optionally after editing it) or rejected from the Review panel, and the
+ * decisions are passed back to the agent with its next tool result or message.
+ */
+
+import { Settings } from './settings.js';
+import * as FileSystem from './file_system.js';
+import * as Editor from './editor.js';
+import { UndoManager } from './undo_manager.js';
+import { Checkpoints } from './checkpoints.js';
+
+async function readFromDisk(rootHandle, path) {
+    try {
+        const fileHandle = await FileSystem.getFileHandleFromPath(rootHandle, path);
+        return await (await fileHandle.getFile()).text();
+    } catch (error) {
+        return null;
+    }
+}
+
+async function writeToDisk(rootHandle, path, content) {
+    const fileHandle = await FileSystem.getFileHandleFromPath(rootHandle, path, { create: true });
+    await FileSystem.writeFile(fileHandle, content);
+    Editor.getOpenFiles().get(path)?.model.setValue(content);
+}
+
+export class ChangeReview {
+    constructor() {
+        // path -> { path, type: 'create'|'modify'|'delete'|'rename', fromPath, original, content, tools }
+        // `original` is the disk content when first staged (null for new files),
+        // `content` the proposed content (null for deletions)
+        this.changes = new Map();
+        this.feedback = []; // [{ path, decision, label, note }] not yet reported to the agent
+        this.listeners = new Set();
+    }
+
+    get enabled() {
+        return !!Settings.get('agent.reviewMode');
+    }
+
+    onChange(listener) {
+        this.listeners.add(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener());
+    }
+
+    list() {
+        return [...this.changes.values()];
+    }
+
+    get(path) {
+        return this.changes.get(path) || null;
+    }
+
+    /**
+     * The content the agent should see for a path: the staged content, null when
+     * the file is staged for deletion or renamed away, or undefined when the path
+     * has no pending change.
+     */
+    getStagedContent(path) {
+        const change = this.changes.get(path);
+        if (change) return change.type === 'delete' ? null : change.content;
+        if (this.list().some(c => c.type === 'rename' && c.fromPath === path)) return null;
+        return undefined;
+    }
+
+    stageWrite(path, original, content, toolName) {
+        const existing = this.changes.get(path);
+        if (existing) {
+            if (existing.type === 'delete') existing.type = 'modify';
+            existing.content = content;
+            existing.tools.push(toolName);
+        } else {
+            this.changes.set(path, { path, type: original === null ? 'create' : 'modify', original, content, tools: [toolName] });
+        }
+        this.notify();
+    }
+
+    stageDelete(path, original, toolName) {
+        const existing = this.changes.get(path);
+        if (existing?.type === 'create') {
+            // Never written, so there is nothing left to review
+            this.changes.delete(path);
+        } else if (existing?.type === 'rename') {
+            this.changes.delete(path);
+            this.changes.set(existing.fromPath, { path: existing.fromPath, type: 'delete', original: existing.original, content: null, tools: [...existing.tools, toolName] });
+        } else if (existing) {
+            existing.type = 'delete';
+            existing.content = null;
+            existing.tools.push(toolName);
+        } else {
+            this.changes.set(path, { path, type: 'delete', original, content: null, tools: [toolName] });
+        }
+        this.notify();
+    }
+
+    stageRename(fromPath, toPath, original, content, toolName) {
+        const existing = this.changes.get(fromPath);
+        if (existing?.type === 'delete') {
+            throw new Error(`'${fromPath}' is staged for deletion.`);
+        }
+        if (existing) {
+            this.changes.delete(fromPath);
+            const renamed = existing.type === 'modify'
+                ? { ...existing, type: 'rename', fromPath }
+                : { ...existing }; // a new file just moves; a rename keeps its source
+            this.changes.set(toPath, { ...renamed, path: toPath, tools: [...existing.tools, toolName] });
+        } else {
+            this.changes.set(toPath, { path: toPath, type: 'rename', fromPath, original, content, tools: [toolName] });
+        }
+        this.notify();
+    }
+
+    /**
+     * Applies a staged change to the disk. `content` replaces the proposed content
+     * when the user edited it. Unless `force` is set, nothing is written if the file
+     * changed on disk since it was staged; the result then has conflict: true.
+     * @returns {Promise<{ conflict: boolean }>}
+     */
+    async approve(path, rootHandle, { content, force = false } = {}) {
+        const change = this.changes.get(path);
+        if (!change) return { conflict: false };
+        const finalContent = content ?? change.content;
+        const sourcePath = change.type === 'rename' ? change.fromPath : path;
+
+        if (!force && (await readFromDisk(rootHandle, sourcePath)) !== change.original) {
+            return { conflict: true };
+        }
+
+        if (change.type === 'delete') {
+            UndoManager.push(path, change.original ?? '');
+            const { parentHandle, entryName } = await FileSystem.getParentDirectoryHandle(rootHandle, path);
+            await parentHandle.removeEntry(entryName);
+            if (Editor.getOpenFiles().has(path)) {
+                Editor.closeTab(path, document.getElementById('tab-bar'));
+            }
+        } else if (change.type === 'rename') {
+            await FileSystem.renameEntry(rootHandle, change.fromPath, path);
+            if (Editor.getOpenFiles().has(change.fromPath)) {
+                Editor.closeTab(change.fromPath, document.getElementById('tab-bar'));
+            }
+            if (finalContent !== change.original) {
+                UndoManager.push(path, change.original ?? '');
+                await writeToDisk(rootHandle, path, finalContent);
+            }
+        } else {
+            UndoManager.push(path, change.original ?? '');
+            await writeToDisk(rootHandle, path, finalContent);
+        }
+
+        Checkpoints.markTouched(sourcePath, path);
+
+        const edited = content !== undefined && content !== change.content;
+        this.addFeedback(change, edited ? 'edited' : 'approved',
+            edited ? 'The user changed your version before approving it; read the file again before editing it further.' : '');
+        this.changes.delete(path);
+        this.notify();
+        return { conflict: false };
+    }
+
+    reject(path, reason = '') {
+        const change = this.changes.get(path);
+        if (!change) return;
+        this.addFeedback(change, 'rejected', reason ? `reason: ${reason}` : '');
+        this.changes.delete(path);
+        this.notify();
+    }
+
+    addFeedback(change, decision, note) {
+        const label = change.type === 'rename' ? `rename ${change.fromPath} -> ${change.path}` : `${change.type} ${change.path}`;
+        this.feedback.push({ path: change.path, decision, label, note });
+    }
+
+    /**
+     * Returns the review decisions the agent has not been told about yet as
+     * text for a tool result or message, or null when there are none.
+     */
+    takeFeedback() {
+        if (this.feedback.length === 0) return null;
+        const lines = this.feedback.map(f => `- ${f.decision.toUpperCase()}: ${f.label}${f.note ? ` (${f.note})` : ''}`);
+        this.feedback = [];
+        return `The user reviewed your staged file changes:\n${lines.join('\n')}\nRejected changes were discarded and are not on disk.`;
+    }
+}
+
+export const changeReview = new ChangeReview();
@@ -0,0 +1,226 @@
+/**
+ * Review Panel
+ * Lists the agent's staged file changes in the Review sidebar tab while review
+ * mode is on. Each file opens as an editable diff and is approved (with any
+ * edits made in the diff) or rejected; the decisions go back to the agent.
+ */
+
+import * as Editor from './editor.js';
+import * as UI from './ui.js';
+import { Settings } from './settings.js';
+import { changeReview } from './change_review.js';
+
+const TYPE_LETTERS = {
+    create: 'A',
+    modify: 'M',
+    delete: 'D',
+    rename: 'R',
+};
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text == null ? '' : String(text);
+    return div.innerHTML;
+}
+
+export class ChangeReviewUI {
+    constructor() {
+        this.container = null;
+        this.rootDirHandle = null;
+        this.onFileSelect = null;
+        this.selectedPath = null;
+        this.diffEditor = null;
+        this.busy = false;
+
+        changeReview.onChange(() => {
+            this.updateBadge();
+            if (this.container) this.render();
+        });
+    }
+
+    /**
+     * Renders the panel into a container.
+     * @param {function(string): void} onFileSelect - The file tree's click handler, kept when the tree is refreshed after approvals.
+     */
+    mount(container, rootDirHandle, onFileSelect) {
+        this.rootDirHandle = rootDirHandle;
+        this.onFileSelect = onFileSelect;
+        if (this.container !== container || !container.querySelector('.review-panel')) {
+            this.container = container;
+            container.innerHTML = `
+                <div class="review-panel">
+                    <div class="scm-header">
+                        <h4><i class="fas fa-clipboard-check"></i> Agent Changes</h4>
+                        <label class="review-toggle" title="Stage the agent's file changes here instead of writing them">
+                            <input type="checkbox" class="review-mode-checkbox"> Review mode
+                        </label>
+                    </div>
+                    <div class="scm-commit-actions review-actions">
+                        <button class="review-reject-all btn-secondary">Reject All</button>
+                        <button class="review-approve-all btn-primary">Approve All</button>
+                    </div>
+                    <ul class="scm-list review-list"></ul>
+                </div>
+            `;
+            const checkbox = container.querySelector('.review-mode-checkbox');
+            checkbox.addEventListener('change', async () => {
+                await Settings.set('agent.reviewMode', checkbox.checked);
+                this.render();
+            });
+            container.querySelector('.review-approve-all').addEventListener('click', () => this.approveAll());
+            container.querySelector('.review-reject-all').addEventListener('click', () => this.rejectAll());
+        }
+        this.render();
+    }
+
+    updateBadge() {
+        const tab = document.getElementById('review-tab');
+        if (!tab) return;
+        const count = changeReview.list().length;
+        tab.textContent = count > 0 ? `Review (${count})` : 'Review';
+    }
+
+    render() {
+        const changes = changeReview.list();
+        this.container.querySelector('.review-mode-checkbox').checked = changeReview.enabled;
+        this.container.querySelectorAll('.review-actions button').forEach(button => {
+            button.disabled = changes.length === 0;
+        });
+
+        const list = this.container.querySelector('.review-list');
+        if (changes.length === 0) {
+            list.innerHTML = `<li class="scm-empty">${changeReview.enabled
+                ? 'No pending changes. Agent edits will appear here for review.'
+                : 'Review mode is off: agent edits are written directly.'}</li>`;
+            return;
+        }
+
+        list.innerHTML = changes.map(change => {
+            const name = change.path.split('/').pop();
+            const dir = change.path.slice(0, change.path.length - name.length);
+            const title = change.type === 'rename' ? `${change.fromPath} → ${change.path}` : change.path;
+            return `
+                <li class="scm-item${change.path === this.selectedPath ? ' selected' : ''}" data-path="${escapeHtml(change.path)}" title="${escapeHtml(`${title} (${change.tools.join(', ')})`)}">
+                    <span class="scm-name">${escapeHtml(name)}</span>
+                    <span class="scm-dir">${escapeHtml(dir)}</span>
+                    <button class="scm-item-action" data-action="approve" title="Approve"><i class="fas fa-check"></i></button>
+                    <button class="scm-item-action" data-action="reject" title="Reject"><i class="fas fa-times"></i></button>
+                    <span class="scm-state state-${change.type === 'create' ? 'added' : change.type === 'delete' ? 'deleted' : change.type === 'rename' ? 'renamed' : 'modified'}">${TYPE_LETTERS[change.type]}</span>
+                </li>
+            `;
+        }).join('');
+
+        list.querySelectorAll('.scm-item').forEach(item => {
+            const filePath = item.dataset.path;
+            item.addEventListener('click', () => this.openDiff(filePath));
+            item.querySelector('[data-action="approve"]').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.approve(filePath);
+            });
+            item.querySelector('[data-action="reject"]').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.reject(filePath);
+            });
+        });
+    }
+
+    /**
+     * Whether the diff of a staged file is still open; the user's edits are read from it.
+     */
+    isDiffOpen(filePath) {
+        if (this.selectedPath !== filePath || !this.diffEditor) return false;
+        const model = this.diffEditor.getModel()?.modified;
+        return !!model && !model.isDisposed();
+    }
+
+    openDiff(filePath) {
+        const change = changeReview.get(filePath);
+        if (!change) return;
+        this.selectedPath = filePath;
+        this.render();
+
+        const title = change.type === 'rename' ? `${change.fromPath} → ${change.path}` : change.path;
+        const toolbar = document.createElement('div');
+        toolbar.className = 'scm-hunks';
+        toolbar.innerHTML = `
+            <div class="scm-hunk-group">
+                <span class="scm-hunks-note">${change.type === 'delete' ? 'Staged for deletion.' : 'Edit the right side to change what gets written.'}</span>
+                <button class="scm-hunk-action" data-action="approve">Approve</button>
+                <button class="scm-hunk-action" data-action="reject">Reject</button>
+            </div>
+        `;
+        toolbar.querySelector('[data-action="approve"]').addEventListener('click', () => this.approve(filePath));
+        toolbar.querySelector('[data-action="reject"]').addEventListener('click', () => this.reject(filePath));
+
+        this.diffEditor = Editor.openDiffView({
+            title: `${title} (Disk ↔ Agent)`,
+            filePath,
+            original: change.original ?? '',
+            modified: change.content ?? '',
+            toolbar,
+            editable: change.type !== 'delete',
+        });
+    }
+
+    closeDiff(filePath) {
+        if (this.isDiffOpen(filePath)) Editor.closeDiffView();
+        if (this.selectedPath === filePath) {
+            this.selectedPath = null;
+            this.diffEditor = null;
+        }
+    }
+
+    async approve(filePath, { refreshTree = true } = {}) {
+        if (this.busy || !this.rootDirHandle) return false;
+        const content = this.isDiffOpen(filePath) ? this.diffEditor.getModel().modified.getValue() : undefined;
+        this.busy = true;
+        try {
+            let result = await changeReview.approve(filePath, this.rootDirHandle, { content });
+            if (result.conflict) {
+                if (!confirm(`${filePath} changed on disk after the agent's change was staged. Overwrite it anyway?`)) {
+                    return false;
+                }
+                result = await changeReview.approve(filePath, this.rootDirHandle, { content, force: true });
+            }
+            this.closeDiff(filePath);
+            if (refreshTree) await this.refreshFileTree();
+            return true;
+        } catch (error) {
+            UI.showError(`Could not apply the change to ${filePath}: ${error.message}`);
+            return false;
+        } finally {
+            this.busy = false;
+        }
+    }
+
+    reject(filePath) {
+        const reason = prompt(`Reject the change to ${filePath}?\nOptionally tell the agent why:`, '');
+        if (reason === null) return;
+        changeReview.reject(filePath, reason.trim());
+        this.closeDiff(filePath);
+    }
+
+    async approveAll() {
+        for (const change of changeReview.list()) {
+            if (!(await this.approve(change.path, { refreshTree: false }))) break;
+        }
+        await this.refreshFileTree();
+    }
+
+    rejectAll() {
+        const changes = changeReview.list();
+        if (changes.length === 0) return;
+        const reason = prompt(`Reject all ${changes.length} staged change(s)?\nOptionally tell the agent why:`, '');
+        if (reason === null) return;
+        changes.forEach(change => {
+            changeReview.reject(change.path, reason.trim());
+            this.closeDiff(change.path);
+        });
+    }
+
+    async refreshFileTree() {
+        await UI.refreshFileTree(this.rootDirHandle, this.onFileSelect);
+    }
+}
+
+export const changeReviewUI = new ChangeReviewUI();
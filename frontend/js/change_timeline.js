@@ -0,0 +1,182 @@
+/**
+ * Change Timeline
+ * Records the file changes of every file-changing tool call, grouped by the
+ * chat turn that made them, so a single call or a whole turn can be undone and
+ * redone. Before anything is written the files are compared with the state the
+ * change expects; files edited since then are reported as conflicts.
+ */
+
+import * as FileSystem from './file_system.js';
+import * as Editor from './editor.js';
+import { Checkpoints } from './checkpoints.js';
+
+const MAX_TURNS = 50; // Oldest turns are dropped beyond this
+
+async function readText(rootHandle, path) {
+    try {
+        const fileHandle = await FileSystem.getFileHandleFromPath(rootHandle, path);
+        return await (await fileHandle.getFile()).text();
+    } catch (error) {
+        return null;
+    }
+}
+
+function summarizeParameters(parameters = {}) {
+    const keys = ['filename', 'old_path', 'new_path', 'folder_path', 'old_folder_path', 'new_folder_path'];
+    return keys.filter(key => parameters[key]).map(key => parameters[key]).join(' → ');
+}
+
+export class ChangeTimeline {
+    constructor() {
+        // [{ id, label, startedAt, calls: [{ id, toolName, summary, at, undone,
+        //   changes: [{ path, before, after }] }] }], oldest first; null content = no file
+        this.turns = [];
+        this.currentTurn = null;
+        this.nextCallId = 1;
+        this.listeners = new Set();
+    }
+
+    onChange(listener) {
+        this.listeners.add(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener());
+    }
+
+    startTurn(id, label) {
+        this.currentTurn = { id, label: label || 'Agent turn', startedAt: Date.now(), calls: [] };
+    }
+
+    endTurn() {
+        this.currentTurn = null;
+    }
+
+    /**
+     * Reads the files a tool call is about to change.
+     * @returns {Promise<object|null>} A pending record for endCall, or null when there is nothing to track.
+     */
+    async beginCall(toolName, parameters, paths, rootHandle) {
+        const uniquePaths = [...new Set(paths.filter(Boolean))];
+        if (!rootHandle || uniquePaths.length === 0) return null;
+        const before = new Map();
+        for (const path of uniquePaths) {
+            before.set(path, await readText(rootHandle, path));
+        }
+        return { toolName, summary: summarizeParameters(parameters), before };
+    }
+
+    /**
+     * Compares the files with their state before the call and records what changed.
+     */
+    async endCall(pending, rootHandle) {
+        if (!pending) return;
+        const changes = [];
+        for (const [path, before] of pending.before) {
+            const after = await readText(rootHandle, path);
+            if (after !== before) changes.push({ path, before, after });
+        }
+        if (changes.length === 0) return;
+
+        // Tools run from the UI outside a chat turn get a turn of their own
+        const turn = this.currentTurn || {
+            id: `direct_${Date.now()}`,
+            label: `Direct tool call: ${pending.toolName}`,
+            startedAt: Date.now(),
+            calls: [],
+        };
+        if (!this.turns.includes(turn)) {
+            this.turns.push(turn);
+            if (this.turns.length > MAX_TURNS) this.turns.shift();
+        }
+        turn.calls.push({
+            id: this.nextCallId++,
+            toolName: pending.toolName,
+            summary: pending.summary,
+            at: Date.now(),
+            undone: false,
+            changes,
+        });
+        this.notify();
+    }
+
+    getTurn(turnId) {
+        return this.turns.find(turn => turn.id === turnId) || null;
+    }
+
+    /**
+     * The net file writes of undoing or redoing a call, or every applicable call of
+     * a turn: for each path, the content it must have now and the content to write.
+     */
+    plan(turnId, callId, direction) {
+        const turn = this.getTurn(turnId);
+        if (!turn) return { calls: [], writes: new Map() };
+        const undo = direction === 'undo';
+        let calls = turn.calls.filter(call => (callId === null || call.id === callId) && call.undone !== undo);
+        if (undo) calls = calls.reverse();
+
+        const writes = new Map(); // path -> { expected, content }
+        for (const call of calls) {
+            for (const change of call.changes) {
+                const expected = undo ? change.after : change.before;
+                const content = undo ? change.before : change.after;
+                const write = writes.get(change.path);
+                if (write) write.content = content;
+                else writes.set(change.path, { expected, content });
+            }
+        }
+        return { calls, writes };
+    }
+
+    /**
+     * Paths whose current content is not what the undo or redo expects: changed
+     * by a later call, edited by hand, or with unsaved edits in an open tab.
+     */
+    async findConflicts(writes, rootHandle) {
+        const conflicts = [];
+        for (const [path, { expected }] of writes) {
+            const current = await readText(rootHandle, path);
+            const model = Editor.getOpenFiles().get(path)?.model;
+            if (current !== expected || (model && current !== null && model.getValue() !== current)) {
+                conflicts.push(path);
+            }
+        }
+        return conflicts;
+    }
+
+    /**
+     * Undoes or redoes a call (callId) or a whole turn (callId null). Unless
+     * `force` is set, nothing is written when there are conflicts.
+     * @returns {Promise<{ conflicts: string[], changed: string[] }>}
+     */
+    async apply(turnId, callId, direction, rootHandle, { force = false } = {}) {
+        const { calls, writes } = this.plan(turnId, callId, direction);
+        if (calls.length === 0) return { conflicts: [], changed: [] };
+
+        const conflicts = await this.findConflicts(writes, rootHandle);
+        if (conflicts.length > 0 && !force) return { conflicts, changed: [] };
+
+        const tabBar = document.getElementById('tab-bar');
+        const changed = [];
+        for (const [path, { content }] of writes) {
+            if (content === null) {
+                if ((await readText(rootHandle, path)) !== null) await FileSystem.deleteEntry(rootHandle, path);
+                if (Editor.getOpenFiles().has(path)) Editor.closeTab(path, tabBar);
+            } else {
+                const fileHandle = await FileSystem.getFileHandleFromPath(rootHandle, path, { create: true });
+                await FileSystem.writeFile(fileHandle, content);
+                Editor.getOpenFiles().get(path)?.model.setValue(content);
+            }
+            changed.push(path);
+        }
+        Checkpoints.markTouched(...changed);
+
+        calls.forEach(call => {
+            call.undone = direction === 'undo';
+        });
+        this.notify();
+        return { conflicts, changed };
+    }
+}
+
+export const changeTimeline = new ChangeTimeline();
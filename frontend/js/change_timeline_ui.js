@@ -0,0 +1,141 @@
+/**
+ * Change Timeline Panel
+ * Shows the agent's file changes above the chat, newest turn first, with undo
+ * and redo buttons for each turn and each tool call. Clicking a file opens the
+ * diff of that call's change.
+ */
+
+import * as Editor from './editor.js';
+import * as UI from './ui.js';
+import { changeTimeline } from './change_timeline.js';
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text == null ? '' : String(text);
+    return div.innerHTML;
+}
+
+function changeLetter(change) {
+    if (change.before === null) return 'A';
+    if (change.after === null) return 'D';
+    return 'M';
+}
+
+export class ChangeTimelineUI {
+    constructor() {
+        this.container = null;
+        this.rootDirHandle = null;
+        this.onFileSelect = null;
+        this.busy = false;
+
+        changeTimeline.onChange(() => {
+            if (this.isVisible()) this.render();
+        });
+    }
+
+    isVisible() {
+        return !!this.container && this.container.style.display !== 'none';
+    }
+
+    /**
+     * Shows or hides the panel.
+     * @param {function(string): void} onFileSelect - The file tree's click handler, kept when the tree is refreshed.
+     */
+    toggle(container, rootDirHandle, onFileSelect) {
+        this.container = container;
+        this.rootDirHandle = rootDirHandle;
+        this.onFileSelect = onFileSelect;
+        container.style.display = this.isVisible() ? 'none' : 'block';
+        if (this.isVisible()) this.render();
+    }
+
+    render() {
+        const turns = [...changeTimeline.turns].reverse();
+        if (turns.length === 0) {
+            this.container.innerHTML = '<div class="timeline-empty">No file changes by the agent yet.</div>';
+            return;
+        }
+
+        this.container.innerHTML = turns.map(turn => {
+            const allUndone = turn.calls.every(call => call.undone);
+            const anyUndone = turn.calls.some(call => call.undone);
+            return `
+                <div class="timeline-turn" data-turn="${escapeHtml(turn.id)}">
+                    <div class="timeline-turn-header">
+                        <span class="timeline-turn-label" title="${escapeHtml(turn.label)}">${escapeHtml(turn.label)}</span>
+                        <span class="timeline-time">${new Date(turn.startedAt).toLocaleTimeString()}</span>
+                        <button class="timeline-action" data-action="undo" ${allUndone ? 'disabled' : ''} title="Undo every change of this turn">Undo turn</button>
+                        <button class="timeline-action" data-action="redo" ${anyUndone ? '' : 'disabled'} title="Redo the undone changes of this turn">Redo turn</button>
+                    </div>
+                    <ul class="timeline-calls">
+                        ${turn.calls.map(call => `
+                            <li class="timeline-call${call.undone ? ' undone' : ''}" data-call="${call.id}">
+                                <div class="timeline-call-header">
+                                    <span class="timeline-tool" title="${escapeHtml(call.summary)}">${escapeHtml(call.toolName)}</span>
+                                    <button class="timeline-action" data-action="${call.undone ? 'redo' : 'undo'}">${call.undone ? 'Redo' : 'Undo'}</button>
+                                </div>
+                                ${call.changes.map((change, index) => `
+                                    <a href="#" class="timeline-file" data-index="${index}">${changeLetter(change)} ${escapeHtml(change.path)}</a>
+                                `).join('')}
+                            </li>
+                        `).join('')}
+                    </ul>
+                </div>
+            `;
+        }).join('');
+
+        this.container.querySelectorAll('.timeline-turn').forEach(turnElement => {
+            const turnId = turnElement.dataset.turn;
+            turnElement.querySelectorAll('.timeline-turn-header .timeline-action').forEach(button => {
+                button.addEventListener('click', () => this.apply(turnId, null, button.dataset.action));
+            });
+            turnElement.querySelectorAll('.timeline-call').forEach(callElement => {
+                const callId = parseInt(callElement.dataset.call, 10);
+                callElement.querySelector('.timeline-action').addEventListener('click', (e) => {
+                    this.apply(turnId, callId, e.currentTarget.dataset.action);
+                });
+                callElement.querySelectorAll('.timeline-file').forEach(link => {
+                    link.addEventListener('click', (e) => {
+                        e.preventDefault();
+                        this.openDiff(turnId, callId, parseInt(link.dataset.index, 10));
+                    });
+                });
+            });
+        });
+    }
+
+    openDiff(turnId, callId, index) {
+        const call = changeTimeline.getTurn(turnId)?.calls.find(c => c.id === callId);
+        const change = call?.changes[index];
+        if (!change) return;
+        Editor.openDiffView({
+            title: `${change.path} (${call.toolName}: before ↔ after)`,
+            filePath: change.path,
+            original: change.before ?? '',
+            modified: change.after ?? '',
+        });
+    }
+
+    async apply(turnId, callId, direction) {
+        if (this.busy || !this.rootDirHandle) return;
+        this.busy = true;
+        try {
+            let result = await changeTimeline.apply(turnId, callId, direction, this.rootDirHandle);
+            if (result.conflicts.length > 0) {
+                const overwrite = confirm(`These files changed after the agent's change (later changes, manual edits or unsaved edits in the editor):\n\n${result.conflicts.join('\n')}\n\n${direction === 'undo' ? 'Undo' : 'Redo'} anyway and overwrite them?`);
+                if (!overwrite) return;
+                result = await changeTimeline.apply(turnId, callId, direction, this.rootDirHandle, { force: true });
+            }
+            if (result.changed.length > 0) {
+                await UI.refreshFileTree(this.rootDirHandle, this.onFileSelect);
+                UI.showToast(`${direction === 'undo' ? 'Undid' : 'Redid'} changes to ${result.changed.length} file(s).`);
+            }
+        } catch (error) {
+            UI.showError(`${direction === 'undo' ? 'Undo' : 'Redo'} failed: ${error.message}`);
+        } finally {
+            this.busy = false;
+        }
+    }
+}
+
+export const changeTimelineUI = new ChangeTimelineUI();
@@ -1,9 +1,14 @@
-import { LLMServiceFactory } from './llm/service_factory.js';
+import { OpenAIService } from './llm/openai_service.js';
+import { ProviderFailover, PROVIDER_LABELS } from './llm/provider_failover.js';
+import { createServiceForSite } from './llm/model_router.js';
+import { tokenBudget } from './llm/token_budget.js';
+import { estimateCost, formatUSD } from './llm/pricing.js';
 import { Settings } from './settings.js';
 import { DbManager } from './db.js';
 import { CodebaseIndexer } from './code_intel.js';
 import * as FileSystem from './file_system.js';
 import * as ToolExecutor from './tool_executor.js';
+import * as BackendCommands from './backend_commands.js';
 import * as Editor from './editor.js';
 import * as UI from './ui.js';
 import { performanceOptimizer } from './performance_optimizer.js';
@@ -11,6 +16,27 @@ import { providerOptimizer } from './provider_optimizer.js';
 import { taskManager } from './task_manager.js';
 import { contextAnalyzer } from './context_analyzer.js';
 import { contextBuilder } from './context_builder.js';
+import { changeReview } from './change_review.js';
+import { changeTimeline } from './change_timeline.js';
+
+const INTENT_CATEGORIES = ['GREETING', 'SIMPLE_DIRECT', 'DIRECT', 'TOOL', 'TASK'];
+
+const INTENT_SCHEMA = {
+    type: 'object',
+    properties: {
+        classification: { type: 'string', enum: INTENT_CATEGORIES },
+        reason: { type: 'string' },
+    },
+    required: ['classification', 'reason'],
+};
+
+// Token counts from a stream chunk's usageMetadata (Gemini or OpenAI shape), or null
+function reportedUsage(usage) {
+    const inputTokens = usage?.promptTokenCount ?? usage?.prompt_tokens;
+    if (typeof inputTokens !== 'number') return null;
+    const outputTokens = (usage.candidatesTokenCount ?? usage.completion_tokens ?? 0) + (usage.thoughtsTokenCount || 0);
+    return { inputTokens, outputTokens };
+}
 
 export const ChatService = {
     isSending: false,
@@ -29,12 +55,19 @@ export const ChatService = {
     duplicatePayloadCount: 0,
 
     // In-memory session totals for live badge updates
-    sessionTotals: { requests: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0 },
+    sessionTotals: { requests: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, costUSD: 0 },
+    // Spend is grouped by this id; a new one starts when the history is cleared
+    sessionId: `session_${Date.now()}`,
+    // Soft budget prompts already answered with "continue" ({ session: sessionId, day: dateString })
+    budgetAcknowledged: { session: null, day: null },
 
     // Per-execution tool ledger and current task binding
     lastExecutedTools: [],
     currentExecutingTaskId: null,
 
+    // Identifies the current user turn; backend command jobs are tagged with it so Cancel can stop them
+    currentTurnId: null,
+
     async initialize(rootDirectoryHandle) {
         this.rootDirectoryHandle = rootDirectoryHandle;
         await this._initializeLLMService();
@@ -49,11 +82,17 @@ export const ChatService = {
 
     async _initializeLLMService() {
         const llmSettings = Settings.getLLMSettings();
-        this.llmService = LLMServiceFactory.create(llmSettings.provider, llmSettings);
+        // The main agent loop is the 'chat' route; without a rule this is the selected provider
+        const { provider, service } = createServiceForSite('chat', llmSettings);
+        this.llmService = service;
+        this.providerFailover = new ProviderFailover(provider, this.llmService, llmSettings);
         
         // Initialize provider-specific optimizations
-        this.currentProvider = llmSettings.provider;
-        console.log(`LLM Service initialized with provider: ${llmSettings.provider}`);
+        this.currentProvider = provider;
+        console.log(`LLM Service initialized with provider: ${provider}`);
+        if (this.providerFailover.enabled) {
+            console.log(`[ChatService] Provider failover chain: ${this.providerFailover.chain.join(' -> ')}`);
+        }
         
         // Set up performance monitoring
         performanceOptimizer.startTimer('llm_initialization');
@@ -343,6 +382,8 @@ export const ChatService = {
         let continueLoop = true;
         let totalRequestTokens = 0;
         let totalResponseTokens = 0;
+        // Part of totalResponseTokens spent on reasoning, when the provider reports it
+        let totalReasoningTokens = 0;
 
         // Cross-turn de-dup/convergence tracking
         let apiTurn = 0;
@@ -493,15 +534,20 @@ const getToolPriority = (toolName, sessionAlreadyStartedThisRun) => {
     if (toolName === 'start_task_session' && !sessionAlreadyStartedThisRun) return 0;
     return 1;
 };
-        // Estimate request tokens
-        if (typeof GPTTokenizer_cl100k_base !== 'undefined') {
-            const { encode } = GPTTokenizer_cl100k_base;
-            const historyText = history.map(turn => turn.parts.map(p => p.text || '').join('\n')).join('\n');
-            totalRequestTokens = encode(historyText).length;
-        }
+        // Estimate request tokens; replaced by the provider's count once usage arrives
+        totalRequestTokens = tokenBudget.countHistoryTokens(history, {
+            provider: this.providerFailover.activeProvider,
+            model: this.providerFailover.activeService?.model,
+        });
+        let budgetTrimNoticeShown = false;
         
         let emptyRetryCount = 0;
         while (continueLoop && !this.isCancelled) {
+            if (!(await this._checkSpendBudget(chatMessages))) {
+                // Also stops autonomous plan loops that would call again
+                this.isCancelled = true;
+                break;
+            }
             // Per-request metrics tracking
             const reqId = `cs_${Date.now()}_${Math.random().toString(36).slice(2)}`;
             const reqStart = performance.now();
@@ -556,19 +602,48 @@ const getToolPriority = (toolName, sessionAlreadyStartedThisRun) => {
                 // Update progress before starting stream
                 UI.updateThinkingProgress('Sending request to AI', 30, 'Waiting for AI response...', 'AI is processing your request...');
                 
-                const stream = this.llmService.sendMessageStream(history, tools, customRules, { directAnalysis });
+                // What was sent to the provider, for calibrating the token estimate
+                let budgetEstimate = null;
+                const stream = this.providerFailover.stream(history, tools, customRules, { directAnalysis }, {
+                    onFailover: (event) => this._reportProviderFailover(chatMessages, event),
+                    prepareHistory: (candidateHistory, { provider, service }) => {
+                        const fitted = tokenBudget.fitHistory(candidateHistory, {
+                            provider,
+                            model: service.model,
+                            reservedOutputTokens: Number(Settings.get('llm.budget.reservedOutputTokens')) || 8192,
+                            tools,
+                            customRules,
+                        });
+                        budgetEstimate = { provider, model: service.model, tokens: fitted.estimatedTokens };
+                        totalRequestTokens = fitted.estimatedTokens;
+                        if (fitted.trimmed && !budgetTrimNoticeShown) {
+                            budgetTrimNoticeShown = true;
+                            const dropped = fitted.droppedTurns > 0 ? `, ${fitted.droppedTurns} older messages summarized` : '';
+                            UI.appendMessage(chatMessages, `Conversation trimmed to fit ${service.model}'s context window (old tool results shortened${dropped}).`, 'ai-muted');
+                        }
+                        return fitted.history;
+                    },
+                });
                 startedStream = true;
  
                 let modelResponseText = '';
                 let displayText = '';
                 functionCalls = []; // Reset for this iteration
                 let seenUsage = false; // Track whether we observed real usage during streaming
+                let reportedPromptTokens = null;
+                let reasoningText = '';
+                totalReasoningTokens = 0;
 
                 let streamProgress = 50;
                 let chunkCount = 0;
                 for await (const chunk of stream) {
                     if (this.isCancelled) { UI.hideThinkingIndicator(); return; }
 
+                    if (chunk.reasoning) {
+                        reasoningText += chunk.reasoning;
+                        UI.updateThinkingProgress('Reasoning', streamProgress, 'The model is thinking...', 'AI is processing your request...');
+                        UI.appendMessage(chatMessages, displayText, 'ai', true, { reasoning: reasoningText });
+                    }
                     if (chunk.text) {
                         // Keep thinking indicator visible during streaming; it will be hidden when processing completes.
                         const text = chunk.text;
@@ -580,7 +655,7 @@ const getToolPriority = (toolName, sessionAlreadyStartedThisRun) => {
                         streamProgress = Math.min(50 + (chunkCount * 2), 90);
                         UI.updateThinkingProgress('Receiving AI response', streamProgress, `Processing response stream...`, 'AI is processing your request...');
                         
-                        UI.appendMessage(chatMessages, displayText, 'ai', true);
+                        UI.appendMessage(chatMessages, displayText, 'ai', true, { reasoning: reasoningText });
                     }
                     if (chunk.functionCalls) {
                         functionCalls.push(...chunk.functionCalls);
@@ -591,12 +666,18 @@ const getToolPriority = (toolName, sessionAlreadyStartedThisRun) => {
                         seenUsage = true;
                         if (typeof usage.promptTokenCount === 'number' || typeof usage.candidatesTokenCount === 'number') {
                             // Gemini-style
-                            if (typeof usage.promptTokenCount === 'number') totalRequestTokens = usage.promptTokenCount;
+                            if (typeof usage.promptTokenCount === 'number') totalRequestTokens = reportedPromptTokens = usage.promptTokenCount;
                             if (typeof usage.candidatesTokenCount === 'number') totalResponseTokens = usage.candidatesTokenCount;
+                            // Gemini reports thinking tokens apart from the answer, though both are billed as output
+                            if (typeof usage.thoughtsTokenCount === 'number') {
+                                totalReasoningTokens = usage.thoughtsTokenCount;
+                                totalResponseTokens += usage.thoughtsTokenCount;
+                            }
                         } else if (typeof usage.prompt_tokens === 'number' || typeof usage.completion_tokens === 'number') {
                             // OpenAI-style
-                            if (typeof usage.prompt_tokens === 'number') totalRequestTokens = usage.prompt_tokens;
+                            if (typeof usage.prompt_tokens === 'number') totalRequestTokens = reportedPromptTokens = usage.prompt_tokens;
                             if (typeof usage.completion_tokens === 'number') totalResponseTokens = usage.completion_tokens;
+                            if (typeof usage.completion_tokens_details?.reasoning_tokens === 'number') totalReasoningTokens = usage.completion_tokens_details.reasoning_tokens;
                         }
                         
                         // Update token metrics in real-time
@@ -605,13 +686,23 @@ const getToolPriority = (toolName, sessionAlreadyStartedThisRun) => {
                     }
                 }
 
-                // For OpenAI, estimate response tokens only if no usage was observed
-                if (!seenUsage && typeof GPTTokenizer_cl100k_base !== 'undefined' && this.llmService.constructor.name === 'OpenAIService') {
-                    const { encode } = GPTTokenizer_cl100k_base;
-                    totalResponseTokens = encode(modelResponseText).length;
+                if (this.providerFailover.enabled) {
+                    UI.updateLLMProviderStatus(this.providerFailover.activeProvider);
+                }
+
+                if (budgetEstimate && reportedPromptTokens) {
+                    tokenBudget.calibrate(budgetEstimate.provider, budgetEstimate.model, budgetEstimate.tokens, reportedPromptTokens);
+                }
+
+                // For OpenAI and OpenAI-compatible endpoints, estimate response tokens only if no usage was observed
+                if (!seenUsage && this.providerFailover.activeService instanceof OpenAIService) {
+                    totalResponseTokens = tokenBudget.countTokens(modelResponseText, {
+                        provider: this.providerFailover.activeProvider,
+                        model: this.providerFailover.activeService.model,
+                    });
                 }
                 
-                console.log(`[Token Usage] Final totals - Req: ${totalRequestTokens}, Res: ${totalResponseTokens}`);
+                console.log(`[Token Usage] Final totals - Req: ${totalRequestTokens}, Res: ${totalResponseTokens} (reasoning: ${totalReasoningTokens})`);
                 UI.updateMetricsBadge(this.sessionTotals);
                 
                 // Update progress when response is complete
@@ -620,8 +711,10 @@ const getToolPriority = (toolName, sessionAlreadyStartedThisRun) => {
                 // Persist per-request LLM metrics for this provider turn
                 try {
                     const latencyMs = performance.now() - reqStart;
-                    const provider = this.llmService?.constructor?.name || 'UnknownProvider';
-                    const model = this.llmService?.model || 'unknown';
+                    const activeService = this.providerFailover?.activeService || this.llmService;
+                    const provider = activeService?.constructor?.name || 'UnknownProvider';
+                    const model = activeService?.model || 'unknown';
+                    const spend = this._requestSpend(provider, model, totalRequestTokens, totalResponseTokens);
                     await DbManager.metricsAdd({
                         ts: Date.now(),
                         provider,
@@ -629,9 +722,11 @@ const getToolPriority = (toolName, sessionAlreadyStartedThisRun) => {
                         requestId: reqId,
                         inputTokens: totalRequestTokens || 0,
                         outputTokens: totalResponseTokens || 0,
+                        reasoningTokens: totalReasoningTokens,
                         totalTokens: (totalRequestTokens || 0) + (totalResponseTokens || 0),
                         latencyMs,
-                        success: !hadError
+                        success: !hadError,
+                        ...spend
                     });
                     metricsRecorded = true;
 
@@ -641,6 +736,7 @@ const getToolPriority = (toolName, sessionAlreadyStartedThisRun) => {
                         this.sessionTotals.inputTokens += totalRequestTokens || 0;
                         this.sessionTotals.outputTokens += totalResponseTokens || 0;
                         this.sessionTotals.totalTokens = this.sessionTotals.inputTokens + this.sessionTotals.outputTokens;
+                        this.sessionTotals.costUSD = (this.sessionTotals.costUSD || 0) + (spend.costUSD || 0);
                         UI.updateMetricsBadge(this.sessionTotals);
                     } catch (e2) {
                         console.warn('[ChatService] Failed to update metrics badge:', e2?.message || e2);
@@ -901,7 +997,7 @@ const getToolPriority = (toolName, sessionAlreadyStartedThisRun) => {
 
             } catch (error) {
                 hadError = true;
-                console.error(`Error during API call with ${this.llmService.constructor.name}:`, error);
+                console.error(`Error during API call with ${(this.providerFailover?.activeService || this.llmService).constructor.name}:`, error);
                 console.error(`Error stack:`, error.stack); // Log the stack trace
                 UI.showError(`An error occurred during AI communication: ${error.message}. Please check your API key and network connection.`);
                 UI.hideThinkingIndicator();
@@ -909,8 +1005,10 @@ const getToolPriority = (toolName, sessionAlreadyStartedThisRun) => {
                 try {
                     if (startedStream && !metricsRecorded) {
                         const latencyMs = performance.now() - reqStart;
-                        const provider = this.llmService?.constructor?.name || 'UnknownProvider';
-                        const model = this.llmService?.model || 'unknown';
+                        const activeService = this.providerFailover?.activeService || this.llmService;
+                        const provider = activeService?.constructor?.name || 'UnknownProvider';
+                        const model = activeService?.model || 'unknown';
+                        const spend = this._requestSpend(provider, model, totalRequestTokens, totalResponseTokens);
                         await DbManager.metricsAdd({
                             ts: Date.now(),
                             provider,
@@ -918,9 +1016,11 @@ const getToolPriority = (toolName, sessionAlreadyStartedThisRun) => {
                             requestId: reqId,
                             inputTokens: totalRequestTokens || 0,
                             outputTokens: totalResponseTokens || 0,
+                            reasoningTokens: totalReasoningTokens,
                             totalTokens: (totalRequestTokens || 0) + (totalResponseTokens || 0),
                             latencyMs,
-                            success: false
+                            success: false,
+                            ...spend
                         });
                         metricsRecorded = true;
 
@@ -930,6 +1030,7 @@ const getToolPriority = (toolName, sessionAlreadyStartedThisRun) => {
                             this.sessionTotals.inputTokens += totalRequestTokens || 0;
                             this.sessionTotals.outputTokens += totalResponseTokens || 0;
                             this.sessionTotals.totalTokens = this.sessionTotals.inputTokens + this.sessionTotals.outputTokens;
+                            this.sessionTotals.costUSD = (this.sessionTotals.costUSD || 0) + (spend.costUSD || 0);
                             UI.updateMetricsBadge(this.sessionTotals);
                         } catch (e2) {
                             console.warn('[ChatService] Failed to update metrics badge:', e2?.message || e2);
@@ -952,15 +1053,139 @@ const getToolPriority = (toolName, sessionAlreadyStartedThisRun) => {
     },
 
     /**
-     * Simplified method for programmatic API calls (used by TaskManager, etc.)
+     * Cost and attribution fields for a metrics record.
+     * @param {string} provider - Service class name as stored in the metrics.
+     */
+    _requestSpend(provider, model, inputTokens, outputTokens) {
+        const taskId = this.currentExecutingTaskId || taskManager.activeTask || null;
+        return {
+            costUSD: estimateCost(provider, model, inputTokens, outputTokens, Settings.get('llm.pricing.overrides') || {}),
+            sessionId: this.sessionId,
+            taskId,
+            taskTitle: taskId ? taskManager.tasks.get(taskId)?.title : undefined,
+        };
+    },
+
+    /**
+     * Compares this session's and today's spend with the configured budgets before a
+     * request. Past a soft limit the agent waits for the user to continue (asked once
+     * per session or day); past a hard limit it stops. Without `chatMessages` nothing
+     * is shown, and a soft limit not yet continued past stops the request too.
+     * @returns {Promise<boolean>} whether the request may be made
+     */
+    async _checkSpendBudget(chatMessages) {
+        const limit = (key) => Math.max(0, Number(Settings.get(key)) || 0);
+        const dayStart = new Date();
+        dayStart.setHours(0, 0, 0, 0);
+        const daily = { soft: limit('llm.budget.dailySoftUSD'), hard: limit('llm.budget.dailyHardUSD') };
+        const session = { soft: limit('llm.budget.sessionSoftUSD'), hard: limit('llm.budget.sessionHardUSD') };
+        if (!daily.soft && !daily.hard && !session.soft && !session.hard) return true;
+
+        const dailySpend = (daily.soft || daily.hard)
+            ? (await DbManager.metricsGetSummary({ since: dayStart.getTime() })).summary.costUSD
+            : 0;
+        const scopes = [
+            { name: 'session', label: 'this session', spent: this.sessionTotals.costUSD || 0, key: this.sessionId, ...session },
+            { name: 'day', label: 'today', spent: dailySpend, key: dayStart.toDateString(), ...daily },
+        ];
+
+        for (const scope of scopes) {
+            if (scope.hard && scope.spent >= scope.hard) {
+                if (!chatMessages) return false;
+                UI.hideThinkingIndicator();
+                UI.appendMessage(chatMessages, `Hard budget reached: ${formatUSD(scope.spent)} spent ${scope.label} (limit ${formatUSD(scope.hard)}). The agent has stopped; raise the limit in Settings to continue.`, 'ai-muted');
+                return false;
+            }
+        }
+        for (const scope of scopes) {
+            if (scope.soft && scope.spent >= scope.soft && this.budgetAcknowledged[scope.name] !== scope.key) {
+                if (!chatMessages) return false;
+                UI.hideThinkingIndicator();
+                const proceed = await UI.requestBudgetApproval(chatMessages,
+                    `Soft budget reached: ${formatUSD(scope.spent)} spent ${scope.label} (limit ${formatUSD(scope.soft)}). Continue making requests?`);
+                if (!proceed) return false;
+                this.budgetAcknowledged[scope.name] = scope.key;
+            }
+        }
+        return true;
+    },
+
+    /**
+     * Budget check for requests outside the agent loop, which cannot wait for the
+     * user to continue past a soft limit.
+     * @throws {Error} when a budget is reached
+     */
+    async assertSideRequestBudget() {
+        if (!(await this._checkSpendBudget(null))) {
+            throw new Error('Spend budget reached. Continue in the chat or raise the limit in Settings.');
+        }
+    },
+
+    /**
+     * Records a request made outside the agent loop in the metrics and the session
+     * spend. Without reported usage the tokens are estimated from the text.
+     * @param {object} request - { service, provider, history, reply, usage, latencyMs, success }
+     *   where provider is the provider id and history the messages sent.
+     */
+    async recordSideRequest({ service, provider, history = [], reply = '', usage = null, latencyMs = 0, success = true }) {
+        const target = { provider, model: service.model };
+        const inputTokens = usage ? usage.inputTokens : tokenBudget.countHistoryTokens(history, target);
+        const outputTokens = usage ? usage.outputTokens : tokenBudget.countTokens(reply, target);
+        const serviceName = service.constructor.name;
+        const spend = this._requestSpend(serviceName, service.model, inputTokens, outputTokens);
+        try {
+            await DbManager.metricsAdd({
+                ts: Date.now(),
+                provider: serviceName,
+                model: service.model,
+                inputTokens,
+                outputTokens,
+                totalTokens: inputTokens + outputTokens,
+                latencyMs,
+                success,
+                ...spend
+            });
+        } catch (e) {
+            console.warn('[ChatService] Failed to persist side request metrics:', e?.message || e);
+        }
+        // Only the spend: the token totals measure the conversation for condensing
+        this.sessionTotals.costUSD = (this.sessionTotals.costUSD || 0) + (spend.costUSD || 0);
+        UI.updateMetricsBadge(this.sessionTotals);
+    },
+
+    /**
+     * Shows a provider switch in the chat and records the failed attempt in the metrics.
+     */
+    async _reportProviderFailover(chatMessages, { from, to, error, service }) {
+        const fromLabel = PROVIDER_LABELS[from] || from;
+        const toLabel = PROVIDER_LABELS[to] || to;
+        UI.appendMessage(chatMessages, `${fromLabel} failed (${error.message}). Switching to ${toLabel}...`, 'ai-muted');
+        UI.updateLLMProviderStatus(to);
+        try {
+            await DbManager.metricsAdd({
+                ts: Date.now(),
+                provider: service?.constructor?.name || 'UnknownProvider',
+                model: service?.model || 'unknown',
+                success: false,
+                errorCategory: service?.categorizeError(error)?.category,
+            });
+        } catch (e) {
+            console.warn('[ChatService] Failed to persist failover metrics:', e?.message || e);
+        }
+    },
+
+    /**
+     * One-off prompt outside the chat loop. `options.site` selects the routing rule
+     * (see ROUTE_SITES in llm/model_router.js); without one the selected provider is used.
      */
     async sendPrompt(prompt, options = {}) {
         try {
-            await this._initializeLLMService();
+            const { provider, service } = createServiceForSite(options.site, Settings.getLLMSettings());
             
-            if (!(await this.llmService.isConfigured())) {
+            if (!(await service.isConfigured())) {
                 throw new Error("LLM service not configured");
             }
+            await this.assertSideRequestBudget();
 
             const history = options.history || [];
             const tools = options.tools || ToolExecutor.getToolDefinitions();
@@ -973,13 +1198,22 @@ const getToolPriority = (toolName, sessionAlreadyStartedThisRun) => {
             }];
 
             let fullResponse = '';
-            // Forward options so providers can adapt system prompt/behavior (e.g., directAnalysis)
-            const streamGenerator = this.llmService.sendMessageStream(messageHistory, tools, customRules, options);
-            
-            for await (const chunk of streamGenerator) {
-                if (chunk.text) {
-                    fullResponse += chunk.text;
+            let usage = null;
+            let success = false;
+            const started = performance.now();
+            try {
+                // Forward options so providers can adapt system prompt/behavior (e.g., directAnalysis)
+                const streamGenerator = service.sendMessageStream(messageHistory, tools, customRules, options);
+
+                for await (const chunk of streamGenerator) {
+                    if (chunk.text) {
+                        fullResponse += chunk.text;
+                    }
+                    if (chunk.usageMetadata) usage = reportedUsage(chunk.usageMetadata) || usage;
                 }
+                success = true;
+            } finally {
+                await this.recordSideRequest({ service, provider, history: messageHistory, reply: fullResponse, usage, latencyMs: performance.now() - started, success });
             }
 
             return fullResponse.trim();
@@ -989,6 +1223,33 @@ const getToolPriority = (toolName, sessionAlreadyStartedThisRun) => {
         }
     },
 
+    /**
+     * One-off request for a JSON value matching `schema`, routed like sendPrompt.
+     * See BaseLLMService.generateStructured for the options.
+     */
+    async generateStructured(schema, prompt, options = {}) {
+        const { provider, service } = createServiceForSite(options.site, Settings.getLLMSettings());
+        if (!(await service.isConfigured())) {
+            throw new Error("LLM service not configured");
+        }
+        await this.assertSideRequestBudget();
+        // The reply is known only once it validates, so repairs are not counted
+        const history = [...(options.history || []), { role: 'user', parts: [{ text: prompt }] }];
+        const started = performance.now();
+        let value;
+        try {
+            value = await service.generateStructured(schema, prompt, options);
+            return value;
+        } finally {
+            await this.recordSideRequest({
+                service, provider, history,
+                reply: value === undefined ? '' : JSON.stringify(value),
+                latencyMs: performance.now() - started,
+                success: value !== undefined,
+            });
+        }
+    },
+
     async sendMessage(chatInput, chatMessages, chatSendButton, chatCancelButton, uploadedImage, clearImagePreview) {
         let userPrompt;
         if (typeof chatInput === 'string') {
@@ -1013,6 +1274,7 @@ const getToolPriority = (toolName, sessionAlreadyStartedThisRun) => {
         this.sessionTotals.requests++;
         this.isSending = true;
         this.isCancelled = false;
+        this._startTurn(userPrompt);
         if (chatSendButton && chatCancelButton) this._updateUiState(true);
         this.resetErrorTracker();
 
@@ -1031,13 +1293,20 @@ const getToolPriority = (toolName, sessionAlreadyStartedThisRun) => {
             
             // 2. AI-driven intent classification
             this.currentHistory = await DbManager.getChatHistory();
-            const classificationResult = await this._classifyMessageIntent(userPrompt, this._getRecentContext());
-            
-            // Robust parsing for the intent
-            const match = classificationResult.match(/(GREETING|SIMPLE_DIRECT|DIRECT|TASK|TOOL)/);
-            const intent = match ? match[0] : 'DIRECT'; // Default to DIRECT for safety
+            let intent = 'DIRECT'; // Default to DIRECT for safety
+            try {
+                const classification = await this._classifyMessageIntent(userPrompt, this._getRecentContext());
+                intent = classification.classification;
+                console.log(`AI classified intent as: ${intent}. Reason: "${classification.reason}"`);
+            } catch (error) {
+                console.warn('[ChatService] Intent classification failed, using DIRECT:', error.message);
+            }
 
-            console.log(`AI classified intent as: ${intent}. Raw response: "${classificationResult}"`);
+            // Review decisions the agent has not seen in a tool result yet
+            const reviewFeedback = changeReview.takeFeedback();
+            if (reviewFeedback) {
+                userPrompt = `${reviewFeedback}\n\n${userPrompt}`;
+            }
 
             // 3. Route to the appropriate handler based on AI's decision
             switch (intent) {
@@ -1069,6 +1338,7 @@ const getToolPriority = (toolName, sessionAlreadyStartedThisRun) => {
             console.error('Chat Error:', error);
         } finally {
             this.isSending = false;
+            changeTimeline.endTurn();
             this._updateUiState(false);
             this.currentHistory = null;
         }
@@ -1078,7 +1348,7 @@ const getToolPriority = (toolName, sessionAlreadyStartedThisRun) => {
      * Asks the AI to classify the user's intent to determine the correct handling logic.
      * @param {string} userPrompt - The user's message.
      * @param {string} conversationContext - Recent conversation history.
-     * @returns {Promise<string>} The AI's classification (DIRECT, TASK, or TOOL).
+     * @returns {Promise<{classification: string, reason: string}>} One of INTENT_CATEGORIES and why.
      */
     async _classifyMessageIntent(userPrompt, conversationContext = '') {
         const classificationPrompt = `
@@ -1111,12 +1381,13 @@ Classification Categories & Rules:
 ---
 Your Response:
 
-Return ONLY:
-Classification: GREETING|SIMPLE_DIRECT|DIRECT|TOOL|TASK
-Reason: [brief explanation]`;
+Give the classification and a brief reason.`;
 
-        // Use sendPrompt for a direct, non-chatty response
-        return await this.sendPrompt(classificationPrompt, { history: this.currentHistory });
+        return await this.generateStructured(INTENT_SCHEMA, classificationPrompt, {
+            history: this.currentHistory,
+            site: 'intent_classification',
+            name: 'intent_classification',
+        });
     },
 
     /**
@@ -1401,14 +1672,25 @@ Execute this task step by step. When completed, call the task_update tool to mar
     cancelMessage() {
         if (this.isSending) {
             this.isCancelled = true;
+            if (this.currentTurnId) {
+                BackendCommands.killJobsForTurn(this.currentTurnId);
+            }
+            document.dispatchEvent(new CustomEvent('chat-turn-cancelled'));
         }
     },
 
+    _startTurn(prompt = '') {
+        this.currentTurnId = `turn_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+        changeTimeline.startTurn(this.currentTurnId, prompt.slice(0, 80));
+        return this.currentTurnId;
+    },
+
     async sendDirectCommand(prompt, chatMessages) {
         if (this.isSending) return;
 
         this.isSending = true;
         this.isCancelled = false;
+        this._startTurn(prompt);
         this._updateUiState(true);
 
         try {
@@ -1424,6 +1706,7 @@ Execute this task step by step. When completed, call the task_update tool to mar
             console.error('Direct Command Error:', error);
         } finally {
             this.isSending = false;
+            changeTimeline.endTurn();
             this._updateUiState(false);
         }
     },
@@ -1432,28 +1715,42 @@ Execute this task step by step. When completed, call the task_update tool to mar
         chatMessages.innerHTML = '';
         UI.appendMessage(chatMessages, 'Conversation history cleared.', 'ai');
         await DbManager.clearChatHistory();
+        this.sessionId = `session_${Date.now()}`;
+        this.sessionTotals.costUSD = 0;
+        UI.updateMetricsBadge(this.sessionTotals);
         await this._initializeLLMService();
     },
 
-    async condenseHistory(chatMessages, condensationMessage = 'Condensing history... This will start a new session.') {
+    async condenseHistory(chatMessages, condensationMessage = 'Condensing history...') {
         UI.appendMessage(chatMessages, condensationMessage, 'ai');
         const history = await DbManager.getChatHistory();
         if (history.length === 0) {
             UI.appendMessage(chatMessages, 'History is already empty.', 'ai');
             return;
         }
+        if (!(await this._checkSpendBudget(chatMessages))) return;
 
         const condensationPrompt =
             "Please summarize our conversation so far in a concise way. Include all critical decisions, file modifications, and key insights. The goal is to reduce the context size while retaining the essential information for our ongoing task. Start the summary with 'Here is a summary of our conversation so far:'.";
         
         // This needs to be a one-off call, not part of the main loop
         const condensationHistory = history.concat([{ role: 'user', parts: [{ text: condensationPrompt }] }]);
-        const stream = this.llmService.sendMessageStream(condensationHistory, [], ''); // No tools, no custom rules for summary
+        const { provider, service } = createServiceForSite('history_condensation', Settings.getLLMSettings());
         let summaryText = '';
-        for await (const chunk of stream) {
-            if (chunk.text) {
-                summaryText += chunk.text;
+        let usage = null;
+        let success = false;
+        const started = performance.now();
+        try {
+            const stream = service.sendMessageStream(condensationHistory, [], ''); // No tools, no custom rules for summary
+            for await (const chunk of stream) {
+                if (chunk.text) {
+                    summaryText += chunk.text;
+                }
+                if (chunk.usageMetadata) usage = reportedUsage(chunk.usageMetadata) || usage;
             }
+            success = true;
+        } finally {
+            await this.recordSideRequest({ service, provider, history: condensationHistory, reply: summaryText, usage, latencyMs: performance.now() - started, success });
         }
         
         chatMessages.innerHTML = '';
@@ -1472,6 +1769,8 @@ Execute this task step by step. When completed, call the task_update tool to mar
                 inputTokens: summaryTokens,
                 outputTokens: 0,
                 totalTokens: summaryTokens,
+                // Spend stays with the session until the history is cleared
+                costUSD: this.sessionTotals.costUSD,
             };
             UI.updateMetricsBadge(this.sessionTotals);
         }
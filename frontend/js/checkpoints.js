@@ -0,0 +1,222 @@
+/**
+ * Project Checkpoints
+ * A checkpoint records the files on disk that the agent has touched, as a
+ * manifest of path -> SHA-256 hash (null when the file does not exist) whose
+ * contents are stored once per hash in IndexedDB. Each checkpoint reads every
+ * tracked file again, since editor saves, inline edits and terminal commands
+ * change files too, so restoring it can rewrite, recreate or delete exactly
+ * those files.
+ */
+
+import { DbManager } from './db.js';
+import * as FileSystem from './file_system.js';
+import * as Editor from './editor.js';
+import * as BackendCommands from './backend_commands.js';
+
+// Tools whose `filename` parameter is the only file they change
+const SINGLE_FILE_TOOLS = ['create_file', 'edit_file', 'rewrite_file', 'append_to_file', 'delete_file', 'apply_diff'];
+
+function normalizePath(path) {
+    return String(path || '').split('/').filter(part => part && part !== '.').join('/');
+}
+
+async function hashBytes(data) {
+    const digest = await crypto.subtle.digest('SHA-256', data);
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Files a branch checkout rewrites. A new branch without a start point keeps
+// the working tree; an unknown ref makes the checkout itself fail.
+async function checkoutPaths({ branch, create, start_point }) {
+    const ref = create ? start_point : branch;
+    if (!ref) return [];
+    try {
+        const { paths } = await BackendCommands.runGitTool('git_changed_files', { ref });
+        return paths;
+    } catch (error) {
+        console.warn(`[Checkpoints] Could not list the files changed by checking out '${ref}':`, error);
+        return [];
+    }
+}
+
+async function readBytes(rootHandle, path) {
+    try {
+        const fileHandle = await FileSystem.getFileHandleFromPath(rootHandle, path);
+        return await (await fileHandle.getFile()).arrayBuffer();
+    } catch (error) {
+        return null;
+    }
+}
+
+async function listFiles(rootHandle, folderPath) {
+    const paths = [];
+    const walk = async (dirHandle, prefix) => {
+        for await (const entry of dirHandle.values()) {
+            const path = `${prefix}/${entry.name}`;
+            if (entry.kind === 'file') paths.push(path);
+            else await walk(entry, path);
+        }
+    };
+    try {
+        let dirHandle = rootHandle;
+        for (const part of folderPath.split('/')) {
+            dirHandle = await dirHandle.getDirectoryHandle(part);
+        }
+        await walk(dirHandle, folderPath);
+    } catch (error) {
+        // Missing folder: nothing to record
+    }
+    return paths;
+}
+
+/**
+ * Text of a checkpoint file for previews; binary files are described instead.
+ */
+export function describeContent(data) {
+    if (data === null) return '';
+    const bytes = new Uint8Array(data);
+    if (bytes.subarray(0, 8000).includes(0)) return `(binary file, ${bytes.length} bytes)`;
+    return new TextDecoder().decode(bytes);
+}
+
+export const Checkpoints = {
+    manifest: null, // path -> hash (null: missing) as of the latest checkpoint
+    touched: new Set(), // untracked paths written since the latest checkpoint
+
+    /**
+     * Continues from the latest stored checkpoint.
+     */
+    async load() {
+        if (this.manifest) return;
+        const checkpoints = await DbManager.getCheckpoints();
+        const latest = checkpoints.filter(cp => cp.files).sort((a, b) => b.id - a.id)[0];
+        this.manifest = latest ? { ...latest.files } : {};
+    },
+
+    /**
+     * Marks files written outside the tools, e.g. approved review changes, so
+     * the next checkpoint tracks them even if no tool call named them.
+     */
+    markTouched(...paths) {
+        paths.map(normalizePath).filter(Boolean).forEach(path => this.touched.add(path));
+    },
+
+    /**
+     * The files a tool call is about to change, as far as they can be known
+     * from its parameters.
+     */
+    async pathsForTool(toolName, parameters, rootHandle) {
+        if (SINGLE_FILE_TOOLS.includes(toolName)) return [parameters.filename];
+        if (toolName === 'rename_file') return [parameters.old_path, parameters.new_path];
+        if (toolName === 'delete_folder') return listFiles(rootHandle, normalizePath(parameters.folder_path));
+        if (toolName === 'rename_folder') {
+            const from = normalizePath(parameters.old_folder_path);
+            const to = normalizePath(parameters.new_folder_path);
+            const paths = await listFiles(rootHandle, from);
+            return [...paths, ...paths.map(path => to + path.slice(from.length))];
+        }
+        if (toolName === 'git_checkout_branch') return checkoutPaths(parameters);
+        return [];
+    },
+
+    /**
+     * Records the current state of every tracked file, of the files marked as
+     * touched and of `paths`, which are tracked from now on.
+     * @param {object} options - { name, paths, force }; without force, nothing is
+     *   saved when no file changed since the last checkpoint.
+     * @returns {Promise<object|null>} The saved checkpoint.
+     */
+    async create(rootHandle, { name, paths = [], force = false }) {
+        await this.load();
+        const upcoming = paths.map(normalizePath).filter(Boolean);
+        const toRead = new Set([...Object.keys(this.manifest), ...this.touched, ...upcoming]);
+
+        const files = { ...this.manifest };
+        const changedPaths = [];
+        for (const path of toRead) {
+            const data = await readBytes(rootHandle, path);
+            const hash = data === null ? null : await hashBytes(data);
+            if (hash) await DbManager.saveCheckpointBlob(hash, data);
+            if (!(path in files) || files[path] !== hash) changedPaths.push(path);
+            files[path] = hash;
+        }
+        this.touched = new Set();
+        this.manifest = files;
+
+        if (!force && changedPaths.length === 0) return null;
+        const checkpoint = { name, timestamp: Date.now(), files, changedPaths };
+        checkpoint.id = await DbManager.saveCheckpoint(checkpoint);
+        return checkpoint;
+    },
+
+    /**
+     * The state of every tracked file at a checkpoint. Files first tracked by a
+     * later checkpoint were untouched until then, so their first recorded state
+     * is also their state at this one.
+     */
+    async getTargetState(checkpoint) {
+        const later = (await DbManager.getCheckpoints())
+            .filter(cp => cp.files && cp.id > checkpoint.id)
+            .sort((a, b) => a.id - b.id);
+        const target = { ...checkpoint.files };
+        for (const cp of later) {
+            for (const [path, hash] of Object.entries(cp.files)) {
+                if (!(path in target)) target[path] = hash;
+            }
+        }
+        return target;
+    },
+
+    /**
+     * The files that restoring a checkpoint would change.
+     * @returns {Promise<Array<{ path, type: 'create'|'modify'|'delete', current: ArrayBuffer|null, target: ArrayBuffer|null }>>}
+     */
+    async planRestore(checkpoint, rootHandle) {
+        const target = await this.getTargetState(checkpoint);
+        const changes = [];
+        for (const [path, hash] of Object.entries(target)) {
+            const current = await readBytes(rootHandle, path);
+            const currentHash = current === null ? null : await hashBytes(current);
+            if (currentHash === hash) continue;
+
+            let data = null;
+            if (hash) {
+                data = await DbManager.getCheckpointBlob(hash);
+                if (!data) throw new Error(`The saved content of '${path}' is missing from the checkpoint store.`);
+            }
+            const type = current === null ? 'create' : data === null ? 'delete' : 'modify';
+            changes.push({ path, type, current, target: data });
+        }
+        return changes.sort((a, b) => a.path.localeCompare(b.path));
+    },
+
+    /**
+     * Writes, recreates or deletes the files of a restore plan and updates their open tabs.
+     */
+    async applyRestore(changes, rootHandle) {
+        const tabBar = document.getElementById('tab-bar');
+        for (const change of changes) {
+            if (change.target === null) {
+                await FileSystem.deleteEntry(rootHandle, change.path);
+                if (Editor.getOpenFiles().has(change.path)) Editor.closeTab(change.path, tabBar);
+            } else {
+                const fileHandle = await FileSystem.getFileHandleFromPath(rootHandle, change.path, { create: true });
+                await FileSystem.writeFile(fileHandle, change.target);
+                Editor.getOpenFiles().get(change.path)?.model.setValue(describeContent(change.target));
+            }
+            this.touched.add(change.path);
+        }
+    },
+
+    /**
+     * Deletes the blobs no remaining checkpoint refers to.
+     */
+    async pruneBlobs() {
+        const keep = new Set();
+        for (const cp of await DbManager.getCheckpoints()) {
+            Object.values(cp.files || {}).forEach(hash => hash && keep.add(hash));
+        }
+        const deleted = await DbManager.pruneCheckpointBlobs(keep);
+        if (deleted > 0) console.log(`[Checkpoints] Pruned ${deleted} unused file snapshot(s).`);
+    },
+};
@@ -0,0 +1,200 @@
+/**
+ * OpenAI-Compatible Endpoints Settings
+ * Edits the list of named endpoints shown on the "OpenAI-Compatible" settings
+ * tab. Changes are kept in a working copy and persisted by saveLLMSettings.
+ */
+
+import { Settings } from './settings.js';
+import {
+    OpenAICompatibleService,
+    DEFAULT_ENDPOINT_CAPABILITIES,
+    normalizeBaseURL,
+} from './llm/openai_compatible_service.js';
+
+function createEndpoint() {
+    return {
+        id: `ep_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`,
+        name: 'New endpoint',
+        baseURL: '',
+        apiKey: '',
+        headers: {},
+        model: '',
+        capabilities: { ...DEFAULT_ENDPOINT_CAPABILITIES },
+    };
+}
+
+/**
+ * Parses "Name: value" lines into a header object; lines without a colon are ignored.
+ */
+function parseHeaders(text) {
+    const headers = {};
+    for (const line of String(text || '').split('\n')) {
+        const index = line.indexOf(':');
+        if (index <= 0) continue;
+        const name = line.slice(0, index).trim();
+        if (name) headers[name] = line.slice(index + 1).trim();
+    }
+    return headers;
+}
+
+function formatHeaders(headers) {
+    return Object.entries(headers || {}).map(([name, value]) => `${name}: ${value}`).join('\n');
+}
+
+export class CompatibleEndpointsUI {
+    constructor() {
+        this.endpoints = [];
+        this.selectedId = null;
+        this.initialized = false;
+    }
+
+    el(id) {
+        return document.getElementById(id);
+    }
+
+    init() {
+        if (this.initialized || !this.el('compatible-endpoint-selector')) return;
+        this.initialized = true;
+
+        this.el('compatible-endpoint-selector').addEventListener('change', (e) => {
+            this.readForm();
+            this.selectedId = e.target.value;
+            this.writeForm();
+        });
+        this.el('compatible-endpoint-add').addEventListener('click', () => {
+            this.readForm();
+            const endpoint = createEndpoint();
+            this.endpoints.push(endpoint);
+            this.selectedId = endpoint.id;
+            this.renderSelector();
+            this.writeForm();
+            this.el('compatible-endpoint-name').select();
+        });
+        this.el('compatible-endpoint-delete').addEventListener('click', () => {
+            this.endpoints = this.endpoints.filter(e => e.id !== this.selectedId);
+            this.selectedId = this.endpoints[0]?.id || null;
+            this.renderSelector();
+            this.writeForm();
+        });
+        this.el('compatible-endpoint-name').addEventListener('input', () => {
+            this.readForm();
+            this.renderSelector();
+        });
+        this.el('compatible-fetch-models').addEventListener('click', () => this.fetchModels());
+    }
+
+    /**
+     * Resets the working copy from the saved settings and fills the form.
+     */
+    load() {
+        this.init();
+        this.endpoints = (Settings.get('llm.compatible.endpoints') || []).map(e => ({
+            ...e,
+            headers: { ...(e.headers || {}) },
+            capabilities: { ...DEFAULT_ENDPOINT_CAPABILITIES, ...(e.capabilities || {}) },
+        }));
+        this.selectedId = Settings.getActiveCompatibleEndpoint()?.id || null;
+        this.el('compatible-model-list').innerHTML = '';
+        this.el('compatible-models-status').textContent = '';
+        this.renderSelector();
+        this.writeForm();
+    }
+
+    /**
+     * Returns the settings to persist, with the selected endpoint as the active one.
+     * Endpoints without a base URL are dropped.
+     */
+    collect() {
+        this.readForm();
+        const endpoints = this.endpoints
+            .filter(e => e.baseURL)
+            .map(e => ({ ...e, baseURL: normalizeBaseURL(e.baseURL) }));
+        const active = endpoints.find(e => e.id === this.selectedId) || endpoints[0];
+        return {
+            'llm.compatible.endpoints': endpoints,
+            'llm.compatible.activeEndpointId': active?.id || '',
+        };
+    }
+
+    get selected() {
+        return this.endpoints.find(e => e.id === this.selectedId) || null;
+    }
+
+    renderSelector() {
+        const selector = this.el('compatible-endpoint-selector');
+        selector.innerHTML = '';
+        if (this.endpoints.length === 0) {
+            selector.add(new Option('No endpoints yet - click + to add one', ''));
+        }
+        for (const endpoint of this.endpoints) {
+            selector.add(new Option(endpoint.name || endpoint.baseURL || 'Unnamed endpoint', endpoint.id));
+        }
+        selector.value = this.selectedId || '';
+        this.el('compatible-endpoint-delete').disabled = !this.selected;
+    }
+
+    readForm() {
+        const endpoint = this.selected;
+        if (!endpoint) return;
+        endpoint.name = this.el('compatible-endpoint-name').value.trim();
+        endpoint.baseURL = this.el('compatible-base-url').value.trim();
+        endpoint.apiKey = this.el('compatible-api-key').value.trim();
+        endpoint.headers = parseHeaders(this.el('compatible-headers').value);
+        endpoint.model = this.el('compatible-model').value.trim();
+        endpoint.capabilities = {
+            tools: this.el('compatible-cap-tools').checked,
+            vision: this.el('compatible-cap-vision').checked,
+            streamUsage: this.el('compatible-cap-stream-usage').checked,
+            structuredOutput: this.el('compatible-cap-structured-output').checked,
+        };
+    }
+
+    writeForm() {
+        const endpoint = this.selected;
+        const fields = ['compatible-endpoint-name', 'compatible-base-url', 'compatible-api-key',
+            'compatible-headers', 'compatible-model', 'compatible-fetch-models',
+            'compatible-cap-tools', 'compatible-cap-vision', 'compatible-cap-stream-usage',
+            'compatible-cap-structured-output'];
+        fields.forEach(id => { this.el(id).disabled = !endpoint; });
+
+        const capabilities = endpoint?.capabilities || DEFAULT_ENDPOINT_CAPABILITIES;
+        this.el('compatible-endpoint-name').value = endpoint?.name || '';
+        this.el('compatible-base-url').value = endpoint?.baseURL || '';
+        this.el('compatible-api-key').value = endpoint?.apiKey || '';
+        this.el('compatible-headers').value = formatHeaders(endpoint?.headers);
+        this.el('compatible-model').value = endpoint?.model || '';
+        this.el('compatible-cap-tools').checked = !!capabilities.tools;
+        this.el('compatible-cap-vision').checked = !!capabilities.vision;
+        this.el('compatible-cap-stream-usage').checked = !!capabilities.streamUsage;
+        this.el('compatible-cap-structured-output').checked = !!capabilities.structuredOutput;
+    }
+
+    async fetchModels() {
+        this.readForm();
+        const endpoint = this.selected;
+        if (!endpoint) return;
+        const status = this.el('compatible-models-status');
+        const list = this.el('compatible-model-list');
+        status.textContent = 'Fetching models...';
+        try {
+            const models = await OpenAICompatibleService.listModels(endpoint);
+            list.innerHTML = '';
+            models.forEach(id => list.appendChild(new Option(id, id)));
+            if (!endpoint.model && models.length > 0) {
+                endpoint.model = models[0];
+                this.el('compatible-model').value = models[0];
+            }
+            status.textContent = models.length > 0
+                ? `${models.length} model(s) available. Pick one from the Model field suggestions.`
+                : 'The endpoint returned no models.';
+        } catch (error) {
+            console.warn('[CompatibleEndpoints] Failed to list models:', error);
+            // A TypeError from fetch is usually CORS or the server not running
+            status.textContent = error instanceof TypeError
+                ? `Could not reach ${normalizeBaseURL(endpoint.baseURL)}/models. Check that the server is running and allows browser (CORS) requests.`
+                : error.message;
+        }
+    }
+}
+
+export const compatibleEndpointsUI = new CompatibleEndpointsUI();
@@ -484,7 +484,7 @@ export class AppStateManager extends StateManager {
 
         // Validate AI state
         this.addValidator('ai.selectedProvider', (provider) => {
-            return ['gemini', 'openai', 'ollama'].includes(provider);
+            return ['gemini', 'openai', 'anthropic', 'compatible', 'ollama'].includes(provider);
         });
     }
 
@@ -8,16 +8,18 @@ export const DbManager = {
         codeIndex: 'codeIndex',
         sessionState: 'sessionState',
         checkpoints: 'checkpoints',
+        checkpointBlobs: 'checkpointBlobs',
         settings: 'settings',
         customRules: 'customRules',
         chatHistory: 'chatHistory',
         toolLogs: 'tool_logs',
         metrics: 'metrics',
+        llmRecordings: 'llmRecordings',
     },
     async openDb() {
         return new Promise((resolve, reject) => {
             if (this.db) return resolve(this.db);
-            const request = indexedDB.open(this.dbName, 12);
+            const request = indexedDB.open(this.dbName, 14);
             request.onerror = () => reject('Error opening IndexedDB.');
             request.onsuccess = (event) => {
                 this.db = event.target.result;
@@ -34,13 +36,20 @@ export const DbManager = {
                 if (!db.objectStoreNames.contains(this.stores.sessionState)) {
                     db.createObjectStore(this.stores.sessionState, { keyPath: 'id' });
                 }
-                if (db.objectStoreNames.contains(this.stores.checkpoints)) {
+                // Versions before 12 used a different checkpoint key; later upgrades keep them
+                if (event.oldVersion < 12 && db.objectStoreNames.contains(this.stores.checkpoints)) {
                     db.deleteObjectStore(this.stores.checkpoints);
                 }
-                db.createObjectStore(
-                    this.stores.checkpoints,
-                    { autoIncrement: true, keyPath: 'id' },
-                );
+                if (!db.objectStoreNames.contains(this.stores.checkpoints)) {
+                    db.createObjectStore(
+                        this.stores.checkpoints,
+                        { autoIncrement: true, keyPath: 'id' },
+                    );
+                }
+                // File contents of checkpoints, keyed by their SHA-256 hash
+                if (!db.objectStoreNames.contains(this.stores.checkpointBlobs)) {
+                    db.createObjectStore(this.stores.checkpointBlobs, { keyPath: 'hash' });
+                }
                 if (!db.objectStoreNames.contains(this.stores.settings)) {
                     db.createObjectStore(this.stores.settings, { keyPath: 'id' });
                 }
@@ -62,6 +71,11 @@ export const DbManager = {
                     metricsStore.createIndex('provider', 'provider', { unique: false });
                     metricsStore.createIndex('model', 'model', { unique: false });
                 }
+                // Recorded LLM request/response streams for replay
+                if (!db.objectStoreNames.contains(this.stores.llmRecordings)) {
+                    const recordingStore = db.createObjectStore(this.stores.llmRecordings, { keyPath: 'id', autoIncrement: true });
+                    recordingStore.createIndex('session', 'session', { unique: false });
+                }
             };
         });
     },
@@ -158,7 +172,7 @@ export const DbManager = {
                 .objectStore(this.stores.checkpoints)
                 .add(checkpointData);
             request.onerror = () => reject('Error saving checkpoint.');
-            request.onsuccess = () => resolve();
+            request.onsuccess = () => resolve(request.result);
         });
     },
     async getCheckpoints() {
@@ -194,6 +208,52 @@ export const DbManager = {
             request.onsuccess = () => resolve();
         });
     },
+    async saveCheckpointBlob(hash, data) {
+        const db = await this.openDb();
+        return new Promise((resolve, reject) => {
+            const request = db
+                .transaction(this.stores.checkpointBlobs, 'readwrite')
+                .objectStore(this.stores.checkpointBlobs)
+                .put({ hash, data });
+            request.onerror = () => reject('Error saving checkpoint file.');
+            request.onsuccess = () => resolve();
+        });
+    },
+    async getCheckpointBlob(hash) {
+        const db = await this.openDb();
+        return new Promise((resolve) => {
+            const request = db
+                .transaction(this.stores.checkpointBlobs, 'readonly')
+                .objectStore(this.stores.checkpointBlobs)
+                .get(hash);
+            request.onerror = () => resolve(null);
+            request.onsuccess = () => resolve(request.result ? request.result.data : null);
+        });
+    },
+    /**
+     * Deletes the checkpoint blobs whose hash is not in keepHashes.
+     * @returns {Promise<number>} The number of blobs deleted.
+     */
+    async pruneCheckpointBlobs(keepHashes) {
+        const db = await this.openDb();
+        return new Promise((resolve, reject) => {
+            let deleted = 0;
+            const transaction = db.transaction(this.stores.checkpointBlobs, 'readwrite');
+            const store = transaction.objectStore(this.stores.checkpointBlobs);
+            const request = store.openKeyCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                if (!keepHashes.has(cursor.primaryKey)) {
+                    store.delete(cursor.primaryKey);
+                    deleted++;
+                }
+                cursor.continue();
+            };
+            transaction.oncomplete = () => resolve(deleted);
+            transaction.onerror = () => reject('Error pruning checkpoint files.');
+        });
+    },
 
     async getAllFromStore(storeName) {
         const db = await this.openDb();
@@ -315,10 +375,17 @@ export const DbManager = {
             requestId: typeof r.requestId === 'string' ? r.requestId : `req_${Date.now()}_${Math.random().toString(36).slice(2)}`,
             inputTokens,
             outputTokens,
+            // Included in outputTokens
+            reasoningTokens: Number.isFinite(r.reasoningTokens) ? r.reasoningTokens : 0,
             totalTokens: Number.isFinite(r.totalTokens) ? r.totalTokens : (inputTokens + outputTokens),
             latencyMs: Number.isFinite(r.latencyMs) ? r.latencyMs : 0,
             success: typeof r.success === 'boolean' ? r.success : true,
-            errorCategory: (typeof r.errorCategory === 'string' && r.errorCategory) ? r.errorCategory : null
+            errorCategory: (typeof r.errorCategory === 'string' && r.errorCategory) ? r.errorCategory : null,
+            // null when the model has no known price
+            costUSD: Number.isFinite(r.costUSD) ? r.costUSD : null,
+            sessionId: typeof r.sessionId === 'string' ? r.sessionId : null,
+            taskId: r.taskId ?? null,
+            taskTitle: typeof r.taskTitle === 'string' ? r.taskTitle : null
         };
         return new Promise((resolve, reject) => {
             try {
@@ -343,7 +410,9 @@ export const DbManager = {
             failureCount: 0,
             inputTokens: 0,
             outputTokens: 0,
+            reasoningTokens: 0,
             totalTokens: 0,
+            costUSD: 0,
             averageLatencyMs: 0
         };
         return new Promise((resolve, reject) => {
@@ -389,7 +458,9 @@ export const DbManager = {
                             }
                             summary.inputTokens += inTok;
                             summary.outputTokens += outTok;
+                            summary.reasoningTokens += Number(val.reasoningTokens) || 0;
                             summary.totalTokens += Number.isFinite(totTok) ? totTok : (inTok + outTok);
+                            summary.costUSD += Number(val.costUSD) || 0;
                             sumLatency += lat;
                         }
                         cursor.continue();
@@ -407,4 +478,97 @@ export const DbManager = {
         });
     },
 
+    // Returns spend grouped by local day, chat session and task for records since `since`.
+    // Requests on models without a known price are counted in unpricedRequests.
+    async metricsGetSpend({ since = 0 } = {}) {
+        const db = await this.openDb();
+        const spend = { byDay: {}, bySession: {}, byTask: {}, totalUSD: 0, unpricedRequests: 0 };
+        const dayKey = (ts) => {
+            const d = new Date(ts);
+            return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+        };
+        const add = (group, key, cost, ts, label) => {
+            const entry = group[key] || (group[key] = { costUSD: 0, requests: 0, lastTs: 0, label });
+            entry.costUSD += cost;
+            entry.requests += 1;
+            entry.lastTs = Math.max(entry.lastTs, ts);
+        };
+        return new Promise((resolve) => {
+            try {
+                const tx = db.transaction(this.stores.metrics, 'readonly');
+                const request = tx.objectStore(this.stores.metrics).index('ts').openCursor(IDBKeyRange.lowerBound(since));
+                request.onsuccess = (event) => {
+                    const cursor = event.target.result;
+                    if (!cursor) {
+                        resolve(spend);
+                        return;
+                    }
+                    const val = cursor.value || {};
+                    if (val.costUSD === null || val.costUSD === undefined) {
+                        if (val.inputTokens || val.outputTokens) spend.unpricedRequests += 1;
+                    } else {
+                        const cost = Number(val.costUSD) || 0;
+                        const ts = Number(val.ts) || 0;
+                        spend.totalUSD += cost;
+                        add(spend.byDay, dayKey(ts), cost, ts);
+                        if (val.sessionId) add(spend.bySession, val.sessionId, cost, ts);
+                        if (val.taskId !== null && val.taskId !== undefined) add(spend.byTask, String(val.taskId), cost, ts, val.taskTitle);
+                    }
+                    cursor.continue();
+                };
+                request.onerror = () => resolve(spend); // Fail-soft
+            } catch (e) {
+                resolve(spend); // Fail-soft
+            }
+        });
+    },
+
+    // === LLM Recording APIs ===================================================
+    async saveLLMRecording(recording) {
+        const db = await this.openDb();
+        return new Promise((resolve, reject) => {
+            const request = db
+                .transaction(this.stores.llmRecordings, 'readwrite')
+                .objectStore(this.stores.llmRecordings)
+                .put(recording);
+            request.onerror = () => reject('Error saving LLM recording.');
+            request.onsuccess = () => resolve(request.result);
+        });
+    },
+
+    // Returns a session's recordings in the order they were made
+    async getLLMRecordings(session) {
+        const db = await this.openDb();
+        return new Promise((resolve) => {
+            const request = db
+                .transaction(this.stores.llmRecordings, 'readonly')
+                .objectStore(this.stores.llmRecordings)
+                .index('session')
+                .getAll(IDBKeyRange.only(session));
+            request.onerror = () => resolve([]);
+            request.onsuccess = () => resolve((request.result || []).sort((a, b) => a.id - b.id));
+        });
+    },
+
+    async deleteLLMRecordings(session) {
+        const db = await this.openDb();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.stores.llmRecordings, 'readwrite');
+            const request = transaction
+                .objectStore(this.stores.llmRecordings)
+                .index('session')
+                .openKeyCursor(IDBKeyRange.only(session));
+            const store = transaction.objectStore(this.stores.llmRecordings);
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    store.delete(cursor.primaryKey);
+                    cursor.continue();
+                }
+            };
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject('Error deleting LLM recordings.');
+        });
+    },
+
 };
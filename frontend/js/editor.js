@@ -4,6 +4,8 @@ import * as UI from './ui.js';
 import { monacoModelManager } from './monaco_model_manager.js';
 import { appState } from './main.js';
 import { readFileWithStrategy, FileInfo, ProgressTracker } from './file_streaming.js';
+import { inlineCompletions } from './inline_completions.js';
+import { inlineEdit } from './inline_edit.js';
 
 const MONACO_CDN_PATH = 'https://cdn.jsdelivr.net/npm/monaco-editor@0.45.0/min/vs';
 
@@ -235,8 +237,9 @@ let editor;
 let openFiles = new Map(); // Key: filePath (string), Value: { handle, name, model, viewState }
 let activeFilePath = null;
 let codeLensProvider = null;
+let diffView = null; // { container, diffEditor, originalModel, modifiedModel }
 
-function getLanguageFromExtension(ext) {
+export function getLanguageFromExtension(ext) {
     return ({
         cfm: 'html',
         cfml: 'html',
@@ -326,6 +329,8 @@ export function initializeEditor(editorContainer, tabBarContainer, appState) {
                 language: 'html',
                 theme: 'cfmlTheme',
                 readOnly: true,
+                // The toolbar shows the accept and accept-word keybindings next to a suggestion
+                inlineSuggest: { enabled: true, showToolbar: 'always' },
             });
             
             // Set the createModel function in the manager now that Monaco is loaded
@@ -454,6 +459,9 @@ IMPORTANT: After successfully applying the improvements using the 'replace_selec
                 }
             });
 
+            inlineCompletions.register(editor, getActiveFilePath);
+            inlineEdit.register(editor);
+
             if (codeLensProvider) {
                 codeLensProvider.dispose();
             }
@@ -667,6 +675,7 @@ function hideToast(toast) {
 }
 
 export async function switchTab(filePath, tabBarContainer, focusEditor = true) {
+    closeDiffView();
     if (activeFilePath && openFiles.has(activeFilePath)) {
         openFiles.get(activeFilePath).viewState = editor.saveViewState();
     }
@@ -965,3 +974,76 @@ export function getFormattedErrors(filePath) {
 
     return errors.map(e => `- Line ${e.startLineNumber}, Col ${e.startColumn}: ${e.message}`).join('\n');
 }
+
+// =================================================================
+// === Diff View                                                 ===
+// =================================================================
+
+/**
+ * Shows a side-by-side diff in place of the editor until closed or until a
+ * file tab is selected.
+ * @param {object} options - { title, filePath, original, modified, toolbar, editable }
+ *   toolbar is an optional element rendered under the header (e.g. hunk actions);
+ *   editable lets the user change the modified side, which is read-only by default.
+ */
+export function openDiffView({ title, filePath, original, modified, toolbar = null, editable = false }) {
+    closeDiffView();
+
+    const editorElement = document.getElementById('editor');
+    const container = document.createElement('div');
+    container.id = 'diff-view';
+    container.innerHTML = `
+        <div class="diff-view-header">
+            <span class="diff-view-title"></span>
+            <button class="diff-view-close" title="Close diff">&times;</button>
+        </div>
+        <div class="diff-view-toolbar"></div>
+        <div class="diff-view-editor"></div>
+    `;
+    container.querySelector('.diff-view-title').textContent = title || filePath;
+    container.querySelector('.diff-view-close').addEventListener('click', () => closeDiffView());
+    if (toolbar) {
+        container.querySelector('.diff-view-toolbar').appendChild(toolbar);
+    }
+    editorElement.style.display = 'none';
+    editorElement.parentNode.insertBefore(container, editorElement.nextSibling);
+
+    // Diff models are throwaway, so they bypass the model manager
+    const language = getLanguageFromExtension((filePath || '').split('.').pop());
+    const originalModel = monaco.editor.createModel(original || '', language);
+    const modifiedModel = monaco.editor.createModel(modified || '', language);
+    const diffEditor = monaco.editor.createDiffEditor(container.querySelector('.diff-view-editor'), {
+        theme: 'cfmlTheme',
+        readOnly: !editable,
+        originalEditable: false,
+        automaticLayout: true,
+        renderSideBySide: true,
+    });
+    diffEditor.setModel({ original: originalModel, modified: modifiedModel });
+
+    diffView = { container, diffEditor, originalModel, modifiedModel };
+    return diffEditor;
+}
+
+/**
+ * Replaces the toolbar of the open diff view, e.g. after staging a hunk.
+ */
+export function setDiffViewToolbar(toolbar) {
+    if (!diffView) return;
+    const toolbarContainer = diffView.container.querySelector('.diff-view-toolbar');
+    toolbarContainer.innerHTML = '';
+    if (toolbar) toolbarContainer.appendChild(toolbar);
+}
+
+export function closeDiffView() {
+    if (!diffView) return;
+    diffView.diffEditor.dispose();
+    diffView.originalModel.dispose();
+    diffView.modifiedModel.dispose();
+    diffView.container.remove();
+    diffView = null;
+
+    const editorElement = document.getElementById('editor');
+    if (editorElement) editorElement.style.display = '';
+    if (editor) editor.layout();
+}
@@ -4,7 +4,11 @@ import { ChatService } from './chat_service.js';
 import * as Editor from './editor.js';
 import * as UI from './ui.js';
 import * as FileSystem from './file_system.js';
-import TaskRunner from './task_runner.js';
+import { taskRunnerUI } from './task_runner_ui.js';
+import { sourceControlUI } from './source_control_ui.js';
+import { changeReviewUI } from './change_review_ui.js';
+import { changeTimelineUI } from './change_timeline_ui.js';
+import { Checkpoints, describeContent } from './checkpoints.js';
 import { toolLogger } from './tool_logger.js';
 import { todoListUI } from './todo_list_ui.js';
 import { taskManager } from './task_manager.js';
@@ -66,12 +70,17 @@ export function initializeEventListeners(appState) {
     const toolLogsFilter = document.getElementById('tool-logs-filter');
     const closeToolLogsModalButton = toolLogsModal.querySelector('.close-button');
     const undoButton = document.getElementById('undo-last-change-button');
+    const timelineButton = document.getElementById('view-timeline-button');
     const filesTab = document.getElementById('files-tab');
     const searchTab = document.getElementById('search-tab');
     const filesContent = document.getElementById('files-content');
     const searchContent = document.getElementById('search-content');
     const tasksTab = document.getElementById('tasks-tab');
     const tasksContent = document.getElementById('tasks-content');
+    const scmTab = document.getElementById('scm-tab');
+    const scmContent = document.getElementById('scm-content');
+    const reviewTab = document.getElementById('review-tab');
+    const reviewContent = document.getElementById('review-content');
     const searchInput = document.getElementById('search-input');
     const tasksContainer = document.getElementById('tasks-container');
     const taskOutput = document.getElementById('task-output');
@@ -382,23 +391,21 @@ export function initializeEventListeners(appState) {
     });
 
     createCheckpointButton.addEventListener('click', async () => {
-        const editorState = Editor.getEditorState();
-        if (editorState.openFiles.length === 0) {
-            alert('Cannot create a checkpoint with no open files.');
+        if (!appState.rootDirectoryHandle) {
+            alert('Open a project folder before creating a checkpoint.');
             return;
         }
 
         const checkpointName = prompt('Enter a name for this checkpoint:', `Checkpoint ${new Date().toLocaleString()}`);
         if (!checkpointName) return; // User cancelled
 
-        const checkpointData = {
-            name: checkpointName,
-            editorState: editorState,
-            timestamp: Date.now(),
-        };
-
         try {
-            await DbManager.saveCheckpoint(checkpointData);
+            // Open files are tracked from now on, along with every file already tracked
+            await Checkpoints.create(appState.rootDirectoryHandle, {
+                name: checkpointName,
+                paths: [...Editor.getOpenFiles().keys()],
+                force: true,
+            });
             alert(`Checkpoint "${checkpointName}" created successfully.`);
             // Refresh the list
             const checkpoints = await DbManager.getCheckpoints();
@@ -418,7 +425,9 @@ export function initializeEventListeners(appState) {
         } else if (target.classList.contains('restore-checkpoint-button')) {
             const checkpointId = parseInt(target.dataset.id, 10);
             const checkpoint = await DbManager.getCheckpointById(checkpointId);
-            if (checkpoint && checkpoint.editorState) {
+            if (checkpoint && checkpoint.files) {
+                await previewRestore(checkpoint);
+            } else if (checkpoint && checkpoint.editorState) {
                 await Editor.restoreCheckpointState(checkpoint.editorState, appState.rootDirectoryHandle, tabBarContainer);
                 await Editor.saveAllOpenFiles(); // Save all restored files to disk
                 await UI.refreshFileTree(appState.rootDirectoryHandle, onFileSelect, appState);
@@ -429,11 +438,86 @@ export function initializeEventListeners(appState) {
             const checkpointId = parseInt(target.dataset.id, 10);
             if (confirm('Are you sure you want to delete this checkpoint?')) {
                 await DbManager.deleteCheckpoint(checkpointId);
+                await Checkpoints.pruneBlobs();
                 await refreshCheckpointsList();
             }
         }
     });
 
+    /**
+     * Shows what restoring a project checkpoint would change as a diff per file,
+     * and restores once confirmed.
+     */
+    async function previewRestore(checkpoint) {
+        const rootHandle = appState.rootDirectoryHandle;
+        if (!rootHandle) {
+            alert('Open the project folder before restoring a checkpoint.');
+            return;
+        }
+        let changes;
+        try {
+            changes = await Checkpoints.planRestore(checkpoint, rootHandle);
+        } catch (error) {
+            UI.showError(`Could not read checkpoint '${checkpoint.name}': ${error.message}`);
+            return;
+        }
+        if (changes.length === 0) {
+            alert(`The project already matches checkpoint '${checkpoint.name}'.`);
+            return;
+        }
+        checkpointsModal.style.display = 'none';
+
+        const letters = { create: 'A', modify: 'M', delete: 'D' };
+        const showFile = (change) => {
+            const toolbar = document.createElement('div');
+            toolbar.className = 'scm-hunks';
+            const group = document.createElement('div');
+            group.className = 'scm-hunk-group';
+            group.innerHTML = `
+                <span class="scm-hunks-label">Restore '${escapeHtml(checkpoint.name)}': ${changes.length} file(s)</span>
+                <button class="scm-hunk-action" data-action="restore">Restore</button>
+                <button class="scm-hunk-action" data-action="cancel">Cancel</button>
+            `;
+            changes.forEach(other => {
+                const chip = document.createElement('span');
+                chip.className = 'scm-hunk';
+                chip.innerHTML = `<a href="#" class="scm-hunk-jump">${other === change ? '<b>' : ''}${letters[other.type]} ${escapeHtml(other.path)}${other === change ? '</b>' : ''}</a>`;
+                chip.querySelector('a').addEventListener('click', (e) => {
+                    e.preventDefault();
+                    showFile(other);
+                });
+                group.appendChild(chip);
+            });
+            group.querySelector('[data-action="cancel"]').addEventListener('click', () => Editor.closeDiffView());
+            group.querySelector('[data-action="restore"]').addEventListener('click', async () => {
+                Editor.closeDiffView();
+                try {
+                    await Checkpoints.applyRestore(changes, rootHandle);
+                    await UI.refreshFileTree(rootHandle, onFileSelect, appState);
+                    UI.showToast(`Restored ${changes.length} file(s) to checkpoint '${checkpoint.name}'.`);
+                } catch (error) {
+                    UI.showError(`Restoring checkpoint '${checkpoint.name}' failed: ${error.message}`);
+                }
+            });
+            toolbar.appendChild(group);
+
+            Editor.openDiffView({
+                title: `${change.path} (Current ↔ Checkpoint)`,
+                filePath: change.path,
+                original: describeContent(change.current),
+                modified: describeContent(change.target),
+                toolbar,
+            });
+        };
+        showFile(changes[0]);
+    }
+
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
     const syncCheckboxes = (source, isHeader) => {
         const checkboxes = checkpointsList.querySelectorAll('.checkpoint-checkbox');
         checkboxes.forEach(checkbox => {
@@ -462,6 +546,7 @@ export function initializeEventListeners(appState) {
                 const checkpointId = parseInt(checkbox.dataset.id, 10);
                 await DbManager.deleteCheckpoint(checkpointId);
             }
+            await Checkpoints.pruneBlobs();
             await refreshCheckpointsList();
         }
     });
@@ -627,27 +712,31 @@ export function initializeEventListeners(appState) {
         ChatService.runToolDirectly('undo_last_change', {});
     });
 
-    if (filesTab && searchTab && tasksTab && filesContent && searchContent && tasksContent) {
-        filesTab.addEventListener('click', () => {
-            filesTab.classList.add('active');
-            searchTab.classList.remove('active');
-            tasksTab.classList.remove('active');
-            filesContent.style.display = 'block';
-            searchContent.style.display = 'none';
-            tasksContent.style.display = 'none';
-        });
+    timelineButton.addEventListener('click', () => {
+        changeTimelineUI.toggle(document.getElementById('change-timeline-panel'), appState.rootDirectoryHandle, onFileSelect);
+    });
+
+    const sidebarPanels = [
+        [filesTab, filesContent],
+        [searchTab, searchContent],
+        [tasksTab, tasksContent],
+        [scmTab, scmContent],
+        [reviewTab, reviewContent],
+    ].filter(([tab, content]) => tab && content);
+
+    function showSidebarPanel(activeTab) {
+        for (const [tab, content] of sidebarPanels) {
+            tab.classList.toggle('active', tab === activeTab);
+            content.style.display = tab === activeTab ? 'block' : 'none';
+        }
     }
 
+    if (filesTab && filesContent) {
+        filesTab.addEventListener('click', () => showSidebarPanel(filesTab));
+    }
 
-    if (searchTab && filesTab && tasksTab && searchContent && filesContent && tasksContent) {
-        searchTab.addEventListener('click', () => {
-            searchTab.classList.add('active');
-            filesTab.classList.remove('active');
-            tasksTab.classList.remove('active');
-            searchContent.style.display = 'block';
-            filesContent.style.display = 'none';
-            tasksContent.style.display = 'none';
-        });
+    if (searchTab && searchContent) {
+        searchTab.addEventListener('click', () => showSidebarPanel(searchTab));
     }
 
     searchButton.addEventListener('click', () => handleSearch(appState));
@@ -709,18 +798,27 @@ export function initializeEventListeners(appState) {
             });
         });
     }
-    if (tasksTab && filesTab && searchTab && tasksContent && filesContent && searchContent) {
+    if (tasksTab && tasksContent) {
         tasksTab.addEventListener('click', async () => {
-            tasksTab.classList.add('active');
-            filesTab.classList.remove('active');
-            searchTab.classList.remove('active');
-            tasksContent.style.display = 'block';
-            filesContent.style.display = 'none';
-            searchContent.style.display = 'none';
+            showSidebarPanel(tasksTab);
             await displayTasks(appState);
         });
     }
 
+    if (scmTab && scmContent) {
+        scmTab.addEventListener('click', async () => {
+            showSidebarPanel(scmTab);
+            await sourceControlUI.mount(document.getElementById('scm-container'), appState.rootDirectoryHandle);
+        });
+    }
+
+    if (reviewTab && reviewContent) {
+        reviewTab.addEventListener('click', () => {
+            showSidebarPanel(reviewTab);
+            changeReviewUI.mount(document.getElementById('review-container'), appState.rootDirectoryHandle, onFileSelect);
+        });
+    }
+
     async function displayTasks(appState) {
         // Show TodoListUI embedded in the tasks tab
         tasksContainer.innerHTML = `
@@ -746,8 +844,11 @@ export function initializeEventListeners(appState) {
                 <h4>Recent Tasks</h4>
                 <div id="recent-tasks-list"></div>
             </div>
+            <div id="task-runner-container"></div>
         `;
 
+        taskRunnerUI.mount(document.getElementById('task-runner-container'), appState.rootDirectoryHandle);
+
         // Add event listeners
         document.getElementById('open-todo-overlay').addEventListener('click', () => {
             todoListUI.show();
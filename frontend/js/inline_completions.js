@@ -0,0 +1,188 @@
+/**
+ * Inline Completions
+ * Ghost-text suggestions in the editor from the model routed to the
+ * 'inline_completion' site (a fast model such as a local Ollama code model or
+ * Gemini Flash Lite). Requests wait for a pause in typing, are cancelled by the
+ * next keystroke, and are cached by a hash of the surrounding code.
+ */
+
+import { Settings } from './settings.js';
+import { createServiceForSite } from './llm/model_router.js';
+import { cleanCompletion, completionPrompt } from './llm/code_completion.js';
+import { ChatService } from './chat_service.js';
+
+// Code sent around the cursor, in characters
+const MAX_PREFIX_CHARS = 4000;
+const MAX_SUFFIX_CHARS = 1500;
+const CACHE_SIZE = 100;
+const DEFAULT_DEBOUNCE_MS = 300;
+
+/**
+ * FNV-1a hash; cache keys only need to tell contexts apart, not resist collisions.
+ */
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16);
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export class InlineCompletions {
+    constructor() {
+        this.service = null;
+        this.serviceProvider = null; // Provider id of this.service, for token estimates
+        this.serviceKey = null;
+        this.controller = null; // AbortController of the request in flight
+        this.cache = new Map(); // context hash -> completion text ('' for no suggestion)
+        this.provider = null;
+
+        // Routing or model changes take effect on the next request
+        document.addEventListener('llm-settings-updated', () => {
+            this.service = null;
+            this.cache.clear();
+        });
+    }
+
+    /**
+     * Automatic suggestions follow the setting; Alt+\ asks for one either way.
+     * Nothing is requested while replaying, as it would use up the session's recordings.
+     */
+    isActive(explicit) {
+        if (Settings.get('llm.recorder.mode') === 'replay') return false;
+        return explicit || !!Settings.get('completions.enabled');
+    }
+
+    /**
+     * Registers the provider and the completion keybindings on the editor.
+     * @param {object} editor - The Monaco editor instance.
+     * @param {function(): string|null} getFilePath - Path of the active file.
+     */
+    register(editor, getFilePath) {
+        this.provider?.dispose();
+        this.provider = monaco.languages.registerInlineCompletionsProvider('*', {
+            provideInlineCompletions: (model, position, context, token) => {
+                if (editor.getModel() !== model || editor.getOption(monaco.editor.EditorOption.readOnly)) {
+                    return { items: [] };
+                }
+                return this.provide(model, position, context, token, getFilePath());
+            },
+            freeInlineCompletions: () => {},
+        });
+
+        editor.addAction({
+            id: 'ai.inlineCompletion.trigger',
+            label: 'AI: Suggest Inline Completion',
+            keybindings: [monaco.KeyMod.Alt | monaco.KeyCode.Backslash],
+            run: (ed) => ed.trigger('keyboard', 'editor.action.inlineSuggest.trigger', {}),
+        });
+        editor.addAction({
+            id: 'ai.inlineCompletion.acceptWord',
+            label: 'AI: Accept Next Word of Inline Completion',
+            keybindings: [monaco.KeyMod.CtrlCmd | monaco.KeyCode.RightArrow],
+            precondition: 'inlineSuggestionVisible && !editorReadonly',
+            run: (ed) => ed.trigger('keyboard', 'editor.action.inlineSuggest.acceptNextWord', {}),
+        });
+        editor.addAction({
+            id: 'ai.inlineCompletion.acceptLine',
+            label: 'AI: Accept Next Line of Inline Completion',
+            keybindings: [monaco.KeyMod.CtrlCmd | monaco.KeyMod.Alt | monaco.KeyCode.RightArrow],
+            precondition: 'inlineSuggestionVisible && !editorReadonly',
+            run: (ed) => ed.trigger('keyboard', 'editor.action.inlineSuggest.acceptNextLine', {}),
+        });
+    }
+
+    async provide(model, position, context, token, filePath) {
+        const empty = { items: [] };
+        const explicit = context.triggerKind === monaco.languages.InlineCompletionTriggerKind.Explicit;
+        if (!this.isActive(explicit)) return empty;
+
+        const offset = model.getOffsetAt(position);
+        const text = model.getValue();
+        const request = {
+            prefix: text.slice(Math.max(0, offset - MAX_PREFIX_CHARS), offset),
+            suffix: text.slice(offset, offset + MAX_SUFFIX_CHARS),
+            language: model.getLanguageId(),
+            filePath,
+        };
+        if (!request.prefix.trim()) return empty;
+
+        const service = this.getService();
+        const key = hashString([this.serviceKey, filePath, request.prefix, request.suffix].join('\u0000'));
+        if (this.cache.has(key)) {
+            return this.toItems(this.cache.get(key), position);
+        }
+
+        // Wait for a pause in typing; the next keystroke cancels this token
+        if (!explicit) {
+            const delay = parseInt(Settings.get('completions.debounceMs'), 10);
+            await sleep(Number.isNaN(delay) ? DEFAULT_DEBOUNCE_MS : delay);
+        }
+        if (token.isCancellationRequested) return empty;
+
+        this.controller?.abort();
+        const controller = new AbortController();
+        this.controller = controller;
+        const cancellation = token.onCancellationRequested(() => controller.abort());
+
+        let completion = '';
+        try {
+            await ChatService.assertSideRequestBudget();
+            const started = performance.now();
+            const raw = await service.completeCode({ ...request, signal: controller.signal });
+            if (controller.signal.aborted) return empty;
+            await ChatService.recordSideRequest({
+                service,
+                provider: this.serviceProvider,
+                history: [{ role: 'user', parts: [{ text: completionPrompt(request) }] }],
+                reply: raw,
+                latencyMs: performance.now() - started,
+            });
+            completion = cleanCompletion(raw, request);
+        } catch (error) {
+            console.warn('[InlineCompletions] Completion request failed:', error.message);
+            return empty;
+        } finally {
+            cancellation.dispose();
+            if (this.controller === controller) this.controller = null;
+        }
+
+        this.remember(key, completion);
+        return this.toItems(completion, position);
+    }
+
+    getService() {
+        if (!this.service) {
+            const { provider, service } = createServiceForSite('inline_completion', Settings.getLLMSettings());
+            this.service = service;
+            this.serviceProvider = provider;
+            this.serviceKey = `${provider}/${service.model}`;
+        }
+        return this.service;
+    }
+
+    remember(key, completion) {
+        this.cache.delete(key);
+        this.cache.set(key, completion);
+        if (this.cache.size > CACHE_SIZE) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+    }
+
+    toItems(completion, position) {
+        if (!completion) return { items: [] };
+        return {
+            items: [{
+                insertText: completion,
+                range: new monaco.Range(position.lineNumber, position.column, position.lineNumber, position.column),
+            }],
+        };
+    }
+}
+
+export const inlineCompletions = new InlineCompletions();
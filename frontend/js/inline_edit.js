@@ -0,0 +1,325 @@
+/**
+ * Inline Edit
+ * Ctrl+K on a selection asks for an instruction, streams the model's rewrite of
+ * the selected lines into the diff view, and lets the user accept or reject each
+ * hunk. The file is only changed and written once the review is finished.
+ */
+
+import * as Editor from './editor.js';
+import * as UI from './ui.js';
+import { writeFile } from './file_system.js';
+import { Settings } from './settings.js';
+import { UndoManager } from './undo_manager.js';
+import { createServiceForSite } from './llm/model_router.js';
+import { editPrompt, extractEditedCode } from './llm/code_edit.js';
+import { ChatService } from './chat_service.js';
+
+// Surrounding code sent with the selection, in characters
+const MAX_PREFIX_CHARS = 6000;
+const MAX_SUFFIX_CHARS = 3000;
+
+function getLines(model, start, end) {
+    return end === 0 ? [] : model.getLinesContent().slice(start - 1, end);
+}
+
+/**
+ * Replaces lines start..end of a model; end 0 means "insert after line start",
+ * which is how Monaco line changes describe pure insertions and deletions.
+ */
+function spliceLines(model, start, end, lines) {
+    const content = model.getLinesContent();
+    if (end === 0) {
+        content.splice(start, 0, ...lines);
+    } else {
+        content.splice(start - 1, end - start + 1, ...lines);
+    }
+    model.setValue(content.join(model.getEOL()));
+}
+
+export class InlineEdit {
+    constructor() {
+        this.editor = null;
+        this.prompt = null; // { widget, decorations } while the instruction box is open
+        this.session = null; // the edit being generated or reviewed
+    }
+
+    register(editor) {
+        this.editor = editor;
+        editor.addAction({
+            id: 'ai.inlineEdit',
+            label: 'AI: Edit Selection...',
+            keybindings: [monaco.KeyMod.CtrlCmd | monaco.KeyCode.KeyK],
+            precondition: '!editorReadonly',
+            contextMenuGroupId: 'navigation',
+            contextMenuOrder: 1.6,
+            run: () => this.showPrompt(),
+        });
+    }
+
+    /**
+     * The selection widened to whole lines; the cursor's line when nothing is selected.
+     */
+    getRegion() {
+        const model = this.editor.getModel();
+        const selection = this.editor.getSelection();
+        let endLine = selection.endLineNumber;
+        if (selection.endColumn === 1 && endLine > selection.startLineNumber) endLine--;
+        const range = endLine < model.getLineCount()
+            ? new monaco.Range(selection.startLineNumber, 1, endLine + 1, 1)
+            : new monaco.Range(selection.startLineNumber, 1, endLine, model.getLineMaxColumn(endLine));
+        return { range, text: model.getValueInRange(range) };
+    }
+
+    /**
+     * Whether the session's diff view is still open; it is closed by its close
+     * button, by switching tabs, or when another diff is opened.
+     */
+    isOpen(session) {
+        return !!session?.modifiedModel && !session.modifiedModel.isDisposed();
+    }
+
+    showPrompt() {
+        if (this.isOpen(this.session) || !Editor.getActiveFile()) return;
+        this.session = null;
+        this.hidePrompt();
+
+        const region = this.getRegion();
+        const node = document.createElement('div');
+        node.className = 'inline-edit-widget';
+        node.innerHTML = `
+            <input type="text" class="inline-edit-input" placeholder="Describe the change, e.g. add error handling">
+            <button class="inline-edit-submit">Generate</button>
+            <span class="inline-edit-hint">Enter to generate, Esc to cancel</span>
+        `;
+        const input = node.querySelector('.inline-edit-input');
+        const submit = () => {
+            const instruction = input.value.trim();
+            if (!instruction) return;
+            this.hidePrompt();
+            this.run(instruction, region);
+        };
+        // Keep the keys away from the editor's own keybindings
+        input.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Enter') submit();
+            if (e.key === 'Escape') {
+                this.hidePrompt();
+                this.editor.focus();
+            }
+        });
+        node.querySelector('.inline-edit-submit').addEventListener('click', submit);
+
+        const widget = {
+            getId: () => 'ai.inlineEdit.widget',
+            getDomNode: () => node,
+            getPosition: () => ({
+                position: { lineNumber: region.range.startLineNumber, column: 1 },
+                preference: [monaco.editor.ContentWidgetPositionPreference.ABOVE, monaco.editor.ContentWidgetPositionPreference.BELOW],
+            }),
+        };
+        this.editor.addContentWidget(widget);
+        const decorations = this.editor.createDecorationsCollection([{
+            range: region.range,
+            options: { isWholeLine: true, className: 'inline-edit-region' },
+        }]);
+        this.prompt = { widget, decorations };
+        setTimeout(() => input.focus(), 0);
+    }
+
+    hidePrompt() {
+        if (!this.prompt) return;
+        this.editor.removeContentWidget(this.prompt.widget);
+        this.prompt.decorations.clear();
+        this.prompt = null;
+    }
+
+    async run(instruction, region) {
+        const fileData = Editor.getActiveFile();
+        const filePath = Editor.getActiveFilePath();
+        const model = fileData.model;
+        const base = model.getValue();
+        const before = base.slice(0, model.getOffsetAt(region.range.getStartPosition()));
+        const after = base.slice(model.getOffsetAt(region.range.getEndPosition()));
+
+        const { provider, service } = createServiceForSite('inline_edit', Settings.getLLMSettings());
+        if (!(await service.isConfigured())) {
+            UI.showError('LLM service not configured. Check the settings.');
+            return;
+        }
+        try {
+            await ChatService.assertSideRequestBudget();
+        } catch (error) {
+            UI.showError(`AI edit not started: ${error.message}`);
+            return;
+        }
+
+        const session = { fileData, filePath, base, stopped: false, controller: new AbortController() };
+        this.session = session;
+        session.diffEditor = Editor.openDiffView({
+            title: `${filePath} (AI edit: ${instruction})`,
+            filePath,
+            original: base,
+            modified: base,
+            toolbar: this.buildStreamingToolbar(session),
+        });
+        const modifiedModel = session.diffEditor.getModel().modified;
+        session.modifiedModel = modifiedModel;
+
+        const request = {
+            instruction,
+            selection: region.text,
+            prefix: before.slice(-MAX_PREFIX_CHARS),
+            suffix: after.slice(0, MAX_SUFFIX_CHARS),
+            language: model.getLanguageId(),
+            filePath,
+            signal: session.controller.signal,
+        };
+        let reply = '';
+        const started = performance.now();
+        let failed = false;
+        try {
+            for await (const text of service.editCode(request)) {
+                if (session.stopped || !this.isOpen(session)) break;
+                reply += text;
+                modifiedModel.setValue(before + extractEditedCode(reply, region.text) + after);
+            }
+        } catch (error) {
+            failed = true;
+            console.error('[InlineEdit] Generation failed:', error);
+            UI.showError(`AI edit failed: ${error.message}`);
+            this.end(session);
+            return;
+        } finally {
+            await ChatService.recordSideRequest({
+                service,
+                provider,
+                history: [{ role: 'user', parts: [{ text: editPrompt(request) }] }],
+                reply,
+                latencyMs: performance.now() - started,
+                success: !failed,
+            });
+        }
+
+        if (session.stopped || !this.isOpen(session)) {
+            this.end(session);
+            return;
+        }
+        if (!reply.trim()) {
+            UI.showError('The model returned no code for this edit.');
+            this.end(session);
+            return;
+        }
+        // Hunks are known once the diff is computed, and change as they are accepted or rejected
+        session.diffEditor.onDidUpdateDiff(() => this.renderReview(session));
+        if (session.diffEditor.getLineChanges()) this.renderReview(session);
+    }
+
+    buildStreamingToolbar(session) {
+        const toolbar = document.createElement('div');
+        toolbar.className = 'scm-hunks';
+        toolbar.innerHTML = '<div class="scm-hunk-group"><span class="scm-hunks-note">Generating...</span> <button class="scm-hunk-action">Stop</button></div>';
+        toolbar.querySelector('button').addEventListener('click', () => {
+            session.stopped = true;
+            session.controller.abort();
+        });
+        return toolbar;
+    }
+
+    renderReview(session) {
+        if (this.session !== session) return;
+        const { original, modified } = session.diffEditor.getModel();
+        const changes = session.diffEditor.getLineChanges() || [];
+        if (changes.length === 0) {
+            // Every hunk was accepted or rejected: both sides now hold the result
+            this.finish(session, original.getValue());
+            return;
+        }
+
+        const toolbar = document.createElement('div');
+        toolbar.className = 'scm-hunks';
+        const group = document.createElement('div');
+        group.className = 'scm-hunk-group';
+        group.innerHTML = `
+            <span class="scm-hunks-label">${changes.length} change(s)</span>
+            <button class="scm-hunk-action inline-edit-accept-all">Accept All</button>
+            <button class="scm-hunk-action inline-edit-reject-all">Reject All</button>
+        `;
+        group.querySelector('.inline-edit-accept-all').addEventListener('click', () => this.finish(session, modified.getValue()));
+        group.querySelector('.inline-edit-reject-all').addEventListener('click', () => this.end(session));
+
+        changes.forEach(change => {
+            const added = change.modifiedEndLineNumber === 0 ? 0 : change.modifiedEndLineNumber - change.modifiedStartLineNumber + 1;
+            const removed = change.originalEndLineNumber === 0 ? 0 : change.originalEndLineNumber - change.originalStartLineNumber + 1;
+            const line = Math.max(change.modifiedStartLineNumber, 1);
+            const chip = document.createElement('span');
+            chip.className = 'scm-hunk';
+            chip.innerHTML = `
+                <a href="#" class="scm-hunk-jump">line ${line} <span class="scm-added">+${added}</span> <span class="scm-removed">-${removed}</span></a>
+                <button class="scm-hunk-action" data-action="accept">Accept</button>
+                <button class="scm-hunk-action" data-action="reject">Reject</button>
+            `;
+            chip.querySelector('.scm-hunk-jump').addEventListener('click', (e) => {
+                e.preventDefault();
+                session.diffEditor.getModifiedEditor().revealLineInCenter(line);
+            });
+            // Accepting copies the hunk to the original side, rejecting restores it on the
+            // modified side; either way the hunk disappears from the diff
+            chip.querySelector('[data-action="accept"]').addEventListener('click', () => {
+                spliceLines(original, change.originalStartLineNumber, change.originalEndLineNumber,
+                    getLines(modified, change.modifiedStartLineNumber, change.modifiedEndLineNumber));
+            });
+            chip.querySelector('[data-action="reject"]').addEventListener('click', () => {
+                spliceLines(modified, change.modifiedStartLineNumber, change.modifiedEndLineNumber,
+                    getLines(original, change.originalStartLineNumber, change.originalEndLineNumber));
+            });
+            group.appendChild(chip);
+        });
+        toolbar.appendChild(group);
+        Editor.setDiffViewToolbar(toolbar);
+    }
+
+    /**
+     * Applies the reviewed content to the file's model as one undoable edit and writes it.
+     */
+    async finish(session, content) {
+        const { fileData, filePath, base } = session;
+        this.end(session);
+        if (content === base) return;
+
+        const model = fileData.model;
+        if (model.isDisposed() || model.getValue() !== base) {
+            UI.showError(`${filePath} changed while the edit was being reviewed. The edit was not applied.`);
+            return;
+        }
+
+        // Only the span between the unchanged start and end is replaced, so the
+        // cursor and the rest of the undo history stay put
+        let start = 0;
+        while (start < base.length && start < content.length && base[start] === content[start]) start++;
+        let end = 0;
+        while (end < base.length - start && end < content.length - start
+            && base[base.length - 1 - end] === content[content.length - 1 - end]) end++;
+        const range = monaco.Range.fromPositions(model.getPositionAt(start), model.getPositionAt(base.length - end));
+
+        UndoManager.push(filePath, base);
+        model.pushEditOperations([], [{ range, text: content.slice(start, content.length - end) }], () => null);
+        try {
+            await writeFile(fileData.handle, model.getValue());
+            UI.showToast(`Applied AI edit to ${fileData.name}`);
+        } catch (error) {
+            console.error('[InlineEdit] Failed to write file:', error);
+            UI.showError(`The edit was applied in the editor but could not be saved: ${error.message}`);
+        }
+    }
+
+    end(session) {
+        if (this.session !== session) return;
+        this.session = null;
+        if (this.isOpen(session)) {
+            Editor.closeDiffView();
+            this.editor.focus();
+        }
+    }
+}
+
+export const inlineEdit = new InlineEdit();
@@ -0,0 +1,395 @@
+import { BaseLLMService } from './base_llm_service.js';
+import { STRUCTURED_SYSTEM_PROMPT } from './structured_output.js';
+import { EDIT_SYSTEM_PROMPT, editPrompt } from './code_edit.js';
+
+const ANTHROPIC_API_VERSION = '2023-06-01';
+const IMAGE_MIME_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+// HTTP statuses worth retrying with the next API key (bad key, rate limit, overloaded)
+const RETRYABLE_STATUSES = [401, 403, 429, 529];
+// Tool the model is forced to call in structured mode; its input is the answer
+const STRUCTURED_TOOL_NAME = 'respond';
+
+/**
+ * Concrete implementation for the Anthropic Messages API.
+ */
+export class AnthropicService extends BaseLLMService {
+    constructor(apiKeyManager, model) {
+        super(apiKeyManager, model);
+        this.apiBaseUrl = 'https://api.anthropic.com/v1';
+    }
+
+    getDefaultConfig() {
+        return { ...super.getDefaultConfig(), maxTokens: 8192 };
+    }
+
+    getProviderKey() {
+        return 'anthropic';
+    }
+
+    async isConfigured() {
+        await this.apiKeyManager.loadKeys('anthropic');
+        const currentApiKey = this.apiKeyManager.getCurrentKey();
+        return !!currentApiKey;
+    }
+
+    supportsStructuredOutput() {
+        return true;
+    }
+
+    /**
+     * Forces a call to a single tool whose input_schema is the requested schema.
+     * Tool input must be an object, so other schemas are wrapped in { value }.
+     */
+    async _generateStructuredNative(schema, messages, options = {}) {
+        await this.apiKeyManager.loadKeys('anthropic');
+        this.apiKeyManager.resetTriedKeys();
+
+        const wrapped = schema.type !== 'object';
+        const inputSchema = wrapped
+            ? { type: 'object', properties: { value: schema }, required: ['value'] }
+            : schema;
+        const response = await this._openStream({
+            model: this.model,
+            max_tokens: this.providerConfig.maxTokens,
+            system: STRUCTURED_SYSTEM_PROMPT,
+            messages: this._prepareMessages(messages),
+            tools: [{ name: STRUCTURED_TOOL_NAME, description: `Return the ${options.name || 'response'}.`, input_schema: inputSchema }],
+            tool_choice: { type: 'tool', name: STRUCTURED_TOOL_NAME },
+        });
+        const json = await response.json();
+        const block = (json.content || []).find(b => b.type === 'tool_use');
+        if (!block) {
+            throw new Error('Anthropic API returned no tool_use block for the structured request.');
+        }
+        return JSON.stringify(wrapped ? block.input?.value : block.input);
+    }
+
+    /**
+     * Streamed request for an inline edit with only the edit prompt and no tools.
+     */
+    async *_editCodeImpl(request) {
+        await this.apiKeyManager.loadKeys('anthropic');
+        this.apiKeyManager.resetTriedKeys();
+
+        const response = await this._openStream({
+            model: this.model,
+            max_tokens: this.providerConfig.maxTokens,
+            system: EDIT_SYSTEM_PROMPT,
+            messages: [{ role: 'user', content: editPrompt(request) }],
+            stream: true,
+        });
+        for await (const chunk of this._readStream(response)) {
+            if (chunk.text) yield chunk.text;
+        }
+    }
+
+    async *sendMessageStream(history, tools, customRules, options = {}) {
+        await this.apiKeyManager.loadKeys('anthropic');
+        this.apiKeyManager.resetTriedKeys();
+
+        const mode = document.getElementById('agent-mode-selector')?.value || 'code';
+        const body = {
+            model: this.model,
+            max_tokens: this.providerConfig.maxTokens,
+            system: this._getSystemPrompt(mode, customRules, options),
+            messages: this._prepareMessages(history),
+            stream: true,
+        };
+        const toolDefinitions = this._prepareTools(tools);
+        if (toolDefinitions.length > 0) {
+            body.tools = toolDefinitions;
+            body.tool_choice = { type: 'auto' };
+        }
+
+        const response = await this._openStream(body);
+        yield* this._readStream(response);
+    }
+
+    /**
+     * Sends the request, rotating to the next key on auth, rate-limit and overload errors.
+     */
+    async _openStream(body) {
+        while (true) {
+            const currentApiKey = this.apiKeyManager.getCurrentKey();
+            if (!currentApiKey) {
+                throw new Error("Anthropic API key is not set or available.");
+            }
+
+            const controller = new AbortController();
+            const timeoutId = setTimeout(() => controller.abort(), this.options.timeout);
+            let response;
+            try {
+                response = await fetch(`${this.apiBaseUrl}/messages`, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'x-api-key': currentApiKey,
+                        'anthropic-version': ANTHROPIC_API_VERSION,
+                        // Required for calls made directly from the browser
+                        'anthropic-dangerous-direct-browser-access': 'true',
+                    },
+                    body: JSON.stringify(body),
+                    signal: controller.signal,
+                });
+            } finally {
+                clearTimeout(timeoutId);
+            }
+
+            if (response.ok) return response;
+
+            let message = response.statusText;
+            try {
+                const errorData = await response.json();
+                message = errorData?.error?.message || message;
+            } catch (_) {
+                // Non-JSON error body; keep the status text
+            }
+
+            if (RETRYABLE_STATUSES.includes(response.status) && !this.apiKeyManager.hasTriedAllKeys()) {
+                console.warn(`[AnthropicService] ${response.status} with key index ${this.apiKeyManager.currentIndex}: ${message}. Trying next key...`);
+                this.apiKeyManager.rotateKey();
+                continue;
+            }
+            throw new Error(`Anthropic API Error (${response.status}): ${message}`);
+        }
+    }
+
+    /**
+     * Parses the server-sent event stream into the chunk shape ChatService consumes.
+     * Usage is reported Gemini-style so the metrics code records it unchanged.
+     */
+    async *_readStream(response) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        const toolBlocks = {}; // content block index -> { id, name, json }
+        const usage = { promptTokenCount: 0, candidatesTokenCount: 0 };
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+
+            for (const line of lines) {
+                if (!line.startsWith('data: ')) continue;
+                let event;
+                try {
+                    event = JSON.parse(line.substring(6));
+                } catch (e) {
+                    console.error('Error parsing Anthropic stream chunk:', line, e);
+                    continue;
+                }
+
+                switch (event.type) {
+                    case 'message_start': {
+                        const u = event.message?.usage || {};
+                        usage.promptTokenCount = (u.input_tokens || 0)
+                            + (u.cache_creation_input_tokens || 0)
+                            + (u.cache_read_input_tokens || 0);
+                        usage.candidatesTokenCount = u.output_tokens || 0;
+                        break;
+                    }
+                    case 'content_block_start':
+                        if (event.content_block?.type === 'tool_use') {
+                            toolBlocks[event.index] = { id: event.content_block.id, name: event.content_block.name, json: '' };
+                        }
+                        break;
+                    case 'content_block_delta':
+                        if (event.delta?.type === 'text_delta' && event.delta.text) {
+                            yield { text: event.delta.text, functionCalls: null };
+                        } else if (event.delta?.type === 'input_json_delta' && toolBlocks[event.index]) {
+                            toolBlocks[event.index].json += event.delta.partial_json || '';
+                        }
+                        break;
+                    case 'content_block_stop': {
+                        const block = toolBlocks[event.index];
+                        if (!block) break;
+                        delete toolBlocks[event.index];
+                        let args = {};
+                        try {
+                            args = block.json ? JSON.parse(block.json) : {};
+                        } catch (e) {
+                            console.error(`[AnthropicService] Invalid tool input for ${block.name}:`, block.json);
+                        }
+                        yield { text: '', functionCalls: [{ id: block.id, name: block.name, args }] };
+                        break;
+                    }
+                    case 'message_delta':
+                        // output_tokens here is cumulative for the whole message
+                        if (typeof event.usage?.output_tokens === 'number') {
+                            usage.candidatesTokenCount = event.usage.output_tokens;
+                        }
+                        break;
+                    case 'message_stop':
+                        yield {
+                            text: '',
+                            functionCalls: null,
+                            usageMetadata: { ...usage, totalTokenCount: usage.promptTokenCount + usage.candidatesTokenCount },
+                        };
+                        break;
+                    case 'error':
+                        throw new Error(`Anthropic API Error: ${event.error?.message || 'stream error'}`);
+                    default:
+                        // ping and unknown event types
+                        break;
+                }
+            }
+        }
+    }
+
+    /**
+     * Converts the Gemini-style history into Messages API turns. Every tool_use
+     * block must be answered by a tool_result in the next user turn, so unanswered
+     * calls (e.g. from a cancelled turn) and orphaned results are dropped.
+     */
+    _prepareMessages(history) {
+        const turns = [];
+        for (const turn of history) {
+            const role = turn.role === 'model' ? 'assistant' : 'user';
+            const content = [];
+            for (const part of turn.parts || []) {
+                if (part.text && part.text.trim()) {
+                    content.push({ type: 'text', text: part.text });
+                } else if (part.inlineData && role === 'user') {
+                    const block = this._convertInlineData(part.inlineData);
+                    if (block) content.push(block);
+                } else if (part.functionCall && part.functionCall.id && role === 'assistant') {
+                    content.push({
+                        type: 'tool_use',
+                        id: part.functionCall.id,
+                        name: part.functionCall.name,
+                        input: part.functionCall.args || {},
+                    });
+                } else if (part.functionResponse && part.functionResponse.id) {
+                    const result = part.functionResponse.response;
+                    content.push({
+                        type: 'tool_result',
+                        tool_use_id: part.functionResponse.id,
+                        content: typeof result === 'string' ? result : JSON.stringify(result),
+                        is_error: !!(result && (result.error || result.status === 'Error')),
+                    });
+                }
+            }
+            if (content.length === 0) continue;
+
+            // Consecutive turns from the same role are merged into one message
+            const previous = turns[turns.length - 1];
+            if (previous && previous.role === role) {
+                previous.content.push(...content);
+            } else {
+                turns.push({ role, content });
+            }
+        }
+
+        for (let i = 0; i < turns.length; i++) {
+            const turn = turns[i];
+            if (turn.role === 'assistant') {
+                const next = turns[i + 1];
+                const answered = new Set((next?.content || [])
+                    .filter(b => b.type === 'tool_result')
+                    .map(b => b.tool_use_id));
+                turn.content = turn.content.filter(b => b.type !== 'tool_use' || answered.has(b.id));
+            } else {
+                const previous = turns[i - 1];
+                const asked = new Set((previous?.content || [])
+                    .filter(b => b.type === 'tool_use')
+                    .map(b => b.id));
+                // Tool results go first in a user turn, ahead of any text
+                turn.content = [
+                    ...turn.content.filter(b => b.type === 'tool_result' && asked.has(b.tool_use_id)),
+                    ...turn.content.filter(b => b.type !== 'tool_result'),
+                ];
+            }
+        }
+
+        const messages = turns.filter(t => t.content.length > 0);
+        // The conversation has to open with a user turn
+        while (messages.length > 0 && messages[0].role !== 'user') {
+            messages.shift();
+        }
+        return messages;
+    }
+
+    _convertInlineData(inlineData) {
+        const { mimeType, data } = inlineData;
+        if (!data) return null;
+        if (IMAGE_MIME_TYPES.includes(mimeType)) {
+            return { type: 'image', source: { type: 'base64', media_type: mimeType, data } };
+        }
+        if (mimeType === 'application/pdf') {
+            return { type: 'document', source: { type: 'base64', media_type: mimeType, data } };
+        }
+        console.warn(`[AnthropicService] Skipping unsupported attachment type: ${mimeType}`);
+        return null;
+    }
+
+    getBaseSystemInstructions() {
+        return `You are Claude, an AI programming agent working inside a browser-based code editor. You solve programming tasks by reading the project, planning a focused change and applying it with the available tools.
+
+# TOOL USAGE
+- Read files before modifying them, and prefer targeted edits (apply_diff, replace_lines) over rewriting whole files.
+- Use get_project_structure and search_code to find your way around an unfamiliar codebase.
+- Paths are relative to the project root and never include the root folder name.
+- If a tool fails, read the error, adjust and try another approach.
+
+# DESTRUCTIVE OPERATIONS
+- When the user asks to delete or remove files, call delete_file or delete_folder directly without asking for confirmation.`;
+    }
+
+    _getSystemPrompt(mode, customRules, options = {}) {
+        const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+        let systemPrompt = this._getSystemInstruction(mode);
+
+        if (options.directAnalysis) {
+            systemPrompt += `
+
+# DIRECT ANALYSIS MODE
+- Answer the request directly from the provided context. Do not use task management tools (start_task_session, etc.).
+- Structure the answer as: full analysis, a short bulleted summary, and 2-3 suggested next steps phrased as questions.`;
+        } else {
+            systemPrompt += `
+
+# TASK MANAGEMENT
+- Only use task management tools (start_task_session, task_breakdown) for complex multi-step tasks.`;
+        }
+
+        systemPrompt += `
+
+Current context:
+- Time: ${new Date().toLocaleString()}
+- Timezone: ${timeZone}`;
+
+        if (customRules) {
+            systemPrompt += `\n\n# USER-DEFINED RULES\n${customRules}`;
+        }
+        return systemPrompt;
+    }
+
+    _convertGeminiSchema(schema) {
+        if (typeof schema !== 'object' || schema === null) return schema;
+        const converted = { ...schema };
+        if (typeof converted.type === 'string') converted.type = converted.type.toLowerCase();
+        if (converted.properties) {
+            converted.properties = Object.fromEntries(
+                Object.entries(converted.properties).map(([key, value]) => [key, this._convertGeminiSchema(value)])
+            );
+        }
+        if (converted.items) converted.items = this._convertGeminiSchema(converted.items);
+        return converted;
+    }
+
+    _prepareTools(geminiTools) {
+        if (!geminiTools || !geminiTools.functionDeclarations) return [];
+        return geminiTools.functionDeclarations.map(tool => ({
+            name: tool.name,
+            description: tool.description,
+            // input_schema is required and must describe an object, even for tools without parameters
+            input_schema: tool.parameters
+                ? this._convertGeminiSchema(tool.parameters)
+                : { type: 'object', properties: {} },
+        }));
+    }
+}
@@ -1,4 +1,14 @@
 import { ErrorCategory, ErrorSeverity } from '../core/error_handler.js';
+import { translateHistory } from './history_translation.js';
+import {
+    STRUCTURED_SYSTEM_PROMPT,
+    StructuredOutputError,
+    parseStructured,
+    schemaInstructions,
+    repairPrompt,
+} from './structured_output.js';
+import { COMPLETION_SYSTEM_PROMPT, completionPrompt } from './code_completion.js';
+import { EDIT_SYSTEM_PROMPT, editPrompt } from './code_edit.js';
 
 /**
  * Enhanced abstract base class for all LLM services
@@ -62,6 +72,20 @@ export class BaseLLMService {
         console.log(`[${this.constructor.name}] Configuration updated:`, config);
     }
 
+    /**
+     * Reasoning effort for the current agent mode from providerConfig.reasoning
+     * ({ effortByMode, showSummaries }): 'minimal', 'low', 'medium', 'high', or
+     * 'default' to leave it to the provider.
+     */
+    _getReasoningEffort() {
+        const mode = document.getElementById('agent-mode-selector')?.value || 'code';
+        return this.providerConfig.reasoning?.effortByMode?.[mode] || 'default';
+    }
+
+    _showReasoningSummaries() {
+        return this.providerConfig.reasoning?.showSummaries !== false;
+    }
+
     /**
      * Enhanced message streaming with error handling and monitoring
      */
@@ -177,6 +201,134 @@ export class BaseLLMService {
         return true; // Default implementation
     }
 
+    /**
+     * Whether the provider accepts tool declarations and tool-call history.
+     * Providers that return false get tool turns flattened to text on failover.
+     */
+    supportsToolCalling() {
+        return true;
+    }
+
+    /**
+     * Whether _generateStructuredNative can constrain output to a JSON schema.
+     */
+    supportsStructuredOutput() {
+        return false;
+    }
+
+    /**
+     * Returns a value matching `schema` (see structured_output.js for the supported
+     * keywords). Uses the provider's native schema mode when it has one; otherwise,
+     * or if the native answer does not validate, prompts for JSON and asks the model
+     * to fix invalid replies up to `maxRepairs` times.
+     * @param {object} schema - JSON schema of the expected value.
+     * @param {string} prompt - The request.
+     * @param {object} options - { history, name, maxRepairs }
+     * @throws {StructuredOutputError} when no valid value was produced
+     */
+    async generateStructured(schema, prompt, options = {}) {
+        const { history = [], maxRepairs = 2 } = options;
+
+        if (this.supportsStructuredOutput()) {
+            try {
+                // Tool turns become text so the request needs no tool declarations
+                const messages = translateHistory([...history, { role: 'user', parts: [{ text: prompt }] }], { toolCalling: false });
+                const text = await this._generateStructuredNative(schema, messages, options);
+                const result = parseStructured(text, schema);
+                if (result.errors.length === 0) return result.value;
+                console.warn(`[${this.constructor.name}] Native structured output did not validate:`, result.errors);
+            } catch (error) {
+                console.warn(`[${this.constructor.name}] Native structured output failed, falling back to prompting:`, error.message);
+            }
+        }
+
+        // As above, tool turns become text since no tools are declared
+        const conversation = translateHistory([...history, { role: 'user', parts: [{ text: `${prompt}\n\n${schemaInstructions(schema)}` }] }], { toolCalling: false });
+        let text = '';
+        let errors = [];
+        for (let attempt = 0; attempt <= maxRepairs; attempt++) {
+            text = '';
+            for await (const chunk of this.sendMessageStream(conversation, [], STRUCTURED_SYSTEM_PROMPT)) {
+                if (chunk.text) text += chunk.text;
+            }
+            const result = parseStructured(text, schema);
+            if (result.errors.length === 0) return result.value;
+            errors = result.errors;
+            console.warn(`[${this.constructor.name}] Structured reply invalid (attempt ${attempt + 1}/${maxRepairs + 1}):`, errors);
+            conversation.push(
+                { role: 'model', parts: [{ text: text || '(empty reply)' }] },
+                { role: 'user', parts: [{ text: repairPrompt(errors) }] }
+            );
+        }
+        throw new StructuredOutputError(`${this.constructor.name} did not return valid JSON after ${maxRepairs + 1} attempts: ${errors[0]}`, { errors, rawText: text });
+    }
+
+    /**
+     * Provider-specific request in native JSON-schema mode. `messages` is a
+     * Gemini-style history without tool turns. Returns the reply text.
+     * @abstract
+     */
+    async _generateStructuredNative(schema, messages, options) {
+        throw new Error("Method '_generateStructuredNative()' must be implemented when supportsStructuredOutput() is true.");
+    }
+
+    /**
+     * Returns the raw text to insert at the cursor for an inline completion (see
+     * code_completion.js for the request shape and clean-up). Resolves to '' once
+     * request.signal is aborted.
+     */
+    async completeCode(request) {
+        try {
+            return await this._completeCodeImpl(request);
+        } catch (error) {
+            if (request.signal?.aborted) return '';
+            throw error;
+        }
+    }
+
+    /**
+     * Provider-specific completion request. The default goes through the chat
+     * stream, which works everywhere but carries the full agent system prompt;
+     * providers with a lighter request override it.
+     */
+    async _completeCodeImpl(request) {
+        const history = [{ role: 'user', parts: [{ text: completionPrompt(request) }] }];
+        let text = '';
+        for await (const chunk of this.sendMessageStream(history, [], COMPLETION_SYSTEM_PROMPT)) {
+            if (request.signal?.aborted) return '';
+            if (chunk.text) text += chunk.text;
+        }
+        return text;
+    }
+
+    /**
+     * Streams the replacement text for an inline edit (see code_edit.js for the
+     * request shape). Stops quietly once request.signal is aborted.
+     */
+    async *editCode(request) {
+        try {
+            for await (const text of this._editCodeImpl(request)) {
+                if (request.signal?.aborted) return;
+                yield text;
+            }
+        } catch (error) {
+            if (request.signal?.aborted) return;
+            throw error;
+        }
+    }
+
+    /**
+     * Provider-specific edit request yielding text chunks. The default goes
+     * through the chat stream, which carries the full agent system prompt;
+     * providers with a dedicated request override it.
+     */
+    async *_editCodeImpl(request) {
+        const history = [{ role: 'user', parts: [{ text: editPrompt(request) }] }];
+        for await (const chunk of this.sendMessageStream(history, [], EDIT_SYSTEM_PROMPT)) {
+            if (chunk.text) yield chunk.text;
+        }
+    }
+
     /**
      * Get provider key for API key manager
      * @abstract
@@ -0,0 +1,59 @@
+/**
+ * Helpers for BaseLLMService.completeCode: the prompt used by chat models for
+ * inline completions and the clean-up of their replies, which often repeat the
+ * code around the cursor or wrap the insertion in a code fence.
+ *
+ * A completion request is { prefix, suffix, language, filePath, signal, maxTokens }.
+ */
+
+export const COMPLETION_SYSTEM_PROMPT = 'You are a code completion engine inside a code editor. Reply with ONLY the code to insert at the cursor: no explanations, no markdown, no code fences, and none of the code that is already before or after the cursor.';
+
+export const CURSOR_MARKER = '<|cursor|>';
+
+export const DEFAULT_COMPLETION_MAX_TOKENS = 128;
+
+/**
+ * User message for chat models that have no fill-in-the-middle mode.
+ */
+export function completionPrompt({ prefix, suffix, language, filePath }) {
+    return `File: ${filePath || 'untitled'} (${language || 'plaintext'})
+Complete the code at ${CURSOR_MARKER}. Prefer finishing the current line or statement; continue onto following lines only when the code clearly calls for it.
+
+${prefix}${CURSOR_MARKER}${suffix}`;
+}
+
+/**
+ * Trims a reply down to the text to insert. Returns '' when nothing usable is left.
+ * @param {string} text - Raw model reply.
+ * @param {object} request - The completion request it answers.
+ * @param {number} maxLines - Longest completion kept.
+ */
+export function cleanCompletion(text, { prefix = '', suffix = '' }, maxLines = 20) {
+    let result = String(text || '').replace(/\r\n/g, '\n');
+
+    const fenced = result.match(/```[\w+-]*\n([\s\S]*?)(?:```|$)/);
+    if (fenced) result = fenced[1];
+    result = result.replace(CURSOR_MARKER, '');
+
+    // Drop the start of the reply when it repeats the end of the current line
+    const currentLine = prefix.slice(prefix.lastIndexOf('\n') + 1);
+    if (currentLine.trim() && result.startsWith(currentLine)) {
+        result = result.slice(currentLine.length);
+    }
+
+    // Drop the end of the reply when it runs into the code after the cursor
+    const nextText = suffix.trimStart().split('\n')[0].trim();
+    if (nextText) {
+        const overlap = result.lastIndexOf(nextText);
+        if (overlap !== -1 && result.slice(overlap + nextText.length).trim() === '') {
+            result = result.slice(0, overlap);
+        }
+    }
+
+    const lines = result.split('\n');
+    if (lines.length > maxLines) {
+        result = lines.slice(0, maxLines).join('\n');
+    }
+    result = result.replace(/\s+$/, '');
+    return result.trim() ? result : '';
+}
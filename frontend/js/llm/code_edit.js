@@ -0,0 +1,41 @@
+/**
+ * Prompt and reply handling for inline edits: the model rewrites the selected
+ * lines of a file following an instruction, and its reply replaces them.
+ *
+ * An edit request is { instruction, selection, prefix, suffix, language, filePath }.
+ */
+
+export const EDIT_SYSTEM_PROMPT = `You are editing a single region of a file in a code editor, not chatting.
+Reply with ONLY the complete replacement for the region between <selection> and </selection>: no explanations, no markdown, no code fences, and none of the code outside the region.
+Keep the region's indentation and style. Do not call any tools.`;
+
+export function editPrompt({ instruction, selection, prefix, suffix, language, filePath }) {
+    return `File: ${filePath || 'untitled'} (${language || 'plaintext'})
+
+${prefix}<selection>
+${selection}</selection>
+${suffix}
+
+Instruction: ${instruction}`;
+}
+
+/**
+ * Returns the replacement text from a (possibly still streaming) reply,
+ * without the code fence, and a one-line lead-in such as "Here is the code:",
+ * that models add despite the prompt.
+ * @param {string} text - Reply so far.
+ * @param {string} selection - The text being replaced; a trailing newline is
+ *   kept only if the selection had one.
+ */
+export function extractEditedCode(text, selection = '') {
+    let result = String(text || '').replace(/\r\n/g, '\n');
+    const opening = result.match(/^\s*(?:[^\n`]*:\s*\n)?\s*```[\w+-]*\n/);
+    if (opening) {
+        result = result.slice(opening[0].length);
+        const closing = result.lastIndexOf('```');
+        if (closing !== -1) result = result.slice(0, closing);
+    }
+    result = result.replace(/<\/?selection>\n?/g, '');
+    result = result.replace(/\n+$/, '');
+    return selection.endsWith('\n') ? `${result}\n` : result;
+}
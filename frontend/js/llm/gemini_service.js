@@ -1,5 +1,13 @@
 import { GoogleGenerativeAI } from 'https://esm.run/@google/generative-ai';
 import { BaseLLMService } from './base_llm_service.js';
+import { STRUCTURED_SYSTEM_PROMPT, toGeminiSchema } from './structured_output.js';
+import { COMPLETION_SYSTEM_PROMPT, DEFAULT_COMPLETION_MAX_TOKENS, completionPrompt } from './code_completion.js';
+import { EDIT_SYSTEM_PROMPT, editPrompt } from './code_edit.js';
+
+// Thinking budgets in tokens per reasoning effort. Pro cannot turn thinking off
+// (minimum 128) and Flash allows at most 24576.
+const THINKING_BUDGETS = { minimal: 0, low: 1024, medium: 8192, high: 24576 };
+const PRO_MIN_THINKING_BUDGET = 128;
 
 /**
  * Concrete implementation for the Google Gemini API.
@@ -15,6 +23,86 @@ export class GeminiService extends BaseLLMService {
         return !!currentApiKey;
     }
 
+    supportsStructuredOutput() {
+        return true;
+    }
+
+    async _generateStructuredNative(schema, messages) {
+        await this.apiKeyManager.loadKeys('gemini');
+        const currentApiKey = this.apiKeyManager.getCurrentKey();
+        if (!currentApiKey) {
+            throw new Error("Gemini API key is not set or available.");
+        }
+
+        const genAI = new GoogleGenerativeAI(currentApiKey);
+        const model = genAI.getGenerativeModel({
+            model: this.model,
+            systemInstruction: { parts: [{ text: STRUCTURED_SYSTEM_PROMPT }] },
+            generationConfig: {
+                responseMimeType: 'application/json',
+                responseSchema: toGeminiSchema(schema),
+            },
+        });
+        const chat = model.startChat({ history: this._prepareMessages(messages) });
+        const result = await chat.sendMessage(messages[messages.length - 1].parts);
+        return result.response.text();
+    }
+
+    /**
+     * Single generateContent call for an inline completion, with thinking off
+     * where the model allows it.
+     */
+    async _completeCodeImpl(request) {
+        await this.apiKeyManager.loadKeys('gemini');
+        const currentApiKey = this.apiKeyManager.getCurrentKey();
+        if (!currentApiKey) {
+            throw new Error("Gemini API key is not set or available.");
+        }
+
+        const generationConfig = {
+            maxOutputTokens: request.maxTokens || DEFAULT_COMPLETION_MAX_TOKENS,
+            temperature: 0.2,
+        };
+        if (/^gemini-2\.5/.test(this.model || '')) {
+            generationConfig.thinkingConfig = {
+                thinkingBudget: this.model.includes('pro') ? PRO_MIN_THINKING_BUDGET : 0,
+            };
+            // Pro always thinks, so leave room for the answer
+            if (this.model.includes('pro')) generationConfig.maxOutputTokens += PRO_MIN_THINKING_BUDGET;
+        }
+        const genAI = new GoogleGenerativeAI(currentApiKey);
+        const model = genAI.getGenerativeModel({
+            model: this.model,
+            systemInstruction: { parts: [{ text: COMPLETION_SYSTEM_PROMPT }] },
+            generationConfig,
+        });
+        const result = await model.generateContent(completionPrompt(request), { signal: request.signal });
+        return result.response.text();
+    }
+
+    /**
+     * Streamed generateContent call for an inline edit, without tools.
+     */
+    async *_editCodeImpl(request) {
+        await this.apiKeyManager.loadKeys('gemini');
+        const currentApiKey = this.apiKeyManager.getCurrentKey();
+        if (!currentApiKey) {
+            throw new Error("Gemini API key is not set or available.");
+        }
+
+        const genAI = new GoogleGenerativeAI(currentApiKey);
+        const model = genAI.getGenerativeModel({
+            model: this.model,
+            systemInstruction: { parts: [{ text: EDIT_SYSTEM_PROMPT }] },
+            generationConfig: { temperature: 0.2 },
+        });
+        const result = await model.generateContentStream(editPrompt(request), { signal: request.signal });
+        for await (const chunk of result.stream) {
+            const text = chunk.text();
+            if (text) yield text;
+        }
+    }
+
     async *sendMessageStream(history, tools, customRules = '') {
         await this.apiKeyManager.loadKeys('gemini');
         this.apiKeyManager.resetTriedKeys(); // Reset for new request
@@ -35,6 +123,7 @@ export class GeminiService extends BaseLLMService {
                     model: this.model,
                     systemInstruction: { parts: [{ text: systemInstruction }] },
                     tools: [tools],
+                    generationConfig: this._getThinkingGenerationConfig(),
                 });
 
                 const preparedHistory = this._prepareMessages(history);
@@ -68,8 +157,12 @@ export class GeminiService extends BaseLLMService {
                         if (chunk.usageMetadata) {
                             lastUsage = chunk.usageMetadata;
                         }
+                        // chunk.text() would mix thought summaries into the answer
+                        const parts = chunk.candidates?.[0]?.content?.parts || [];
+                        const thoughts = parts.filter(p => p.thought && p.text);
                         yield {
-                            text: chunk.text(),
+                            text: thoughts.length > 0 ? parts.filter(p => p.text && !p.thought).map(p => p.text).join('') : chunk.text(),
+                            reasoning: thoughts.map(p => p.text).join('') || undefined,
                             functionCalls: chunk.functionCalls(),
                             usageMetadata: chunk.usageMetadata,
                         };
@@ -128,6 +221,21 @@ export class GeminiService extends BaseLLMService {
         }
     }
 
+    /**
+     * thinkingConfig for Gemini 2.5 models; other models get no generationConfig.
+     */
+    _getThinkingGenerationConfig() {
+        if (!/^gemini-2\.5/.test(this.model || '')) return undefined;
+        const thinkingConfig = { includeThoughts: this._showReasoningSummaries() };
+        const effort = this._getReasoningEffort();
+        if (effort in THINKING_BUDGETS) {
+            thinkingConfig.thinkingBudget = this.model.includes('pro')
+                ? Math.max(PRO_MIN_THINKING_BUDGET, THINKING_BUDGETS[effort])
+                : THINKING_BUDGETS[effort];
+        }
+        return { thinkingConfig };
+    }
+
     _isRetryableError(error) {
         const errorMessage = error.message || '';
         const errorString = errorMessage.toLowerCase();
@@ -0,0 +1,51 @@
+const MAX_FLATTENED_RESULT_CHARS = 4000;
+
+/**
+ * Copies a Gemini-style history so another provider can read it:
+ * - function calls without ids (Gemini does not issue them) get synthetic ids,
+ *   and the matching responses in the next user turn get the same ids;
+ * - for providers without tool calling, calls and results become plain text.
+ */
+export function translateHistory(history, { toolCalling = true } = {}) {
+    const translated = [];
+    let pendingIds = [];
+
+    history.forEach((turn, turnIndex) => {
+        const parts = [];
+        const idsThisTurn = [];
+        (turn.parts || []).forEach((part, partIndex) => {
+            if (part.functionCall) {
+                const id = part.functionCall.id || `call_${turnIndex}_${partIndex}`;
+                idsThisTurn.push({ id, name: part.functionCall.name });
+                parts.push(toolCalling
+                    ? { functionCall: { ...part.functionCall, id } }
+                    : { text: `[Tool call] ${part.functionCall.name}(${JSON.stringify(part.functionCall.args || {})})` });
+            } else if (part.functionResponse) {
+                const response = part.functionResponse;
+                let id = response.id;
+                if (!id) {
+                    const matchIndex = pendingIds.findIndex(p => p.name === response.name);
+                    if (matchIndex !== -1) {
+                        id = pendingIds[matchIndex].id;
+                        pendingIds.splice(matchIndex, 1);
+                    }
+                }
+                if (toolCalling) {
+                    parts.push({ functionResponse: { ...response, id } });
+                } else {
+                    let text = JSON.stringify(response.response);
+                    if (text && text.length > MAX_FLATTENED_RESULT_CHARS) {
+                        text = `${text.slice(0, MAX_FLATTENED_RESULT_CHARS)}... [truncated]`;
+                    }
+                    parts.push({ text: `[Tool result: ${response.name}] ${text}` });
+                }
+            } else {
+                parts.push(part);
+            }
+        });
+        pendingIds = idsThisTurn;
+        translated.push({ ...turn, parts });
+    });
+
+    return translated;
+}
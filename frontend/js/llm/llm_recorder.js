@@ -0,0 +1,207 @@
+import { DbManager } from '../db.js';
+
+/**
+ * Records LLM request/response streams and plays them back.
+ *
+ * In record mode every service created by LLMServiceFactory is instrumented so
+ * that each sendMessageStream call stores its request and the chunks it yielded
+ * ({ text, functionCalls, usageMetadata }) in IndexedDB under the current session
+ * name. Native structured-output calls are stored too, with kind 'structured' and
+ * the reply text as their only chunk. In replay mode the factory returns
+ * ReplayService instances instead, which answer from those recordings without
+ * touching the network.
+ */
+
+export const RECORDING_FORMAT = 'ai-editor-llm-recording';
+
+export function stableStringify(value) {
+    const sortRec = (val) => {
+        if (val === null || typeof val !== 'object') return val;
+        if (Array.isArray(val)) return val.map(sortRec);
+        const out = {};
+        Object.keys(val).sort().forEach(k => { out[k] = sortRec(val[k]); });
+        return out;
+    };
+    return JSON.stringify(sortRec(value));
+}
+
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Content hash of a request. Unlike ChatService._computePayloadHash, which only
+ * looks at the shape of the history to catch loops, this covers the full text so
+ * a replay answers the request that was actually recorded.
+ */
+export async function requestKey(history, tools, customRules = '') {
+    const toolNames = (tools?.functionDeclarations || []).map(t => t.name).sort();
+    const data = new TextEncoder().encode(stableStringify({ history, toolNames, customRules: customRules || '' }));
+    const digest = await crypto.subtle.digest('SHA-256', data);
+    return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+export class LLMRecorder {
+    constructor() {
+        this.replays = new Map(); // session -> { recordings, used: Set<number> }
+    }
+
+    /**
+     * Wraps service.sendMessageStream so each call is saved to the session,
+     * including calls that fail or are abandoned part-way.
+     */
+    instrument(service, provider, session) {
+        const recorder = this;
+        const original = service.sendMessageStream.bind(service);
+        service.sendMessageStream = async function* (history, tools, customRules, options) {
+            const recording = {
+                session,
+                provider,
+                model: service.model,
+                ts: Date.now(),
+                hash: await requestKey(history, tools, customRules),
+                request: clone({ history, toolNames: (tools?.functionDeclarations || []).map(t => t.name), customRules: customRules || '' }),
+                chunks: [],
+                error: null,
+                complete: false,
+            };
+            try {
+                for await (const chunk of original(history, tools, customRules, options)) {
+                    recording.chunks.push(clone(chunk));
+                    yield chunk;
+                }
+                recording.complete = true;
+            } catch (error) {
+                recording.error = { message: error.message, category: error.category || null };
+                throw error;
+            } finally {
+                recording.durationMs = Date.now() - recording.ts;
+                recorder.save(recording);
+            }
+        };
+        if (service.supportsStructuredOutput()) {
+            const originalStructured = service._generateStructuredNative.bind(service);
+            service._generateStructuredNative = async function (schema, messages, options) {
+                const recording = {
+                    session,
+                    provider,
+                    kind: 'structured',
+                    model: service.model,
+                    ts: Date.now(),
+                    hash: await requestKey(messages, null, stableStringify(schema)),
+                    request: clone({ history: messages, schema }),
+                    chunks: [],
+                    error: null,
+                    complete: false,
+                };
+                try {
+                    const text = await originalStructured(schema, messages, options);
+                    recording.chunks.push({ text });
+                    recording.complete = true;
+                    return text;
+                } catch (error) {
+                    recording.error = { message: error.message, category: error.category || null };
+                    throw error;
+                } finally {
+                    recording.durationMs = Date.now() - recording.ts;
+                    recorder.save(recording);
+                }
+            };
+        }
+        service.recordingSession = session;
+        return service;
+    }
+
+    async save(recording) {
+        try {
+            await DbManager.saveLLMRecording(recording);
+        } catch (error) {
+            console.warn('[LLMRecorder] Failed to save recording:', error);
+        }
+    }
+
+    /**
+     * Provides recordings for a session directly, e.g. from an exported file in a
+     * test page, instead of loading them from IndexedDB.
+     */
+    loadReplay(session, recordings) {
+        this.replays.set(session, { recordings, used: new Set() });
+    }
+
+    /**
+     * Starts the session's replay from the first recording again.
+     */
+    resetReplay(session = null) {
+        if (session) {
+            this.replays.delete(session);
+        } else {
+            this.replays.clear();
+        }
+    }
+
+    /**
+     * Returns the recording that answers a request: the first unused one of the
+     * same kind ('stream' or 'structured') with the same hash, otherwise the
+     * earliest unused one of that kind. Returns null when the session is exhausted.
+     */
+    async takeReplay(session, hash, kind = 'stream') {
+        if (!this.replays.has(session)) {
+            this.loadReplay(session, await DbManager.getLLMRecordings(session));
+        }
+        const { recordings, used } = this.replays.get(session);
+        const available = (r, i) => !used.has(i) && (r.kind || 'stream') === kind;
+
+        let index = recordings.findIndex((r, i) => available(r, i) && r.hash === hash);
+        let matchedBy = 'hash';
+        if (index === -1) {
+            index = recordings.findIndex(available);
+            matchedBy = 'sequence';
+            if (index !== -1) {
+                console.warn(`[LLMRecorder] No recording in "${session}" matches this request; replaying #${index + 1} in recorded order.`);
+            }
+        }
+        if (index === -1) return null;
+
+        used.add(index);
+        return { ...recordings[index], matchedBy };
+    }
+
+    async countRecordings(session) {
+        return (await DbManager.getLLMRecordings(session)).length;
+    }
+
+    async exportSession(session) {
+        const recordings = await DbManager.getLLMRecordings(session);
+        return {
+            format: RECORDING_FORMAT,
+            version: 1,
+            session,
+            exportedAt: new Date().toISOString(),
+            recordings: recordings.map(({ id, ...rest }) => rest),
+        };
+    }
+
+    /**
+     * Adds the recordings from an exported file to a session (the file's own
+     * session name unless one is given). Returns the session and the count.
+     */
+    async importSession(data, session = null) {
+        if (data?.format !== RECORDING_FORMAT || !Array.isArray(data.recordings)) {
+            throw new Error('Not an LLM recording file.');
+        }
+        const target = session || data.session || 'default';
+        for (const recording of data.recordings) {
+            const { id, ...rest } = recording;
+            await DbManager.saveLLMRecording({ ...rest, session: target });
+        }
+        this.resetReplay(target);
+        return { session: target, count: data.recordings.length };
+    }
+
+    async clearSession(session) {
+        await DbManager.deleteLLMRecordings(session);
+        this.resetReplay(session);
+    }
+}
+
+export const llmRecorder = new LLMRecorder();
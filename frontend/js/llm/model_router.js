@@ -0,0 +1,55 @@
+import { LLMServiceFactory } from './service_factory.js';
+
+/**
+ * Internal call sites that can be routed to their own provider/model.
+ * `task` is the task type passed to ProviderOptimizer.getProviderRecommendation.
+ */
+export const ROUTE_SITES = {
+    chat: { label: 'Chat and code edits', task: 'coding' },
+    intent_classification: { label: 'Intent classification', task: 'classification' },
+    task_breakdown: { label: 'Task breakdown', task: 'planning' },
+    research_relevance: { label: 'Research relevance scoring', task: 'classification' },
+    history_condensation: { label: 'History condensation', task: 'summarization' },
+    commit_message: { label: 'Commit message drafting', task: 'summarization' },
+    inline_edit: { label: 'Inline edits (Ctrl+K)', task: 'coding' },
+    inline_completion: { label: 'Inline code completions', task: 'completion' },
+};
+
+/**
+ * Returns the routing rule for a call site, or null when the site uses the
+ * globally selected provider. Rules are { provider, model }; an empty model
+ * means the provider's own configured model.
+ */
+export function getRouteRule(site, llmSettings) {
+    const rule = site ? llmSettings.routing?.[site] : null;
+    return rule && rule.provider ? rule : null;
+}
+
+/**
+ * Creates the service for a call site, applying its routing rule on top of
+ * the provider settings (the rule's model replaces that provider's model).
+ * @returns {{ provider: string, service: BaseLLMService, routed: boolean }}
+ */
+export function createServiceForSite(site, llmSettings) {
+    const rule = getRouteRule(site, llmSettings);
+    if (!rule) {
+        return {
+            provider: llmSettings.provider,
+            service: LLMServiceFactory.create(llmSettings.provider, llmSettings),
+            routed: false,
+        };
+    }
+    const routedSettings = {
+        ...llmSettings,
+        [rule.provider]: {
+            ...(llmSettings[rule.provider] || {}),
+            ...(rule.model ? { model: rule.model } : {}),
+        },
+    };
+    console.log(`[ModelRouter] ${site} -> ${rule.provider}/${routedSettings[rule.provider].model}`);
+    return {
+        provider: rule.provider,
+        service: LLMServiceFactory.create(rule.provider, routedSettings),
+        routed: true,
+    };
+}
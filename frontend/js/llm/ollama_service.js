@@ -1,69 +1,360 @@
 import { BaseLLMService } from './base_llm_service.js';
+import { STRUCTURED_SYSTEM_PROMPT } from './structured_output.js';
+import { COMPLETION_SYSTEM_PROMPT, DEFAULT_COMPLETION_MAX_TOKENS, completionPrompt } from './code_completion.js';
+import { EDIT_SYSTEM_PROMPT, editPrompt } from './code_edit.js';
+import { tokenBudget } from './token_budget.js';
+
+// Used when /api/show does not report a context length
+const FALLBACK_CONTEXT_LENGTH = 8192;
+
+// `${baseURL}|${model}` -> model details from /api/show
+const modelInfoCache = new Map();
+
+function apiURL(baseURL, path) {
+    return `${String(baseURL || '').trim().replace(/\/+$/, '')}${path}`;
+}
+
+async function readError(response) {
+    try {
+        const errorData = await response.json();
+        return errorData?.error || response.statusText;
+    } catch (_) {
+        return response.statusText;
+    }
+}
 
 /**
- * Concrete implementation for a local Ollama instance.
+ * Yields each object of a newline-delimited JSON response body.
+ */
+async function* readNDJSON(response) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    while (true) {
+        const { done, value } = await reader.read();
+        if (value) buffer += decoder.decode(value, { stream: !done });
+        const lines = buffer.split('\n');
+        buffer = done ? '' : lines.pop();
+        for (const line of lines) {
+            if (!line.trim()) continue;
+            let json;
+            try {
+                json = JSON.parse(line);
+            } catch (e) {
+                console.error('Error parsing Ollama stream line:', line, e);
+                continue;
+            }
+            yield json;
+        }
+        if (done) return;
+    }
+}
+
+/**
+ * Concrete implementation for a local Ollama instance. Context length and tool and
+ * image support are read from the installed model (/api/show) so the request's
+ * num_ctx, the token budget and the tool declarations match what the model can do.
  */
 export class OllamaService extends BaseLLMService {
+    /**
+     * @param {object} customConfig - { baseURL, contextLimit }; contextLimit caps
+     *   num_ctx (0 for the model's full context length).
+     */
     constructor(apiKeyManager, model, customConfig = {}) {
         super(null, model);
         this.customConfig = customConfig;
+        this.modelInfo = null;
     }
 
+    /**
+     * Lists installed models as returned by /api/tags:
+     * [{ name, size, modified_at, details: { family, parameter_size, quantization_level } }]
+     */
+    static async listModels(baseURL) {
+        const response = await fetch(apiURL(baseURL, '/api/tags'));
+        if (!response.ok) {
+            throw new Error(`Listing Ollama models failed: ${await readError(response)}`);
+        }
+        const json = await response.json();
+        return (json.models || []).sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Details of an installed model, cached per base URL unless `refresh` is set.
+     * @returns {Promise<{ name, contextLength, tools, vision, insert, family, parameterSize, quantization }>}
+     */
+    static async getModelInfo(baseURL, model, { refresh = false } = {}) {
+        const key = `${baseURL}|${model}`;
+        if (!refresh && modelInfoCache.has(key)) return modelInfoCache.get(key);
+
+        const response = await fetch(apiURL(baseURL, '/api/show'), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ model }),
+        });
+        if (!response.ok) {
+            throw new Error(`Ollama model "${model}" is not available: ${await readError(response)}`);
+        }
+        const json = await response.json();
+        const modelInfo = json.model_info || {};
+        const architecture = modelInfo['general.architecture'];
+        const contextKey = Object.keys(modelInfo).find(k => k === `${architecture}.context_length`)
+            || Object.keys(modelInfo).find(k => k.endsWith('.context_length'));
+        // Older servers have no capabilities list; fall back to the template and projector
+        const capabilities = Array.isArray(json.capabilities) ? json.capabilities : null;
+        const info = {
+            name: model,
+            contextLength: Number(modelInfo[contextKey]) || null,
+            tools: capabilities ? capabilities.includes('tools') : /\.Tools\b/.test(json.template || ''),
+            vision: capabilities ? capabilities.includes('vision') : !!json.projector_info || (json.details?.families || []).includes('clip'),
+            // Fill-in-the-middle: /api/generate accepts a suffix
+            insert: capabilities ? capabilities.includes('insert') : /\.Suffix\b/.test(json.template || ''),
+            family: json.details?.family || architecture || '',
+            parameterSize: json.details?.parameter_size || '',
+            quantization: json.details?.quantization_level || '',
+        };
+        modelInfoCache.set(key, info);
+        return info;
+    }
+
+    /**
+     * Downloads a model, reporting { status, completed, total } as layers arrive.
+     */
+    static async pullModel(baseURL, model, onProgress = () => {}, signal = undefined) {
+        const response = await fetch(apiURL(baseURL, '/api/pull'), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ model, stream: true }),
+            signal,
+        });
+        if (!response.ok) {
+            throw new Error(`Pulling "${model}" failed: ${await readError(response)}`);
+        }
+        for await (const json of readNDJSON(response)) {
+            if (json.error) throw new Error(`Pulling "${model}" failed: ${json.error}`);
+            onProgress({ status: json.status, completed: json.completed, total: json.total });
+        }
+        modelInfoCache.delete(`${baseURL}|${model}`);
+    }
+
+    static async deleteModel(baseURL, model) {
+        const response = await fetch(apiURL(baseURL, '/api/delete'), {
+            method: 'DELETE',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ model }),
+        });
+        if (!response.ok) {
+            throw new Error(`Deleting "${model}" failed: ${await readError(response)}`);
+        }
+        modelInfoCache.delete(`${baseURL}|${model}`);
+    }
+
+    supportsToolCalling() {
+        return !!this.modelInfo?.tools;
+    }
+
+    /**
+     * Also loads the model's details, so supportsToolCalling and the token budget
+     * reflect the installed model before the first request is built.
+     */
     async isConfigured() {
-        return !!this.customConfig.baseURL && !!this.model;
+        if (!this.customConfig.baseURL || !this.model) return false;
+        await this._loadModelInfo();
+        return true;
     }
 
-    async *sendMessageStream(history, tools, customRules) {
+    get contextWindow() {
+        const modelLength = this.modelInfo?.contextLength || FALLBACK_CONTEXT_LENGTH;
+        const limit = Number(this.customConfig.contextLimit) || 0;
+        return limit > 0 ? Math.min(modelLength, limit) : modelLength;
+    }
+
+    async _loadModelInfo() {
+        if (this.modelInfo) return this.modelInfo;
+        try {
+            this.modelInfo = await OllamaService.getModelInfo(this.customConfig.baseURL, this.model);
+        } catch (error) {
+            // Unreachable server or unknown model: the request itself will report it
+            console.warn('[OllamaService] Could not read model details:', error.message);
+            return null;
+        }
+        tokenBudget.setModelCapabilities('ollama', this.model, {
+            contextWindow: this.contextWindow,
+            maxOutput: Math.min(8192, Math.floor(this.contextWindow / 4)),
+            vision: this.modelInfo.vision,
+            tools: this.modelInfo.tools,
+        });
+        return this.modelInfo;
+    }
+
+    supportsStructuredOutput() {
+        return true;
+    }
+
+    /**
+     * Ollama constrains decoding to a JSON schema passed as `format`.
+     */
+    async _generateStructuredNative(schema, messages) {
         if (!(await this.isConfigured())) {
             throw new Error("Ollama base URL and model name are not set.");
         }
 
-        const messages = this._prepareMessages(history, customRules);
-        
-        const response = await fetch(`${this.customConfig.baseURL}/api/chat`, {
+        const prepared = this._prepareMessages(messages, '');
+        prepared[0] = { role: 'system', content: STRUCTURED_SYSTEM_PROMPT };
+        const response = await fetch(apiURL(this.customConfig.baseURL, '/api/chat'), {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
             },
             body: JSON.stringify({
                 model: this.model,
-                messages: messages,
-                stream: true,
-                // Note: Ollama's native tool support is still developing.
-                // This implementation will focus on text generation for now.
+                messages: prepared,
+                format: schema,
+                stream: false,
+                options: { num_ctx: this.contextWindow },
             }),
         });
 
         if (!response.ok) {
-            const errorData = await response.json();
-            throw new Error(`Ollama API Error: ${errorData.error}`);
+            throw new Error(`Ollama API Error: ${await readError(response)}`);
         }
+        const json = await response.json();
+        return json.message?.content || '';
+    }
 
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder();
-        
-        while (true) {
-            const { done, value } = await reader.read();
-            if (done) break;
+    /**
+     * Inline completion through /api/generate. Code models with fill-in-the-middle
+     * support get the prefix and suffix directly; other models get the chat prompt.
+     */
+    async _completeCodeImpl(request) {
+        if (!(await this.isConfigured())) {
+            throw new Error("Ollama base URL and model name are not set.");
+        }
 
-            const chunk = decoder.decode(value);
-            try {
-                const json = JSON.parse(chunk);
-                if (json.done) {
-                    yield {
-                        usageMetadata: {
-                            promptTokenCount: json.prompt_eval_count,
-                            candidatesTokenCount: json.eval_count,
-                        }
-                    };
-                    return;
-                }
+        const body = {
+            model: this.model,
+            stream: false,
+            options: {
+                num_ctx: this.contextWindow,
+                num_predict: request.maxTokens || DEFAULT_COMPLETION_MAX_TOKENS,
+                temperature: 0.2,
+            },
+        };
+        if (this.modelInfo?.insert) {
+            body.prompt = request.prefix;
+            body.suffix = request.suffix;
+        } else {
+            body.system = COMPLETION_SYSTEM_PROMPT;
+            body.prompt = completionPrompt(request);
+        }
+
+        const response = await fetch(apiURL(this.customConfig.baseURL, '/api/generate'), {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(body),
+            signal: request.signal,
+        });
+        if (!response.ok) {
+            throw new Error(`Ollama API Error: ${await readError(response)}`);
+        }
+        const json = await response.json();
+        return json.response || '';
+    }
+
+    /**
+     * Streamed /api/chat request for an inline edit, without tools.
+     */
+    async *_editCodeImpl(request) {
+        if (!(await this.isConfigured())) {
+            throw new Error("Ollama base URL and model name are not set.");
+        }
+
+        const response = await fetch(apiURL(this.customConfig.baseURL, '/api/chat'), {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                model: this.model,
+                messages: [
+                    { role: 'system', content: EDIT_SYSTEM_PROMPT },
+                    { role: 'user', content: editPrompt(request) },
+                ],
+                stream: true,
+                options: { num_ctx: this.contextWindow, temperature: 0.2 },
+            }),
+            signal: request.signal,
+        });
+        if (!response.ok) {
+            throw new Error(`Ollama API Error: ${await readError(response)}`);
+        }
+        for await (const json of readNDJSON(response)) {
+            if (json.error) {
+                throw new Error(`Ollama API Error: ${json.error}`);
+            }
+            if (json.message?.content) yield json.message.content;
+            if (json.done) return;
+        }
+    }
+
+    async *sendMessageStream(history, tools, customRules) {
+        if (!(await this.isConfigured())) {
+            throw new Error("Ollama base URL and model name are not set.");
+        }
+
+        const messages = this._prepareMessages(history, customRules);
+        const toolDefinitions = this.supportsToolCalling() ? this._prepareTools(tools) : [];
+        const body = {
+            model: this.model,
+            messages: messages,
+            stream: true,
+            options: { num_ctx: this.contextWindow },
+        };
+        if (toolDefinitions.length > 0) {
+            body.tools = toolDefinitions;
+        }
+
+        const response = await fetch(apiURL(this.customConfig.baseURL, '/api/chat'), {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(body),
+        });
+
+        if (!response.ok) {
+            throw new Error(`Ollama API Error: ${await readError(response)}`);
+        }
+
+        let callCount = 0;
+        for await (const json of readNDJSON(response)) {
+            if (json.error) {
+                throw new Error(`Ollama API Error: ${json.error}`);
+            }
+            const toolCalls = json.message?.tool_calls || [];
+            if (json.message?.content || toolCalls.length > 0) {
                 yield {
-                    text: json.message.content,
-                    functionCalls: null // No function calling support in this basic implementation
+                    text: json.message.content || '',
+                    functionCalls: toolCalls.length > 0
+                        ? toolCalls.map(call => ({
+                            // Ollama does not assign call ids
+                            id: call.id || `ollama_call_${Date.now()}_${callCount++}`,
+                            name: call.function.name,
+                            args: call.function.arguments || {},
+                        }))
+                        : null,
                 };
-            } catch (e) {
-                console.error('Error parsing Ollama stream chunk:', e);
+            }
+            if (json.done) {
+                yield {
+                    usageMetadata: {
+                        promptTokenCount: json.prompt_eval_count,
+                        candidatesTokenCount: json.eval_count,
+                    }
+                };
+                return;
             }
         }
     }
@@ -75,14 +366,60 @@ export class OllamaService extends BaseLLMService {
 
         history.forEach(turn => {
             const role = turn.role === 'model' ? 'assistant' : 'user';
-            const content = turn.parts.map(p => p.text).join('\n');
-            if (content) {
-                messages.push({ role, content });
-            }
+            const parts = turn.parts || [];
+            parts.filter(p => p.functionResponse).forEach(p => {
+                messages.push({
+                    role: 'tool',
+                    tool_name: p.functionResponse.name,
+                    content: JSON.stringify(p.functionResponse.response),
+                });
+            });
+
+            const content = parts.filter(p => p.text).map(p => p.text).join('\n');
+            const toolCalls = parts.filter(p => p.functionCall).map(p => ({
+                function: { name: p.functionCall.name, arguments: p.functionCall.args || {} },
+            }));
+            const images = this.modelInfo?.vision
+                ? parts.filter(p => p.inlineData?.mimeType?.startsWith('image/')).map(p => p.inlineData.data)
+                : [];
+            if (!content && toolCalls.length === 0 && images.length === 0) return;
+
+            const message = { role, content };
+            if (toolCalls.length > 0) message.tool_calls = toolCalls;
+            if (images.length > 0) message.images = images;
+            messages.push(message);
         });
         return messages;
     }
 
+    _prepareTools(geminiTools) {
+        if (!geminiTools || !geminiTools.functionDeclarations) return [];
+        return geminiTools.functionDeclarations.map(tool => ({
+            type: 'function',
+            function: {
+                name: tool.name,
+                description: tool.description,
+                parameters: this._convertGeminiSchema(tool.parameters),
+            },
+        }));
+    }
+
+    /**
+     * Lower-cases Gemini's upper-case schema types for Ollama's JSON schema.
+     */
+    _convertGeminiSchema(schema) {
+        if (typeof schema !== 'object' || schema === null) return schema;
+        const converted = { ...schema };
+        if (typeof converted.type === 'string') converted.type = converted.type.toLowerCase();
+        if (converted.properties) {
+            converted.properties = Object.fromEntries(
+                Object.entries(converted.properties).map(([key, value]) => [key, this._convertGeminiSchema(value)])
+            );
+        }
+        if (converted.items) converted.items = this._convertGeminiSchema(converted.items);
+        return converted;
+    }
+
     _getSystemPrompt(mode, customRules) {
         const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
         const timeString = new Date().toLocaleString();
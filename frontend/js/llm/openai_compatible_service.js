@@ -0,0 +1,81 @@
+import { OpenAIService } from './openai_service.js';
+
+// Many local servers ignore or reject response_format, so schema output is opt-in
+export const DEFAULT_ENDPOINT_CAPABILITIES = { tools: true, vision: false, streamUsage: true, structuredOutput: false };
+
+/**
+ * Trims whitespace and trailing slashes so paths can be appended directly.
+ */
+export function normalizeBaseURL(baseURL) {
+    return String(baseURL || '').trim().replace(/\/+$/, '');
+}
+
+function buildHeaders(endpoint, withJsonBody) {
+    const headers = withJsonBody ? { 'Content-Type': 'application/json' } : {};
+    if (endpoint.apiKey) {
+        headers['Authorization'] = `Bearer ${endpoint.apiKey}`;
+    }
+    // Custom headers win, e.g. OpenRouter's HTTP-Referer or a gateway's own auth header
+    return { ...headers, ...(endpoint.headers || {}) };
+}
+
+/**
+ * Chat completions against any server that speaks the OpenAI API
+ * (LM Studio, vLLM, llama.cpp server, OpenRouter, ...).
+ *
+ * An endpoint is a saved settings object:
+ * { id, name, baseURL, apiKey, headers, model, capabilities: { tools, vision, streamUsage, structuredOutput } }
+ * where baseURL includes the API version prefix, e.g. http://localhost:1234/v1.
+ */
+export class OpenAICompatibleService extends OpenAIService {
+    constructor(apiKeyManager, model, endpoint = {}) {
+        super(apiKeyManager, model);
+        this.endpoint = endpoint;
+        this.apiBaseUrl = normalizeBaseURL(endpoint.baseURL);
+        this.providerLabel = endpoint.name || 'OpenAI-compatible';
+        this.capabilities = { ...DEFAULT_ENDPOINT_CAPABILITIES, ...(endpoint.capabilities || {}) };
+    }
+
+    getProviderKey() {
+        return 'compatible';
+    }
+
+    async isConfigured() {
+        return !!this.apiBaseUrl && !!this.model;
+    }
+
+    async _getApiKey() {
+        if (!(await this.isConfigured())) {
+            throw new Error("OpenAI-compatible endpoint base URL and model are not set.");
+        }
+        // Local servers usually need no key, so an empty one is fine
+        return this.endpoint.apiKey || '';
+    }
+
+    _getRequestHeaders() {
+        return buildHeaders(this.endpoint, true);
+    }
+
+    /**
+     * Lists the model ids served by an endpoint via GET {baseURL}/models.
+     * @param {object} endpoint - A saved endpoint (only baseURL, apiKey and headers are used).
+     * @returns {Promise<string[]>} Sorted model ids.
+     */
+    static async listModels(endpoint) {
+        const baseURL = normalizeBaseURL(endpoint.baseURL);
+        if (!baseURL) {
+            throw new Error('Enter the endpoint base URL first.');
+        }
+        const response = await fetch(`${baseURL}/models`, { headers: buildHeaders(endpoint, false) });
+        if (!response.ok) {
+            throw new Error(`Listing models failed: ${response.status} ${response.statusText}`);
+        }
+        const json = await response.json();
+        // OpenAI shape is { data: [{ id }] }; some servers return { models: [...] }
+        const entries = Array.isArray(json?.data) ? json.data : (Array.isArray(json?.models) ? json.models : []);
+        return entries
+            .map(entry => (typeof entry === 'string' ? entry : entry?.id || entry?.name))
+            .filter(Boolean)
+            .sort((a, b) => a.localeCompare(b));
+    }
+}
@@ -1,4 +1,10 @@
 import { BaseLLMService } from './base_llm_service.js';
+import { STRUCTURED_SYSTEM_PROMPT } from './structured_output.js';
+import { COMPLETION_SYSTEM_PROMPT, DEFAULT_COMPLETION_MAX_TOKENS, completionPrompt } from './code_completion.js';
+import { EDIT_SYSTEM_PROMPT, editPrompt } from './code_edit.js';
+
+// Models that take reasoning_effort; o-series models have no 'minimal' level
+const REASONING_MODEL_PATTERN = /^(gpt-5|o[134])(-|$)/;
 
 /**
  * Concrete implementation for the OpenAI API.
@@ -7,6 +13,117 @@ export class OpenAIService extends BaseLLMService {
     constructor(apiKeyManager, model) {
         super(apiKeyManager, model);
         this.apiBaseUrl = 'https://api.openai.com/v1';
+        this.providerLabel = 'OpenAI';
+        // What the endpoint accepts; OpenAI-compatible servers override these per endpoint
+        this.capabilities = { tools: true, vision: false, streamUsage: true, structuredOutput: true };
+    }
+
+    supportsToolCalling() {
+        return !!this.capabilities.tools;
+    }
+
+    supportsStructuredOutput() {
+        return !!this.capabilities.structuredOutput;
+    }
+
+    /**
+     * Non-streaming request with response_format json_schema.
+     */
+    async _generateStructuredNative(schema, messages, options = {}) {
+        const currentApiKey = await this._getApiKey();
+        const prepared = this._prepareMessages(messages, '', options);
+        prepared[0] = { role: 'system', content: STRUCTURED_SYSTEM_PROMPT };
+
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.options.timeout);
+        let response;
+        try {
+            response = await fetch(`${this.apiBaseUrl}/chat/completions`, {
+                method: 'POST',
+                headers: this._getRequestHeaders(currentApiKey),
+                body: JSON.stringify({
+                    model: this.model,
+                    messages: prepared,
+                    response_format: {
+                        type: 'json_schema',
+                        json_schema: { name: options.name || 'response', schema, strict: false },
+                    },
+                }),
+                signal: controller.signal,
+            });
+        } finally {
+            clearTimeout(timeoutId);
+        }
+
+        const json = await response.json().catch(() => null);
+        if (!response.ok) {
+            throw new Error(`${this.providerLabel} API Error: ${json?.error?.message || response.statusText}`);
+        }
+        return json?.choices?.[0]?.message?.content || '';
+    }
+
+    /**
+     * Short non-streaming chat request for an inline completion.
+     */
+    async _completeCodeImpl(request) {
+        const currentApiKey = await this._getApiKey();
+        const baseModel = String(this.model || '').toLowerCase().split('/').pop();
+        const reasoning = REASONING_MODEL_PATTERN.test(baseModel);
+        const maxTokens = request.maxTokens || DEFAULT_COMPLETION_MAX_TOKENS;
+        const body = {
+            model: this.model,
+            messages: [
+                { role: 'system', content: COMPLETION_SYSTEM_PROMPT },
+                { role: 'user', content: completionPrompt(request) },
+            ],
+        };
+        if (reasoning) {
+            // Reasoning tokens count against the limit, so keep thinking to a minimum
+            body.reasoning_effort = baseModel.startsWith('gpt-5') ? 'minimal' : 'low';
+            body.max_completion_tokens = maxTokens * 4;
+        } else {
+            body.max_tokens = maxTokens;
+            body.temperature = 0.2;
+        }
+
+        const response = await fetch(`${this.apiBaseUrl}/chat/completions`, {
+            method: 'POST',
+            headers: this._getRequestHeaders(currentApiKey),
+            body: JSON.stringify(body),
+            signal: request.signal,
+        });
+        const json = await response.json().catch(() => null);
+        if (!response.ok) {
+            throw new Error(`${this.providerLabel} API Error: ${json?.error?.message || response.statusText}`);
+        }
+        return json?.choices?.[0]?.message?.content || '';
+    }
+
+    /**
+     * Streamed chat request for an inline edit with only the edit prompt and no tools.
+     */
+    async *_editCodeImpl(request) {
+        const currentApiKey = await this._getApiKey();
+        const response = await fetch(`${this.apiBaseUrl}/chat/completions`, {
+            method: 'POST',
+            headers: this._getRequestHeaders(currentApiKey),
+            body: JSON.stringify({
+                model: this.model,
+                messages: [
+                    { role: 'system', content: EDIT_SYSTEM_PROMPT },
+                    { role: 'user', content: editPrompt(request) },
+                ],
+                stream: true,
+            }),
+            signal: request.signal,
+        });
+        if (!response.ok) {
+            const json = await response.json().catch(() => null);
+            throw new Error(`${this.providerLabel} API Error: ${json?.error?.message || response.statusText}`);
+        }
+        for await (const chunk of this._readStream(response)) {
+            if (chunk.text) yield chunk.text;
+        }
     }
 
     async isConfigured() {
@@ -16,42 +133,41 @@ export class OpenAIService extends BaseLLMService {
     }
 
     async *sendMessageStream(history, tools, customRules, options = {}) {
-        await this.apiKeyManager.loadKeys('openai');
-        const currentApiKey = this.apiKeyManager.getCurrentKey();
-        if (!currentApiKey) {
-            throw new Error("OpenAI API key is not set or available.");
-        }
+        const currentApiKey = await this._getApiKey();
 
         const messages = this._prepareMessages(history, customRules, options);
-        const toolDefinitions = this._prepareTools(tools);
+        const toolDefinitions = this.capabilities.tools ? this._prepareTools(tools) : [];
 
         const controller = new AbortController();
         const timeoutId = setTimeout(() => controller.abort(), 300000); // 5 minutes timeout
 
         const response = await fetch(`${this.apiBaseUrl}/chat/completions`, {
             method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${currentApiKey}`
-            },
-            body: JSON.stringify({
-                model: this.model,
-                messages: messages,
-                tools: toolDefinitions,
-                tool_choice: "auto",
-                stream: true,
-                stream_options: { include_usage: true }
-            }),
+            headers: this._getRequestHeaders(currentApiKey),
+            body: JSON.stringify(this._buildRequestBody(messages, toolDefinitions)),
             signal: controller.signal,
         });
 
         clearTimeout(timeoutId);
 
         if (!response.ok) {
-            const errorData = await response.json();
-            throw new Error(`OpenAI API Error: ${errorData.error.message}`);
+            let message = response.statusText;
+            try {
+                const errorData = await response.json();
+                message = errorData?.error?.message || errorData?.message || message;
+            } catch (_) {
+                // Non-JSON error body; keep the status text
+            }
+            throw new Error(`${this.providerLabel} API Error: ${message}`);
         }
 
+        yield* this._readStream(response);
+    }
+
+    /**
+     * Parses the server-sent event stream into the chunk shape ChatService consumes.
+     */
+    async *_readStream(response) {
         const reader = response.body.getReader();
         const decoder = new TextDecoder();
         let buffer = '';
@@ -80,7 +196,7 @@ export class OpenAIService extends BaseLLMService {
                         if (!json.choices || json.choices.length === 0) {
                             if (json.usage) {
                                 // Forward streamed usage to ChatService
-                                yield { text: '', functionCalls: null, usage: json.usage };
+                                yield { text: '', functionCalls: null, usageMetadata: json.usage };
                             }
                             continue;
                         }
@@ -88,6 +204,12 @@ export class OpenAIService extends BaseLLMService {
                         const delta = json.choices[0].delta;
                         if (!delta) continue;
 
+                        // OpenAI itself returns no reasoning text here; some compatible servers do
+                        const reasoning = delta.reasoning_content || delta.reasoning;
+                        if (typeof reasoning === 'string' && reasoning && this._showReasoningSummaries()) {
+                            yield { text: '', reasoning, functionCalls: null };
+                        }
+
                         if (delta.content) {
                             yield { text: delta.content, functionCalls: null };
                         }
@@ -119,6 +241,44 @@ export class OpenAIService extends BaseLLMService {
         }
     }
 
+    async _getApiKey() {
+        await this.apiKeyManager.loadKeys('openai');
+        const currentApiKey = this.apiKeyManager.getCurrentKey();
+        if (!currentApiKey) {
+            throw new Error("OpenAI API key is not set or available.");
+        }
+        return currentApiKey;
+    }
+
+    _getRequestHeaders(apiKey) {
+        return {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${apiKey}`
+        };
+    }
+
+    _buildRequestBody(messages, toolDefinitions) {
+        const body = {
+            model: this.model,
+            messages: messages,
+            stream: true,
+        };
+        if (toolDefinitions.length > 0) {
+            body.tools = toolDefinitions;
+            body.tool_choice = "auto";
+        }
+        if (this.capabilities.streamUsage) {
+            body.stream_options = { include_usage: true };
+        }
+        const effort = this._getReasoningEffort();
+        // Router-style ids such as "openai/gpt-5" are matched on the part after the slash
+        const baseModel = String(this.model || '').toLowerCase().split('/').pop();
+        if (effort !== 'default' && REASONING_MODEL_PATTERN.test(baseModel)) {
+            body.reasoning_effort = effort === 'minimal' && !baseModel.startsWith('gpt-5') ? 'low' : effort;
+        }
+        return body;
+    }
+
     _prepareMessages(history, customRules, options = {}) {
         const mode = document.getElementById('agent-mode-selector')?.value || 'code';
         const systemPrompt = this._getSystemPrompt(mode, customRules, options);
@@ -145,8 +305,22 @@ export class OpenAIService extends BaseLLMService {
                         }
                     });
                 } else {
-                    const userContent = turn.parts.map(p => p.text).join('\n');
-                    if (userContent && userContent.trim()) {
+                    const userContent = turn.parts.filter(p => p.text).map(p => p.text).join('\n');
+                    const images = this.capabilities.vision
+                        ? turn.parts.filter(p => p.inlineData && p.inlineData.mimeType?.startsWith('image/'))
+                        : [];
+                    if (images.length > 0) {
+                        rawMessages.push({
+                            role: 'user',
+                            content: [
+                                ...(userContent.trim() ? [{ type: 'text', text: userContent }] : []),
+                                ...images.map(p => ({
+                                    type: 'image_url',
+                                    image_url: { url: `data:${p.inlineData.mimeType};base64,${p.inlineData.data}` },
+                                })),
+                            ],
+                        });
+                    } else if (userContent && userContent.trim()) {
                         rawMessages.push({ role: 'user', content: userContent });
                     }
                 }
@@ -0,0 +1,89 @@
+/**
+ * Per-model token prices, used to turn recorded token usage into spend.
+ * Prices are USD per million tokens from the providers' public price lists
+ * (standard tier, prompts under any long-context surcharge threshold).
+ */
+
+// Matched in order against the model id; the first hit wins
+const MODEL_PRICING = [
+    { match: /^gpt-5-nano/, input: 0.05, output: 0.40 },
+    { match: /^gpt-5-mini/, input: 0.25, output: 2.00 },
+    { match: /^gpt-5/, input: 1.25, output: 10.00 },
+    { match: /^gpt-4\.1-nano/, input: 0.10, output: 0.40 },
+    { match: /^gpt-4\.1-mini/, input: 0.40, output: 1.60 },
+    { match: /^gpt-4\.1/, input: 2.00, output: 8.00 },
+    { match: /^gpt-4o-mini/, input: 0.15, output: 0.60 },
+    { match: /^gpt-4o/, input: 2.50, output: 10.00 },
+    { match: /^o4-mini/, input: 1.10, output: 4.40 },
+    { match: /^o3-mini/, input: 1.10, output: 4.40 },
+    { match: /^o3/, input: 2.00, output: 8.00 },
+    { match: /^o1/, input: 15.00, output: 60.00 },
+    { match: /^gpt-4-turbo/, input: 10.00, output: 30.00 },
+    { match: /^gpt-4/, input: 30.00, output: 60.00 },
+    { match: /^gpt-3\.5/, input: 0.50, output: 1.50 },
+    { match: /^gemini-2\.5-pro/, input: 1.25, output: 10.00 },
+    { match: /^gemini-2\.5-flash-lite/, input: 0.10, output: 0.40 },
+    { match: /^gemini-2\.5-flash/, input: 0.30, output: 2.50 },
+    { match: /^gemini-2\.0-flash-lite/, input: 0.075, output: 0.30 },
+    { match: /^gemini-2\.0-flash/, input: 0.10, output: 0.40 },
+    { match: /^gemini-1\.5-pro/, input: 1.25, output: 5.00 },
+    { match: /^gemini-1\.5-flash/, input: 0.075, output: 0.30 },
+    { match: /^claude-opus-4-5/, input: 5.00, output: 25.00 },
+    { match: /^claude-(opus-4|3-opus)/, input: 15.00, output: 75.00 },
+    { match: /^claude-(sonnet-4|3-7-sonnet|3-5-sonnet)/, input: 3.00, output: 15.00 },
+    { match: /^claude-haiku-4/, input: 1.00, output: 5.00 },
+    { match: /^claude-3-5-haiku/, input: 0.80, output: 4.00 },
+    { match: /^claude-3-haiku/, input: 0.25, output: 1.25 },
+];
+
+// Services that run locally or play back recordings cost nothing
+const FREE_SERVICES = new Set(['OllamaService', 'ReplayService']);
+
+/**
+ * Returns { input, output } in USD per million tokens, or null when the model is
+ * unknown. `overrides` ({ [modelId]: { input, output } }) take precedence, so
+ * custom endpoints can be priced. Router-style ids such as "openai/gpt-4o" are
+ * matched on the part after the slash.
+ */
+export function getModelPricing(model, overrides = {}) {
+    const id = String(model || '').toLowerCase();
+    if (overrides[model]) return overrides[model];
+    const baseId = id.includes('/') ? id.slice(id.lastIndexOf('/') + 1) : id;
+    const entry = MODEL_PRICING.find(e => e.match.test(baseId));
+    return entry ? { input: entry.input, output: entry.output } : null;
+}
+
+/**
+ * Cost in USD of one request, or null when the model has no known price.
+ * @param {string} service - Service class name as stored in the metrics (e.g. 'OpenAIService').
+ */
+export function estimateCost(service, model, inputTokens, outputTokens, overrides = {}) {
+    if (FREE_SERVICES.has(service)) return 0;
+    const pricing = getModelPricing(model, overrides);
+    if (!pricing) return null;
+    return ((inputTokens || 0) * pricing.input + (outputTokens || 0) * pricing.output) / 1e6;
+}
+
+/**
+ * Parses "model: input, output" lines (USD per million tokens) into overrides.
+ * Lines that do not parse are ignored.
+ */
+export function parsePricingOverrides(text) {
+    const overrides = {};
+    for (const line of String(text || '').split('\n')) {
+        const match = line.match(/^\s*([^:\s][^:]*?)\s*:\s*([\d.]+)\s*,\s*([\d.]+)\s*$/);
+        if (match) {
+            overrides[match[1]] = { input: Number(match[2]), output: Number(match[3]) };
+        }
+    }
+    return overrides;
+}
+
+export function formatPricingOverrides(overrides) {
+    return Object.entries(overrides || {}).map(([model, p]) => `${model}: ${p.input}, ${p.output}`).join('\n');
+}
+
+export function formatUSD(amount) {
+    if (!Number.isFinite(amount)) return '$0.00';
+    return amount > 0 && amount < 0.01 ? `$${amount.toFixed(4)}` : `$${amount.toFixed(2)}`;
+}
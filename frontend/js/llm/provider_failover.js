@@ -0,0 +1,136 @@
+import { LLMServiceFactory } from './service_factory.js';
+import { translateHistory } from './history_translation.js';
+
+export const PROVIDER_LABELS = {
+    gemini: 'Gemini',
+    openai: 'OpenAI',
+    anthropic: 'Anthropic',
+    compatible: 'OpenAI-compatible',
+    ollama: 'Ollama',
+};
+
+// Transient failures that another provider may not share
+const TRANSIENT_ERROR_PATTERN = /\b(429|500|502|503|504|529)\b|overloaded|unavailable|timed out|timeout|failed to fetch|network/i;
+
+/**
+ * Streams a request through the configured provider chain (the selected provider
+ * first, then the fallbacks in order). A provider that fails with a retryable error
+ * before producing output is put on cooldown and the next one is tried, so later
+ * turns skip it until the cooldown expires.
+ */
+export class ProviderFailover {
+    /**
+     * @param {string} primaryProvider - The provider selected in settings.
+     * @param {BaseLLMService} primaryService - Its already created service.
+     * @param {object} llmSettings - Settings.getLLMSettings(), used to create fallbacks.
+     */
+    constructor(primaryProvider, primaryService, llmSettings) {
+        this.llmSettings = llmSettings;
+        this.services = new Map([[primaryProvider, primaryService]]);
+        const fallbacks = llmSettings.failover?.chain || [];
+        this.chain = [primaryProvider, ...fallbacks].filter((p, i, all) => p && all.indexOf(p) === i);
+        this.cooldownMs = Math.max(0, Number(llmSettings.failover?.cooldownSeconds) || 0) * 1000;
+        this.downUntil = new Map();
+        this.activeProvider = primaryProvider;
+        this.activeService = primaryService;
+    }
+
+    get enabled() {
+        return this.chain.length > 1;
+    }
+
+    getService(provider) {
+        if (!this.services.has(provider)) {
+            this.services.set(provider, LLMServiceFactory.create(provider, this.llmSettings));
+        }
+        return this.services.get(provider);
+    }
+
+    /**
+     * Chain order, with providers on cooldown moved to the end as a last resort.
+     */
+    orderedProviders() {
+        const now = Date.now();
+        const available = this.chain.filter(p => !(this.downUntil.get(p) > now));
+        const coolingDown = this.chain.filter(p => this.downUntil.get(p) > now);
+        return [...available, ...coolingDown];
+    }
+
+    isRetryable(service, error) {
+        if (TRANSIENT_ERROR_PATTERN.test(error?.message || '')) return true;
+        return !!service.categorizeError(error)?.recoverable;
+    }
+
+    markDown(provider, service, error) {
+        this.downUntil.set(provider, Date.now() + this.cooldownMs);
+        service.isHealthy = false;
+        service.lastError = error;
+        service.failedRequests++;
+    }
+
+    markHealthy(provider, service) {
+        this.downUntil.delete(provider);
+        service.isHealthy = true;
+        service.lastError = null;
+        service.successfulRequests++;
+    }
+
+    /**
+     * Same contract as BaseLLMService.sendMessageStream.
+     * @param {object} callbacks - { onFailover({ from, to, error, service }) called before switching,
+     *   prepareHistory(history, { provider, service }) to fit the history to each provider }
+     */
+    async *stream(history, tools, customRules, options = {}, callbacks = {}) {
+        const prepare = (h, provider, service) => (callbacks.prepareHistory ? callbacks.prepareHistory(h, { provider, service }) : h);
+        if (!this.enabled) {
+            yield* this.activeService.sendMessageStream(prepare(history, this.activeProvider, this.activeService), tools, customRules, options);
+            return;
+        }
+
+        const candidates = [];
+        for (const provider of this.orderedProviders()) {
+            const service = this.getService(provider);
+            if (await service.isConfigured()) {
+                candidates.push({ provider, service });
+            } else {
+                console.warn(`[ProviderFailover] Skipping ${provider}: not configured.`);
+            }
+        }
+        if (candidates.length === 0) {
+            throw new Error('No provider in the failover chain is configured. Please check your settings.');
+        }
+
+        for (let i = 0; i < candidates.length; i++) {
+            const { provider, service } = candidates[i];
+            this.activeProvider = provider;
+            this.activeService = service;
+            service.requestCount++;
+
+            const toolCalling = service.supportsToolCalling();
+            let yielded = false;
+            try {
+                const stream = service.sendMessageStream(
+                    prepare(translateHistory(history, { toolCalling }), provider, service),
+                    toolCalling ? tools : [],
+                    customRules,
+                    options
+                );
+                for await (const chunk of stream) {
+                    yielded = true;
+                    yield chunk;
+                }
+                this.markHealthy(provider, service);
+                return;
+            } catch (error) {
+                const next = candidates[i + 1];
+                // Once output has been shown, switching would duplicate or contradict it
+                if (yielded || !next || !this.isRetryable(service, error)) {
+                    throw error;
+                }
+                this.markDown(provider, service, error);
+                console.warn(`[ProviderFailover] ${provider} failed (${error.message}); switching to ${next.provider}.`);
+                callbacks.onFailover?.({ from: provider, to: next.provider, error, service });
+            }
+        }
+    }
+}
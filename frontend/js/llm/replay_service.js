@@ -0,0 +1,66 @@
+import { BaseLLMService } from './base_llm_service.js';
+import { llmRecorder, requestKey, stableStringify } from './llm_recorder.js';
+
+/**
+ * Answers requests from a recorded session instead of a provider, so whole agent
+ * turns can be re-run offline and deterministically. It keeps the recorded
+ * provider's id and model so token budgeting and status display match the recording.
+ */
+export class ReplayService extends BaseLLMService {
+    constructor(apiKeyManager, model, { provider, session }) {
+        super(apiKeyManager, model);
+        this.provider = provider;
+        this.session = session;
+    }
+
+    getProviderKey() {
+        return this.provider;
+    }
+
+    async isConfigured() {
+        return true;
+    }
+
+    // Recordings are served locally, so no rate limit applies
+    async checkRateLimit() {
+        return true;
+    }
+
+    // Native structured calls are recorded separately; when the recorded provider had
+    // none, the lookup fails and generateStructured falls back to stream recordings
+    supportsStructuredOutput() {
+        return true;
+    }
+
+    async _generateStructuredNative(schema, messages) {
+        const recording = await llmRecorder.takeReplay(this.session, await requestKey(messages, null, stableStringify(schema)), 'structured');
+        if (!recording) {
+            throw new Error(`Replay session "${this.session}" has no recorded structured response left for this request.`);
+        }
+        if (recording.error) {
+            throw new Error(recording.error.message);
+        }
+        return recording.chunks[0]?.text || '';
+    }
+
+    async *_sendMessageStreamImpl(history, tools, customRules) {
+        const recording = await llmRecorder.takeReplay(this.session, await requestKey(history, tools, customRules));
+        if (!recording) {
+            throw new Error(`Replay session "${this.session}" has no recorded response left for this request.`);
+        }
+        console.log(`[ReplayService] Replaying recording from ${new Date(recording.ts).toISOString()} (${recording.provider}/${recording.model}, matched by ${recording.matchedBy}).`);
+
+        for (const chunk of recording.chunks) {
+            yield JSON.parse(JSON.stringify(chunk));
+        }
+        if (recording.error) {
+            const error = new Error(recording.error.message);
+            error.replayed = true;
+            throw error;
+        }
+    }
+
+    _prepareMessagesImpl(history) {
+        return history;
+    }
+}
@@ -1,6 +1,10 @@
 import { GeminiService } from './gemini_service.js';
 import { OpenAIService } from './openai_service.js';
 import { OllamaService } from './ollama_service.js';
+import { AnthropicService } from './anthropic_service.js';
+import { OpenAICompatibleService } from './openai_compatible_service.js';
+import { ReplayService } from './replay_service.js';
+import { llmRecorder } from './llm_recorder.js';
 
 /**
  * Factory class to create LLM service instances.
@@ -8,7 +12,7 @@ import { OllamaService } from './ollama_service.js';
 export class LLMServiceFactory {
     /**
      * Creates and returns an instance of an LLM service.
-     * @param {string} provider - The name of the LLM provider (e.g., 'gemini', 'openai').
+     * @param {string} provider - The name of the LLM provider (e.g., 'gemini', 'openai', 'anthropic').
      * @param {object} settings - The application settings.
      * @returns {BaseLLMService} An instance of the requested LLM service.
      */
@@ -16,14 +20,33 @@ export class LLMServiceFactory {
         if (!settings) {
             throw new Error("LLM settings are not provided.");
         }
-        
+
+        const recorder = settings.recorder || {};
+        if (recorder.mode === 'replay') {
+            return new ReplayService(settings.apiKeyManager, settings[provider]?.model || 'replay', { provider, session: recorder.session });
+        }
+        const service = this._createProviderService(provider, settings);
+        if (settings.reasoning) {
+            service.updateConfig({ reasoning: settings.reasoning });
+        }
+        return recorder.mode === 'record' ? llmRecorder.instrument(service, provider, recorder.session) : service;
+    }
+
+    static _createProviderService(provider, settings) {
         switch (provider) {
             case 'gemini':
                 return new GeminiService(settings.apiKeyManager, settings.gemini?.model);
             case 'openai':
                 return new OpenAIService(settings.apiKeyManager, settings.openai?.model);
+            case 'anthropic':
+                return new AnthropicService(settings.apiKeyManager, settings.anthropic?.model);
+            case 'compatible':
+                return new OpenAICompatibleService(settings.apiKeyManager, settings.compatible?.model, settings.compatible?.endpoint || {});
             case 'ollama':
-                return new OllamaService(settings.apiKeyManager, settings.ollama?.model, { baseURL: settings.ollama?.baseURL });
+                return new OllamaService(settings.apiKeyManager, settings.ollama?.model, {
+                    baseURL: settings.ollama?.baseURL,
+                    contextLimit: settings.ollama?.contextLimit,
+                });
             default:
                 // Fallback to Gemini if no provider is selected or the provider is unknown
                 console.warn(`Unknown or unset LLM provider: '${provider}'. Falling back to Gemini.`);
@@ -0,0 +1,162 @@
+/**
+ * Helpers for BaseLLMService.generateStructured: JSON extraction from model
+ * text, validation against a JSON Schema subset, and the prompts used when a
+ * provider has no native schema support.
+ *
+ * Supported schema keywords: type (incl. arrays of types), properties, required,
+ * items, enum, minItems, maxItems, minimum, maximum, nullable, description.
+ */
+
+export const STRUCTURED_SYSTEM_PROMPT = 'You produce machine-readable JSON for a code editor. Follow the requested JSON schema exactly and output nothing but the JSON value.';
+
+// Keys accepted by Gemini's responseSchema (an OpenAPI subset)
+const GEMINI_SCHEMA_KEYS = ['type', 'format', 'description', 'nullable', 'enum', 'properties', 'required', 'items', 'minItems', 'maxItems', 'minimum', 'maximum'];
+
+export class StructuredOutputError extends Error {
+    constructor(message, { errors = [], rawText = '' } = {}) {
+        super(message);
+        this.name = 'StructuredOutputError';
+        this.errors = errors;
+        this.rawText = rawText;
+    }
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+/**
+ * Returns a list of human-readable problems; empty when the value matches.
+ */
+export function validateAgainstSchema(value, schema, path = '$') {
+    if (!schema || typeof schema !== 'object') return [];
+    const errors = [];
+    const actual = typeOf(value);
+
+    if (value === null && schema.nullable) return [];
+    if (schema.type) {
+        const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+        const matches = allowed.some(t => t === actual || (t === 'number' && actual === 'integer'));
+        if (!matches) {
+            return [`${path} should be ${allowed.join(' or ')}, got ${actual}`];
+        }
+    }
+    if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+        errors.push(`${path} should be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+    }
+    if (actual === 'number' || actual === 'integer') {
+        if (typeof schema.minimum === 'number' && value < schema.minimum) errors.push(`${path} should be >= ${schema.minimum}`);
+        if (typeof schema.maximum === 'number' && value > schema.maximum) errors.push(`${path} should be <= ${schema.maximum}`);
+    }
+    if (actual === 'array') {
+        if (typeof schema.minItems === 'number' && value.length < schema.minItems) errors.push(`${path} should have at least ${schema.minItems} items`);
+        if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) errors.push(`${path} should have at most ${schema.maxItems} items`);
+        if (schema.items) {
+            value.forEach((item, i) => errors.push(...validateAgainstSchema(item, schema.items, `${path}[${i}]`)));
+        }
+    }
+    if (actual === 'object') {
+        for (const key of schema.required || []) {
+            if (!(key in value)) errors.push(`${path}.${key} is required`);
+        }
+        for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+            if (key in value) errors.push(...validateAgainstSchema(value[key], propertySchema, `${path}.${key}`));
+        }
+    }
+    return errors;
+}
+
+/**
+ * Finds the JSON value in a model reply: the whole text, a fenced code block,
+ * or the first balanced {...} / [...] span.
+ * @returns {{ value: any, error: string|null }}
+ */
+export function extractJSON(text) {
+    const source = String(text || '').trim();
+    const candidates = [source];
+    const fenced = source.match(/```(?:json)?\s*([\s\S]*?)```/);
+    if (fenced) candidates.push(fenced[1].trim());
+    const balanced = findBalancedJSON(source);
+    if (balanced) candidates.push(balanced);
+
+    let lastError = 'The reply contained no JSON.';
+    for (const candidate of candidates) {
+        if (!candidate) continue;
+        try {
+            return { value: JSON.parse(candidate), error: null };
+        } catch (error) {
+            lastError = `The reply is not valid JSON: ${error.message}`;
+        }
+    }
+    return { value: undefined, error: lastError };
+}
+
+function findBalancedJSON(text) {
+    const start = text.search(/[[{]/);
+    if (start === -1) return null;
+    const stack = [];
+    let inString = false;
+    for (let i = start; i < text.length; i++) {
+        const char = text[i];
+        if (inString) {
+            if (char === '\\') i++;
+            else if (char === '"') inString = false;
+        } else if (char === '"') {
+            inString = true;
+        } else if (char === '{' || char === '[') {
+            stack.push(char === '{' ? '}' : ']');
+        } else if (char === '}' || char === ']') {
+            if (stack.pop() !== char) return null;
+            if (stack.length === 0) return text.slice(start, i + 1);
+        }
+    }
+    return null;
+}
+
+/**
+ * Parses and validates a reply. `errors` is empty when `value` can be used.
+ */
+export function parseStructured(text, schema) {
+    const { value, error } = extractJSON(text);
+    if (error) return { value, errors: [error] };
+    return { value, errors: validateAgainstSchema(value, schema) };
+}
+
+export function schemaInstructions(schema) {
+    return `Respond with ONLY a JSON value matching this JSON schema. No markdown, no code fences, no text before or after it.
+
+${JSON.stringify(schema, null, 2)}`;
+}
+
+export function repairPrompt(errors) {
+    return `Your previous reply did not match the schema:
+${errors.slice(0, 10).map(e => `- ${e}`).join('\n')}
+
+Reply again with ONLY the corrected JSON value.`;
+}
+
+/**
+ * Copies a schema keeping only the keywords Gemini's responseSchema accepts.
+ */
+export function toGeminiSchema(schema) {
+    if (!schema || typeof schema !== 'object') return schema;
+    const out = {};
+    for (const key of GEMINI_SCHEMA_KEYS) {
+        if (!(key in schema)) continue;
+        if (key === 'properties') {
+            out.properties = Object.fromEntries(Object.entries(schema.properties).map(([k, v]) => [k, toGeminiSchema(v)]));
+        } else if (key === 'items') {
+            out.items = toGeminiSchema(schema.items);
+        } else if (key === 'type' && Array.isArray(schema.type)) {
+            // Gemini takes a single type; ["string", "null"] becomes a nullable string
+            out.type = schema.type.find(t => t !== 'null') || 'string';
+            if (schema.type.includes('null')) out.nullable = true;
+        } else {
+            out[key] = schema[key];
+        }
+    }
+    return out;
+}
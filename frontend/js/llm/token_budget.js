@@ -0,0 +1,243 @@
+/**
+ * Token counting and context-window budgeting.
+ *
+ * OpenAI models are counted with the gpt-tokenizer encodings loaded in index.html
+ * (o200k_base for GPT-4o and later, cl100k_base for older models). Other models use
+ * a characters-per-token estimate that is recalibrated from the prompt token counts
+ * providers report back.
+ */
+
+// Matched in order against the model id; the first hit wins
+const MODEL_CAPABILITIES = [
+    { match: /^gpt-5/, contextWindow: 400000, maxOutput: 128000, tokenizer: 'o200k' },
+    { match: /^gpt-4\.1/, contextWindow: 1047576, maxOutput: 32768, tokenizer: 'o200k' },
+    { match: /^gpt-4o/, contextWindow: 128000, maxOutput: 16384, tokenizer: 'o200k' },
+    { match: /^o[134](-|$)/, contextWindow: 200000, maxOutput: 100000, tokenizer: 'o200k' },
+    { match: /^gpt-4-turbo/, contextWindow: 128000, maxOutput: 4096, tokenizer: 'cl100k' },
+    { match: /^gpt-4/, contextWindow: 8192, maxOutput: 4096, tokenizer: 'cl100k' },
+    { match: /^gpt-3\.5/, contextWindow: 16385, maxOutput: 4096, tokenizer: 'cl100k' },
+    { match: /^gemini-2\.5/, contextWindow: 1048576, maxOutput: 65536 },
+    { match: /^gemini-2\.0/, contextWindow: 1048576, maxOutput: 8192 },
+    { match: /^gemini-1\.5-pro/, contextWindow: 2097152, maxOutput: 8192 },
+    { match: /^gemini/, contextWindow: 1048576, maxOutput: 8192 },
+    { match: /^claude-opus-4/, contextWindow: 200000, maxOutput: 32000 },
+    { match: /^claude-(sonnet|haiku)-4/, contextWindow: 200000, maxOutput: 64000 },
+    { match: /^claude/, contextWindow: 200000, maxOutput: 8192 },
+];
+
+// Used when the model id is not in the table
+const PROVIDER_DEFAULTS = {
+    openai: { contextWindow: 128000, maxOutput: 16384, tokenizer: 'o200k' },
+    gemini: { contextWindow: 1048576, maxOutput: 8192 },
+    anthropic: { contextWindow: 200000, maxOutput: 8192 },
+    // Ollama's default num_ctx is small and it truncates silently, so stay conservative
+    ollama: { contextWindow: 8192, maxOutput: 2048 },
+    compatible: { contextWindow: 32768, maxOutput: 4096 },
+};
+
+// Starting characters-per-token ratios for the estimator
+const DEFAULT_CHARS_PER_TOKEN = { gemini: 4.0, anthropic: 3.5, ollama: 3.6, compatible: 3.6, openai: 3.8 };
+const IMAGE_TOKENS = 1200;
+const MESSAGE_OVERHEAD_TOKENS = 4;
+// Provider system prompts are long and built inside each service
+const SYSTEM_PROMPT_ALLOWANCE = 3000;
+const SAFETY_MARGIN = 0.05;
+// Tool results in older turns are cut to this many characters before any turn is dropped
+const OLD_TOOL_RESULT_CHARS = 2000;
+const KEEP_RECENT_TURNS = 4;
+
+function getTokenizer(name) {
+    if (name === 'o200k' && typeof GPTTokenizer_o200k_base !== 'undefined') return GPTTokenizer_o200k_base;
+    if (typeof GPTTokenizer_cl100k_base !== 'undefined' && (name === 'cl100k' || name === 'o200k')) {
+        // cl100k is within a few percent of o200k for code and English
+        return GPTTokenizer_cl100k_base;
+    }
+    return null;
+}
+
+function partText(part) {
+    if (part.text) return part.text;
+    if (part.functionCall) return `${part.functionCall.name} ${JSON.stringify(part.functionCall.args || {})}`;
+    if (part.functionResponse) return `${part.functionResponse.name} ${JSON.stringify(part.functionResponse.response)}`;
+    return '';
+}
+
+export class TokenBudget {
+    constructor() {
+        this.charsPerToken = new Map(); // `${provider}:${model}` -> calibrated ratio
+        this.partCache = new WeakMap(); // history part -> { key, tokens }
+        this.reported = new Map(); // `${provider}:${model}` -> capabilities read from the provider
+    }
+
+    /**
+     * Capabilities come from the provider itself when it has reported them (see
+     * setModelCapabilities), then from the model table, then from the provider default.
+     * `vision` and `tools` are only present for reported models.
+     * @returns {{ contextWindow: number, maxOutput: number, tokenizer: string|null, vision?: boolean, tools?: boolean }}
+     */
+    getModelCapabilities(provider, model) {
+        const id = String(model || '').toLowerCase();
+        const entry = MODEL_CAPABILITIES.find(e => e.match.test(id));
+        return {
+            tokenizer: null,
+            ...(PROVIDER_DEFAULTS[provider] || PROVIDER_DEFAULTS.compatible),
+            ...(entry || {}),
+            ...(this.reported.get(this._ratioKey(provider, model)) || {}),
+        };
+    }
+
+    /**
+     * Records capabilities a provider reports for one of its models, e.g. the
+     * context length of an installed Ollama model.
+     */
+    setModelCapabilities(provider, model, capabilities) {
+        this.reported.set(this._ratioKey(provider, model), capabilities);
+    }
+
+    _ratioKey(provider, model) {
+        return `${provider}:${model}`;
+    }
+
+    countTokens(text, { provider, model } = {}) {
+        if (!text) return 0;
+        const tokenizer = getTokenizer(this.getModelCapabilities(provider, model).tokenizer);
+        if (tokenizer) {
+            return tokenizer.countTokens ? tokenizer.countTokens(text) : tokenizer.encode(text).length;
+        }
+        const ratio = this.charsPerToken.get(this._ratioKey(provider, model)) || DEFAULT_CHARS_PER_TOKEN[provider] || 3.6;
+        return Math.ceil(text.length / ratio);
+    }
+
+    _countPart(part, target) {
+        if (part.inlineData) return IMAGE_TOKENS;
+        const key = `${target.provider}:${target.model}`;
+        const cached = this.partCache.get(part);
+        if (cached && cached.key === key) return cached.tokens;
+        const tokens = this.countTokens(partText(part), target);
+        this.partCache.set(part, { key, tokens });
+        return tokens;
+    }
+
+    countHistoryTokens(history, target) {
+        let total = 0;
+        for (const turn of history) {
+            total += MESSAGE_OVERHEAD_TOKENS;
+            for (const part of turn.parts || []) total += this._countPart(part, target);
+        }
+        return total;
+    }
+
+    /**
+     * Folds a reported prompt token count back into the estimator's ratio.
+     * Models counted with a real tokenizer are left alone.
+     */
+    calibrate(provider, model, estimatedTokens, actualTokens) {
+        if (!(estimatedTokens > 0) || !(actualTokens > 0)) return;
+        if (getTokenizer(this.getModelCapabilities(provider, model).tokenizer)) return;
+        const key = this._ratioKey(provider, model);
+        const current = this.charsPerToken.get(key) || DEFAULT_CHARS_PER_TOKEN[provider] || 3.6;
+        const observed = current * (estimatedTokens / actualTokens);
+        // Moving average, clamped so one odd response can't skew the estimate
+        const next = Math.min(6, Math.max(2, current * 0.7 + observed * 0.3));
+        this.charsPerToken.set(key, next);
+    }
+
+    /**
+     * Returns a copy of the history that fits the model's context window after
+     * reserving room for the output, the system prompt and the tool declarations.
+     * Old tool results are shortened first; then the oldest exchanges are replaced by a
+     * short digest. The latest user turn is always kept.
+     * @param {object} options - { provider, model, reservedOutputTokens, tools, customRules }
+     * @returns {{ history: Array, estimatedTokens: number, budget: number, trimmed: boolean, droppedTurns: number }}
+     */
+    fitHistory(history, { provider, model, reservedOutputTokens = 8192, tools = null, customRules = '' } = {}) {
+        const target = { provider, model };
+        const caps = this.getModelCapabilities(provider, model);
+        const reserved = Math.min(reservedOutputTokens, caps.maxOutput);
+        const fixed = SYSTEM_PROMPT_ALLOWANCE
+            + this.countTokens(customRules, target)
+            + (tools?.functionDeclarations?.length ? this.countTokens(JSON.stringify(tools.functionDeclarations), target) : 0);
+        const budget = Math.floor(caps.contextWindow * (1 - SAFETY_MARGIN)) - reserved - fixed;
+
+        let estimatedTokens = this.countHistoryTokens(history, target);
+        const result = { history, estimatedTokens: estimatedTokens + fixed, budget, trimmed: false, droppedTurns: 0 };
+        if (estimatedTokens <= budget) return result;
+
+        // 1. Shorten tool results outside the most recent turns
+        let working = history.map((turn, index) => {
+            if (index >= history.length - KEEP_RECENT_TURNS) return turn;
+            return { ...turn, parts: turn.parts.map(part => this._shortenToolResult(part, OLD_TOOL_RESULT_CHARS)) };
+        });
+        estimatedTokens = this.countHistoryTokens(working, target);
+
+        // 2. Drop the oldest exchanges. Cuts only land on a user request so tool calls
+        // stay paired with their results, and the latest request is always kept.
+        const isRequest = turn => turn.role === 'user' && !turn.parts.some(p => p.functionResponse);
+        let lastRequest = -1;
+        working.forEach((turn, index) => { if (isRequest(turn)) lastRequest = index; });
+        let start = 0;
+        while (estimatedTokens > budget && start < lastRequest) {
+            start++;
+            while (start < lastRequest && !isRequest(working[start])) start++;
+            estimatedTokens = this.countHistoryTokens(working.slice(start), target);
+        }
+        const dropped = working.slice(0, start);
+        working = working.slice(start);
+
+        // 3. Still too large: the remaining turns carry huge tool results
+        if (estimatedTokens > budget) {
+            const perResultChars = Math.max(500, Math.floor(budget * 2));
+            working = working.map(turn => ({ ...turn, parts: turn.parts.map(part => this._shortenToolResult(part, perResultChars)) }));
+            estimatedTokens = this.countHistoryTokens(working, target);
+        }
+
+        if (dropped.length > 0) {
+            working = [{ role: 'user', parts: [{ text: this._digest(dropped) }] }, ...working];
+            estimatedTokens = this.countHistoryTokens(working, target);
+        }
+
+        console.log(`[TokenBudget] ${provider}/${model}: trimmed history to ~${estimatedTokens} tokens (budget ${budget}, dropped ${dropped.length} turns).`);
+        return { history: working, estimatedTokens: estimatedTokens + fixed, budget, trimmed: true, droppedTurns: dropped.length };
+    }
+
+    _shortenToolResult(part, maxChars) {
+        if (!part.functionResponse) return part;
+        const serialized = JSON.stringify(part.functionResponse.response);
+        if (!serialized || serialized.length <= maxChars) return part;
+        return {
+            functionResponse: {
+                ...part.functionResponse,
+                response: {
+                    truncated: true,
+                    note: `Result shortened from ${serialized.length} characters to fit the context window. Call the tool again if you need the full output.`,
+                    content: serialized.slice(0, maxChars),
+                },
+            },
+        };
+    }
+
+    /**
+     * Summarizes dropped turns without a model call: the user requests and the tools used.
+     */
+    _digest(turns) {
+        const requests = [];
+        const toolCounts = new Map();
+        for (const turn of turns) {
+            for (const part of turn.parts || []) {
+                if (turn.role === 'user' && part.text) {
+                    requests.push(`- ${part.text.split('\n')[0].slice(0, 200)}`);
+                } else if (part.functionCall) {
+                    toolCounts.set(part.functionCall.name, (toolCounts.get(part.functionCall.name) || 0) + 1);
+                }
+            }
+        }
+        const tools = [...toolCounts].map(([name, count]) => `${name} x${count}`).join(', ');
+        return [
+            `[Context note: ${turns.length} earlier messages were omitted to fit the context window.]`,
+            requests.length ? `Earlier user requests:\n${requests.slice(-10).join('\n')}` : '',
+            tools ? `Tools used earlier: ${tools}` : '',
+        ].filter(Boolean).join('\n');
+    }
+}
+
+export const tokenBudget = new TokenBudget();
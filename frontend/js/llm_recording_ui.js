@@ -0,0 +1,97 @@
+/**
+ * Record & Replay Settings
+ * Mode and session fields in the General settings tab, plus export, import,
+ * restart and clear actions for the session's recordings.
+ */
+
+import { Settings } from './settings.js';
+import { llmRecorder } from './llm/llm_recorder.js';
+
+export class LLMRecordingUI {
+    constructor() {
+        this.initialized = false;
+    }
+
+    el(id) {
+        return document.getElementById(id);
+    }
+
+    get session() {
+        return this.el('recorder-session')?.value.trim() || 'default';
+    }
+
+    setStatus(text) {
+        const status = this.el('recorder-status');
+        if (status) status.textContent = text;
+    }
+
+    init() {
+        if (this.initialized || !this.el('recorder-mode')) return;
+        this.initialized = true;
+
+        this.el('recorder-export').addEventListener('click', () => this.exportSession());
+        this.el('recorder-import').addEventListener('click', () => this.el('recorder-import-file').click());
+        this.el('recorder-import-file').addEventListener('change', (e) => this.importFile(e.target));
+        this.el('recorder-restart').addEventListener('click', () => {
+            llmRecorder.resetReplay(this.session);
+            this.setStatus(`Replay of "${this.session}" will start from its first recording.`);
+        });
+        this.el('recorder-clear').addEventListener('click', () => this.clearSession());
+    }
+
+    async load() {
+        this.init();
+        this.el('recorder-mode').value = Settings.get('llm.recorder.mode') || 'off';
+        this.el('recorder-session').value = Settings.get('llm.recorder.session') || 'default';
+        await this.showCount();
+    }
+
+    collect() {
+        return {
+            'llm.recorder.mode': this.el('recorder-mode').value,
+            'llm.recorder.session': this.session,
+        };
+    }
+
+    async showCount() {
+        const count = await llmRecorder.countRecordings(this.session);
+        this.setStatus(`Session "${this.session}" has ${count} recording(s).`);
+    }
+
+    async exportSession() {
+        const data = await llmRecorder.exportSession(this.session);
+        if (data.recordings.length === 0) {
+            this.setStatus(`Session "${this.session}" has no recordings to export.`);
+            return;
+        }
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `llm-recording-${this.session.replace(/[^\w.-]+/g, '_')}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+        this.setStatus(`Exported ${data.recordings.length} recording(s).`);
+    }
+
+    async importFile(input) {
+        const file = input.files?.[0];
+        input.value = '';
+        if (!file) return;
+        try {
+            const { session, count } = await llmRecorder.importSession(JSON.parse(await file.text()), this.session);
+            this.setStatus(`Imported ${count} recording(s) into "${session}".`);
+        } catch (error) {
+            console.warn('[LLMRecording] Import failed:', error);
+            this.setStatus(`Import failed: ${error.message}`);
+        }
+    }
+
+    async clearSession() {
+        if (!confirm(`Delete all recordings in "${this.session}"?`)) return;
+        await llmRecorder.clearSession(this.session);
+        this.setStatus(`Cleared session "${this.session}".`);
+    }
+}
+
+export const llmRecordingUI = new LLMRecordingUI();
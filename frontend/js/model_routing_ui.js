@@ -0,0 +1,112 @@
+/**
+ * Model Routing Settings
+ * Renders one provider/model row per internal call site (ROUTE_SITES) in the
+ * General settings tab, and fills them from ProviderOptimizer suggestions.
+ */
+
+import { Settings } from './settings.js';
+import { ROUTE_SITES } from './llm/model_router.js';
+import { PROVIDER_LABELS } from './llm/provider_failover.js';
+import { providerOptimizer } from './provider_optimizer.js';
+
+function value(id) {
+    return document.getElementById(id)?.value.trim() || '';
+}
+
+export class ModelRoutingUI {
+    constructor() {
+        this.rendered = false;
+    }
+
+    get container() {
+        return document.getElementById('model-routing-rules');
+    }
+
+    render() {
+        if (this.rendered || !this.container) return;
+        this.rendered = true;
+
+        const providerOptions = ['<option value="">Selected provider</option>',
+            ...Object.entries(PROVIDER_LABELS).map(([id, label]) => `<option value="${id}">${label}</option>`)].join('');
+        this.container.innerHTML = Object.entries(ROUTE_SITES).map(([site, { label }]) => `
+            <div class="model-routing-row" data-site="${site}">
+                <span class="model-routing-label">${label}</span>
+                <select class="model-selector model-routing-provider">${providerOptions}</select>
+                <input type="text" class="settings-input model-routing-model" placeholder="Provider's model">
+            </div>`).join('');
+
+        this.container.querySelectorAll('.model-routing-provider').forEach(select => {
+            select.addEventListener('change', () => this.updateRow(select.closest('.model-routing-row')));
+        });
+        document.getElementById('model-routing-suggest')?.addEventListener('click', () => this.suggest());
+    }
+
+    rows() {
+        return Array.from(this.container?.querySelectorAll('.model-routing-row') || []);
+    }
+
+    updateRow(row) {
+        const model = row.querySelector('.model-routing-model');
+        model.disabled = !row.querySelector('.model-routing-provider').value;
+        if (model.disabled) model.value = '';
+    }
+
+    /**
+     * Fills the rows from rules ({ [site]: { provider, model } }).
+     */
+    fill(rules) {
+        for (const row of this.rows()) {
+            const rule = rules[row.dataset.site] || {};
+            row.querySelector('.model-routing-provider').value = rule.provider || '';
+            row.querySelector('.model-routing-model').value = rule.model || '';
+            this.updateRow(row);
+        }
+    }
+
+    load() {
+        this.render();
+        this.fill(Settings.get('llm.routing.rules') || {});
+    }
+
+    /**
+     * Returns the settings to persist. Rows left on "Selected provider" are omitted.
+     */
+    collect() {
+        const rules = {};
+        for (const row of this.rows()) {
+            const provider = row.querySelector('.model-routing-provider').value;
+            if (provider) {
+                rules[row.dataset.site] = { provider, model: row.querySelector('.model-routing-model').value.trim() };
+            }
+        }
+        return { 'llm.routing.rules': rules };
+    }
+
+    /**
+     * Providers with credentials (or, for local ones, explicitly in use) in the
+     * current, possibly unsaved, form values.
+     */
+    availableProviders() {
+        const inUse = [Settings.get('llm.provider'), ...value('failover-chain').split(',').map(p => p.trim().toLowerCase())];
+        const providers = [];
+        if (value('gemini-api-keys')) providers.push('gemini');
+        if (value('openai-api-key')) providers.push('openai');
+        if (value('anthropic-api-keys')) providers.push('anthropic');
+        if ((Settings.get('llm.compatible.endpoints') || []).length > 0 && inUse.includes('compatible')) providers.push('compatible');
+        if (value('ollama-model-name') && inUse.includes('ollama')) providers.push('ollama');
+        return providers;
+    }
+
+    suggest() {
+        const status = document.getElementById('model-routing-status');
+        const available = this.availableProviders();
+        if (available.length === 0) {
+            if (status) status.textContent = 'Add an API key for at least one provider first.';
+            return;
+        }
+        this.fill(providerOptimizer.suggestRoutingRules(available));
+        if (status) status.textContent = `Suggested from: ${available.map(p => PROVIDER_LABELS[p]).join(', ')}. Review and save to apply.`;
+    }
+}
+
+export const modelRoutingUI = new ModelRoutingUI();
@@ -0,0 +1,219 @@
+/**
+ * Ollama Model Management
+ * Lists the models installed on the Ollama server with their size, quantization,
+ * context length and capabilities, and pulls and deletes models from the Ollama
+ * settings tab.
+ */
+
+import { Settings } from './settings.js';
+import { OllamaService } from './llm/ollama_service.js';
+
+function formatSize(bytes) {
+    if (!bytes) return '';
+    const gb = bytes / 1024 ** 3;
+    return gb >= 1 ? `${gb.toFixed(1)} GB` : `${Math.round(bytes / 1024 ** 2)} MB`;
+}
+
+function formatContext(tokens) {
+    if (!tokens) return '?';
+    return tokens >= 1024 ? `${Math.round(tokens / 1024)}k` : String(tokens);
+}
+
+function describeCapabilities(info) {
+    if (!info) return '';
+    return [info.tools && 'tools', info.vision && 'vision', info.insert && 'fill-in-the-middle'].filter(Boolean).join(', ') || 'text only';
+}
+
+export class OllamaModelsUI {
+    constructor() {
+        this.initialized = false;
+        this.models = []; // [{ name, size, details, info }]
+        this.pullController = null;
+    }
+
+    el(id) {
+        return document.getElementById(id);
+    }
+
+    get baseURL() {
+        return this.el('ollama-base-url')?.value.trim() || Settings.get('llm.ollama.baseURL');
+    }
+
+    setStatus(text) {
+        const status = this.el('ollama-models-status');
+        if (status) status.textContent = text;
+    }
+
+    init() {
+        if (this.initialized || !this.el('ollama-model-table')) return;
+        this.initialized = true;
+
+        this.el('ollama-refresh-models').addEventListener('click', () => this.refresh());
+        this.el('ollama-pull-button').addEventListener('click', () => {
+            if (this.pullController) {
+                this.pullController.abort();
+            } else {
+                this.pull();
+            }
+        });
+        this.el('ollama-model-name').addEventListener('input', () => this.showSelectedDetails());
+        // The server is only contacted once the Ollama tab is opened
+        document.querySelector('.tab-link[data-tab="ollama-settings"]')
+            ?.addEventListener('click', () => this.refresh());
+    }
+
+    async load() {
+        this.init();
+        this.el('ollama-context-limit').value = Settings.get('llm.ollama.contextLimit') ?? '';
+        if (Settings.get('llm.provider') === 'ollama') {
+            await this.refresh();
+        }
+    }
+
+    collect() {
+        return {
+            'llm.ollama.contextLimit': this.el('ollama-context-limit').value,
+        };
+    }
+
+    async refresh() {
+        this.setStatus('Loading installed models...');
+        try {
+            const models = await OllamaService.listModels(this.baseURL);
+            // /api/show is local and quick, so every model's details are fetched up front
+            this.models = await Promise.all(models.map(async (model) => {
+                const info = await OllamaService.getModelInfo(this.baseURL, model.name, { refresh: true }).catch(() => null);
+                return { ...model, info };
+            }));
+            this.setStatus(this.models.length > 0
+                ? `${this.models.length} model(s) installed.`
+                : 'No models installed. Pull one below.');
+        } catch (error) {
+            console.warn('[OllamaModels] Failed to list models:', error);
+            this.models = [];
+            // A TypeError from fetch is usually CORS or the server not running
+            this.setStatus(error instanceof TypeError
+                ? `Could not reach ${this.baseURL}. Check that Ollama is running and OLLAMA_ORIGINS allows this page.`
+                : error.message);
+        }
+        this.render();
+    }
+
+    render() {
+        const table = this.el('ollama-model-table');
+        const list = this.el('ollama-model-list');
+        const current = this.el('ollama-model-name').value.trim();
+        table.innerHTML = '';
+        list.innerHTML = '';
+
+        for (const model of this.models) {
+            list.appendChild(new Option(model.name, model.name));
+
+            const row = document.createElement('div');
+            row.className = 'ollama-model-row';
+            row.classList.toggle('active', model.name === current);
+            const cells = [
+                model.name,
+                formatSize(model.size),
+                [model.details?.parameter_size, model.details?.quantization_level].filter(Boolean).join(' · '),
+                `${formatContext(model.info?.contextLength)} ctx`,
+                describeCapabilities(model.info),
+            ];
+            cells.forEach((text, i) => {
+                const cell = document.createElement('span');
+                cell.textContent = text;
+                if (i === 0) {
+                    cell.className = 'ollama-model-name';
+                    cell.title = text;
+                }
+                row.appendChild(cell);
+            });
+
+            const useButton = document.createElement('button');
+            useButton.className = 'compatible-endpoint-button';
+            useButton.textContent = 'Use';
+            useButton.title = 'Set as the Ollama model (saved with the settings)';
+            useButton.addEventListener('click', () => {
+                this.el('ollama-model-name').value = model.name;
+                this.render();
+            });
+
+            const deleteButton = document.createElement('button');
+            deleteButton.className = 'compatible-endpoint-button';
+            deleteButton.textContent = '🗑️';
+            deleteButton.title = `Delete ${model.name} from the Ollama server`;
+            deleteButton.addEventListener('click', () => this.deleteModel(model.name));
+
+            row.append(useButton, deleteButton);
+            table.appendChild(row);
+        }
+        this.showSelectedDetails();
+    }
+
+    showSelectedDetails() {
+        const details = this.el('ollama-model-details');
+        const name = this.el('ollama-model-name').value.trim();
+        const model = this.models.find(m => m.name === name);
+        if (!name || this.models.length === 0) {
+            details.textContent = '';
+        } else if (!model) {
+            details.textContent = `"${name}" is not installed on this server.`;
+        } else {
+            const info = model.info;
+            details.textContent = info
+                ? `${info.family || 'unknown family'}, ${formatContext(info.contextLength)} context, ${describeCapabilities(info)}.`
+                : 'Details unavailable.';
+        }
+    }
+
+    async pull() {
+        const name = this.el('ollama-pull-name').value.trim();
+        if (!name) return;
+
+        const button = this.el('ollama-pull-button');
+        const progress = this.el('ollama-pull-progress');
+        const fill = this.el('ollama-pull-fill');
+        const text = this.el('ollama-pull-text');
+        this.pullController = new AbortController();
+        button.textContent = 'Cancel';
+        progress.hidden = false;
+        fill.style.width = '0%';
+        text.textContent = 'Starting...';
+
+        try {
+            await OllamaService.pullModel(this.baseURL, name, ({ status, completed, total }) => {
+                if (total) {
+                    const percent = Math.min(100, Math.round(((completed || 0) / total) * 100));
+                    fill.style.width = `${percent}%`;
+                    text.textContent = `${status} ${percent}% of ${formatSize(total)}`;
+                } else {
+                    text.textContent = status;
+                }
+            }, this.pullController.signal);
+            fill.style.width = '100%';
+            text.textContent = `Pulled ${name}.`;
+            this.el('ollama-pull-name').value = '';
+            await this.refresh();
+        } catch (error) {
+            console.warn('[OllamaModels] Pull failed:', error);
+            text.textContent = error.name === 'AbortError' ? 'Pull cancelled.' : error.message;
+        } finally {
+            this.pullController = null;
+            button.textContent = 'Pull';
+        }
+    }
+
+    async deleteModel(name) {
+        if (!confirm(`Delete ${name} from the Ollama server? It will have to be pulled again to be used.`)) return;
+        try {
+            await OllamaService.deleteModel(this.baseURL, name);
+            await this.refresh();
+            this.setStatus(`Deleted ${name}.`);
+        } catch (error) {
+            console.warn('[OllamaModels] Delete failed:', error);
+            this.setStatus(error.message);
+        }
+    }
+}
+
+export const ollamaModelsUI = new OllamaModelsUI();
@@ -4,21 +4,39 @@
  */
 
 import { performanceOptimizer } from './performance_optimizer.js';
+import { ROUTE_SITES } from './llm/model_router.js';
+import { tokenBudget } from './llm/token_budget.js';
+
+// Cheapest and strongest hosted model per provider, used for routing suggestions.
+// Local and custom endpoints have no tiers; their configured model is suggested instead.
+const MODEL_TIERS = {
+    gemini: { fast: 'gemini-2.5-flash-lite', strong: 'gemini-2.5-pro' },
+    openai: { fast: 'gpt-5-nano', strong: 'gpt-5' },
+    anthropic: { fast: 'claude-haiku-4-5', strong: 'claude-sonnet-4-5' },
+};
+
+// Task types that only need a short, simple answer
+const LIGHTWEIGHT_TASKS = ['classification', 'summarization', 'completion'];
 
 class ProviderOptimizer {
     constructor() {
         this.providerLimits = {
             openai: {
-                maxTokens: 4096,
-                contextWindow: 128000,
+                maxTokens: 4096, // chunk size for file context; context windows come from tokenBudget
                 supportsStructuredOutput: true,
                 rateLimit: 3000, // requests per minute
                 bestForComplexReasoning: true,
                 supportsVision: true
             },
+            anthropic: {
+                maxTokens: 8192,
+                supportsStructuredOutput: false,
+                rateLimit: 1000,
+                bestForComplexReasoning: true,
+                supportsVision: true
+            },
             gemini: {
                 maxTokens: 8192,
-                contextWindow: 1000000, // 1M tokens
                 supportsStructuredOutput: false,
                 rateLimit: 1500,
                 bestForLargeContext: true,
@@ -26,7 +44,6 @@ class ProviderOptimizer {
             },
             ollama: {
                 maxTokens: 2048,
-                contextWindow: 32000,
                 supportsStructuredOutput: false,
                 rateLimit: null, // Local, no rate limit
                 bestForPrivacy: true,
@@ -103,7 +120,7 @@ class ProviderOptimizer {
      * OpenAI-specific optimizations
      */
     async optimizeForOpenAI(context, task) {
-        const limits = this.providerLimits.openai;
+        const limits = this.getProviderLimits('openai', context.model);
         
         const optimization = {
             provider: 'openai',
@@ -151,7 +168,7 @@ class ProviderOptimizer {
      * Gemini-specific optimizations
      */
     async optimizeForGemini(context, task) {
-        const limits = this.providerLimits.gemini;
+        const limits = this.getProviderLimits('gemini', context.model);
         
         const optimization = {
             provider: 'gemini',
@@ -201,7 +218,7 @@ class ProviderOptimizer {
      * Ollama-specific optimizations
      */
     async optimizeForOllama(context, task) {
-        const limits = this.providerLimits.ollama;
+        const limits = this.getProviderLimits('ollama', context.model);
         
         const optimization = {
             provider: 'ollama',
@@ -432,14 +449,28 @@ class ProviderOptimizer {
     }
 
     /**
-     * Estimate token count (rough approximation)
+     * Provider traits plus the model's context window and output limit from the
+     * token budget's capabilities table. Vision support comes from the model when
+     * the provider reported it (installed Ollama models).
+     */
+    getProviderLimits(provider, model = null) {
+        const capabilities = tokenBudget.getModelCapabilities(provider, model);
+        const limits = this.providerLimits[provider];
+        return {
+            ...limits,
+            contextWindow: capabilities.contextWindow,
+            maxOutput: capabilities.maxOutput,
+            supportsVision: capabilities.vision ?? limits?.supportsVision
+        };
+    }
+
+    /**
+     * Estimate token count, using the provider's tokenizer where one is loaded
      */
-    estimateTokens(text) {
+    estimateTokens(text, provider = null, model = null) {
         if (!text) return 0;
-        
-        // Rough estimation: 1 token ≈ 4 characters for English
-        // More accurate for code would be ~3.5 characters per token
-        return Math.ceil(text.length / 3.5);
+        if (typeof text !== 'string') text = JSON.stringify(text);
+        return tokenBudget.countTokens(text, { provider, model });
     }
 
     /**
@@ -462,39 +493,119 @@ class ProviderOptimizer {
     }
 
     /**
-     * Get provider recommendations based on task
+     * Get provider recommendations based on task.
+     * Task types: 'complex_reasoning', 'large_codebase_analysis', and the routing
+     * tasks 'coding', 'planning', 'classification', 'summarization', 'completion'.
+     * @param {object} requirements - { needsStructuredOutput, privacy, offline,
+     *   availableProviders: string[] to restrict the result to configured providers }
+     * @returns {Array<{provider, model, score, reasons}>} Best first. `model` is
+     *   null when the provider's configured model should be used.
      */
     getProviderRecommendation(task, contextSize, requirements = {}) {
         const recommendations = [];
+        const lightweight = LIGHTWEIGHT_TASKS.includes(task);
+        const tierModel = (provider) => {
+            const tiers = MODEL_TIERS[provider];
+            return tiers ? (lightweight ? tiers.fast : tiers.strong) : null;
+        };
 
         // OpenAI recommendations
-        if (requirements.needsStructuredOutput || task === 'complex_reasoning') {
+        if (requirements.needsStructuredOutput || task === 'complex_reasoning' || task === 'coding') {
             recommendations.push({
                 provider: 'openai',
+                model: tierModel('openai'),
                 score: 0.9,
                 reasons: ['Excellent structured output', 'Strong reasoning capabilities']
             });
         }
 
+        // Anthropic recommendations
+        if (task === 'coding' || task === 'planning' || task === 'complex_reasoning') {
+            recommendations.push({
+                provider: 'anthropic',
+                model: tierModel('anthropic'),
+                score: 0.9,
+                reasons: ['Reliable multi-step tool use', 'Strong at code edits']
+            });
+        }
+
         // Gemini recommendations
         if (contextSize > 50000 || task === 'large_codebase_analysis') {
             recommendations.push({
                 provider: 'gemini',
+                model: tierModel('gemini'),
                 score: 0.95,
                 reasons: ['Large context window', 'Good for comprehensive analysis']
             });
         }
 
+        // Cheap, fast models are enough for short classification and summary calls
+        if (lightweight) {
+            recommendations.push(
+                { provider: 'gemini', model: tierModel('gemini'), score: 0.85, reasons: ['Fast and inexpensive', 'Large context for summaries'] },
+                { provider: 'openai', model: tierModel('openai'), score: 0.8, reasons: ['Fast and inexpensive'] },
+                { provider: 'anthropic', model: tierModel('anthropic'), score: 0.8, reasons: ['Fast and inexpensive'] }
+            );
+        } else if (task === 'planning' || task === 'coding') {
+            recommendations.push({
+                provider: 'gemini',
+                model: tierModel('gemini'),
+                score: task === 'planning' ? 0.85 : 0.8,
+                reasons: ['Strong reasoning', 'Large context window']
+            });
+        }
+
         // Ollama recommendations
         if (requirements.privacy || requirements.offline) {
             recommendations.push({
                 provider: 'ollama',
+                model: null,
                 score: 0.8,
                 reasons: ['Privacy focused', 'Offline capable', 'No rate limits']
             });
         }
 
-        return recommendations.sort((a, b) => b.score - a.score);
+        // Inline completions run on every pause in typing, so latency matters most
+        if (task === 'completion') {
+            recommendations.push({
+                provider: 'ollama',
+                model: null,
+                score: 0.9,
+                reasons: ['Lowest latency', 'Fill-in-the-middle with code models', 'No per-request cost']
+            });
+        }
+
+        // Keep the best entry per provider, limited to the available ones
+        const available = requirements.availableProviders;
+        const best = new Map();
+        for (const rec of recommendations) {
+            if (available && !available.includes(rec.provider)) continue;
+            if (!best.has(rec.provider) || best.get(rec.provider).score < rec.score) {
+                best.set(rec.provider, rec);
+            }
+        }
+        return [...best.values()].sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Suggests a routing rule for every call site in ROUTE_SITES.
+     * Sites with no suitable provider among availableProviders are left out.
+     * @param {string[]} availableProviders - Providers the user has configured.
+     * @returns {object} { [site]: { provider, model } }
+     */
+    suggestRoutingRules(availableProviders) {
+        const rules = {};
+        for (const [site, { task }] of Object.entries(ROUTE_SITES)) {
+            let [top] = this.getProviderRecommendation(task, 0, { availableProviders });
+            if (!top && availableProviders.length > 0) {
+                // Only local or custom providers are configured: use the first one as-is
+                top = { provider: availableProviders[0], model: null };
+            }
+            if (top) {
+                rules[site] = { provider: top.provider, model: top.model || '' };
+            }
+        }
+        return rules;
     }
 
     /**
@@ -7,9 +7,42 @@ export const Settings = {
         'llm.provider': 'gemini',
         'llm.gemini.model': 'gemini-2.5-flash',
         'llm.openai.model': 'gpt-4o',
+        'llm.anthropic.model': 'claude-sonnet-4-5',
+        'llm.compatible.endpoints': [],
+        'llm.compatible.activeEndpointId': '',
         'llm.ollama.model': 'llama3',
         'llm.ollama.baseURL': 'http://localhost:11434',
+        // Upper bound for num_ctx; larger contexts need more memory on the Ollama host. 0 uses the model's full length
+        'llm.ollama.contextLimit': 32768,
+        'llm.failover.chain': [],
+        'llm.failover.cooldownSeconds': 60,
+        'llm.routing.rules': {},
+        'llm.budget.reservedOutputTokens': 8192,
+        // Spend limits in USD; 0 disables a limit
+        'llm.budget.sessionSoftUSD': 0,
+        'llm.budget.sessionHardUSD': 0,
+        'llm.budget.dailySoftUSD': 0,
+        'llm.budget.dailyHardUSD': 0,
+        'llm.pricing.overrides': {},
+        // Per agent mode: 'default' leaves reasoning effort to the provider
+        'llm.reasoning.effortByMode': { code: 'default', amend: 'default', search: 'default' },
+        'llm.reasoning.showSummaries': true,
+        // Inline completions are opt-in since every pause in typing sends a request
+        'completions.enabled': false,
+        'completions.debounceMs': 300,
+        // Agent file changes wait in the Review panel for approval instead of being written
+        'agent.reviewMode': false,
+        'llm.recorder.mode': 'off',
+        'llm.recorder.session': 'default',
         'ui.theme': 'dark',
+        'terminal.timeoutSeconds': 300,
+        'terminal.maxOutputKB': 1024,
+        'search.provider': 'duckduckgo',
+        'search.searxng.baseURL': '',
+        'search.brave.apiKey': '',
+        'search.bing.apiKey': '',
+        'search.cacheTTLMinutes': 60,
+        'network.allowPrivateUrls': false,
         'custom.amend.rules': `You are in "Amend Mode" - optimized for fast, precise debugging and code changes.
 
 🎯 PRIMARY OBJECTIVES:
@@ -109,12 +142,37 @@ export const Settings = {
         await DbManager.saveMultipleSettings(settingsToSave);
     },
 
+    /**
+     * Gets the selected OpenAI-compatible endpoint, or the first saved one.
+     * @returns {object|null} The endpoint settings object.
+     */
+    getActiveCompatibleEndpoint() {
+        const endpoints = this.get('llm.compatible.endpoints') || [];
+        const activeId = this.get('llm.compatible.activeEndpointId');
+        return endpoints.find(e => e.id === activeId) || endpoints[0] || null;
+    },
+
+    /**
+     * Gets the web search provider and credentials, in the shape the backend
+     * /api/web-search endpoint expects as `searchConfig`.
+     */
+    getSearchSettings() {
+        return {
+            provider: this.get('search.provider'),
+            searxngUrl: this.get('search.searxng.baseURL'),
+            braveApiKey: this.get('search.brave.apiKey'),
+            bingApiKey: this.get('search.bing.apiKey'),
+            cacheTtlMinutes: this.get('search.cacheTTLMinutes'),
+        };
+    },
+
     /**
      * Gets all settings required to configure an LLM service.
      * This abstracts the underlying storage from the consumers.
      * @returns {object} An object containing all necessary LLM settings.
      */
     getLLMSettings() {
+        const activeEndpoint = this.getActiveCompatibleEndpoint();
         return {
             provider: this.get('llm.provider'),
             apiKeyManager: ApiKeyManager, // Pass the singleton instance
@@ -124,9 +182,30 @@ export const Settings = {
             openai: {
                 model: this.get('llm.openai.model'),
             },
+            anthropic: {
+                model: this.get('llm.anthropic.model'),
+            },
+            compatible: {
+                endpoint: activeEndpoint,
+                model: activeEndpoint?.model,
+            },
             ollama: {
                 model: this.get('llm.ollama.model'),
                 baseURL: this.get('llm.ollama.baseURL'),
+                contextLimit: Number(this.get('llm.ollama.contextLimit')) || 0,
+            },
+            routing: this.get('llm.routing.rules') || {},
+            failover: {
+                chain: this.get('llm.failover.chain') || [],
+                cooldownSeconds: this.get('llm.failover.cooldownSeconds'),
+            },
+            reasoning: {
+                effortByMode: this.get('llm.reasoning.effortByMode') || {},
+                showSummaries: this.get('llm.reasoning.showSummaries') !== false,
+            },
+            recorder: {
+                mode: this.get('llm.recorder.mode') || 'off',
+                session: this.get('llm.recorder.session') || 'default',
             },
         };
     }
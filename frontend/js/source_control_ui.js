@@ -0,0 +1,367 @@
+/**
+ * Source Control Panel
+ * Lists staged and unstaged changes from the backend git tools in the Source
+ * Control sidebar tab, opens diffs against HEAD, stages files or single hunks
+ * and commits, optionally with an AI-drafted commit message.
+ */
+
+import * as BackendCommands from './backend_commands.js';
+import * as Editor from './editor.js';
+import * as FileSystem from './file_system.js';
+import * as UI from './ui.js';
+import { ChatService } from './chat_service.js';
+
+const STATUS_LETTERS = {
+    modified: 'M',
+    added: 'A',
+    deleted: 'D',
+    renamed: 'R',
+    copied: 'C',
+    type_changed: 'T',
+    unmerged: 'U',
+    untracked: 'U',
+};
+
+// Keeps the commit message prompt well inside every provider's context window
+const MAX_DRAFT_DIFF_CHARS = 12000;
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text == null ? '' : String(text);
+    return div.innerHTML;
+}
+
+function formatDiffForPrompt(diff) {
+    let text = '';
+    for (const file of diff.files) {
+        text += `--- ${file.oldPath || file.path}\n+++ ${file.path} (${file.status})\n`;
+        for (const hunk of file.hunks) {
+            text += `${hunk.header}\n${hunk.lines.join('\n')}\n`;
+        }
+        if (text.length > MAX_DRAFT_DIFF_CHARS) {
+            return text.slice(0, MAX_DRAFT_DIFF_CHARS) + '\n[diff truncated]\n';
+        }
+    }
+    return text;
+}
+
+export class SourceControlUI {
+    constructor() {
+        this.container = null;
+        this.rootDirHandle = null;
+        this.status = null;
+        this.selectedPath = null;
+        this.diffEditor = null;
+        this.busy = false;
+    }
+
+    /**
+     * Renders the panel into a container and loads the repository status.
+     */
+    async mount(container, rootDirHandle) {
+        this.rootDirHandle = rootDirHandle;
+        if (this.container === container && container.querySelector('.scm-panel')) {
+            return this.refresh();
+        }
+        this.container = container;
+
+        container.innerHTML = `
+            <div class="scm-panel">
+                <div class="scm-header">
+                    <h4><i class="fas fa-code-branch"></i> <span class="scm-branch">…</span></h4>
+                    <button class="scm-refresh btn-secondary" title="Refresh">
+                        <i class="fas fa-sync-alt"></i>
+                    </button>
+                </div>
+                <div class="scm-commit">
+                    <textarea class="scm-commit-message" rows="3" placeholder="Commit message"></textarea>
+                    <div class="scm-commit-actions">
+                        <button class="scm-draft btn-secondary" title="Draft a message from the staged changes">AI: draft commit message</button>
+                        <button class="scm-commit-button btn-primary">Commit</button>
+                    </div>
+                </div>
+                <div class="scm-section">
+                    <div class="scm-section-header">
+                        <span>Staged Changes</span>
+                        <button class="scm-unstage-all" title="Unstage all"><i class="fas fa-minus"></i></button>
+                    </div>
+                    <ul class="scm-list scm-staged"></ul>
+                </div>
+                <div class="scm-section">
+                    <div class="scm-section-header">
+                        <span>Changes</span>
+                        <button class="scm-stage-all" title="Stage all"><i class="fas fa-plus"></i></button>
+                    </div>
+                    <ul class="scm-list scm-unstaged"></ul>
+                </div>
+            </div>
+        `;
+
+        container.querySelector('.scm-refresh').addEventListener('click', () => this.refresh());
+        container.querySelector('.scm-commit-button').addEventListener('click', () => this.commit());
+        container.querySelector('.scm-draft').addEventListener('click', () => this.draftCommitMessage());
+        container.querySelector('.scm-stage-all').addEventListener('click', () => this.stageAll());
+        container.querySelector('.scm-unstage-all').addEventListener('click', () => {
+            const paths = this.getStagedFiles().map(f => f.path);
+            if (paths.length > 0) this.runAction('git_unstage', { paths });
+        });
+        await this.refresh();
+    }
+
+    async refresh() {
+        if (!this.container) return;
+        try {
+            this.status = await BackendCommands.runGitTool('git_status');
+        } catch (error) {
+            this.status = null;
+            this.renderError(error);
+            return;
+        }
+        this.render();
+    }
+
+    getStagedFiles() {
+        return this.status ? this.status.files.filter(f => f.staged) : [];
+    }
+
+    getUnstagedFiles() {
+        return this.status ? this.status.files.filter(f => f.unstaged) : [];
+    }
+
+    renderError(error) {
+        this.container.querySelector('.scm-branch').textContent = 'No repository';
+        const message = error.details?.code === 'NOT_A_REPO'
+            ? 'The project folder is not a git repository.'
+            : `git status failed: ${error.message}`;
+        this.container.querySelector('.scm-staged').innerHTML = '';
+        this.container.querySelector('.scm-unstaged').innerHTML = `<li class="scm-empty">${escapeHtml(message)}</li>`;
+    }
+
+    render() {
+        const status = this.status;
+        const branch = status.detached ? '(detached HEAD)' : (status.branch || 'unknown');
+        const tracking = status.upstream ? ` ↑${status.ahead} ↓${status.behind}` : '';
+        this.container.querySelector('.scm-branch').textContent = branch + tracking;
+
+        this.renderList(this.container.querySelector('.scm-staged'), this.getStagedFiles(), true);
+        this.renderList(this.container.querySelector('.scm-unstaged'), this.getUnstagedFiles(), false);
+    }
+
+    renderList(list, files, staged) {
+        if (files.length === 0) {
+            list.innerHTML = `<li class="scm-empty">${staged ? 'Nothing staged.' : 'No changes.'}</li>`;
+            return;
+        }
+
+        list.innerHTML = files.map(file => {
+            const state = staged ? file.index : file.worktree;
+            const name = file.path.split('/').pop();
+            const dir = file.path.slice(0, file.path.length - name.length);
+            return `
+                <li class="scm-item${file.path === this.selectedPath ? ' selected' : ''}" data-path="${escapeHtml(file.path)}" title="${escapeHtml(file.origPath ? `${file.origPath} → ${file.path}` : file.path)}">
+                    <span class="scm-name">${escapeHtml(name)}</span>
+                    <span class="scm-dir">${escapeHtml(dir)}</span>
+                    <button class="scm-item-action" title="${staged ? 'Unstage' : 'Stage'}">
+                        <i class="fas ${staged ? 'fa-minus' : 'fa-plus'}"></i>
+                    </button>
+                    <span class="scm-state state-${state}">${STATUS_LETTERS[state] || '?'}</span>
+                </li>
+            `;
+        }).join('');
+
+        list.querySelectorAll('.scm-item').forEach(item => {
+            const filePath = item.dataset.path;
+            item.addEventListener('click', () => this.openDiff(filePath));
+            item.querySelector('.scm-item-action').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.runAction(staged ? 'git_unstage' : 'git_add', { paths: [filePath] });
+            });
+        });
+    }
+
+    /**
+     * Runs a git tool that changes the index, then refreshes the list and the open diff.
+     */
+    async runAction(toolName, parameters) {
+        if (this.busy) return;
+        this.busy = true;
+        try {
+            const result = await BackendCommands.runGitTool(toolName, parameters);
+            if (result.status) {
+                this.status = result.status;
+                this.render();
+            } else {
+                await this.refresh();
+            }
+            if (this.selectedPath) await this.updateHunkToolbar();
+        } catch (error) {
+            UI.showError(`${toolName} failed: ${error.message}`);
+        } finally {
+            this.busy = false;
+        }
+    }
+
+    async stageAll() {
+        const paths = this.getUnstagedFiles().filter(f => !f.conflicted).map(f => f.path);
+        if (paths.length > 0) await this.runAction('git_add', { paths });
+    }
+
+    async readWorkingCopy(filePath) {
+        if (!this.rootDirHandle) return '';
+        try {
+            const handle = await FileSystem.getFileHandleFromPath(this.rootDirHandle, filePath);
+            const file = await handle.getFile();
+            return await file.text();
+        } catch (error) {
+            // Deleted from the working tree
+            return '';
+        }
+    }
+
+    /**
+     * Opens a diff of HEAD against the working copy, with per-hunk stage/unstage actions.
+     */
+    async openDiff(filePath) {
+        this.selectedPath = filePath;
+        this.render();
+        const file = this.status?.files.find(f => f.path === filePath);
+
+        try {
+            const [head, modified] = await Promise.all([
+                BackendCommands.runGitTool('git_show', { ref: 'HEAD', path: file?.origPath || filePath })
+                    .catch(error => {
+                        // No commits yet: everything is new
+                        if (error.details?.code === 'NO_COMMITS' || error.details?.code === 'BAD_REVISION') return { content: '' };
+                        throw error;
+                    }),
+                this.readWorkingCopy(filePath),
+            ]);
+            this.diffEditor = Editor.openDiffView({
+                title: `${filePath} (HEAD ↔ Working Tree)`,
+                filePath,
+                original: head.content,
+                modified,
+                toolbar: await this.buildHunkToolbar(filePath),
+            });
+        } catch (error) {
+            UI.showError(`Could not open diff for ${filePath}: ${error.message}`);
+        }
+    }
+
+    async updateHunkToolbar() {
+        Editor.setDiffViewToolbar(await this.buildHunkToolbar(this.selectedPath));
+    }
+
+    async buildHunkToolbar(filePath) {
+        const toolbar = document.createElement('div');
+        toolbar.className = 'scm-hunks';
+        const file = this.status?.files.find(f => f.path === filePath);
+
+        if (file?.untracked) {
+            toolbar.innerHTML = '<span class="scm-hunks-note">Untracked file.</span> <button class="scm-hunk-action">Stage file</button>';
+            toolbar.querySelector('button').addEventListener('click', () => this.runAction('git_add', { paths: [filePath] }));
+            return toolbar;
+        }
+
+        const [unstaged, staged] = await Promise.all([
+            BackendCommands.runGitTool('git_diff', { path: filePath }),
+            BackendCommands.runGitTool('git_diff', { path: filePath, staged: true }),
+        ]);
+
+        const addGroup = (label, diff, reverse) => {
+            const hunks = diff.files.flatMap(f => f.binary ? [] : f.hunks);
+            if (hunks.length === 0) return;
+            const group = document.createElement('div');
+            group.className = 'scm-hunk-group';
+            group.innerHTML = `<span class="scm-hunks-label">${label}</span>`;
+            hunks.forEach(hunk => {
+                const added = hunk.lines.filter(l => l.startsWith('+')).length;
+                const removed = hunk.lines.filter(l => l.startsWith('-')).length;
+                const chip = document.createElement('span');
+                chip.className = 'scm-hunk';
+                chip.innerHTML = `
+                    <a href="#" class="scm-hunk-jump" title="${escapeHtml(hunk.header)}">line ${hunk.newStart} <span class="scm-added">+${added}</span> <span class="scm-removed">-${removed}</span></a>
+                    <button class="scm-hunk-action">${reverse ? 'Unstage' : 'Stage'}</button>
+                `;
+                chip.querySelector('.scm-hunk-jump').addEventListener('click', (e) => {
+                    e.preventDefault();
+                    this.diffEditor?.getModifiedEditor().revealLineInCenter(Math.max(hunk.newStart, 1));
+                });
+                chip.querySelector('.scm-hunk-action').addEventListener('click', () =>
+                    this.runAction('git_apply_hunk', { path: filePath, hunk: { header: hunk.header, lines: hunk.lines }, reverse }));
+                group.appendChild(chip);
+            });
+            toolbar.appendChild(group);
+        };
+
+        addGroup('Unstaged hunks', unstaged, false);
+        addGroup('Staged hunks', staged, true);
+        if (!toolbar.hasChildNodes()) {
+            toolbar.innerHTML = '<span class="scm-hunks-note">No textual hunks to stage.</span>';
+        }
+        return toolbar;
+    }
+
+    async commit() {
+        const textarea = this.container.querySelector('.scm-commit-message');
+        const message = textarea.value.trim();
+        if (!message) {
+            UI.showError('Enter a commit message first.');
+            return;
+        }
+        if (this.getStagedFiles().length === 0) {
+            UI.showError('Nothing is staged. Stage files or hunks before committing.');
+            return;
+        }
+        try {
+            const result = await BackendCommands.runGitTool('git_commit', { message });
+            textarea.value = '';
+            UI.showToast(`Committed ${result.commit?.shortHash || ''}`.trim());
+            Editor.closeDiffView();
+            this.selectedPath = null;
+            await this.refresh();
+        } catch (error) {
+            UI.showError(`Commit failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Asks the active LLM service for a commit message based on the staged
+     * diff (or the unstaged diff when nothing is staged).
+     */
+    async draftCommitMessage() {
+        const button = this.container.querySelector('.scm-draft');
+        const textarea = this.container.querySelector('.scm-commit-message');
+        button.disabled = true;
+        const originalLabel = button.textContent;
+        button.textContent = 'Drafting…';
+
+        try {
+            let diff = await BackendCommands.runGitTool('git_diff', { staged: true });
+            let scope = 'staged';
+            if (diff.files.length === 0) {
+                diff = await BackendCommands.runGitTool('git_diff', {});
+                scope = 'unstaged';
+            }
+            if (diff.files.length === 0) {
+                UI.showError('There are no changes to describe.');
+                return;
+            }
+
+            const prompt = `Write a git commit message for the following ${scope} changes.
+Use an imperative subject line of at most 72 characters. If the change needs explanation, add a blank line and a short body wrapped at 72 characters.
+Reply with the commit message only: no code fences, no quotes and no commentary.
+
+${formatDiffForPrompt(diff)}`;
+            const response = await ChatService.sendPrompt(prompt, { tools: [], site: 'commit_message' });
+            textarea.value = response.replace(/^```[a-z]*\n?|\n?```$/g, '').trim();
+        } catch (error) {
+            UI.showError(`Could not draft a commit message: ${error.message}`);
+        } finally {
+            button.disabled = false;
+            button.textContent = originalLabel;
+        }
+    }
+}
+
+export const sourceControlUI = new SourceControlUI();
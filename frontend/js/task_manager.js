@@ -6,6 +6,21 @@
  */
 import { DbManager } from './db.js';
 
+const SUBTASKS_SCHEMA = {
+    type: 'array',
+    minItems: 1,
+    items: {
+        type: 'object',
+        properties: {
+            title: { type: 'string', description: 'Specific actionable task title' },
+            description: { type: 'string', description: 'Detailed description of what to do' },
+            priority: { type: 'string', enum: ['low', 'medium', 'high', 'urgent'] },
+            estimatedTime: { type: 'integer', description: 'Estimated minutes' },
+        },
+        required: ['title', 'description', 'priority', 'estimatedTime'],
+    },
+};
+
 class TaskManager {
     constructor() {
         this.tasks = new Map();
@@ -347,276 +362,27 @@ REQUIREMENTS:
 5. Estimate time in minutes for each subtask
 6. Set appropriate priority (low, medium, high, urgent)
 
-Return ONLY a valid JSON array of subtasks in this exact format - no markdown, no code blocks, no explanations:
-[
-  {
-    "title": "Specific actionable task title",
-    "description": "Detailed description of what to do",
-    "priority": "high",
-    "estimatedTime": 20
-  }
-]
-
-CRITICAL: Your response must start with [ and end with ]. Do not include any text before or after the JSON array.`;
+Return the subtasks in order of execution.`;
 
         try {
-            // Send prompt without tools to avoid confusion and enforce strict JSON-only response at the system level
-            const response = await ChatService.sendPrompt(prompt, {
-                tools: [], // No tools needed for JSON response
+            const aiSubtasks = await ChatService.generateStructured(SUBTASKS_SCHEMA, prompt, {
+                site: 'task_breakdown',
                 history: ChatService.currentHistory || [], // Use live history
-                customRules: `STRICT JSON MODE:
-- You MUST respond with ONLY a JSON array as specified by the user, starting with [ and ending with ].
-- Do NOT include any text, markdown, code fences, or explanations before or after the JSON.
-- Do NOT mention or attempt to use tools or task sessions. Tools are unavailable in this call.
-- If safety concerns or confirmations are needed, STILL return the best possible JSON breakdown strictly following the requested format.`
+                name: 'subtasks',
             });
-            
-            // Extract JSON from response with more robust parsing
-            let jsonArray = null;
-            
-            // Try multiple approaches to extract JSON
-            // 1. Look for JSON array in response
-            let jsonMatch = response.match(/\[[\s\S]*?\]/);
-            if (jsonMatch) {
-                try {
-                    jsonArray = JSON.parse(jsonMatch[0]);
-                } catch (e) {
-                    console.warn('[TaskManager] Failed to parse first JSON match:', e.message);
-                }
-            }
-            
-            // 2. If first approach fails, try to find JSON between code blocks
-            if (!jsonArray) {
-                const codeBlockMatch = response.match(/```(?:json)?\n?([\s\S]*?)\n?```/);
-                if (codeBlockMatch) {
-                    try {
-                        jsonArray = JSON.parse(codeBlockMatch[1]);
-                    } catch (e) {
-                        console.warn('[TaskManager] Failed to parse code block JSON:', e.message);
-                    }
-                }
-            }
-            
-            // 3. If still no JSON, try to extract from the full response
-            if (!jsonArray) {
-                try {
-                    // Look for lines that start with [ and end with ]
-                    const lines = response.split('\n');
-                    const jsonLines = [];
-                    let inArray = false;
-                    let braceCount = 0;
-                    
-                    for (const line of lines) {
-                        if (line.trim().startsWith('[')) {
-                            inArray = true;
-                            braceCount = 0;
-                        }
-                        
-                        if (inArray) {
-                            jsonLines.push(line);
-                            braceCount += (line.match(/\[/g) || []).length;
-                            braceCount -= (line.match(/\]/g) || []).length;
-                            
-                            if (braceCount === 0 && line.trim().endsWith(']')) {
-                                break;
-                            }
-                        }
-                    }
-                    
-                    if (jsonLines.length > 0) {
-                        jsonArray = JSON.parse(jsonLines.join('\n'));
-                    }
-                } catch (e) {
-                    console.warn('[TaskManager] Failed to parse line-by-line JSON:', e.message);
-                }
-            }
-            
-            if (!jsonArray) {
-                console.error('[TaskManager] AI response:', response);
-                throw new Error('No valid JSON array found in AI response');
-            }
-            
-            let aiSubtasks = jsonArray;
-            
-            // Validate and create actual subtasks
+
             const subtasks = [];
             let prevTaskId = null;
             
-            // Ensure aiSubtasks is actually an array
-            if (!Array.isArray(aiSubtasks)) {
-                console.error('[TaskManager] AI response is not an array:', aiSubtasks);
-                throw new Error('AI response must be a JSON array of tasks');
-            }
-            
-            if (aiSubtasks.length === 0) {
-                console.warn('[TaskManager] AI returned empty task array');
-                throw new Error('AI returned no subtasks');
-            }
-
-                        // Adapt/normalize provider schemas if present (no 'title' fields)
-                        const hasAnyTitle = aiSubtasks.some(t => t && typeof t === 'object' && t.title && String(t.title).trim().length > 0);
-                        if (!hasAnyTitle) {
-                            const first = aiSubtasks[0] || {};
-                            
-                            // Helper to extract inner steps array from common containers
-                            const extractFromContainer = (container) => {
-                                if (!container || typeof container !== 'object') return null;
-                                const candidates = [
-                                    container.requested_actions,
-                                    container.requestedActions,
-                                    container.recommended_actions,
-                                    container.recommendedActions,
-                                    container.actions,
-                                    container.steps,
-                                    container.tasks,
-                                    container.items,
-                                    container.plan && container.plan.steps
-                                ].filter(arr => Array.isArray(arr) && arr.length > 0);
-                                return candidates.length > 0 ? candidates[0] : null;
-                            };
-            
-                            let adapted = null;
-            
-                            // Case 1: Single wrapper object with inner arrays (e.g., requested_actions/steps/tasks/etc.)
-                            const inner = extractFromContainer(first);
-                            if (inner) {
-                                adapted = inner;
-                            } else if (aiSubtasks.length === 1) {
-                                // Sometimes the array has a single wrapper object
-                                const altInner = extractFromContainer(aiSubtasks[0]);
-                                if (altInner) adapted = altInner;
-                            }
-            
-                            // Case 2: Array of strings
-                            if (!adapted && aiSubtasks.every(t => typeof t === 'string')) {
-                                adapted = aiSubtasks;
-                            }
-            
-                            // Case 3: Array of objects but with alternative title fields (action/name/step/summary/goal/objective)
-                            if (!adapted && aiSubtasks.every(t => t && typeof t === 'object')) {
-                                const usesAltKeys = aiSubtasks.every(t => (t.action || t.name || t.step || t.summary || t.goal || t.objective));
-                                if (usesAltKeys) {
-                                    adapted = aiSubtasks;
-                                }
-                            }
-            
-                            if (adapted) {
-                                aiSubtasks = adapted.map((entry, i) => {
-                                    if (typeof entry === 'string') {
-                                        return {
-                                            title: entry.trim(),
-                                            description: first.reason || first.description || 'Converted from provider schema.',
-                                            priority: i === 0 ? 'high' : 'medium',
-                                            estimatedTime: 15
-                                        };
-                                    }
-                                    if (entry && typeof entry === 'object') {
-                                        const titleCandidate = entry.title || entry.action || entry.name || entry.step || entry.summary || entry.goal || entry.objective;
-                                        const descCandidate = entry.description || entry.details || entry.reason || entry.explanation || first.reason || 'Converted from provider schema.';
-                                        const est = typeof entry.estimatedTime === 'number' ? entry.estimatedTime : 15;
-                                        return {
-                                            title: String(titleCandidate || `Step ${i + 1}`).trim(),
-                                            description: String(descCandidate),
-                                            priority: i === 0 ? 'high' : 'medium',
-                                            estimatedTime: est
-                                        };
-                                    }
-                                    return {
-                                        title: `Step ${i + 1}`,
-                                        description: 'Converted from provider schema.',
-                                        priority: i === 0 ? 'high' : 'medium',
-                                        estimatedTime: 15
-                                    };
-                                });
-                                console.warn('[TaskManager] Adapted provider JSON to actionable subtasks via schema normalization.');
-                            } else {
-                                const keys = Array.isArray(aiSubtasks) && aiSubtasks[0] && typeof aiSubtasks[0] === 'object'
-                                    ? Object.keys(aiSubtasks[0]).join(', ')
-                                    : typeof aiSubtasks[0];
-                                console.warn('[TaskManager] Could not adapt provider JSON. First item keys/type:', keys);
-
-                                // LENIENT FALLBACK ADAPTER:
-                                // As a last resort, coerce arbitrary entries into actionable subtasks instead of throwing.
-                                aiSubtasks = (Array.isArray(aiSubtasks) ? aiSubtasks : [aiSubtasks]).map((entry, i) => {
-                                    if (typeof entry === 'string') {
-                                        return {
-                                            title: entry.trim() || `Step ${i + 1}`,
-                                            description: 'Converted from provider string entry.',
-                                            priority: i === 0 ? 'high' : 'medium',
-                                            estimatedTime: 15
-                                        };
-                                    }
-                                    if (entry && typeof entry === 'object') {
-                                        // Try to derive a title from any readable text field
-                                        const textFields = ['title','description','details','reason','instruction','message','summary','note','text','content','info'];
-                                        let titleCandidate = null;
-                                        for (const k of textFields) {
-                                            if (entry[k] && String(entry[k]).trim().length > 0) {
-                                                titleCandidate = String(entry[k]).trim();
-                                                break;
-                                            }
-                                        }
-                                        // Build description: prefer description/details/reason/explanation; else truncated JSON
-                                        const jsonStr = (() => {
-                                            try { return JSON.stringify(entry); } catch { return String(entry); }
-                                        })();
-                                        const descCandidate = entry.description || entry.details || entry.reason || entry.explanation ||
-                                            `Converted from provider object: ${jsonStr.slice(0, 300)}${jsonStr.length > 300 ? '…' : ''}`;
-                                        return {
-                                            title: titleCandidate || `Step ${i + 1}`,
-                                            description: String(descCandidate),
-                                            priority: i === 0 ? 'high' : 'medium',
-                                            estimatedTime: 15
-                                        };
-                                    }
-                                    return {
-                                        title: `Step ${i + 1}`,
-                                        description: 'Converted from unknown provider entry.',
-                                        priority: i === 0 ? 'high' : 'medium',
-                                        estimatedTime: 15
-                                    };
-                                });
-                                console.warn('[TaskManager] Applied lenient fallback adaptation to provider JSON.');
-                            }
-                        }
-            
-            // Loop-time sanitizer: synthesize titles from alternate keys and skip pure metadata objects
-            const altTitle = (obj) => {
-                if (!obj || typeof obj !== 'object') return null;
-                return obj.title || obj.action || obj.name || obj.step || obj.summary || obj.goal || obj.objective ||
-                       obj.description || obj.details || obj.reason || obj.explanation || null;
-            };
-            const isMetadataOnly = (obj) => {
-                if (!obj || typeof obj !== 'object') return false;
-                const metaKeys = ['overall_risk','overallRisk','safety_note','safetyNote','risk_level','riskLevel','notes','disclaimer'];
-                const hasMeta = metaKeys.some(k => k in obj);
-                const hasActionable = ['title','action','name','step','summary','goal','objective','description','details','reason','explanation']
-                    .some(k => obj[k] && String(obj[k]).trim().length > 0);
-                return hasMeta && !hasActionable;
-            };
-            let warnedMetaSkip = false;
-
             for (const [index, aiSubtask] of aiSubtasks.entries()) {
-                // Synthesize title from alternate keys if missing
-                if (!aiSubtask.title) {
-                    const candidate = altTitle(aiSubtask);
-                    if (candidate) {
-                        aiSubtask.title = String(candidate).trim();
-                    } else if (isMetadataOnly(aiSubtask)) {
-                        if (!warnedMetaSkip) {
-                            console.warn('[TaskManager] Skipping non-actionable safety/metadata object in AI breakdown.');
-                            warnedMetaSkip = true;
-                        }
-                        continue; // quietly ignore metadata-only entries
-                    } else {
-                        console.error(`[TaskManager] Subtask ${index} missing title:`, aiSubtask);
-                        continue; // Skip invalid tasks
-                    }
+                if (!aiSubtask.title.trim()) {
+                    console.error(`[TaskManager] Subtask ${index} has an empty title:`, aiSubtask);
+                    continue; // Skip invalid tasks
                 }
 
                 // Classification: advisory/meta detection and self-referential filtering
-                const titleLC = String(aiSubtask.title || '').toLowerCase();
-                const descLC = String(aiSubtask.description || aiSubtask.details || aiSubtask.explanation || aiSubtask.reason || '').toLowerCase();
+                const titleLC = aiSubtask.title.toLowerCase();
+                const descLC = aiSubtask.description.toLowerCase();
 
                 const advisoryKeywords = [
                     // generic advisory
@@ -652,8 +418,8 @@ CRITICAL: Your response must start with [ and end with ]. Do not include any tex
                 try {
                     const subtask = await this.createTask({
                         title: aiSubtask.title,
-                        description: aiSubtask.description || aiSubtask.details || aiSubtask.explanation || aiSubtask.reason || '',
-                        priority: aiSubtask.priority || 'medium',
+                        description: aiSubtask.description,
+                        priority: aiSubtask.priority,
                         parentId: mainTask.id,
                         listId: mainTask.listId,
                         // Only chain dependency if this is an actionable task
@@ -685,7 +451,7 @@ CRITICAL: Your response must start with [ and end with ]. Do not include any tex
             
             return subtasks;
         } catch (error) {
-            console.error('[TaskManager] AI breakdown parsing failed:', error);
+            console.error('[TaskManager] AI breakdown failed:', error);
             throw error;
         }
     }
@@ -1,36 +1,227 @@
-// This module handles discovering tasks from package.json.
-// Task execution has been disabled to maintain the browser-first architecture.
+// This module discovers runnable tasks (package.json scripts, Makefile targets
+// and justfile recipes) and runs them through the backend command stream.
 
 import { getFileHandleFromPath } from './file_system.js';
+import * as BackendCommands from './backend_commands.js';
+
+const MAKEFILE_NAMES = ['Makefile', 'makefile', 'GNUmakefile'];
+const JUSTFILE_NAMES = ['justfile', 'Justfile', '.justfile'];
+const MAX_TASK_OUTPUT_CHARS = 200000;
+
+async function readOptionalFile(rootDirHandle, names) {
+    for (const name of names) {
+        try {
+            const handle = await getFileHandleFromPath(rootDirHandle, name);
+            const file = await handle.getFile();
+            return { name, content: await file.text() };
+        } catch (e) {
+            // Try the next candidate name
+        }
+    }
+    return null;
+}
+
+function quoteShellArg(value) {
+    return /^[A-Za-z0-9_.\/:@%+=-]+$/.test(value) ? value : `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Extracts explicit targets from a Makefile. Pattern rules, special targets
+ * (.PHONY etc.) and variable assignments are skipped. A trailing `## text`
+ * comment on the target line is used as its description.
+ */
+export function parseMakefileTargets(content) {
+    const targets = [];
+    const seen = new Set();
+    for (const line of content.split(/\r?\n/)) {
+        if (/^\s/.test(line) || line.startsWith('#')) continue;
+        const match = line.match(/^([A-Za-z0-9_][A-Za-z0-9_.\/-]*(?:\s+[A-Za-z0-9_][A-Za-z0-9_.\/-]*)*)\s*::?(?![=])(.*)$/);
+        if (!match) continue;
+        const description = (match[2].match(/##\s*(.+)$/) || [])[1] || '';
+        for (const name of match[1].split(/\s+/)) {
+            if (name.startsWith('.') || name.includes('%') || seen.has(name)) continue;
+            seen.add(name);
+            targets.push({ name, description: description.trim() });
+        }
+    }
+    return targets;
+}
+
+/**
+ * Extracts recipes from a justfile. The comment line directly above a recipe
+ * is used as its description; private recipes (leading `_` or [private]) are skipped.
+ */
+export function parseJustfileRecipes(content) {
+    const recipes = [];
+    let pendingComment = '';
+    let pendingPrivate = false;
+    for (const line of content.split(/\r?\n/)) {
+        if (/^\s/.test(line) || line.trim() === '') {
+            if (line.trim() === '') { pendingComment = ''; pendingPrivate = false; }
+            continue;
+        }
+        if (line.startsWith('#')) {
+            pendingComment = line.replace(/^#+\s?/, '').trim();
+            continue;
+        }
+        if (/^\[.*private.*\]/.test(line)) {
+            pendingPrivate = true;
+            continue;
+        }
+        if (/^\[/.test(line) || /^(set|alias|export|import|mod)\s/.test(line) || /^[A-Za-z_][A-Za-z0-9_-]*\s*:=/.test(line)) {
+            continue;
+        }
+        const match = line.match(/^@?([A-Za-z_][A-Za-z0-9_-]*)([^:]*):(?!=)/);
+        if (match && !match[1].startsWith('_') && !pendingPrivate) {
+            const params = match[2].trim().split(/\s+/).filter(Boolean);
+            recipes.push({
+                name: match[1],
+                description: pendingComment,
+                // Parameters without a default must be supplied, so the recipe can't be run with one click
+                requiresArgs: params.some(p => !p.includes('=') && !p.startsWith('*')),
+            });
+        }
+        pendingComment = '';
+        pendingPrivate = false;
+    }
+    return recipes;
+}
 
 class TaskRunner {
     constructor() {
         this.tasks = {};
+        this.runs = new Map(); // Key: task id, Value: { jobId, status, exitCode, output, startedAt, endedAt }
+        this.listeners = [];
     }
 
     async discoverTasks(rootDirHandle) {
+        const tasks = {};
+
         try {
             const packageJsonHandle = await getFileHandleFromPath(rootDirHandle, 'package.json');
             const file = await packageJsonHandle.getFile();
-            const content = await file.text();
-            const packageJson = JSON.parse(content);
-            this.tasks = packageJson.scripts || {};
+            const packageJson = JSON.parse(await file.text());
+            for (const [name, script] of Object.entries(packageJson.scripts || {})) {
+                tasks[`npm:${name}`] = { id: `npm:${name}`, name, source: 'npm', command: `npm run ${quoteShellArg(name)}`, description: script };
+            }
         } catch (e) {
-            this.tasks = {};
+            // No package.json or it isn't valid JSON
         }
+
+        const makefile = await readOptionalFile(rootDirHandle, MAKEFILE_NAMES);
+        if (makefile) {
+            const fileFlag = makefile.name === 'Makefile' || makefile.name === 'makefile' ? '' : ` -f ${makefile.name}`;
+            for (const target of parseMakefileTargets(makefile.content)) {
+                tasks[`make:${target.name}`] = { id: `make:${target.name}`, name: target.name, source: 'make', command: `make${fileFlag} ${quoteShellArg(target.name)}`, description: target.description };
+            }
+        }
+
+        const justfile = await readOptionalFile(rootDirHandle, JUSTFILE_NAMES);
+        if (justfile) {
+            for (const recipe of parseJustfileRecipes(justfile.content)) {
+                tasks[`just:${recipe.name}`] = {
+                    id: `just:${recipe.name}`,
+                    name: recipe.name,
+                    source: 'just',
+                    command: `just ${quoteShellArg(recipe.name)}`,
+                    description: recipe.description,
+                    requiresArgs: recipe.requiresArgs,
+                };
+            }
+        }
+
+        this.tasks = tasks;
+        this.notifyListeners('tasks_discovered', Object.values(tasks));
         return this.tasks;
     }
 
-    runTask(taskName) {
-        const command = this.tasks[taskName];
-        if (command) {
-            console.warn(`Task execution disabled: "${taskName}" -> "${command}"`);
-            console.warn('This browser-based editor focuses on file editing. Use your terminal to run: npm run ' + taskName);
-            throw new Error(`Task execution has been disabled in this browser-based editor. Please run "npm run ${taskName}" in your terminal.`);
-        } else {
-            console.error(`Task not found: ${taskName}`);
+    getTasks() {
+        return Object.values(this.tasks);
+    }
+
+    getRun(taskId) {
+        return this.runs.get(taskId) || null;
+    }
+
+    isRunning(taskId) {
+        return this.runs.get(taskId)?.status === 'running';
+    }
+
+    /**
+     * Runs a discovered task on the backend, streaming output to listeners
+     * ('task_output', 'task_started', 'task_finished').
+     * @param {string} taskId - e.g. 'npm:test', 'make:build', 'just:lint'
+     * @param {string} [extraArgs] - Appended to the command (e.g. recipe arguments)
+     */
+    async runTask(taskId, extraArgs = '') {
+        const task = this.tasks[taskId];
+        if (!task) {
+            console.error(`Task not found: ${taskId}`);
+            throw new Error(`Task not found: ${taskId}`);
+        }
+        if (this.isRunning(taskId)) {
+            throw new Error(`Task "${task.name}" is already running.`);
+        }
+
+        const command = extraArgs ? `${task.command} ${extraArgs}` : task.command;
+        const run = { jobId: null, status: 'running', exitCode: null, output: '', command, startedAt: Date.now(), endedAt: null };
+        this.runs.set(taskId, run);
+        this.notifyListeners('task_started', { task, run });
+
+        const appendOutput = (text, stream) => {
+            run.output = (run.output + text).slice(-MAX_TASK_OUTPUT_CHARS);
+            this.notifyListeners('task_output', { task, run, text, stream });
+        };
+
+        try {
+            // Starting a task from the panel is an explicit user action, so it counts as approval.
+            // The backend still refuses anything on the policy deny list.
+            const result = await BackendCommands.streamCommand(command, {
+                approved: true,
+                onEvent: (event, data) => {
+                    if (event === 'start') run.jobId = data.jobId;
+                    else if (event === 'stdout' || event === 'stderr') appendOutput(data.chunk, event);
+                    else if (event === 'truncated') appendOutput(`\n[output truncated at ${Math.round(data.maxOutputBytes / 1024)} KB]\n`, 'info');
+                    else if (event === 'error') appendOutput(`\n[error] ${data.message}\n`, 'stderr');
+                },
+            });
+            run.status = result.status || 'failed';
+            run.exitCode = result.exitCode;
+        } catch (error) {
+            appendOutput(`\n[error] ${error.message}\n`, 'stderr');
+            run.status = 'failed';
+        }
+
+        run.endedAt = Date.now();
+        this.notifyListeners('task_finished', { task, run });
+        return run;
+    }
+
+    async stopTask(taskId) {
+        const run = this.runs.get(taskId);
+        if (!run || run.status !== 'running' || !run.jobId) return false;
+        await BackendCommands.killJob(run.jobId);
+        return true;
+    }
+
+    addEventListener(callback) {
+        this.listeners.push(callback);
+    }
+
+    removeEventListener(callback) {
+        const index = this.listeners.indexOf(callback);
+        if (index > -1) this.listeners.splice(index, 1);
+    }
+
+    notifyListeners(event, data) {
+        for (const listener of this.listeners) {
+            try {
+                listener(event, data);
+            } catch (error) {
+                console.error('[TaskRunner] Listener error:', error);
+            }
         }
     }
 }
 
-export default new TaskRunner();
\ No newline at end of file
+export default new TaskRunner();
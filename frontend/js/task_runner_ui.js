@@ -0,0 +1,185 @@
+/**
+ * Task Runner Panel
+ * Lists discovered npm scripts, Makefile targets and justfile recipes in the
+ * Tasks sidebar tab, runs them on the backend and shows their live output.
+ */
+
+import TaskRunner from './task_runner.js';
+import * as UI from './ui.js';
+
+const SOURCE_LABELS = { npm: 'npm', make: 'make', just: 'just' };
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text == null ? '' : String(text);
+    return div.innerHTML;
+}
+
+export class TaskRunnerUI {
+    constructor() {
+        this.container = null;
+        this.rootDirHandle = null;
+        this.selectedTaskId = null;
+
+        TaskRunner.addEventListener((event, data) => this.handleTaskRunnerEvent(event, data));
+    }
+
+    /**
+     * Renders the panel into a container and (re)discovers tasks.
+     */
+    async mount(container, rootDirHandle) {
+        this.container = container;
+        this.rootDirHandle = rootDirHandle;
+
+        container.innerHTML = `
+            <div class="task-runner-panel">
+                <div class="task-runner-header">
+                    <h4>Run Tasks</h4>
+                    <button class="task-runner-refresh btn-secondary" title="Rediscover tasks">
+                        <i class="fas fa-sync-alt"></i>
+                    </button>
+                </div>
+                <ul class="task-runner-list"></ul>
+                <div class="task-runner-output" style="display: none;">
+                    <div class="task-runner-output-header">
+                        <span class="task-runner-output-title"></span>
+                        <span class="task-runner-output-status"></span>
+                    </div>
+                    <pre id="task-output"></pre>
+                </div>
+            </div>
+        `;
+
+        container.querySelector('.task-runner-refresh').addEventListener('click', () => this.refresh());
+        await this.refresh();
+    }
+
+    async refresh() {
+        if (!this.container) return;
+        const list = this.container.querySelector('.task-runner-list');
+        if (!this.rootDirHandle) {
+            list.innerHTML = '<li class="task-runner-empty">Open a project folder to discover tasks.</li>';
+            return;
+        }
+        list.innerHTML = '<li class="task-runner-empty">Discovering tasks...</li>';
+        await TaskRunner.discoverTasks(this.rootDirHandle);
+        this.renderList();
+    }
+
+    renderList() {
+        const list = this.container?.querySelector('.task-runner-list');
+        if (!list) return;
+
+        const tasks = TaskRunner.getTasks();
+        if (tasks.length === 0) {
+            list.innerHTML = '<li class="task-runner-empty">No package.json scripts, Makefile targets or justfile recipes found.</li>';
+            return;
+        }
+
+        list.innerHTML = tasks.map(task => {
+            const run = TaskRunner.getRun(task.id);
+            const status = run ? run.status : '';
+            const running = status === 'running';
+            return `
+                <li class="task-runner-item${task.id === this.selectedTaskId ? ' selected' : ''}" data-task-id="${escapeHtml(task.id)}" title="${escapeHtml(task.description || task.command)}">
+                    <span class="task-runner-source source-${task.source}">${SOURCE_LABELS[task.source]}</span>
+                    <span class="task-runner-name">${escapeHtml(task.name)}</span>
+                    <span class="task-runner-status status-${status}">${escapeHtml(this.formatStatus(run))}</span>
+                    <button class="task-runner-action" data-action="${running ? 'stop' : 'run'}" title="${running ? 'Stop' : 'Run'} ${escapeHtml(task.command)}">
+                        <i class="fas ${running ? 'fa-stop' : 'fa-play'}"></i>
+                    </button>
+                </li>
+            `;
+        }).join('');
+
+        list.querySelectorAll('.task-runner-item').forEach(item => {
+            const taskId = item.dataset.taskId;
+            item.addEventListener('click', () => this.selectTask(taskId));
+            item.querySelector('.task-runner-action').addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (e.currentTarget.dataset.action === 'stop') {
+                    this.stopTask(taskId);
+                } else {
+                    this.startTask(taskId);
+                }
+            });
+        });
+    }
+
+    formatStatus(run) {
+        if (!run) return '';
+        if (run.status === 'running') return 'running';
+        if (run.status === 'completed') return '✔ 0';
+        if (run.status === 'timed_out') return 'timed out';
+        if (run.exitCode !== null && run.exitCode !== undefined) return `✖ ${run.exitCode}`;
+        return run.status;
+    }
+
+    async startTask(taskId) {
+        const task = TaskRunner.tasks[taskId];
+        let extraArgs = '';
+        if (task?.requiresArgs) {
+            extraArgs = prompt(`Arguments for "${task.name}":`, '');
+            if (extraArgs === null) return;
+        }
+        this.selectTask(taskId);
+        try {
+            const run = await TaskRunner.runTask(taskId, extraArgs.trim());
+            if (run.status !== 'completed') {
+                UI.showToast(`Task "${task.name}" ${run.status === 'failed' ? `failed (exit code ${run.exitCode})` : run.status}`, 'error');
+            }
+        } catch (error) {
+            UI.showError(error.message);
+        }
+    }
+
+    async stopTask(taskId) {
+        try {
+            await TaskRunner.stopTask(taskId);
+        } catch (error) {
+            UI.showError(`Failed to stop task: ${error.message}`);
+        }
+    }
+
+    selectTask(taskId) {
+        this.selectedTaskId = taskId;
+        this.renderList();
+        this.renderOutput();
+    }
+
+    renderOutput() {
+        const outputPanel = this.container?.querySelector('.task-runner-output');
+        if (!outputPanel) return;
+        const task = TaskRunner.tasks[this.selectedTaskId];
+        if (!task) {
+            outputPanel.style.display = 'none';
+            return;
+        }
+        const run = TaskRunner.getRun(task.id);
+        outputPanel.style.display = 'block';
+        outputPanel.querySelector('.task-runner-output-title').textContent = run ? `$ ${run.command}` : `$ ${task.command}`;
+        const statusEl = outputPanel.querySelector('.task-runner-output-status');
+        statusEl.textContent = this.formatStatus(run);
+        statusEl.className = `task-runner-output-status status-${run ? run.status : ''}`;
+        const pre = outputPanel.querySelector('#task-output');
+        pre.textContent = run ? run.output : 'Not run yet.';
+        pre.scrollTop = pre.scrollHeight;
+    }
+
+    handleTaskRunnerEvent(event, data) {
+        if (!this.container || !this.container.isConnected) return;
+        if (event === 'task_output') {
+            if (data.task.id !== this.selectedTaskId) return;
+            const pre = this.container.querySelector('#task-output');
+            if (!pre) return;
+            const atBottom = pre.scrollHeight - pre.scrollTop - pre.clientHeight < 20;
+            pre.textContent = data.run.output;
+            if (atBottom) pre.scrollTop = pre.scrollHeight;
+        } else if (event === 'task_started' || event === 'task_finished') {
+            this.renderList();
+            if (data.task.id === this.selectedTaskId) this.renderOutput();
+        }
+    }
+}
+
+export const taskRunnerUI = new TaskRunnerUI();
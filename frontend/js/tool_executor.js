@@ -4,7 +4,13 @@ import * as FileSystem from './file_system.js';
 import * as Editor from './editor.js';
 import * as UI from './ui.js';
 import { ChatService } from './chat_service.js';
+import * as BackendCommands from './backend_commands.js';
+import { Settings } from './settings.js';
+import { getRouteRule } from './llm/model_router.js';
 import { UndoManager } from './undo_manager.js';
+import { changeReview } from './change_review.js';
+import { Checkpoints } from './checkpoints.js';
+import { changeTimeline } from './change_timeline.js';
 import { toolLogger } from './tool_logger.js';
 import { syntaxValidator } from './syntax_validator.js';
 import { codeComprehension } from './code_comprehension.js';
@@ -472,6 +478,17 @@ async function _getProjectStructure(params, rootHandle) {
 
 async function _readFile({ filename, include_line_numbers = false }, rootHandle) {
     if (!filename) throw new Error("The 'filename' parameter is required for read_file.");
+    const staged = changeReview.enabled ? changeReview.getStagedContent(filename) : undefined;
+    if (staged === null) throw new Error(`'${filename}' is staged for deletion or was renamed in the review queue.`);
+    if (staged !== undefined) {
+        return {
+            content: include_line_numbers ? staged.split('\n').map((line, index) => `${index + 1} | ${line}`).join('\n') : staged,
+            status: "Success",
+            filename: filename,
+            staged: true,
+            note: "Staged version awaiting the user's review; the file on disk is unchanged.",
+        };
+    }
     const fileHandle = await FileSystem.getFileHandleFromPath(rootHandle, filename);
     
     // Use streaming file reader for better performance
@@ -561,50 +578,60 @@ async function _readFileLines({ filename, start_line, end_line }, rootHandle) {
         throw new Error("The 'start_line' must not be after the 'end_line'.");
     }
 
-    const fileHandle = await FileSystem.getFileHandleFromPath(rootHandle, filename);
-    
-    // Use streaming file reader for better performance with large files
-    const { readFileWithStrategy, FileInfo } = await import('./file_streaming.js');
-    
     // Declare variables in the correct scope
     let content, lines, clampedStart, clampedEnd;
+
+    const staged = changeReview.enabled ? changeReview.getStagedContent(filename) : undefined;
+    if (staged === null) throw new Error(`'${filename}' is staged for deletion or was renamed in the review queue.`);
     
-    try {
-        const file = await fileHandle.getFile();
-        const fileInfo = new FileInfo(file, fileHandle);
+    if (staged !== undefined) {
+        content = staged;
+        lines = content.split('\n');
+        clampedStart = Math.max(1, start_line);
+        clampedEnd = Math.min(lines.length, end_line);
+    } else {
+        try {
+            const fileHandle = await FileSystem.getFileHandleFromPath(rootHandle, filename);
         
-        // Add detailed logging for debugging
-        console.log(`Reading file: ${filename} (${fileInfo.formatFileSize(file.size)})`);
-        console.log(`File type: ${file.type || 'unknown'}, Extension: ${fileInfo.extension}`);
-        console.log(`Is text file: ${fileInfo.isText()}, Is binary file: ${fileInfo.isBinary()}`);
+            // Use streaming file reader for better performance with large files
+            const { readFileWithStrategy, FileInfo } = await import('./file_streaming.js');
+
+            const file = await fileHandle.getFile();
+            const fileInfo = new FileInfo(file, fileHandle);
         
-        const streamResult = await readFileWithStrategy(fileHandle, filename);
+            // Add detailed logging for debugging
+            console.log(`Reading file: ${filename} (${fileInfo.formatFileSize(file.size)})`);
+            console.log(`File type: ${file.type || 'unknown'}, Extension: ${fileInfo.extension}`);
+            console.log(`Is text file: ${fileInfo.isText()}, Is binary file: ${fileInfo.isBinary()}`);
         
-        // Enhanced type checking to handle various content types (binary files, null content, etc.)
-        // This fixes the "content.split is not a function" error for files misclassified as text
-        if (typeof streamResult.content !== 'string') {
-            console.warn(`Warning: File content for ${filename} is not a string, it is a ${typeof streamResult.content}.`);
-            console.warn(`Strategy used: ${streamResult.strategy}, Content truncated: ${streamResult.truncated}`);
+            const streamResult = await readFileWithStrategy(fileHandle, filename);
+        
+            // Enhanced type checking to handle various content types (binary files, null content, etc.)
+            // This fixes the "content.split is not a function" error for files misclassified as text
+            if (typeof streamResult.content !== 'string') {
+                console.warn(`Warning: File content for ${filename} is not a string, it is a ${typeof streamResult.content}.`);
+                console.warn(`Strategy used: ${streamResult.strategy}, Content truncated: ${streamResult.truncated}`);
             
-            // Try to convert to string or use empty string as fallback
-            content = streamResult.content ? String(streamResult.content) : '';
-            console.log(`Converted content to string (length: ${content.length})`);
+                // Try to convert to string or use empty string as fallback
+                content = streamResult.content ? String(streamResult.content) : '';
+                console.log(`Converted content to string (length: ${content.length})`);
             
-            lines = content.split('\n');
-            console.log(`Split content into ${lines.length} lines`);
+                lines = content.split('\n');
+                console.log(`Split content into ${lines.length} lines`);
             
-            clampedStart = Math.max(1, start_line);
-            clampedEnd = Math.min(lines.length, end_line);
-        } else {
-            content = streamResult.content;
-            lines = content.split('\n');
+                clampedStart = Math.max(1, start_line);
+                clampedEnd = Math.min(lines.length, end_line);
+            } else {
+                content = streamResult.content;
+                lines = content.split('\n');
             
-            clampedStart = Math.max(1, start_line);
-            clampedEnd = Math.min(lines.length, end_line);
+                clampedStart = Math.max(1, start_line);
+                clampedEnd = Math.min(lines.length, end_line);
+            }
+        } catch (error) {
+            console.error(`Error reading file ${filename}:`, error);
+            throw new Error(`Failed to read file ${filename}: ${error.message}`);
         }
-    } catch (error) {
-        console.error(`Error reading file ${filename}:`, error);
-        throw new Error(`Failed to read file ${filename}: ${error.message}`);
     }
 
     // Check if line range is valid
@@ -777,11 +804,103 @@ async function _readMultipleFiles({ filenames }, rootHandle) {
     }
 }
 
+// --- Review mode: file tools stage their changes in changeReview instead of writing ---
+
+const STAGED_NOTE = ' It is NOT on disk yet: the user approves or rejects it in the Review panel. Later reads and edits see the staged version.';
+
+/**
+ * Refuses a tool whose changes cannot be staged while review mode is on.
+ */
+function assertNotInReviewMode(toolName, alternative) {
+    if (changeReview.enabled) {
+        throw new Error(`${toolName} is not available while review mode is on. ${alternative}`);
+    }
+}
+
+/**
+ * Content of a file as the agent should see it: the staged version in review
+ * mode, otherwise the file on disk. Null when the file does not exist (or is
+ * staged for deletion).
+ */
+async function readCurrentContent(rootHandle, filename) {
+    const staged = changeReview.enabled ? changeReview.getStagedContent(filename) : undefined;
+    if (staged !== undefined) return staged;
+    try {
+        const fileHandle = await FileSystem.getFileHandleFromPath(rootHandle, filename);
+        return await (await fileHandle.getFile()).text();
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Opens a file for an edit tool. In review mode a file with a staged change is
+ * read from the review queue and has no fileHandle.
+ * @returns {Promise<{ fileHandle, file, size: number, text: () => Promise<string> }>}
+ */
+async function openFileForEdit(rootHandle, filename) {
+    const staged = changeReview.enabled ? changeReview.getStagedContent(filename) : undefined;
+    if (staged === null) {
+        throw new Error(`'${filename}' is staged for deletion or was renamed in the review queue.`);
+    }
+    if (staged !== undefined) {
+        return { fileHandle: null, file: null, size: staged.length, text: async () => staged };
+    }
+
+    const fileHandle = await FileSystem.getFileHandleFromPath(rootHandle, filename);
+
+    // Enhanced permission handling - try to proceed even if permission check fails
+    let hasPermission = false;
+    try {
+        hasPermission = await FileSystem.verifyAndRequestPermission(fileHandle, true);
+    } catch (permissionError) {
+        console.warn('Permission check failed, attempting to proceed:', permissionError.message);
+        hasPermission = true; // Optimistically proceed
+    }
+
+    if (!hasPermission) {
+        throw new Error('Permission to write to the file was denied.');
+    }
+
+    const file = await fileHandle.getFile();
+    return { fileHandle, file, size: file.size, text: () => file.text() };
+}
+
+/**
+ * Writes an edit tool's result, or stages it in review mode.
+ * @returns {Promise<boolean>} true when the change was staged rather than written.
+ */
+async function commitFileEdit(target, filename, originalContent, newContent, toolName) {
+    if (changeReview.enabled) {
+        changeReview.stageWrite(filename, originalContent, newContent, toolName);
+        return true;
+    }
+    UndoManager.push(filename, originalContent);
+    await FileSystem.writeFile(target.fileHandle, newContent);
+    return false;
+}
+
+/**
+ * Stages the full new content of a file (create, rewrite, append) in review mode.
+ */
+async function stageFileContent(rootHandle, filename, content, toolName) {
+    changeReview.stageWrite(filename, await readCurrentContent(rootHandle, filename), content, toolName);
+    const validationResult = await validateSyntaxBeforeWrite(filename, content);
+    let message = `Change to '${filename}' staged for review.${STAGED_NOTE}`;
+    if (!validationResult.isValid) {
+        message += `\n\nWARNING: Syntax errors were detected in the staged content.\nErrors:\n${validationResult.errors}${validationResult.suggestions}`;
+    }
+    return { message, staged: true };
+}
+
 async function _createFile({ filename, content = '' }, rootHandle) {
     if (!filename) throw new Error("The 'filename' parameter is required for create_file.");
     if (typeof filename !== 'string') throw new Error("The 'filename' parameter must be a string.");
     
     const cleanContent = stripMarkdownCodeBlock(content);
+    if (changeReview.enabled) {
+        return await stageFileContent(rootHandle, filename, cleanContent, 'create_file');
+    }
     
     try {
         const fileHandle = await FileSystem.getFileHandleFromPath(rootHandle, filename, { create: true });
@@ -828,6 +947,9 @@ async function _createFile({ filename, content = '' }, rootHandle) {
 async function _rewriteFile({ filename, content }, rootHandle) {
     if (!filename) throw new Error("The 'filename' parameter is required for rewrite_file.");
     const cleanContent = stripMarkdownCodeBlock(content);
+    if (changeReview.enabled) {
+        return await stageFileContent(rootHandle, filename, cleanContent, 'rewrite_file');
+    }
     const fileHandle = await FileSystem.getFileHandleFromPath(rootHandle, filename, { create: true });
     
     // Enhanced permission handling - try to proceed even if permission check fails
@@ -886,6 +1008,13 @@ async function _deleteFile({ filename }, rootHandle) {
         throw new Error("The 'filename' parameter is required for delete_file. Accepted parameter names: filename, path, file, filepath, file_path");
     }
     if (typeof filename !== 'string') throw new Error("The 'filename' parameter must be a string.");
+
+    if (changeReview.enabled) {
+        const currentContent = await readCurrentContent(rootHandle, filename);
+        if (currentContent === null) throw new Error(`Failed to delete file '${filename}': the file does not exist.`);
+        changeReview.stageDelete(filename, currentContent, 'delete_file');
+        return { message: `Deletion of '${filename}' staged for review.${STAGED_NOTE}`, staged: true };
+    }
     
     try {
         const { parentHandle, entryName } = await FileSystem.getParentDirectoryHandle(rootHandle, filename);
@@ -914,6 +1043,14 @@ async function _renameFile({ old_path, new_path }, rootHandle) {
     if (typeof old_path !== 'string' || typeof new_path !== 'string') {
         throw new Error("The 'old_path' and 'new_path' parameters must be strings.");
     }
+
+    if (changeReview.enabled) {
+        // Only files are staged; folders are renamed with rename_folder
+        const currentContent = await readCurrentContent(rootHandle, old_path);
+        if (currentContent === null) throw new Error(`Failed to rename '${old_path}': no such file.`);
+        changeReview.stageRename(old_path, new_path, currentContent, currentContent, 'rename_file');
+        return { message: `Rename of '${old_path}' to '${new_path}' staged for review.${STAGED_NOTE}`, staged: true };
+    }
     
     try {
         await FileSystem.renameEntry(rootHandle, old_path, new_path);
@@ -952,24 +1089,8 @@ async function _applyDiff({ filename, diff }, rootHandle) {
     if (!filename) throw new Error("The 'filename' parameter is required for apply_diff.");
     if (!diff) throw new Error("The 'diff' parameter is required for apply_diff.");
     
-    const fileHandle = await FileSystem.getFileHandleFromPath(rootHandle, filename);
-    
-    // Enhanced permission handling - try to proceed even if permission check fails
-    let hasPermission = false;
-    try {
-        hasPermission = await FileSystem.verifyAndRequestPermission(fileHandle, true);
-    } catch (permissionError) {
-        console.warn('Permission check failed, attempting to proceed:', permissionError.message);
-        hasPermission = true; // Optimistically proceed
-    }
-    
-    if (!hasPermission) {
-        throw new Error('Permission to write to the file was denied.');
-    }
-    
-    const file = await fileHandle.getFile();
-    const originalContent = await file.text();
-    UndoManager.push(filename, originalContent);
+    const target = await openFileForEdit(rootHandle, filename);
+    const originalContent = await target.text();
     
     const lines = originalContent.split(/\r?\n/);
     const originalLineCount = lines.length;
@@ -1149,19 +1270,21 @@ async function _applyDiff({ filename, diff }, rootHandle) {
     // Validate syntax before writing, but do not block
     const validationResult = await validateSyntaxBeforeWrite(filename, newContent);
     
-    const writable = await fileHandle.createWritable();
-    await writable.write(newContent);
-    await writable.close();
+    const staged = await commitFileEdit(target, filename, originalContent, newContent, 'apply_diff');
     
-    // Update editor if file is open
-    if (Editor.getOpenFiles().has(filename)) {
-        Editor.getOpenFiles().get(filename)?.model.setValue(newContent);
+    let message;
+    if (staged) {
+        message = `Staged ${diffBlocks.length} diff block(s) to '${filename}' for review.${STAGED_NOTE}`;
+    } else {
+        // Update editor if file is open
+        if (Editor.getOpenFiles().has(filename)) {
+            Editor.getOpenFiles().get(filename)?.model.setValue(newContent);
+        }
+        
+        await Editor.openFile(target.fileHandle, filename, document.getElementById('tab-bar'), false);
+        document.getElementById('chat-input').focus();
+        message = `Applied ${diffBlocks.length} diff block(s) to '${filename}' successfully.`;
     }
-    
-    await Editor.openFile(fileHandle, filename, document.getElementById('tab-bar'), false);
-    document.getElementById('chat-input').focus();
-    
-    let message = `Applied ${diffBlocks.length} diff block(s) to '${filename}' successfully.`;
     if (!validationResult.isValid) {
         message += `\n\nWARNING: Syntax errors were detected:\n${validationResult.errors}${validationResult.suggestions}`;
     }
@@ -1223,33 +1346,17 @@ async function _smartEditFile({ filename, edits }, rootHandle) {
         }
     }
 
-    const fileHandle = await FileSystem.getFileHandleFromPath(rootHandle, filename);
-
-    // Enhanced permission handling - try to proceed even if permission check fails
-    let hasPermission = false;
-    try {
-        hasPermission = await FileSystem.verifyAndRequestPermission(fileHandle, true);
-    } catch (permissionError) {
-        console.warn('Permission check failed, attempting to proceed:', permissionError.message);
-        hasPermission = true; // Optimistically proceed
-    }
-
-    if (!hasPermission) {
-        throw new Error('Permission to write to the file was denied.');
-    }
-
-    const file = await fileHandle.getFile();
-    const fileSize = file.size;
+    const target = await openFileForEdit(rootHandle, filename);
+    const fileSize = target.size;
     console.log(`_smartEditFile: Processing ${filename} (${fileSize} bytes)`);
 
-    // For very large files (>500KB), use streaming approach
-    if (fileSize > 500000) {
+    // For very large files (>500KB), use streaming approach; review mode needs the whole content
+    if (fileSize > 500000 && !changeReview.enabled) {
         // TODO: Add content verification to streaming edits as well
-        return await _streamingEditFile({ filename, edits, fileHandle, file });
+        return await _streamingEditFile({ filename, edits, fileHandle: target.fileHandle, file: target.file });
     }
 
-    const originalContent = await file.text();
-    UndoManager.push(filename, originalContent);
+    const originalContent = await target.text();
 
     let lines = originalContent.split(/\r?\n/);
     const originalLineCount = lines.length;
@@ -1377,23 +1484,25 @@ async function _smartEditFile({ filename, edits }, rootHandle) {
     // Final validation of the fully assembled content before writing, but do not block
     const validationResult = await validateSyntaxBeforeWrite(filename, newContent);
 
-    const writable = await fileHandle.createWritable();
-    await writable.write(newContent);
-    await writable.close();
+    const staged = await commitFileEdit(target, filename, originalContent, newContent, 'edit_file');
 
-    // Only refresh editor for smaller files to avoid performance issues
-    if (fileSize < 100000 && Editor.getOpenFiles().has(filename)) {
-        Editor.getOpenFiles().get(filename)?.model.setValue(newContent);
-    }
+    if (!staged) {
+        // Only refresh editor for smaller files to avoid performance issues
+        if (fileSize < 100000 && Editor.getOpenFiles().has(filename)) {
+            Editor.getOpenFiles().get(filename)?.model.setValue(newContent);
+        }
 
-    // Only auto-open if file is small enough
-    if (fileSize < 50000) {
-        await Editor.openFile(fileHandle, filename, document.getElementById('tab-bar'), false);
-    }
+        // Only auto-open if file is small enough
+        if (fileSize < 50000) {
+            await Editor.openFile(target.fileHandle, filename, document.getElementById('tab-bar'), false);
+        }
 
-    document.getElementById('chat-input').focus();
+        document.getElementById('chat-input').focus();
+    }
 
-    let message = `Smart edit applied to '${filename}' successfully. ${edits.length} edit(s) applied.`;
+    let message = staged
+        ? `Smart edit to '${filename}' staged for review. ${edits.length} edit(s) applied.${STAGED_NOTE}`
+        : `Smart edit applied to '${filename}' successfully. ${edits.length} edit(s) applied.`;
     if (!validationResult.isValid) {
         message += `\n\nWARNING: Syntax errors were detected and have been written to the file.\nErrors:\n${validationResult.errors}${validationResult.suggestions}`;
     }
@@ -1461,6 +1570,10 @@ async function _appendToFile({ filename, content }, rootHandle) {
     if (!content) throw new Error("The 'content' parameter is required.");
     
     const cleanContent = stripMarkdownCodeBlock(content);
+    if (changeReview.enabled) {
+        const existingContent = await readCurrentContent(rootHandle, filename);
+        return await stageFileContent(rootHandle, filename, existingContent ? `${existingContent}\n${cleanContent}` : cleanContent, 'append_to_file');
+    }
     
     try {
         const fileHandle = await FileSystem.getFileHandleFromPath(rootHandle, filename);
@@ -1736,6 +1849,7 @@ async function _createFolder({ folder_path }, rootHandle) {
 async function _deleteFolder({ folder_path }, rootHandle) {
     if (!folder_path) throw new Error("The 'folder_path' parameter is required for delete_folder.");
     if (typeof folder_path !== 'string') throw new Error("The 'folder_path' parameter must be a string.");
+    assertNotInReviewMode('delete_folder', 'Delete the files one by one with delete_file so each deletion can be reviewed.');
     
     try {
         const { parentHandle, entryName } = await FileSystem.getParentDirectoryHandle(rootHandle, folder_path);
@@ -1769,6 +1883,7 @@ async function _renameFolder({ old_folder_path, new_folder_path }, rootHandle) {
     if (typeof old_folder_path !== 'string' || typeof new_folder_path !== 'string') {
         throw new Error("The 'old_folder_path' and 'new_folder_path' parameters must be strings.");
     }
+    assertNotInReviewMode('rename_folder', 'Move the files one by one with rename_file so each move can be reviewed.');
     
     try {
         await FileSystem.renameEntry(rootHandle, old_folder_path, new_folder_path);
@@ -1889,26 +2004,41 @@ async function _formatCode({ filename }, rootHandle) {
         }
 
         try {
-            const fileHandle = await FileSystem.getFileHandleFromPath(rootHandle, filename);
-            const file = await fileHandle.getFile();
-            const originalContent = await file.text();
-            UndoManager.push(filename, originalContent);
             const parser = Editor.getPrettierParser(filename);
-            
             if (!parser) {
                 return reject(new Error(`Could not determine Prettier parser for file: ${filename}`));
             }
 
+            // In review mode the staged version is formatted and the result staged again
+            const reviewing = changeReview.enabled;
+            let fileHandle = null;
+            let originalContent;
+            if (reviewing) {
+                originalContent = await readCurrentContent(rootHandle, filename);
+                if (originalContent === null) return reject(new Error(`File not found: ${filename}`));
+            } else {
+                fileHandle = await FileSystem.getFileHandleFromPath(rootHandle, filename);
+                originalContent = await (await fileHandle.getFile()).text();
+            }
+
             const prettierWorker = new Worker('prettier.worker.js');
 
             prettierWorker.onmessage = async (event) => {
                 if (event.data.success) {
                     const formattedCode = event.data.formattedCode;
+
+                    if (reviewing) {
+                        changeReview.stageWrite(filename, originalContent, formattedCode, 'format_code');
+                        resolve({ message: `Formatting of '${filename}' staged for review.${STAGED_NOTE}`, staged: true });
+                        prettierWorker.terminate();
+                        return;
+                    }
                     
                     if (!await FileSystem.verifyAndRequestPermission(fileHandle, true)) {
                         return reject(new Error('Permission to write to the file was denied.'));
                     }
                     
+                    UndoManager.push(filename, originalContent);
                     const writable = await fileHandle.createWritable();
                     await writable.write(formattedCode);
                     await writable.close();
@@ -1998,41 +2128,159 @@ async function _analyzeCode({ filename }, rootHandle) {
     }
 }
 
-// REMOVED: validateTerminalCommand - No longer needed since run_terminal_command has been removed
+// --- Backend Terminal Tools ---
+
+const TERMINAL_RESULT_MAX_CHARS = 20000;
+
+function truncateTerminalOutput(text) {
+    if (text.length <= TERMINAL_RESULT_MAX_CHARS) return text;
+    const omitted = text.length - TERMINAL_RESULT_MAX_CHARS;
+    return `[... ${omitted} characters omitted ...]\n` + text.slice(-TERMINAL_RESULT_MAX_CHARS);
+}
+
+/**
+ * Checks a command against the backend policy before it is forwarded.
+ * Commands that need approval are shown to the user inside the tool log entry.
+ * @returns {Promise<boolean>} true when the user explicitly approved the command
+ */
+async function enforceCommandPolicy(command, logEntry) {
+    let { action, reason, rule } = await BackendCommands.evaluateCommandPolicy(command);
+    // Commands write straight to disk, past the Review panel
+    if (action === 'allow' && changeReview.enabled) {
+        action = 'approve';
+        reason = 'Review mode is on, and commands change files on disk without staging them.';
+    }
+    if (action === 'deny') {
+        throw new BackendCommands.CommandPolicyError(`Command denied by policy: ${reason}`, { code: 'COMMAND_DENIED', command, rule, reason });
+    }
+    if (action === 'approve') {
+        const approved = await UI.requestCommandApproval(logEntry, command, reason);
+        if (!approved) {
+            throw new BackendCommands.CommandPolicyError('The user did not approve this command. Do not retry it; ask the user how to proceed instead.', { code: 'COMMAND_NOT_APPROVED', command, rule, reason });
+        }
+        return true;
+    }
+    return false;
+}
+
+async function _runTerminalCommand({ command }, rootHandle, context = {}) {
+    if (!command) throw new Error("The 'command' parameter is required.");
+    const { logEntry, approved } = context;
+
+    const result = await BackendCommands.streamCommand(command, {
+        turnId: ChatService.currentTurnId,
+        approved: approved === true,
+        onEvent: (event, data) => {
+            switch (event) {
+                case 'stdout':
+                case 'stderr':
+                    UI.appendToolLogOutput(logEntry, data.chunk, event);
+                    break;
+                case 'truncated':
+                    UI.appendToolLogOutput(logEntry, `\n[output truncated at ${Math.round(data.maxOutputBytes / 1024)} KB]\n`, 'info');
+                    break;
+                case 'exit':
+                    UI.appendToolLogOutput(logEntry, `\n[${data.status}: exit code ${data.code}${data.signal ? `, signal ${data.signal}` : ''}]\n`, 'info');
+                    break;
+                case 'error':
+                    UI.appendToolLogOutput(logEntry, `\n[error] ${data.message}\n`, 'stderr');
+                    break;
+            }
+        },
+    });
+
+    const { jobId, status, exitCode, signal, stdout, stderr, outputTruncated } = result;
+    if (result.error) {
+        throw new Error(`Failed to run command: ${result.error}`);
+    }
+    if (!status) {
+        throw new Error('The command stream ended before the process exited.');
+    }
+    if (status !== 'completed') {
+        const reason = {
+            timed_out: 'Command timed out and was terminated',
+            cancelled: 'Command was cancelled',
+            killed: 'Command was killed',
+        }[status] || `Command failed with exit code ${exitCode}`;
+        throw new Error(`${reason}${signal ? ` (signal ${signal})` : ''}. Job: ${jobId}\nstdout: ${truncateTerminalOutput(stdout)}\nstderr: ${truncateTerminalOutput(stderr)}`);
+    }
+
+    return {
+        jobId,
+        exitCode,
+        outputTruncated,
+        stdout: truncateTerminalOutput(stdout),
+        stderr: truncateTerminalOutput(stderr),
+    };
+}
+
+// --- Git Tools (executed by the backend against the project root) ---
+
+async function _gitStatus() {
+    return BackendCommands.runGitTool('git_status');
+}
+
+async function _gitDiff({ path, staged, ref, context }) {
+    return BackendCommands.runGitTool('git_diff', { path, staged, ref, context });
+}
+
+async function _gitAdd({ paths, all }) {
+    if (!all && (!paths || paths.length === 0)) {
+        throw new Error("Provide 'paths' to stage, or set 'all' to true.");
+    }
+    return BackendCommands.runGitTool('git_add', { paths, all });
+}
+
+async function _gitCommit({ message, all }) {
+    if (!message || !message.trim()) throw new Error("The 'message' parameter is required.");
+    // A commit would record the disk state without the changes under review
+    assertNotInReviewMode('git_commit', 'Ask the user to approve the staged changes in the Review panel first.');
+    return BackendCommands.runGitTool('git_commit', { message, all });
+}
+
+async function _gitCheckoutBranch({ branch, create, start_point }, rootHandle) {
+    if (!branch) throw new Error("The 'branch' parameter is required.");
+    assertNotInReviewMode('git_checkout_branch', 'Ask the user to approve or reject the staged changes in the Review panel first.');
+    const result = await BackendCommands.runGitTool('git_checkout_branch', { branch, create, start_point });
 
-// REMOVED: _runTerminalCommand - This tool has been removed to maintain the client-centric architecture.
-// Terminal operations are not needed for a browser-based code editor focused on file editing.
-// This eliminates security risks and backend dependencies for command execution.
+    // Switching branches rewrites files on disk, so refresh the tree
+    await UI.refreshFileTree(rootHandle, (filePath) => {
+        const fileHandle = FileSystem.getFileHandleFromPath(rootHandle, filePath);
+        Editor.openFile(fileHandle, filePath, document.getElementById('tab-bar'));
+    });
+    return result;
+}
 
-// REMOVED: escapeShellArg - No longer needed since terminal commands have been removed
+async function _gitLog({ path, ref, limit }) {
+    return BackendCommands.runGitTool('git_log', { path, ref, limit });
+}
 
-// REMOVED: _getFileHistory - Git operations removed to maintain client-centric architecture.
-// File history can be implemented using browser-based git libraries if needed in the future.
-async function _getFileHistory({ filename }, rootHandle) {
-    throw new Error("File history feature has been disabled. This browser-based editor focuses on file editing without requiring git/terminal access. Consider using your local git client for version control operations.");
+async function _gitShow({ ref, path }) {
+    return BackendCommands.runGitTool('git_show', { ref, path });
 }
 
 // --- Non-Project Tools ---
 
-async function _readUrl({ url }) {
+async function _readUrl({ url, page }) {
     const response = await fetch('/api/read-url', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ url }),
+        body: JSON.stringify({ url, page, allowPrivateNetwork: !!Settings.get('network.allowPrivateUrls') }),
     });
     const urlResult = await response.json();
     if (response.ok) {
         return urlResult;
     } else {
-        throw new Error(urlResult.message || 'Failed to read URL');
+        throw new BackendCommands.BackendToolError(urlResult.message || 'Failed to read URL', { code: urlResult.code, url });
     }
 }
 
-async function _duckduckgoSearch({ query }) {
-    const response = await fetch('/api/duckduckgo-search', {
+// Uses the search provider selected in Settings (DuckDuckGo unless changed)
+async function _webSearch({ query, max_results }) {
+    const response = await fetch('/api/web-search', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ query }),
+        body: JSON.stringify({ query, maxResults: max_results, searchConfig: Settings.getSearchSettings() }),
     });
     const searchResult = await response.json();
     if (response.ok) {
@@ -2325,7 +2573,7 @@ async function _performResearch({ query, max_results = 3, depth = 2, relevance_t
                 UI.appendMessage(document.getElementById('chat-messages'),
                     `🔍 Search ${index + 1}/${searchQueries.length}: "${query}"`, 'ai');
                 
-                const results = await _duckduckgoSearch({ query });
+                const results = await _webSearch({ query });
                 
                 // Record the search
                 researchState.searchHistory.push({
@@ -2378,6 +2626,56 @@ async function _performResearch({ query, max_results = 3, depth = 2, relevance_t
         return uniqueResults;
     }
 
+    /**
+     * When a research_relevance route is configured, asks that model to score the top
+     * results and blends its scores with the heuristic ones. Without a route, or if the
+     * model gives no valid scores, the heuristic order is kept.
+     */
+    async function rerankWithModel(results) {
+        if (!getRouteRule('research_relevance', Settings.getLLMSettings()) || results.length < 2) {
+            return results;
+        }
+        const candidates = results.slice(0, 15);
+        const listing = candidates
+            .map((r, i) => `${i}. ${r.title}\n   ${r.url}\n   ${(r.snippet || '').slice(0, 200)}`)
+            .join('\n');
+        const prompt = `Rate how useful each search result is for researching: "${query}"
+
+${listing}
+
+Score every result number from 0 (useless) to 1 (essential).`;
+        const schema = {
+            type: 'object',
+            properties: {
+                scores: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            index: { type: 'integer' },
+                            score: { type: 'number', minimum: 0, maximum: 1 },
+                        },
+                        required: ['index', 'score'],
+                    },
+                },
+            },
+            required: ['scores'],
+        };
+        try {
+            const { scores } = await ChatService.generateStructured(schema, prompt, { site: 'research_relevance', name: 'relevance_scores' });
+            for (const { index, score } of scores) {
+                if (candidates[index]) {
+                    candidates[index].relevanceScore = (candidates[index].relevanceScore + score) / 2;
+                }
+            }
+            results.sort((a, b) => b.relevanceScore - a.relevanceScore);
+            console.log('[Research Stage 1] Re-ranked results with the research_relevance model.');
+        } catch (error) {
+            console.warn('[Research Stage 1] Model relevance scoring failed; keeping heuristic order:', error.message);
+        }
+        return results;
+    }
+
     /**
      * Decides whether a URL should be read based on relevance to the research goal
      * Enhanced for multi-stage approach
@@ -2580,7 +2878,7 @@ async function _performResearch({ query, max_results = 3, depth = 2, relevance_t
                 UI.appendMessage(document.getElementById('chat-messages'),
                     `🔍 Focused search: "${query}" (Stage 3)`, 'ai');
                 
-                const searchResults = await _duckduckgoSearch({ query });
+                const searchResults = await _webSearch({ query });
                 
                 researchState.searchHistory.push({
                     query,
@@ -2642,7 +2940,7 @@ async function _performResearch({ query, max_results = 3, depth = 2, relevance_t
             researchState.searchQueries = searchQueries;
             
             // Execute searches in parallel
-            const urlsByRelevance = await executeParallelSearches(searchQueries);
+            const urlsByRelevance = await rerankWithModel(await executeParallelSearches(searchQueries));
             researchState.urlsByRelevance = urlsByRelevance;
             
             // Select and process the most relevant URLs from Stage 1
@@ -2956,6 +3254,8 @@ async function _replaceSelectedText({ new_text }) {
 
 
 async function _undoLastChange(params, rootHandle) {
+   // The undo stack holds written changes only; staged ones are rejected in the Review panel
+   assertNotInReviewMode('undo_last_change', 'Staged changes are undone by rejecting them in the Review panel.');
    const lastState = UndoManager.pop();
    if (!lastState) {
        return { message: "No file modifications to undo." };
@@ -3753,8 +4053,14 @@ const toolRegistry = {
     reindex_codebase_paths: { handler: _reindexCodebasePaths, requiresProject: true, createsCheckpoint: false },
     format_code: { handler: _formatCode, requiresProject: true, createsCheckpoint: false },
     analyze_code: { handler: _analyzeCode, requiresProject: true, createsCheckpoint: false },
-    // REMOVED: run_terminal_command - Eliminated to maintain client-centric architecture
-    get_file_history: { handler: _getFileHistory, requiresProject: true, createsCheckpoint: false },
+    run_terminal_command: { handler: _runTerminalCommand, requiresProject: true, createsCheckpoint: false, runsShellCommand: true },
+    git_status: { handler: _gitStatus, requiresProject: true, createsCheckpoint: false },
+    git_diff: { handler: _gitDiff, requiresProject: true, createsCheckpoint: false },
+    git_add: { handler: _gitAdd, requiresProject: true, createsCheckpoint: false },
+    git_commit: { handler: _gitCommit, requiresProject: true, createsCheckpoint: false },
+    git_checkout_branch: { handler: _gitCheckoutBranch, requiresProject: true, createsCheckpoint: true },
+    git_log: { handler: _gitLog, requiresProject: true, createsCheckpoint: false },
+    git_show: { handler: _gitShow, requiresProject: true, createsCheckpoint: false },
 
 
     // Smart file modification tools
@@ -3780,7 +4086,7 @@ const toolRegistry = {
 
     // Non-project / Editor tools
     read_url: { handler: _readUrl, requiresProject: false, createsCheckpoint: false },
-    duckduckgo_search: { handler: _duckduckgoSearch, requiresProject: false, createsCheckpoint: false },
+    duckduckgo_search: { handler: _webSearch, requiresProject: false, createsCheckpoint: false },
     perform_research: { handler: _performResearch, requiresProject: false, createsCheckpoint: false },
     get_open_file_content: { handler: _getOpenFileContent, requiresProject: false, createsCheckpoint: false },
     get_selected_text: { handler: _getSelectedText, requiresProject: false, createsCheckpoint: false },
@@ -3803,27 +4109,18 @@ const toolRegistry = {
 
 // --- Core Execution Logic ---
 
-async function createAutomaticCheckpoint() {
+async function createAutomaticCheckpoint(toolName, paths, rootHandle) {
     try {
-        const editorState = Editor.getEditorState();
-        if (editorState.openFiles.length > 0) {
-            const checkpointData = {
-                name: `Auto-Checkpoint @ ${new Date().toLocaleString()}`,
-                editorState: editorState,
-                timestamp: Date.now(),
-            };
-            await DbManager.saveCheckpoint(checkpointData);
-        }
+        await Checkpoints.create(rootHandle, {
+            name: `Auto-Checkpoint before ${toolName} @ ${new Date().toLocaleString()}`,
+            paths,
+        });
     } catch (error) {
-        if (error.message.includes('Model is disposed')) {
-            console.warn('Skipping automatic checkpoint: A file model was disposed during the process.');
-        } else {
-            console.error('Failed to create automatic checkpoint:', error);
-        }
+        console.error('Failed to create automatic checkpoint:', error);
     }
 }
 
-async function executeTool(toolCall, rootDirectoryHandle) {
+async function executeTool(toolCall, rootDirectoryHandle, context = {}) {
     const { name: toolName, args: parameters } = toolCall;
     const tool = toolRegistry[toolName];
 
@@ -3838,14 +4135,27 @@ async function executeTool(toolCall, rootDirectoryHandle) {
         return { error: "No project folder is open. Please ask the user to open a folder before using this tool." };
     }
 
-    if (tool.createsCheckpoint) {
-        await createAutomaticCheckpoint();
+    if (tool.runsShellCommand) {
+        context.approved = await enforceCommandPolicy(parameters.command, context.logEntry);
+    }
+
+    // The files the tool will change are snapshotted for checkpoints and the change timeline
+    let timelineCall = null;
+    if (tool.createsCheckpoint && rootDirectoryHandle) {
+        const paths = await Checkpoints.pathsForTool(toolName, parameters, rootDirectoryHandle);
+        await createAutomaticCheckpoint(toolName, paths, rootDirectoryHandle);
+        timelineCall = await changeTimeline.beginCall(toolName, parameters, paths, rootDirectoryHandle);
     }
 
     console.debug(`[Tool Start] Executing tool: ${toolName}`, { parameters });
-    const result = await tool.handler(parameters, rootDirectoryHandle);
-    console.debug(`[Tool Success] Tool ${toolName} finished.`, { result });
-    return result;
+    try {
+        const result = await tool.handler(parameters, rootDirectoryHandle, context);
+        console.debug(`[Tool Success] Tool ${toolName} finished.`, { result });
+        return result;
+    } finally {
+        // Failed tools may still have written some files
+        await changeTimeline.endCall(timelineCall, rootDirectoryHandle);
+    }
 }
 
 // REMOVED: TOOLS_REQUIRING_SYNTAX_CHECK - no longer using automatic syntax checking
@@ -3897,7 +4207,7 @@ export async function execute(toolCall, rootDirectoryHandle, silent = false) {
     try {
         // Enhanced execution with performance monitoring
         performanceOptimizer.startTimer(`tool_${toolName}`);
-        resultForModel = await executeTool(toolCall, rootDirectoryHandle);
+        resultForModel = await executeTool(toolCall, rootDirectoryHandle, { logEntry });
         const executionTime = performanceOptimizer.endTimer(`tool_${toolName}`);
         
         // Track performance metrics
@@ -3933,7 +4243,7 @@ export async function execute(toolCall, rootDirectoryHandle, silent = false) {
             }
         }
         
-        resultForModel = { error: errorMessage };
+        resultForModel = error.details ? { error: errorMessage, ...error.details } : { error: errorMessage };
         UI.showError(errorMessage);
         console.debug(`[Tool Error] Tool ${toolName} failed.`, { error: errorMessage, details: error });
         console.error(errorMessage, error);
@@ -3945,6 +4255,12 @@ export async function execute(toolCall, rootDirectoryHandle, silent = false) {
         });
     }
 
+    // Tell the agent about review decisions made since its last tool call
+    const reviewFeedback = changeReview.takeFeedback();
+    if (reviewFeedback) {
+        resultForModel = { ...resultForModel, review_feedback: reviewFeedback };
+    }
+
     const resultForLog = isSuccess ? { status: 'Success', ...resultForModel } : { status: 'Error', message: resultForModel.error };
     console.log('Result:', resultForLog);
     console.groupEnd();
@@ -3969,18 +4285,24 @@ export function getToolDefinitions() {
             { name: 'read_multiple_files', description: "Reads and concatenates the content of multiple files. Essential for multi-file context tasks.", parameters: { type: 'OBJECT', properties: { filenames: { type: 'ARRAY', items: { type: 'STRING' } } }, required: ['filenames'] } },
             { name: 'read_file_lines', description: 'Reads a specific range of lines from a file. Output will always include line numbers. Use for quick inspection of specific code sections.', parameters: { type: 'OBJECT', properties: { filename: { type: 'STRING' }, start_line: { type: 'NUMBER' }, end_line: { type: 'NUMBER' } }, required: ['filename', 'start_line', 'end_line'] } },
             { name: 'search_in_file', description: 'Searches for a pattern in a file and returns matching lines. Use this for large files.', parameters: { type: 'OBJECT', properties: { filename: { type: 'STRING' }, pattern: { type: 'STRING' }, context: { type: 'NUMBER' } }, required: ['filename', 'pattern'] } },
-            { name: 'read_url', description: 'Reads and extracts the main content and all links from a given URL. The result will be a JSON object with "content" and "links" properties.', parameters: { type: 'OBJECT', properties: { url: { type: 'STRING' } }, required: ['url'] } },
+            { name: 'read_url', description: 'Reads the main content of a web page as Markdown (headings, code blocks, lists and tables are kept) plus the links it contains. Long pages are split into pages: the result includes "page", "totalPages" and "hasMore"; request the next page with the "page" parameter.', parameters: { type: 'OBJECT', properties: { url: { type: 'STRING' }, page: { type: 'NUMBER', description: '1-based page of the document to return. Defaults to 1.' } }, required: ['url'] } },
             { name: 'get_open_file_content', description: 'Gets the content of the currently open file in the editor.' },
             { name: 'get_selected_text', description: 'Gets the text currently selected by the user in the editor.' },
             { name: 'replace_selected_text', description: 'Replaces the currently selected text in the editor with new text.', parameters: { type: 'OBJECT', properties: { new_text: { type: 'STRING', description: 'The raw text to replace the selection with. CRITICAL: Do NOT wrap this content in markdown backticks (```).' } }, required: ['new_text'] } },
             { name: 'get_project_structure', description: 'Gets the entire file and folder structure of the project. CRITICAL: Always use this tool before attempting to read or create a file to ensure you have the correct file path.' },
-            { name: 'duckduckgo_search', description: 'Performs a search using DuckDuckGo and returns the results.', parameters: { type: 'OBJECT', properties: { query: { type: 'STRING' } }, required: ['query'] } },
+            { name: 'duckduckgo_search', description: 'Searches the web and returns result titles, links and snippets. Uses the provider selected in Settings (DuckDuckGo by default, or SearXNG, Brave or Bing).', parameters: { type: 'OBJECT', properties: { query: { type: 'STRING' }, max_results: { type: 'NUMBER', description: 'Maximum number of results (default 10, max 50).' } }, required: ['query'] } },
             { name: 'perform_research', description: '🔬 ENHANCED: Performs intelligent, recursive web research with AI-driven decision making. Automatically searches, analyzes content relevance, follows promising links, and expands searches based on discovered information. Much more comprehensive than simple search.', parameters: { type: 'OBJECT', properties: { query: { type: 'STRING', description: 'The research query or topic to investigate' }, max_results: { type: 'NUMBER', description: 'Maximum URLs to read per search (1-5, default: 3)' }, depth: { type: 'NUMBER', description: 'Maximum recursion depth for following links (1-4, default: 2)' }, relevance_threshold: { type: 'NUMBER', description: 'Minimum relevance score to read URLs (0.3-1.0, default: 0.7). Lower = more URLs read' } }, required: ['query'] } },
             { name: 'search_code', description: 'Searches for a specific string in all files in the project (like grep).', parameters: { type: 'OBJECT', properties: { search_term: { type: 'STRING' } }, required: ['search_term'] } },
-            // REMOVED: run_terminal_command - Tool eliminated to maintain browser-first architecture
+            { name: 'run_terminal_command', description: 'Runs a shell command in the project root on the backend server. Output is streamed live to the user and returned as { exitCode, stdout, stderr } when the command finishes. A non-zero exit code is reported as an error that includes the output. Commands are killed after the configured timeout, when the user cancels the turn, and output beyond the configured cap is dropped.', parameters: { type: 'OBJECT', properties: { command: { type: 'STRING', description: 'The shell command to run, e.g. "npm test".' } }, required: ['command'] } },
             { name: 'build_or_update_codebase_index', description: 'Scans the entire codebase to build a searchable index. Slow, run once per session.' },
             { name: 'query_codebase', description: 'Searches the pre-built codebase index.', parameters: { type: 'OBJECT', properties: { query: { type: 'STRING' } }, required: ['query'] } },
-            { name: 'get_file_history', description: "DISABLED: Git history feature has been disabled in this browser-based editor. Use your local git client for version control operations.", parameters: { type: 'OBJECT', properties: { filename: { type: 'STRING' } }, required: ['filename'] } },
+            { name: 'git_status', description: 'Gets the git working tree status as JSON: current branch, upstream, ahead/behind counts, and each changed file with its staged (index) and unstaged (worktree) state.' },
+            { name: 'git_diff', description: "Gets a parsed git diff as JSON (files -> hunks -> lines). By default shows unstaged changes; set 'staged' for changes staged for commit, or 'ref' to compare against a commit or branch.", parameters: { type: 'OBJECT', properties: { path: { type: 'STRING', description: 'Optional file or folder to limit the diff to' }, staged: { type: 'BOOLEAN', description: 'Show staged changes (git diff --cached)' }, ref: { type: 'STRING', description: "Optional commit/branch to diff against, e.g. 'HEAD' or 'main'" }, context: { type: 'NUMBER', description: 'Lines of context around each change (default 3)' } } } },
+            { name: 'git_add', description: "Stages files for the next commit. Provide 'paths' or set 'all' to stage every change.", parameters: { type: 'OBJECT', properties: { paths: { type: 'ARRAY', items: { type: 'STRING' }, description: 'Paths relative to the project root' }, all: { type: 'BOOLEAN', description: 'Stage all changes, including untracked files' } } } },
+            { name: 'git_commit', description: "Commits the staged changes and returns the new commit. Use git_add first, or set 'all' to commit every tracked modification.", parameters: { type: 'OBJECT', properties: { message: { type: 'STRING', description: 'The commit message' }, all: { type: 'BOOLEAN', description: 'Automatically stage modified and deleted tracked files (git commit -a)' } }, required: ['message'] } },
+            { name: 'git_checkout_branch', description: "Switches to a branch, or creates it first when 'create' is true.", parameters: { type: 'OBJECT', properties: { branch: { type: 'STRING' }, create: { type: 'BOOLEAN', description: 'Create the branch (git checkout -b)' }, start_point: { type: 'STRING', description: 'Optional commit/branch to start the new branch from' } }, required: ['branch'] } },
+            { name: 'git_log', description: "Lists commits as JSON (hash, author, date, subject). Pass 'path' to get the history of a single file.", parameters: { type: 'OBJECT', properties: { path: { type: 'STRING', description: 'Optional file to show history for' }, ref: { type: 'STRING', description: 'Optional branch or commit to start from' }, limit: { type: 'NUMBER', description: 'Maximum commits to return (default 20, max 200)' } } } },
+            { name: 'git_show', description: "Shows a commit (metadata and parsed diff). When 'path' is given, returns that file's content at the commit instead.", parameters: { type: 'OBJECT', properties: { ref: { type: 'STRING', description: "Commit, branch or tag (default 'HEAD')" }, path: { type: 'STRING', description: 'Optional file path to read at that revision' } } } },
             // REMOVED: insert_content, create_and_apply_diff, replace_lines - simplified to use rewrite_file only
             { name: 'format_code', description: "Formats a file with Prettier. CRITICAL: Do NOT include the root directory name in the path.", parameters: { type: 'OBJECT', properties: { filename: { type: 'STRING' } }, required: ['filename'] } },
             { name: 'analyze_code', description: "Analyzes a JavaScript file's structure. CRITICAL: Do NOT include the root directory name in the path.", parameters: { type: 'OBJECT', properties: { filename: { type: 'STRING' } }, required: ['filename'] } },
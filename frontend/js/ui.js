@@ -1,6 +1,12 @@
 import { buildTree, getIgnorePatterns } from './file_system.js';
 import { Settings, dispatchLLMSettingsUpdated } from './settings.js';
 import { DbManager } from './db.js';
+import { compatibleEndpointsUI } from './compatible_endpoints_ui.js';
+import { modelRoutingUI } from './model_routing_ui.js';
+import { llmRecordingUI } from './llm_recording_ui.js';
+import { ollamaModelsUI } from './ollama_models_ui.js';
+import { PROVIDER_LABELS } from './llm/provider_failover.js';
+import { parsePricingOverrides, formatPricingOverrides, formatUSD } from './llm/pricing.js';
 
 export function initResizablePanels(editor) {
     window.splitInstance = Split(['#file-tree-container', '#editor-container', '#chat-panel'], {
@@ -146,7 +152,11 @@ export function updateDirectoryButtons(isConnected, needsReconnect = false) {
     }
 }
 
-export function appendMessage(chatMessages, text, sender, isStreaming = false) {
+/**
+ * @param {object} options - { reasoning }: the model's reasoning summary, shown in a
+ *   collapsed block above an 'ai' message.
+ */
+export function appendMessage(chatMessages, text, sender, isStreaming = false, options = {}) {
     // Thinking indicator lifecycle is managed centrally in ChatService._performApiCall.
     // Do not hide it here to avoid premature removal when non-stream AI messages are appended.
     if (sender === 'ai' && !isStreaming) {
@@ -182,7 +192,21 @@ export function appendMessage(chatMessages, text, sender, isStreaming = false) {
     }
 
     if (sender === 'ai') {
+        // Re-rendering a streamed message must not collapse a block the user opened
+        const reasoningWasOpen = !!messageDiv.querySelector(':scope > .reasoning-block')?.open;
         messageDiv.innerHTML = DOMPurify.sanitize(marked.parse(text));
+        if (options.reasoning) {
+            const reasoningBlock = document.createElement('details');
+            reasoningBlock.className = 'reasoning-block';
+            reasoningBlock.open = reasoningWasOpen;
+            const summary = document.createElement('summary');
+            summary.textContent = isStreaming && !text ? 'Reasoning...' : 'Reasoning';
+            const body = document.createElement('div');
+            body.className = 'reasoning-content';
+            body.innerHTML = DOMPurify.sanitize(marked.parse(options.reasoning));
+            reasoningBlock.append(summary, body);
+            messageDiv.prepend(reasoningBlock);
+        }
 
         const mermaidBlocks = messageDiv.querySelectorAll('pre code.language-mermaid');
         mermaidBlocks.forEach(block => {
@@ -340,6 +364,140 @@ export function appendToolLog(chatMessages, toolName, params) {
     return logEntry;
 }
 
+const TOOL_LOG_OUTPUT_MAX_CHARS = 200000;
+
+/**
+ * Appends a chunk of live process output to a tool log entry.
+ * The output block is created on first use; stderr chunks are highlighted.
+ * @param {HTMLElement} logEntry - Entry returned by appendToolLog
+ * @param {string} text - Output chunk
+ * @param {'stdout'|'stderr'|'info'} stream - Source of the chunk
+ */
+export function appendToolLogOutput(logEntry, text, stream = 'stdout') {
+    if (!logEntry || !text) return;
+
+    let outputPre = logEntry.querySelector('.tool-log-output');
+    if (!outputPre) {
+        outputPre = document.createElement('pre');
+        outputPre.className = 'tool-log-output';
+        logEntry.appendChild(outputPre);
+    }
+
+    // Stick to the bottom only if the user hasn't scrolled up to read earlier output
+    const atBottom = outputPre.scrollHeight - outputPre.scrollTop - outputPre.clientHeight < 20;
+
+    const span = document.createElement('span');
+    span.className = `tool-log-output-${stream}`;
+    span.textContent = text;
+    outputPre.appendChild(span);
+
+    // Drop the oldest chunks once the rendered output grows too large
+    while (outputPre.textContent.length > TOOL_LOG_OUTPUT_MAX_CHARS && outputPre.childNodes.length > 1) {
+        outputPre.removeChild(outputPre.firstChild);
+    }
+
+    if (atBottom) {
+        outputPre.scrollTop = outputPre.scrollHeight;
+    }
+
+    const chatMessages = logEntry.parentElement;
+    if (chatMessages) {
+        chatMessages.scrollTop = chatMessages.scrollHeight;
+    }
+}
+
+/**
+ * Shows an approve/deny prompt for a shell command inside a tool log entry.
+ * Falls back to a native confirm dialog when there is no log entry (silent calls).
+ * @returns {Promise<boolean>} whether the user approved the command
+ */
+export function requestCommandApproval(logEntry, command, reason) {
+    if (!logEntry) {
+        return Promise.resolve(confirm(`The AI wants to run:\n\n${command}\n\n${reason}\n\nAllow it?`));
+    }
+
+    return new Promise((resolve) => {
+        const prompt = document.createElement('div');
+        prompt.className = 'command-approval';
+
+        const message = document.createElement('div');
+        message.className = 'command-approval-message';
+        message.textContent = `Approval required: ${reason}`;
+
+        const commandPre = document.createElement('pre');
+        commandPre.className = 'command-approval-command';
+        commandPre.textContent = command;
+
+        const actions = document.createElement('div');
+        actions.className = 'command-approval-actions';
+        const approveButton = document.createElement('button');
+        approveButton.className = 'command-approval-approve';
+        approveButton.textContent = 'Run command';
+        const denyButton = document.createElement('button');
+        denyButton.className = 'command-approval-deny';
+        denyButton.textContent = 'Deny';
+        actions.append(approveButton, denyButton);
+
+        prompt.append(message, commandPre, actions);
+        logEntry.appendChild(prompt);
+        logEntry.parentElement?.scrollTo({ top: logEntry.parentElement.scrollHeight });
+
+        const onCancel = () => settle(false);
+        const settle = (approved) => {
+            document.removeEventListener('chat-turn-cancelled', onCancel);
+            actions.remove();
+            message.textContent = approved ? 'Approved by user.' : 'Denied by user.';
+            prompt.classList.add(approved ? 'approved' : 'denied');
+            resolve(approved);
+        };
+        approveButton.onclick = () => settle(true);
+        denyButton.onclick = () => settle(false);
+        // Cancelling the chat turn counts as a denial so the tool call can finish
+        document.addEventListener('chat-turn-cancelled', onCancel);
+    });
+}
+
+/**
+ * Asks in the chat whether the agent should keep going after a soft budget limit.
+ * @returns {Promise<boolean>} whether the user chose to continue
+ */
+export function requestBudgetApproval(chatMessages, text) {
+    return new Promise((resolve) => {
+        const prompt = document.createElement('div');
+        prompt.className = 'command-approval budget-approval';
+
+        const message = document.createElement('div');
+        message.className = 'command-approval-message';
+        message.textContent = text;
+
+        const actions = document.createElement('div');
+        actions.className = 'command-approval-actions';
+        const continueButton = document.createElement('button');
+        continueButton.className = 'command-approval-approve';
+        continueButton.textContent = 'Continue';
+        const stopButton = document.createElement('button');
+        stopButton.className = 'command-approval-deny';
+        stopButton.textContent = 'Stop';
+        actions.append(continueButton, stopButton);
+
+        prompt.append(message, actions);
+        chatMessages.appendChild(prompt);
+        chatMessages.scrollTop = chatMessages.scrollHeight;
+
+        const onCancel = () => settle(false);
+        const settle = (approved) => {
+            document.removeEventListener('chat-turn-cancelled', onCancel);
+            actions.remove();
+            message.textContent = `${text} ${approved ? 'Continued by user.' : 'Stopped.'}`;
+            prompt.classList.add(approved ? 'approved' : 'denied');
+            resolve(approved);
+        };
+        continueButton.onclick = () => settle(true);
+        stopButton.onclick = () => settle(false);
+        document.addEventListener('chat-turn-cancelled', onCancel);
+    });
+}
+
 export function updateToolLog(logEntry, isSuccess) {
     const statusIcon = logEntry.querySelector('.status-icon');
     statusIcon.classList.remove('loader');
@@ -383,10 +541,12 @@ export function renderCheckpoints(checkpointsListContainer, checkpoints) {
     checkpoints.forEach(cp => {
         const tr = document.createElement('tr');
         tr.className = 'checkpoint-entry';
+        // Project checkpoints list the files that changed since the previous one
+        const files = cp.changedPaths ? cp.changedPaths.join(', ') || 'No changes' : (cp.filePath || 'N/A');
         tr.innerHTML = `
             <td><input type="checkbox" class="checkpoint-checkbox" data-id="${cp.id}"></td>
             <td class="checkpoint-name" title="${cp.name}">${cp.name}</td>
-            <td class="checkpoint-file" title="${cp.filePath || 'N/A'}">${cp.filePath || 'N/A'}</td>
+            <td class="checkpoint-file" title="${files}">${files}</td>
             <td class="checkpoint-timestamp">${new Date(cp.timestamp).toLocaleString()}</td>
             <td>
                 <button class="restore-checkpoint-button" data-id="${cp.id}">Restore</button>
@@ -533,6 +693,18 @@ export async function updateIndexedDBUsage() {
   }
 }
 
+// Agent modes with their own reasoning effort setting (#agent-mode-selector values)
+const REASONING_MODES = ['code', 'amend', 'search'];
+
+function parseFailoverChain(text) {
+    const providers = text.split(',').map(p => p.trim().toLowerCase()).filter(Boolean);
+    const unknown = providers.filter(p => !PROVIDER_LABELS[p]);
+    if (unknown.length > 0) {
+        showToast(`Ignoring unknown fallback provider(s): ${unknown.join(', ')}`, 'error');
+    }
+    return providers.filter(p => PROVIDER_LABELS[p]);
+}
+
 export async function saveLLMSettings() {
     const provider = document.querySelector('.settings-tabs .tab-link.active').dataset.tab.replace('-settings', '');
 
@@ -542,9 +714,35 @@ export async function saveLLMSettings() {
         'llm.gemini.model': document.getElementById('gemini-model-selector').value,
         'llm.openai.apiKey': document.getElementById('openai-api-key').value,
         'llm.openai.model': document.getElementById('openai-model-selector').value,
+        'llm.anthropic.apiKey': document.getElementById('anthropic-api-keys').value,
+        'llm.anthropic.model': document.getElementById('anthropic-model-selector').value,
         'llm.ollama.baseURL': document.getElementById('ollama-base-url').value,
         'llm.ollama.model': document.getElementById('ollama-model-name').value,
         'general.autoCondenseThreshold': document.getElementById('auto-condense-threshold').value,
+        'llm.budget.reservedOutputTokens': document.getElementById('reserved-output-tokens').value,
+        'terminal.timeoutSeconds': document.getElementById('terminal-timeout-seconds').value,
+        'terminal.maxOutputKB': document.getElementById('terminal-max-output-kb').value,
+        'search.provider': document.getElementById('search-provider-selector').value,
+        'search.searxng.baseURL': document.getElementById('search-searxng-url').value,
+        'search.brave.apiKey': document.getElementById('search-brave-api-key').value,
+        'search.bing.apiKey': document.getElementById('search-bing-api-key').value,
+        'search.cacheTTLMinutes': document.getElementById('search-cache-ttl').value,
+        'network.allowPrivateUrls': document.getElementById('allow-private-urls').checked,
+        'llm.failover.chain': parseFailoverChain(document.getElementById('failover-chain').value),
+        'llm.failover.cooldownSeconds': document.getElementById('failover-cooldown-seconds').value,
+        'llm.budget.sessionSoftUSD': document.getElementById('budget-session-soft').value,
+        'llm.budget.sessionHardUSD': document.getElementById('budget-session-hard').value,
+        'llm.budget.dailySoftUSD': document.getElementById('budget-daily-soft').value,
+        'llm.budget.dailyHardUSD': document.getElementById('budget-daily-hard').value,
+        'llm.pricing.overrides': parsePricingOverrides(document.getElementById('model-pricing-overrides').value),
+        'llm.reasoning.effortByMode': Object.fromEntries(REASONING_MODES.map(mode => [mode, document.getElementById(`reasoning-effort-${mode}`).value])),
+        'llm.reasoning.showSummaries': document.getElementById('reasoning-show-summaries').checked,
+        'completions.enabled': document.getElementById('completions-enabled').checked,
+        'completions.debounceMs': document.getElementById('completions-debounce-ms').value,
+        ...compatibleEndpointsUI.collect(),
+        ...modelRoutingUI.collect(),
+        ...llmRecordingUI.collect(),
+        ...ollamaModelsUI.collect(),
     };
 
     await Settings.setMultiple(settingsToSave);
@@ -559,9 +757,38 @@ export function loadLLMSettings() {
     document.getElementById('gemini-model-selector').value = Settings.get('llm.gemini.model');
     document.getElementById('openai-api-key').value = Settings.get('llm.openai.apiKey') || '';
     document.getElementById('openai-model-selector').value = Settings.get('llm.openai.model');
+    document.getElementById('anthropic-api-keys').value = Settings.get('llm.anthropic.apiKey') || '';
+    document.getElementById('anthropic-model-selector').value = Settings.get('llm.anthropic.model');
+    compatibleEndpointsUI.load();
+    modelRoutingUI.load();
+    llmRecordingUI.load();
+    document.getElementById('failover-chain').value = (Settings.get('llm.failover.chain') || []).join(', ');
+    document.getElementById('failover-cooldown-seconds').value = Settings.get('llm.failover.cooldownSeconds') ?? '';
+    document.getElementById('budget-session-soft').value = Settings.get('llm.budget.sessionSoftUSD') || '';
+    document.getElementById('budget-session-hard').value = Settings.get('llm.budget.sessionHardUSD') || '';
+    document.getElementById('budget-daily-soft').value = Settings.get('llm.budget.dailySoftUSD') || '';
+    document.getElementById('budget-daily-hard').value = Settings.get('llm.budget.dailyHardUSD') || '';
+    document.getElementById('model-pricing-overrides').value = formatPricingOverrides(Settings.get('llm.pricing.overrides'));
+    const effortByMode = Settings.get('llm.reasoning.effortByMode') || {};
+    REASONING_MODES.forEach(mode => {
+        document.getElementById(`reasoning-effort-${mode}`).value = effortByMode[mode] || 'default';
+    });
+    document.getElementById('reasoning-show-summaries').checked = Settings.get('llm.reasoning.showSummaries') !== false;
+    document.getElementById('completions-enabled').checked = !!Settings.get('completions.enabled');
+    document.getElementById('completions-debounce-ms').value = Settings.get('completions.debounceMs') ?? '';
     document.getElementById('ollama-base-url').value = Settings.get('llm.ollama.baseURL');
     document.getElementById('ollama-model-name').value = Settings.get('llm.ollama.model');
+    ollamaModelsUI.load();
     document.getElementById('auto-condense-threshold').value = Settings.get('general.autoCondenseThreshold') || '';
+    document.getElementById('reserved-output-tokens').value = Settings.get('llm.budget.reservedOutputTokens') || '';
+    document.getElementById('terminal-timeout-seconds').value = Settings.get('terminal.timeoutSeconds') || '';
+    document.getElementById('terminal-max-output-kb').value = Settings.get('terminal.maxOutputKB') || '';
+    document.getElementById('search-provider-selector').value = Settings.get('search.provider') || 'duckduckgo';
+    document.getElementById('search-searxng-url').value = Settings.get('search.searxng.baseURL') || '';
+    document.getElementById('search-brave-api-key').value = Settings.get('search.brave.apiKey') || '';
+    document.getElementById('search-bing-api-key').value = Settings.get('search.bing.apiKey') || '';
+    document.getElementById('search-cache-ttl').value = Settings.get('search.cacheTTLMinutes') ?? '';
+    document.getElementById('allow-private-urls').checked = !!Settings.get('network.allowPrivateUrls');
     
     const provider = Settings.get('llm.provider');
     document.querySelectorAll('.settings-tabs .tab-link').forEach(tab => {
@@ -619,11 +846,18 @@ export function toggleTheme() {
     updateThemeIcon(newTheme);
 }
 
-export function updateLLMProviderStatus() {
+/**
+ * Shows the selected provider, or "selected → fallback" while failover is routing elsewhere.
+ */
+export function updateLLMProviderStatus(activeProvider = null) {
     const providerStatus = document.getElementById('llm-provider-status');
     if (providerStatus) {
         const provider = Settings.get('llm.provider') || 'N/A';
-        providerStatus.textContent = provider;
+        const endpoint = provider === 'compatible' ? Settings.getActiveCompatibleEndpoint() : null;
+        const label = endpoint ? `${provider} (${endpoint.name || endpoint.baseURL})` : provider;
+        const recorderMode = Settings.get('llm.recorder.mode');
+        const suffix = recorderMode === 'record' ? ' [recording]' : recorderMode === 'replay' ? ' [replay]' : '';
+        providerStatus.textContent = (activeProvider && activeProvider !== provider ? `${label} → ${activeProvider}` : label) + suffix;
     }
 }
 
@@ -791,7 +1025,7 @@ export function updateTodoList(todoItems) {
  * Text: "LLM: Req {requests} • In {inputTokens} • Out {outputTokens} • Total {totalTokens}"
  * Positioned bottom-right with minimal styling.
  */
-export function updateMetricsBadge(totals = { requests: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0 }) {
+export function updateMetricsBadge(totals = { requests: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, costUSD: 0 }) {
     try {
         let badge = document.getElementById('metrics-badge');
         if (!badge) {
@@ -822,6 +1056,7 @@ export function updateMetricsBadge(totals = { requests: 0, inputTokens: 0, outpu
             <span class="metric-item" title="Input Tokens"><i class="fas fa-arrow-down"></i> ${fmt(totals.inputTokens)}</span>
             <span class="metric-item" title="Output Tokens"><i class="fas fa-arrow-up"></i> ${fmt(totals.outputTokens)}</span>
             <span class="metric-item" title="Total Tokens"><i class="fas fa-equals"></i> ${fmt(totals.totalTokens)}</span>
+            <span class="metric-item" title="Estimated spend this session"><i class="fas fa-dollar-sign"></i> ${formatUSD(totals.costUSD || 0).slice(1)}</span>
         `;
     } catch (e) {
         console.warn('[UI] Failed to update metrics badge:', e?.message || e);
@@ -906,9 +1141,10 @@ export function toggleMetricsDrawer() {
 /**
  * Render aggregate summary into the drawer body.
  * Summary shape:
- * { requestCount, successCount, failureCount, inputTokens, outputTokens, totalTokens, averageLatencyMs }
+ * { requestCount, successCount, failureCount, inputTokens, outputTokens, totalTokens, costUSD, averageLatencyMs }
+ * Spend shape (optional): DbManager.metricsGetSpend() result.
  */
-export function renderMetricsSummary(summary = { requestCount: 0, successCount: 0, failureCount: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, averageLatencyMs: 0 }) {
+export function renderMetricsSummary(summary = { requestCount: 0, successCount: 0, failureCount: 0, inputTokens: 0, outputTokens: 0, reasoningTokens: 0, totalTokens: 0, costUSD: 0, averageLatencyMs: 0 }, spend = null) {
     const content = document.getElementById('metrics-drawer-content') || ensureMetricsDrawer().querySelector('#metrics-drawer-content');
     if (!content) return;
 
@@ -920,8 +1156,37 @@ export function renderMetricsSummary(summary = { requestCount: 0, successCount:
             <div><strong>Requests:</strong> ${fmt(summary.requestCount)}</div>
             <div><strong>Success:</strong> ${fmt(summary.successCount)} • <strong>Failure:</strong> ${fmt(summary.failureCount)}</div>
             <div><strong>Tokens:</strong> In ${fmt(summary.inputTokens)} • Out ${fmt(summary.outputTokens)} • Total ${fmt(summary.totalTokens)}</div>
+            <div><strong>Reasoning:</strong> ${fmt(summary.reasoningTokens)} of the output tokens</div>
             <div><strong>Avg Latency:</strong> ${fmtMs(summary.averageLatencyMs)}</div>
+            <div><strong>Spend:</strong> ${formatUSD(summary.costUSD || 0)}</div>
         </div>
+        ${spend ? renderSpendBreakdown(spend) : ''}
+    `;
+}
+
+/**
+ * Spend tables for the drawer: last 7 days, the 5 most recent sessions and the 5 costliest tasks.
+ */
+function renderSpendBreakdown(spend) {
+    const escape = (text) => String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+    const rows = (entries, label) => entries.length === 0
+        ? '<div style="opacity:0.7;">No priced requests yet.</div>'
+        : entries.map(([key, entry]) => `
+            <div style="display:flex; justify-content:space-between; gap:8px;">
+                <span style="overflow:hidden; text-overflow:ellipsis; white-space:nowrap;">${escape(label(key, entry))}</span>
+                <span>${formatUSD(entry.costUSD)} • ${entry.requests} req</span>
+            </div>`).join('');
+
+    const byDay = Object.entries(spend.byDay).sort(([a], [b]) => b.localeCompare(a)).slice(0, 7);
+    const bySession = Object.entries(spend.bySession).sort(([, a], [, b]) => b.lastTs - a.lastTs).slice(0, 5);
+    const byTask = Object.entries(spend.byTask).sort(([, a], [, b]) => b.costUSD - a.costUSD).slice(0, 5);
+    const section = (title, body) => `<div style="margin-top:8px;"><strong>${title}</strong>${body}</div>`;
+
+    return `
+        ${section('By day', rows(byDay, key => key))}
+        ${section('By session', rows(bySession, (key, entry) => `Last active ${new Date(entry.lastTs).toLocaleString()}`))}
+        ${section('By task', rows(byTask, (key, entry) => entry.label || `Task ${key}`))}
+        ${spend.unpricedRequests > 0 ? `<div style="margin-top:8px; opacity:0.7;">${spend.unpricedRequests.toLocaleString()} request(s) on models without a known price are not included. Add their prices in Settings.</div>` : ''}
     `;
 }
 
@@ -932,7 +1197,8 @@ export function renderMetricsSummary(summary = { requestCount: 0, successCount:
 export async function refreshMetricsDrawer() {
     try {
         const { summary } = await DbManager.metricsGetSummary();
-        renderMetricsSummary(summary || {});
+        const spend = await DbManager.metricsGetSpend({ since: Date.now() - 30 * 24 * 60 * 60 * 1000 });
+        renderMetricsSummary(summary || {}, spend);
     } catch (e) {
         console.warn('[UI] Failed to refresh metrics drawer:', e?.message || e);
         renderMetricsSummary({
@@ -942,6 +1208,7 @@ export async function refreshMetricsDrawer() {
             inputTokens: 0,
             outputTokens: 0,
             totalTokens: 0,
+            costUSD: 0,
             averageLatencyMs: 0
         });
     }
@@ -0,0 +1,70 @@
+// Checks for the per-turn change timeline (js/change_timeline.js), run against
+// an in-memory project folder. Run with `npm test` in frontend/.
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createProject, readText, writeText } from './support/memory_fs.mjs';
+import { getOpenFiles, openTab } from './support/stub_editor.mjs';
+
+globalThis.document ??= { getElementById: () => null };
+
+const { ChangeTimeline } = await import('../js/change_timeline.js');
+
+beforeEach(() => {
+    getOpenFiles().clear();
+});
+
+async function recordCall(timeline, root, toolName, path, content) {
+    const pending = await timeline.beginCall(toolName, { filename: path }, [path], root);
+    if (content === null) await root.removeEntry(path);
+    else await writeText(root, path, content);
+    await timeline.endCall(pending, root);
+}
+
+test('the timeline plans the net writes of a turn', async () => {
+    const root = await createProject({ 'a.txt': 'a0' });
+    const timeline = new ChangeTimeline();
+    timeline.startTurn('t1', 'Refactor');
+    await recordCall(timeline, root, 'edit_file', 'a.txt', 'a1');
+    await recordCall(timeline, root, 'create_file', 'b.txt', 'b1');
+    await recordCall(timeline, root, 'edit_file', 'a.txt', 'a2');
+    timeline.endTurn();
+
+    const [first, second, third] = timeline.getTurn('t1').calls;
+    const undo = timeline.plan('t1', null, 'undo');
+    assert.deepEqual(undo.calls.map(call => call.id), [third.id, second.id, first.id]);
+    assert.deepEqual(Object.fromEntries(undo.writes), {
+        'a.txt': { expected: 'a2', content: 'a0' },
+        'b.txt': { expected: 'b1', content: null },
+    });
+
+    const single = timeline.plan('t1', second.id, 'undo');
+    assert.deepEqual(single.calls, [second]);
+    assert.deepEqual(timeline.plan('t1', null, 'redo').calls, []);
+    assert.deepEqual(timeline.plan('missing', null, 'undo').writes, new Map());
+});
+
+test('undo and redo refuse to overwrite later edits unless forced', async () => {
+    const root = await createProject({ 'a.txt': 'a0' });
+    const timeline = new ChangeTimeline();
+    timeline.startTurn('t1', 'Edit');
+    await recordCall(timeline, root, 'edit_file', 'a.txt', 'a1');
+    timeline.endTurn();
+
+    await writeText(root, 'a.txt', 'edited by hand');
+    let result = await timeline.apply('t1', null, 'undo', root);
+    assert.deepEqual(result, { conflicts: ['a.txt'], changed: [] });
+    assert.equal(await readText(root, 'a.txt'), 'edited by hand');
+
+    result = await timeline.apply('t1', null, 'undo', root, { force: true });
+    assert.deepEqual(result.changed, ['a.txt']);
+    assert.equal(await readText(root, 'a.txt'), 'a0');
+    assert.equal(timeline.getTurn('t1').calls[0].undone, true);
+
+    // Unsaved edits in an open tab count as a conflict too
+    openTab('a.txt', 'unsaved');
+    assert.deepEqual((await timeline.apply('t1', null, 'redo', root)).conflicts, ['a.txt']);
+    getOpenFiles().get('a.txt').model.setValue('a0');
+    assert.deepEqual((await timeline.apply('t1', null, 'redo', root)).changed, ['a.txt']);
+    assert.equal(await readText(root, 'a.txt'), 'a1');
+    assert.equal(getOpenFiles().get('a.txt').model.getValue(), 'a1');
+});
@@ -0,0 +1,96 @@
+// Checks for the content-addressed checkpoints (js/checkpoints.js), run against
+// an in-memory project folder. Run with `npm test` in frontend/.
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createProject, readText, writeText } from './support/memory_fs.mjs';
+import { DbManager } from './support/stub_db.mjs';
+import { getOpenFiles, openTab } from './support/stub_editor.mjs';
+
+globalThis.document ??= { getElementById: () => null };
+
+const { Checkpoints } = await import('../js/checkpoints.js');
+
+beforeEach(() => {
+    DbManager.reset();
+    Checkpoints.manifest = null;
+    Checkpoints.touched = new Set();
+    getOpenFiles().clear();
+});
+
+async function restore(checkpoint, root) {
+    const changes = await Checkpoints.planRestore(checkpoint, root);
+    await Checkpoints.applyRestore(changes, root);
+    return changes;
+}
+
+test('a checkpoint records edits made outside the tools', async () => {
+    const root = await createProject({ 'a.txt': 'v1', 'b.txt': 'b' });
+    await Checkpoints.create(root, { name: 'before edit_file', paths: ['a.txt'] });
+    await writeText(root, 'a.txt', 'v2'); // the tool call
+    await Checkpoints.create(root, { name: 'before edit_file', paths: ['b.txt'] });
+
+    // Saved in the editor, so no tool names the file
+    await writeText(root, 'a.txt', 'saved in the editor');
+    const third = await Checkpoints.create(root, { name: 'before edit_file', paths: ['b.txt'] });
+    assert.deepEqual(third.changedPaths, ['a.txt']);
+
+    await writeText(root, 'b.txt', 'b2');
+    const changes = await restore(third, root);
+    assert.deepEqual(changes.map(change => [change.path, change.type]), [['b.txt', 'modify']]);
+    assert.equal(await readText(root, 'a.txt'), 'saved in the editor');
+    assert.equal(await readText(root, 'b.txt'), 'b');
+});
+
+test('nothing is saved without force when no file changed', async () => {
+    const root = await createProject({ 'a.txt': 'v1' });
+    assert.ok(await Checkpoints.create(root, { name: 'first', paths: ['a.txt'] }));
+    assert.equal(await Checkpoints.create(root, { name: 'second', paths: ['a.txt'] }), null);
+    assert.ok(await Checkpoints.create(root, { name: 'manual', force: true }));
+});
+
+test('restoring deletes files created later and recreates deleted ones', async () => {
+    const root = await createProject({ 'a.txt': 'a', 'old.txt': 'old' });
+    const first = await Checkpoints.create(root, { name: 'first', paths: ['a.txt'] });
+
+    await Checkpoints.create(root, { name: 'before create_file', paths: ['src/new.txt'] });
+    await writeText(root, 'src/new.txt', 'new');
+    await Checkpoints.create(root, { name: 'before delete_file', paths: ['old.txt'] });
+    await root.removeEntry('old.txt');
+
+    // Files first tracked later keep their first recorded state
+    assert.deepEqual(Object.keys(await Checkpoints.getTargetState(first)).sort(), ['a.txt', 'old.txt', 'src/new.txt']);
+
+    const changes = await restore(first, root);
+    assert.deepEqual(changes.map(change => [change.path, change.type]), [
+        ['old.txt', 'create'],
+        ['src/new.txt', 'delete'],
+    ]);
+    assert.equal(await readText(root, 'old.txt'), 'old');
+    assert.equal(await readText(root, 'src/new.txt'), null);
+    assert.equal(await readText(root, 'a.txt'), 'a');
+});
+
+test('folder tools report every file inside the folder', async () => {
+    const root = await createProject({ 'lib/a.js': '', 'lib/sub/b.js': '', 'other.js': '' });
+    const paths = await Checkpoints.pathsForTool('rename_folder', { old_folder_path: 'lib', new_folder_path: 'src' }, root);
+    assert.deepEqual(paths.sort(), ['lib/a.js', 'lib/sub/b.js', 'src/a.js', 'src/sub/b.js']);
+    assert.deepEqual(await Checkpoints.pathsForTool('edit_file', { filename: 'x.js' }, root), ['x.js']);
+});
+
+test('a branch checkout reports the files that differ from the target', async (t) => {
+    const requests = [];
+    t.mock.method(globalThis, 'fetch', async (url, options) => {
+        requests.push(JSON.parse(options.body));
+        return new Response(JSON.stringify({ status: 'Success', result: { paths: ['a.js', 'gone.js'] } }));
+    });
+    const root = await createProject({});
+
+    assert.deepEqual(await Checkpoints.pathsForTool('git_checkout_branch', { branch: 'main' }, root), ['a.js', 'gone.js']);
+    assert.deepEqual(await Checkpoints.pathsForTool('git_checkout_branch', { branch: 'topic', create: true, start_point: 'v1' }, root), ['a.js', 'gone.js']);
+    // A new branch from HEAD leaves the files alone
+    assert.deepEqual(await Checkpoints.pathsForTool('git_checkout_branch', { branch: 'topic', create: true }, root), []);
+    assert.deepEqual(requests, [
+        { toolName: 'git_changed_files', parameters: { ref: 'main' } },
+        { toolName: 'git_changed_files', parameters: { ref: 'v1' } },
+    ]);
+});
@@ -0,0 +1,114 @@
+// Checks for the LLM request recorder (js/llm/llm_recorder.js) and the replay
+// provider (js/llm/replay_service.js). Run with `npm test` in frontend/.
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { DbManager } from './support/stub_db.mjs';
+
+const { LLMRecorder, llmRecorder } = await import('../js/llm/llm_recorder.js');
+const { ReplayService } = await import('../js/llm/replay_service.js');
+const { BaseLLMService } = await import('../js/llm/base_llm_service.js');
+
+const SCHEMA = { type: 'object', required: ['ok'], properties: { ok: { type: 'boolean' } } };
+
+class LiveService extends BaseLLMService {
+    constructor() {
+        super(null, 'live-model');
+        this.calls = 0;
+    }
+
+    async *sendMessageStream(history) {
+        this.calls++;
+        const question = history[history.length - 1].parts[0].text;
+        yield { text: `answer to ${question}` };
+        yield { usageMetadata: { promptTokenCount: 5, candidatesTokenCount: 3 } };
+    }
+
+    supportsStructuredOutput() {
+        return true;
+    }
+
+    async _generateStructuredNative() {
+        this.calls++;
+        return '{"ok": true}';
+    }
+}
+
+const ask = (text) => [{ role: 'user', parts: [{ text }] }];
+
+async function collect(stream) {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return chunks;
+}
+
+beforeEach((t) => {
+    DbManager.reset();
+    llmRecorder.resetReplay();
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+});
+
+test('recorded streams replay by request, then in recorded order', async () => {
+    const live = new LLMRecorder().instrument(new LiveService(), 'gemini', 'run');
+    const first = await collect(live.sendMessageStream(ask('one'), null, 'rules'));
+    await collect(live.sendMessageStream(ask('two'), null, 'rules'));
+    assert.equal(DbManager.llmRecordings.length, 2);
+    assert.equal(DbManager.llmRecordings[0].complete, true);
+
+    const replay = new ReplayService(null, 'live-model', { provider: 'gemini', session: 'run' });
+    // Matched by content even when asked out of order
+    assert.deepEqual(await collect(replay.sendMessageStream(ask('two'), null, 'rules')), [
+        { text: 'answer to two' },
+        { usageMetadata: { promptTokenCount: 5, candidatesTokenCount: 3 } },
+    ]);
+    // A changed request takes the earliest unused recording
+    assert.deepEqual(await collect(replay.sendMessageStream(ask('changed'), null, 'rules')), first);
+    await assert.rejects(collect(replay.sendMessageStream(ask('three'), null, 'rules')), /no recorded response left/);
+});
+
+test('native structured replies are recorded and replayed separately', async () => {
+    const service = new LiveService();
+    new LLMRecorder().instrument(service, 'openai', 'structured');
+    assert.deepEqual(await service.generateStructured(SCHEMA, 'Is it ok?'), { ok: true });
+    assert.equal(DbManager.llmRecordings[0].kind, 'structured');
+
+    const replay = new ReplayService(null, 'live-model', { provider: 'openai', session: 'structured' });
+    assert.deepEqual(await replay.generateStructured(SCHEMA, 'Is it ok?'), { ok: true });
+    assert.equal(service.calls, 1);
+});
+
+test('failed streams are recorded and fail again on replay', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const service = new LiveService();
+    service.sendMessageStream = async function* () {
+        yield { text: 'partial' };
+        throw new Error('connection reset');
+    };
+    new LLMRecorder().instrument(service, 'gemini', 'errors');
+    await assert.rejects(collect(service.sendMessageStream(ask('one'))), /connection reset/);
+    assert.deepEqual(DbManager.llmRecordings[0].error, { message: 'connection reset', category: null });
+
+    const replay = new ReplayService(null, 'live-model', { provider: 'gemini', session: 'errors' });
+    const chunks = [];
+    await assert.rejects(async () => {
+        for await (const chunk of replay.sendMessageStream(ask('one'))) chunks.push(chunk);
+    }, /connection reset/);
+    assert.deepEqual(chunks, [{ text: 'partial' }]);
+});
+
+test('exported sessions import under a new name', async () => {
+    const live = llmRecorder.instrument(new LiveService(), 'gemini', 'source');
+    await collect(live.sendMessageStream(ask('one')));
+
+    const exported = await llmRecorder.exportSession('source');
+    assert.equal(exported.recordings.length, 1);
+    assert.equal('id' in exported.recordings[0], false);
+
+    assert.deepEqual(await llmRecorder.importSession(exported, 'copy'), { session: 'copy', count: 1 });
+    assert.equal(await llmRecorder.countRecordings('copy'), 1);
+    await assert.rejects(llmRecorder.importSession({ recordings: [] }), /Not an LLM recording file/);
+
+    await llmRecorder.clearSession('copy');
+    assert.equal(await llmRecorder.countRecordings('copy'), 0);
+    assert.equal(await llmRecorder.countRecordings('source'), 1);
+});
@@ -0,0 +1,92 @@
+// Checks for the structured output helpers (js/llm/structured_output.js) and the
+// prompt fallback of BaseLLMService.generateStructured. Run with `npm test` in frontend/.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const {
+    StructuredOutputError,
+    extractJSON,
+    parseStructured,
+    toGeminiSchema,
+    validateAgainstSchema,
+} = await import('../js/llm/structured_output.js');
+const { BaseLLMService } = await import('../js/llm/base_llm_service.js');
+
+const PLAN_SCHEMA = {
+    type: 'object',
+    required: ['steps'],
+    properties: {
+        steps: { type: 'array', minItems: 1, items: { type: 'string' } },
+        risk: { type: 'string', enum: ['low', 'high'] },
+        estimate: { type: ['integer', 'null'], minimum: 0 },
+    },
+};
+
+test('extractJSON finds the value in plain, fenced and chatty replies', () => {
+    assert.deepEqual(extractJSON('{"a": 1}').value, { a: 1 });
+    assert.deepEqual(extractJSON('```json\n[1, 2]\n```').value, [1, 2]);
+    assert.deepEqual(extractJSON('Sure! Here it is: {"a": "}"} Hope that helps.').value, { a: '}' });
+    assert.equal(extractJSON('no json here').value, undefined);
+    assert.match(extractJSON('').error, /no JSON/);
+});
+
+test('validateAgainstSchema reports each problem with its path', () => {
+    assert.deepEqual(validateAgainstSchema({ steps: ['x'], risk: 'low', estimate: null }, PLAN_SCHEMA), []);
+    assert.deepEqual(validateAgainstSchema({ steps: [], risk: 'medium', estimate: -1 }, PLAN_SCHEMA), [
+        '$.steps should have at least 1 items',
+        '$.risk should be one of "low", "high"',
+        '$.estimate should be >= 0',
+    ]);
+    assert.deepEqual(validateAgainstSchema({ steps: [1] }, PLAN_SCHEMA), ['$.steps[0] should be string, got integer']);
+    assert.deepEqual(validateAgainstSchema({}, PLAN_SCHEMA), ['$.steps is required']);
+    assert.deepEqual(parseStructured('{"steps": "x"}', PLAN_SCHEMA).errors, ['$.steps should be array, got string']);
+});
+
+test('toGeminiSchema keeps supported keywords and turns type unions into nullable', () => {
+    const schema = toGeminiSchema({ ...PLAN_SCHEMA, additionalProperties: false });
+    assert.equal('additionalProperties' in schema, false);
+    assert.deepEqual(schema.properties.estimate, { type: 'integer', nullable: true, minimum: 0 });
+});
+
+class ScriptedService extends BaseLLMService {
+    constructor(replies) {
+        super(null, 'scripted');
+        this.replies = replies;
+        this.requests = [];
+    }
+
+    async *sendMessageStream(history, tools, customRules) {
+        this.requests.push({ history: structuredClone(history), customRules });
+        yield { text: this.replies.shift() };
+    }
+}
+
+const TOOL_HISTORY = [
+    { role: 'user', parts: [{ text: 'Plan the change.' }] },
+    { role: 'model', parts: [{ functionCall: { name: 'read_file', args: { filename: 'a.js' } } }] },
+    { role: 'user', parts: [{ functionResponse: { name: 'read_file', response: { content: 'x' } } }] },
+];
+
+test('generateStructured sends tool turns as text and repairs invalid replies', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const service = new ScriptedService(['{"steps": []}', '```json\n{"steps": ["edit a.js"]}\n```']);
+    const value = await service.generateStructured(PLAN_SCHEMA, 'Return the plan.', { history: TOOL_HISTORY });
+    assert.deepEqual(value, { steps: ['edit a.js'] });
+
+    assert.equal(service.requests.length, 2);
+    for (const { history } of service.requests) {
+        const parts = history.flatMap(turn => turn.parts);
+        assert.ok(parts.every(part => typeof part.text === 'string'), 'only text parts are sent');
+    }
+    const repair = service.requests[1].history;
+    assert.match(repair[repair.length - 1].parts[0].text, /at least 1 items/);
+});
+
+test('generateStructured gives up after maxRepairs', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const service = new ScriptedService(['nope', 'still nope']);
+    await assert.rejects(
+        service.generateStructured(PLAN_SCHEMA, 'Return the plan.', { maxRepairs: 1 }),
+        (error) => error instanceof StructuredOutputError && error.rawText === 'still nope',
+    );
+});
@@ -0,0 +1,24 @@
+// Loader hooks for the tests: the browser modules in frontend/js are ES modules
+// without a package "type", and the modules that need IndexedDB, Monaco or
+// `window` are replaced by the stubs next to this file.
+const JS_ROOT = new URL('../../js/', import.meta.url).href;
+
+const STUBS = {
+    'db.js': new URL('./stub_db.mjs', import.meta.url).href,
+    'editor.js': new URL('./stub_editor.mjs', import.meta.url).href,
+    'core/error_handler.js': new URL('./stub_error_handler.mjs', import.meta.url).href,
+};
+
+export async function resolve(specifier, context, nextResolve) {
+    const result = await nextResolve(specifier, context);
+    if (result.url.startsWith(JS_ROOT)) {
+        const stub = STUBS[result.url.slice(JS_ROOT.length)];
+        if (stub) return { url: stub, shortCircuit: true };
+    }
+    return result;
+}
+
+export async function load(url, context, nextLoad) {
+    if (url.startsWith(JS_ROOT)) return nextLoad(url, { ...context, format: 'module' });
+    return nextLoad(url, context);
+}
@@ -0,0 +1,114 @@
+// A minimal in-memory version of the File System Access API directory handle
+// that js/file_system.js works with.
+function notFound(name) {
+    return Object.assign(new Error(`${name} not found`), { name: 'NotFoundError' });
+}
+
+function typeMismatch(name) {
+    return Object.assign(new Error(`${name} has the wrong kind`), { name: 'TypeMismatchError' });
+}
+
+function toBytes(content) {
+    if (typeof content === 'string') return new TextEncoder().encode(content);
+    return new Uint8Array(content instanceof ArrayBuffer ? content.slice(0) : content);
+}
+
+class MemoryFileHandle {
+    constructor(name, bytes = new Uint8Array()) {
+        this.kind = 'file';
+        this.name = name;
+        this.bytes = bytes;
+    }
+
+    async getFile() {
+        const bytes = this.bytes;
+        return {
+            text: async () => new TextDecoder().decode(bytes),
+            arrayBuffer: async () => bytes.slice().buffer,
+        };
+    }
+
+    async createWritable() {
+        const chunks = [];
+        return {
+            write: async (content) => chunks.push(toBytes(content)),
+            close: async () => {
+                this.bytes = new Uint8Array(Buffer.concat(chunks));
+            },
+        };
+    }
+}
+
+export class MemoryDirectoryHandle {
+    constructor(name = '') {
+        this.kind = 'directory';
+        this.name = name;
+        this.entries = new Map();
+    }
+
+    async getDirectoryHandle(name, { create = false } = {}) {
+        const entry = this.entries.get(name);
+        if (entry) {
+            if (entry.kind !== 'directory') throw typeMismatch(name);
+            return entry;
+        }
+        if (!create) throw notFound(name);
+        const dir = new MemoryDirectoryHandle(name);
+        this.entries.set(name, dir);
+        return dir;
+    }
+
+    async getFileHandle(name, { create = false } = {}) {
+        const entry = this.entries.get(name);
+        if (entry) {
+            if (entry.kind !== 'file') throw typeMismatch(name);
+            return entry;
+        }
+        if (!create) throw notFound(name);
+        const file = new MemoryFileHandle(name);
+        this.entries.set(name, file);
+        return file;
+    }
+
+    async removeEntry(name) {
+        if (!this.entries.delete(name)) throw notFound(name);
+    }
+
+    async *values() {
+        yield* this.entries.values();
+    }
+}
+
+/**
+ * A root directory holding `files` (path -> text).
+ */
+export async function createProject(files = {}) {
+    const root = new MemoryDirectoryHandle();
+    for (const [path, content] of Object.entries(files)) {
+        await writeText(root, path, content);
+    }
+    return root;
+}
+
+export async function writeText(root, path, content) {
+    const parts = path.split('/');
+    let dir = root;
+    for (const part of parts.slice(0, -1)) dir = await dir.getDirectoryHandle(part, { create: true });
+    const file = await dir.getFileHandle(parts[parts.length - 1], { create: true });
+    file.bytes = toBytes(content);
+}
+
+/**
+ * The text of a file, or null when it does not exist.
+ */
+export async function readText(root, path) {
+    try {
+        const parts = path.split('/');
+        let dir = root;
+        for (const part of parts.slice(0, -1)) dir = await dir.getDirectoryHandle(part);
+        const file = await dir.getFileHandle(parts[parts.length - 1]);
+        return await (await file.getFile()).text();
+    } catch (error) {
+        return null;
+    }
+}
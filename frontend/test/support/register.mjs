@@ -0,0 +1,5 @@
+// Registers the loader hooks that let the Node test runner import the browser
+// modules in frontend/js; see loader.mjs.
+import { register } from 'node:module';
+
+register('./loader.mjs', import.meta.url);
@@ -0,0 +1,57 @@
+// In-memory stand-in for the checkpoint and LLM recording stores of js/db.js.
+export const DbManager = {
+    checkpoints: new Map(),
+    blobs: new Map(),
+    llmRecordings: [],
+    nextId: 1,
+
+    reset() {
+        this.checkpoints.clear();
+        this.blobs.clear();
+        this.llmRecordings = [];
+        this.nextId = 1;
+    },
+
+    async saveCheckpoint(checkpointData) {
+        const id = this.nextId++;
+        this.checkpoints.set(id, structuredClone({ ...checkpointData, id }));
+        return id;
+    },
+
+    async getCheckpoints() {
+        return [...this.checkpoints.values()].map(cp => structuredClone(cp));
+    },
+
+    async saveCheckpointBlob(hash, data) {
+        this.blobs.set(hash, data.slice(0));
+    },
+
+    async getCheckpointBlob(hash) {
+        return this.blobs.get(hash) ?? null;
+    },
+
+    async pruneCheckpointBlobs(keepHashes) {
+        let deleted = 0;
+        for (const hash of [...this.blobs.keys()]) {
+            if (!keepHashes.has(hash)) {
+                this.blobs.delete(hash);
+                deleted++;
+            }
+        }
+        return deleted;
+    },
+
+    async saveLLMRecording(recording) {
+        const id = this.nextId++;
+        this.llmRecordings.push(structuredClone({ ...recording, id }));
+        return id;
+    },
+
+    async getLLMRecordings(session) {
+        return this.llmRecordings.filter(r => r.session === session).map(r => structuredClone(r));
+    },
+
+    async deleteLLMRecordings(session) {
+        this.llmRecordings = this.llmRecordings.filter(r => r.session !== session);
+    },
+};
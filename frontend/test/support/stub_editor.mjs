@@ -0,0 +1,29 @@
+// Stand-in for js/editor.js: open tabs are a plain Map of path -> { model }.
+const openFiles = new Map();
+
+export function getOpenFiles() {
+    return openFiles;
+}
+
+export function closeTab(filePath) {
+    openFiles.delete(filePath);
+}
+
+export function openDiffView() {
+    return null;
+}
+
+/**
+ * Opens a tab whose model holds `value`, for checks of unsaved edits.
+ */
+export function openTab(filePath, value) {
+    let current = value;
+    openFiles.set(filePath, {
+        model: {
+            getValue: () => current,
+            setValue: (next) => {
+                current = next;
+            },
+        },
+    });
+}
@@ -0,0 +1,18 @@
+// Stand-in for js/core/error_handler.js, whose global handler needs `window`.
+export const ErrorSeverity = {
+    LOW: 'low',
+    MEDIUM: 'medium',
+    HIGH: 'high',
+    CRITICAL: 'critical',
+};
+
+export const ErrorCategory = {
+    SYSTEM: 'system',
+    USER_INPUT: 'user_input',
+    NETWORK: 'network',
+    FILE_SYSTEM: 'file_system',
+    AI_SERVICE: 'ai_service',
+    VALIDATION: 'validation',
+    PERFORMANCE: 'performance',
+    SECURITY: 'security',
+};
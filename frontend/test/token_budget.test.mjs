@@ -0,0 +1,72 @@
+// Checks for context-window budgeting in js/llm/token_budget.js, with a small
+// context window so the estimates stay readable. Run with `npm test` in frontend/.
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { TokenBudget } = await import('../js/llm/token_budget.js');
+
+// 6000 * 0.95 - 500 output - 3000 system prompt allowance = 2200 tokens for the history
+const TARGET = { provider: 'compatible', model: 'tiny', reservedOutputTokens: 500 };
+const BUDGET = 2200;
+
+let budget;
+beforeEach((t) => {
+    t.mock.method(console, 'log', () => {});
+    budget = new TokenBudget();
+    t.mock.method(budget, 'getModelCapabilities', () => ({ tokenizer: null, contextWindow: 6000, maxOutput: 500 }));
+});
+
+const request = text => ({ role: 'user', parts: [{ text }] });
+const reply = text => ({ role: 'model', parts: [{ text }] });
+const call = name => ({ role: 'model', parts: [{ functionCall: { name, args: {} } }] });
+const result = (name, content) => ({ role: 'user', parts: [{ functionResponse: { name, response: { content } } }] });
+
+test('a history within budget is returned unchanged', () => {
+    const history = [request('hello'), reply('hi')];
+    const fitted = budget.fitHistory(history, TARGET);
+    assert.equal(fitted.history, history);
+    assert.equal(fitted.budget, BUDGET);
+    assert.equal(fitted.trimmed, false);
+});
+
+test('old tool results are shortened before any turn is dropped', () => {
+    const history = [
+        request('read the file'), call('read_file'), result('read_file', 'x'.repeat(20000)),
+        reply('done'), request('thanks'), reply('welcome'), request('one more thing'),
+    ];
+    const fitted = budget.fitHistory(history, TARGET);
+    assert.equal(fitted.trimmed, true);
+    assert.equal(fitted.droppedTurns, 0);
+    assert.equal(fitted.history.length, history.length);
+    assert.equal(fitted.history[2].parts[0].functionResponse.response.truncated, true);
+    assert.equal(fitted.history[6], history[6]);
+});
+
+test('the oldest exchanges are replaced by a digest at a user request', () => {
+    const history = [];
+    for (let i = 0; i < 6; i++) {
+        history.push(request(`task ${i}\n${'y'.repeat(2000)}`), call('edit_file'), result('edit_file', 'ok'), reply('z'.repeat(1500)));
+    }
+    history.push(request('latest task'));
+
+    const fitted = budget.fitHistory(history, TARGET);
+    const [digest, first, ...rest] = fitted.history;
+    assert.ok(fitted.droppedTurns > 0);
+    assert.match(digest.parts[0].text, new RegExp(`${fitted.droppedTurns} earlier messages were omitted`));
+    assert.match(digest.parts[0].text, /- task 0/);
+    assert.match(digest.parts[0].text, /edit_file x\d/);
+    // The kept part starts with a request, so no tool result lost its call
+    assert.match(first.parts[0].text, /^task \d/);
+    assert.equal(rest[rest.length - 1], history[history.length - 1]);
+    assert.ok(budget.countHistoryTokens(fitted.history, TARGET) <= BUDGET + 200);
+});
+
+test('the latest request is kept and its huge tool results are shortened', () => {
+    const history = [request('old'), reply('ok'), request('inspect the log'), call('read_file'), result('read_file', 'l'.repeat(50000))];
+    const fitted = budget.fitHistory(history, TARGET);
+    const kept = fitted.history.slice(1);
+    assert.deepEqual(kept[0], history[2]);
+    const response = kept[2].parts[0].functionResponse.response;
+    assert.equal(response.truncated, true);
+    assert.ok(response.content.length <= BUDGET * 2);
+});